@@ -0,0 +1,8 @@
+// Replace the logger with jest.fn mocks so tests neither print nor write files under logs/
+jest.mock('./src/utils/logger', () => ({
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  http: jest.fn(),
+  debug: jest.fn()
+}));
@@ -0,0 +1,20 @@
+-- AlterTable
+-- Wallet-only accounts (Sign-In With Ethereum) have no email or password
+ALTER TABLE "users" ALTER COLUMN "email" DROP NOT NULL,
+ALTER COLUMN "password" DROP NOT NULL,
+ADD COLUMN     "walletVerifiedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "wallet_nonces" (
+    "id" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "wallet_nonces_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "users_walletAddress_key" ON "users"("walletAddress");
+CREATE UNIQUE INDEX "wallet_nonces_nonce_key" ON "wallet_nonces"("nonce");
@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "Role" AS ENUM ('USER', 'MODERATOR', 'ADMIN');
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "role" "Role" NOT NULL DEFAULT 'USER',
+ADD COLUMN     "permissions" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- Carry over the account that was previously hard-coded as admin
+UPDATE "users" SET "role" = 'ADMIN' WHERE "email" = 'admin@soccerdna.com';
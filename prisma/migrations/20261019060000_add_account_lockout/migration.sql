@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "SecurityEventType" AS ENUM ('LOGIN_SUCCESS', 'LOGIN_FAILED', 'ACCOUNT_LOCKED', 'ACCOUNT_UNLOCKED', 'NEW_DEVICE_LOGIN', 'NEW_LOCATION_LOGIN');
+
+-- AlterEnum
+ALTER TYPE "TokenType" ADD VALUE 'ACCOUNT_UNLOCK';
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockoutCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "security_events" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" "SecurityEventType" NOT NULL,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "deviceHash" TEXT,
+    "location" TEXT,
+    "metadata" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "security_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "security_events_userId_createdAt_idx" ON "security_events"("userId", "createdAt");
+CREATE INDEX "security_events_userId_type_idx" ON "security_events"("userId", "type");
+
+-- AddForeignKey
+ALTER TABLE "security_events" ADD CONSTRAINT "security_events_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "deletionRequestedAt" TIMESTAMP(3),
+ADD COLUMN     "deletionScheduledFor" TIMESTAMP(3),
+ADD COLUMN     "deletedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "users_deletionScheduledFor_idx" ON "users"("deletionScheduledFor");
+
+-- Deleted accounts are anonymised, never removed. Stop a hard delete of a
+-- user from cascading into records other users depend on.
+ALTER TABLE "user_styles" DROP CONSTRAINT IF EXISTS "user_styles_userId_fkey";
+ALTER TABLE "user_styles" ADD CONSTRAINT "user_styles_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE IF EXISTS "pre_orders" DROP CONSTRAINT IF EXISTS "pre_orders_userId_fkey";
+ALTER TABLE IF EXISTS "pre_orders" ADD CONSTRAINT "pre_orders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE IF EXISTS "preorders" DROP CONSTRAINT IF EXISTS "preorders_userId_fkey";
+ALTER TABLE IF EXISTS "preorders" ADD CONSTRAINT "preorders_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "transactions" DROP CONSTRAINT IF EXISTS "transactions_userId_fkey";
+ALTER TABLE "transactions" ADD CONSTRAINT "transactions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "tournament_entries" DROP CONSTRAINT IF EXISTS "tournament_entries_userId_fkey";
+ALTER TABLE "tournament_entries" ADD CONSTRAINT "tournament_entries_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+ALTER TABLE "marketplace_listings" DROP CONSTRAINT IF EXISTS "marketplace_listings_sellerId_fkey";
+ALTER TABLE "marketplace_listings" ADD CONSTRAINT "marketplace_listings_sellerId_fkey" FOREIGN KEY ("sellerId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
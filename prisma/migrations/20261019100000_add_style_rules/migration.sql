@@ -0,0 +1,48 @@
+-- The Style model was never migrated; create it if this database lacks it
+DO $$ BEGIN
+    CREATE TYPE "Rarity" AS ENUM ('COMMON', 'RARE', 'LEGENDARY', 'MYTHIC');
+EXCEPTION
+    WHEN duplicate_object THEN null;
+END $$;
+
+CREATE TABLE IF NOT EXISTS "styles" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "rarity" "Rarity" NOT NULL,
+    "category" TEXT NOT NULL,
+    "imageUrl" TEXT,
+    "totalPoints" INTEGER NOT NULL DEFAULT 0,
+    "activationCount" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "styles_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "styles_name_key" ON "styles"("name");
+
+-- CreateTable
+CREATE TABLE "style_rules" (
+    "id" TEXT NOT NULL,
+    "styleId" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "description" TEXT,
+    "metrics" JSONB NOT NULL DEFAULT '{}',
+    "condition" TEXT NOT NULL,
+    "points" TEXT NOT NULL,
+    "confidence" TEXT NOT NULL,
+    "params" JSONB NOT NULL DEFAULT '{}',
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "updatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "style_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "style_rules_styleId_key" ON "style_rules"("styleId");
+
+-- AddForeignKey
+ALTER TABLE "style_rules" ADD CONSTRAINT "style_rules_styleId_fkey" FOREIGN KEY ("styleId") REFERENCES "styles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
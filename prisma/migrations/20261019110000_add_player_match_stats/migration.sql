@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "player_match_stats" (
+    "id" TEXT NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "playerName" TEXT NOT NULL,
+    "teamName" TEXT NOT NULL,
+    "statistics" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "player_match_stats_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "player_match_stats_matchId_playerId_key" ON "player_match_stats"("matchId", "playerId");
+
+-- CreateIndex
+CREATE INDEX "player_match_stats_createdAt_idx" ON "player_match_stats"("createdAt");
@@ -0,0 +1,81 @@
+-- The Match and Activation models were never migrated; create them if this
+-- database lacks them
+CREATE TABLE IF NOT EXISTS "matches" (
+    "id" TEXT NOT NULL,
+    "apiId" TEXT NOT NULL,
+    "homeTeam" TEXT NOT NULL,
+    "awayTeam" TEXT NOT NULL,
+    "league" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "processed" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "matches_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "matches_apiId_key" ON "matches"("apiId");
+
+CREATE TABLE IF NOT EXISTS "activations" (
+    "id" TEXT NOT NULL,
+    "styleId" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "playerName" TEXT NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "leagueId" TEXT NOT NULL,
+    "points" INTEGER NOT NULL,
+    "confidence" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "timestamp" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "activations_pkey" PRIMARY KEY ("id"),
+    CONSTRAINT "activations_styleId_fkey" FOREIGN KEY ("styleId") REFERENCES "styles"("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateEnum
+CREATE TYPE "MatchPipelineState" AS ENUM ('PENDING', 'FETCHED', 'ANALYSED', 'SCORED', 'PUBLISHED');
+
+-- AlterTable
+ALTER TABLE "matches" ADD COLUMN "pipelineState" "MatchPipelineState" NOT NULL DEFAULT 'PENDING',
+ADD COLUMN "pipelineAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "pipelineError" TEXT,
+ADD COLUMN "pipelineLockedAt" TIMESTAMP(3),
+ADD COLUMN "analysis" JSONB,
+ADD COLUMN "publishedAt" TIMESTAMP(3);
+
+-- Matches processed before the pipeline existed count as published
+UPDATE "matches" SET "pipelineState" = 'PUBLISHED', "publishedAt" = CURRENT_TIMESTAMP WHERE "processed" = true;
+
+-- CreateIndex
+CREATE INDEX "matches_pipelineState_idx" ON "matches"("pipelineState");
+
+-- AlterTable
+ALTER TABLE "activations" ADD COLUMN "ruleVersion" INTEGER,
+ADD COLUMN "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Drop duplicate activations left by double processing, keeping the first,
+-- and take their points back out of the style totals. Owner totals are left
+-- alone: cards may have changed hands since the duplicates were awarded.
+WITH "ranked" AS (
+    SELECT "id", "styleId", "points",
+           ROW_NUMBER() OVER (PARTITION BY "matchId", "playerId", "styleId" ORDER BY "timestamp", "id") AS "position"
+    FROM "activations"
+), "duplicates" AS (
+    SELECT "styleId", SUM("points") AS "points", COUNT(*) AS "count"
+    FROM "ranked"
+    WHERE "position" > 1
+    GROUP BY "styleId"
+)
+UPDATE "styles"
+SET "totalPoints" = "styles"."totalPoints" - "duplicates"."points",
+    "activationCount" = "styles"."activationCount" - "duplicates"."count"
+FROM "duplicates"
+WHERE "styles"."id" = "duplicates"."styleId";
+
+DELETE FROM "activations"
+USING (
+    SELECT "id", ROW_NUMBER() OVER (PARTITION BY "matchId", "playerId", "styleId" ORDER BY "timestamp", "id") AS "position"
+    FROM "activations"
+) AS "ranked"
+WHERE "activations"."id" = "ranked"."id" AND "ranked"."position" > 1;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activations_matchId_playerId_styleId_key" ON "activations"("matchId", "playerId", "styleId");
@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "CorrectionType" AS ENUM ('ADDED', 'ADJUSTED', 'REVERSED');
+
+-- CreateTable
+CREATE TABLE "activation_corrections" (
+    "id" TEXT NOT NULL,
+    "activationId" TEXT NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "playerName" TEXT NOT NULL,
+    "styleId" TEXT NOT NULL,
+    "type" "CorrectionType" NOT NULL,
+    "previousPoints" INTEGER NOT NULL,
+    "newPoints" INTEGER NOT NULL,
+    "delta" INTEGER NOT NULL,
+    "reason" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "activation_corrections_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "point_adjustments" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "correctionId" TEXT NOT NULL,
+    "cards" INTEGER NOT NULL,
+    "points" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "point_adjustments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "activation_corrections_matchId_idx" ON "activation_corrections"("matchId");
+
+-- CreateIndex
+CREATE INDEX "activation_corrections_styleId_createdAt_idx" ON "activation_corrections"("styleId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "point_adjustments_userId_createdAt_idx" ON "point_adjustments"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "activation_corrections" ADD CONSTRAINT "activation_corrections_styleId_fkey" FOREIGN KEY ("styleId") REFERENCES "styles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "point_adjustments" ADD CONSTRAINT "point_adjustments_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "point_adjustments" ADD CONSTRAINT "point_adjustments_correctionId_fkey" FOREIGN KEY ("correctionId") REFERENCES "activation_corrections"("id") ON DELETE CASCADE ON UPDATE CASCADE;
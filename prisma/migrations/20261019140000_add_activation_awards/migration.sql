@@ -0,0 +1,54 @@
+-- AlterTable
+ALTER TABLE "styles" ADD COLUMN "bonusMultiplier" DOUBLE PRECISION NOT NULL DEFAULT 1.0;
+
+-- CreateTable
+CREATE TABLE "activation_awards" (
+    "id" TEXT NOT NULL,
+    "activationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "userStyleId" TEXT NOT NULL,
+    "basePoints" INTEGER NOT NULL,
+    "rarityMultiplier" DOUBLE PRECISION NOT NULL,
+    "styleMultiplier" DOUBLE PRECISION NOT NULL,
+    "serialMultiplier" DOUBLE PRECISION NOT NULL DEFAULT 1.0,
+    "founderMultiplier" DOUBLE PRECISION NOT NULL DEFAULT 1.0,
+    "totalMultiplier" DOUBLE PRECISION NOT NULL,
+    "points" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "activation_awards_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activation_awards_activationId_userStyleId_key" ON "activation_awards"("activationId", "userStyleId");
+
+-- CreateIndex
+CREATE INDEX "activation_awards_userId_createdAt_idx" ON "activation_awards"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "activation_awards" ADD CONSTRAINT "activation_awards_activationId_fkey" FOREIGN KEY ("activationId") REFERENCES "activations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "activation_awards" ADD CONSTRAINT "activation_awards_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "activation_awards" ADD CONSTRAINT "activation_awards_userStyleId_fkey" FOREIGN KEY ("userStyleId") REFERENCES "user_styles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Activations scored before awards existed paid every holder the flat points.
+-- Record that as a 1x award so later corrections can reverse it.
+DO $$ BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_styles' AND column_name = 'styleId'
+    ) THEN
+        INSERT INTO "activation_awards" (
+            "id", "activationId", "userId", "userStyleId", "basePoints",
+            "rarityMultiplier", "styleMultiplier", "totalMultiplier", "points", "updatedAt"
+        )
+        SELECT md5(a."id" || ':' || us."id"), a."id", us."userId", us."id", a."points",
+               1.0, 1.0, 1.0, a."points", CURRENT_TIMESTAMP
+        FROM "activations" a
+        JOIN "user_styles" us ON us."styleId" = a."styleId";
+    END IF;
+END $$;
@@ -0,0 +1,9 @@
+-- Owner fan-out selects every card of a style
+DO $$ BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'user_styles' AND column_name = 'styleId'
+    ) THEN
+        CREATE INDEX IF NOT EXISTS "user_styles_styleId_idx" ON "user_styles"("styleId");
+    END IF;
+END $$;
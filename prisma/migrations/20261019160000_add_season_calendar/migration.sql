@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "matches" ADD COLUMN "season" TEXT,
+ADD COLUMN "round" TEXT;
+
+-- CreateIndex
+CREATE INDEX "matches_league_startTime_idx" ON "matches"("league", "startTime");
+
+-- CreateTable
+CREATE TABLE "seasons" (
+    "id" TEXT NOT NULL,
+    "league" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "deadlineMinutes" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "seasons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "gameweeks" (
+    "id" TEXT NOT NULL,
+    "seasonId" TEXT NOT NULL,
+    "number" INTEGER NOT NULL,
+    "round" TEXT,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3) NOT NULL,
+    "deadline" TIMESTAMP(3) NOT NULL,
+    "deadlineOverride" BOOLEAN NOT NULL DEFAULT false,
+    "fixtures" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "gameweeks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seasons_league_name_key" ON "seasons"("league", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "gameweeks_seasonId_number_key" ON "gameweeks"("seasonId", "number");
+
+-- CreateIndex
+CREATE INDEX "gameweeks_deadline_idx" ON "gameweeks"("deadline");
+
+-- AddForeignKey
+ALTER TABLE "gameweeks" ADD CONSTRAINT "gameweeks_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "seasons"("id") ON DELETE CASCADE ON UPDATE CASCADE;
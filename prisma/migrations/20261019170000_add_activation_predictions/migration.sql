@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "gameweeks" ADD COLUMN "predictedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "activation_predictions" (
+    "id" TEXT NOT NULL,
+    "gameweekId" TEXT NOT NULL,
+    "styleId" TEXT NOT NULL,
+    "matchId" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "playerName" TEXT NOT NULL,
+    "teamName" TEXT NOT NULL,
+    "opponent" TEXT NOT NULL,
+    "kickoff" TIMESTAMP(3) NOT NULL,
+    "probability" DOUBLE PRECISION NOT NULL,
+    "expectedPoints" DOUBLE PRECISION NOT NULL,
+    "factors" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "activation_predictions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activation_predictions_gameweekId_matchId_playerId_styleId_key" ON "activation_predictions"("gameweekId", "matchId", "playerId", "styleId");
+
+-- CreateIndex
+CREATE INDEX "activation_predictions_gameweekId_styleId_idx" ON "activation_predictions"("gameweekId", "styleId");
+
+-- AddForeignKey
+ALTER TABLE "activation_predictions" ADD CONSTRAINT "activation_predictions_gameweekId_fkey" FOREIGN KEY ("gameweekId") REFERENCES "gameweeks"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "activation_predictions" ADD CONSTRAINT "activation_predictions_styleId_fkey" FOREIGN KEY ("styleId") REFERENCES "styles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,32 @@
+-- The players table was created before the Player model keyed players by
+-- provider id; add the columns the model writes where they're missing
+ALTER TABLE "players" ADD COLUMN IF NOT EXISTS "apiId" TEXT;
+
+-- AlterTable
+ALTER TABLE "players" ADD COLUMN IF NOT EXISTS "birthDate" TIMESTAMP(3);
+
+DO $$ BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'players' AND column_name = 'externalId'
+    ) THEN
+        UPDATE "players" SET "apiId" = "externalId" WHERE "apiId" IS NULL;
+    END IF;
+
+    -- Legacy columns the Player model doesn't set
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'players' AND column_name = 'country'
+    ) THEN
+        ALTER TABLE "players" ALTER COLUMN "country" SET DEFAULT '';
+    END IF;
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'players' AND column_name = 'updatedAt'
+    ) THEN
+        ALTER TABLE "players" ALTER COLUMN "updatedAt" SET DEFAULT CURRENT_TIMESTAMP;
+    END IF;
+END $$;
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "players_apiId_key" ON "players"("apiId");
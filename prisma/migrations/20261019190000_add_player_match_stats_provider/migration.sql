@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "player_match_stats" ADD COLUMN "provider" TEXT NOT NULL DEFAULT 'api-football',
+ADD COLUMN "position" TEXT,
+ADD COLUMN "minutes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "stats" JSONB;
+
+-- Existing rows hold API-Football's statistics entry; lift out the fields
+-- queries group and filter on
+UPDATE "player_match_stats"
+SET "position" = "statistics"->'games'->>'position',
+    "minutes" = COALESCE(NULLIF("statistics"->'games'->>'minutes', '')::int, 0);
@@ -0,0 +1,34 @@
+-- CreateEnum
+CREATE TYPE "JobRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "job_locks" (
+    "name" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "lockedUntil" TIMESTAMP(3) NOT NULL,
+    "acquiredAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_locks_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateTable
+CREATE TABLE "job_runs" (
+    "id" TEXT NOT NULL,
+    "job" TEXT NOT NULL,
+    "status" "JobRunStatus" NOT NULL DEFAULT 'RUNNING',
+    "trigger" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "summary" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "durationMs" INTEGER,
+
+    CONSTRAINT "job_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "job_runs_job_startedAt_idx" ON "job_runs"("job", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "job_runs_status_idx" ON "job_runs"("status");
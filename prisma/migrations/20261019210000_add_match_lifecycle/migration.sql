@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "MatchPhase" AS ENUM ('SCHEDULED', 'LIVE', 'HALF_TIME', 'FINISHED', 'POSTPONED', 'CANCELLED', 'ABANDONED');
+
+-- AlterTable
+ALTER TABLE "matches" ADD COLUMN "phase" "MatchPhase" NOT NULL DEFAULT 'SCHEDULED',
+ADD COLUMN "phaseChangedAt" TIMESTAMP(3),
+ADD COLUMN "finishedAt" TIMESTAMP(3);
+
+-- Existing matches take the phase of their stored status
+UPDATE "matches" SET "phase" = CASE
+    WHEN "status" IN ('1H', '2H', 'ET', 'BT', 'P', 'LIVE', 'SUSP', 'INT') THEN 'LIVE'::"MatchPhase"
+    WHEN "status" = 'HT' THEN 'HALF_TIME'::"MatchPhase"
+    WHEN "status" IN ('FT', 'AET', 'PEN') THEN 'FINISHED'::"MatchPhase"
+    WHEN "status" = 'PST' THEN 'POSTPONED'::"MatchPhase"
+    WHEN "status" IN ('CANC', 'AWD', 'WO') THEN 'CANCELLED'::"MatchPhase"
+    WHEN "status" = 'ABD' THEN 'ABANDONED'::"MatchPhase"
+    ELSE 'SCHEDULED'::"MatchPhase"
+END;
+
+-- CreateIndex
+CREATE INDEX "matches_phase_startTime_idx" ON "matches"("phase", "startTime");
@@ -0,0 +1,89 @@
+-- CreateTable
+CREATE TABLE "leagues" (
+    "id" TEXT NOT NULL,
+    "apiId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "country" TEXT,
+    "logoUrl" TEXT,
+    "season" TEXT,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "leagues_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "teams" (
+    "id" TEXT NOT NULL,
+    "apiId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "code" TEXT,
+    "country" TEXT,
+    "logoUrl" TEXT,
+    "leagueId" TEXT,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "teams_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "player_team_history" (
+    "id" TEXT NOT NULL,
+    "playerId" TEXT NOT NULL,
+    "teamId" TEXT NOT NULL,
+    "teamName" TEXT NOT NULL,
+    "league" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "player_team_history_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "players" ADD COLUMN IF NOT EXISTS "teamId" TEXT,
+ADD COLUMN IF NOT EXISTS "nationality" TEXT,
+ADD COLUMN IF NOT EXISTS "photoUrl" TEXT,
+ADD COLUMN IF NOT EXISTS "syncedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "activations" ADD COLUMN "catalogPlayerId" TEXT;
+
+-- Link existing activations to the players already in the catalogue
+UPDATE "activations" a SET "catalogPlayerId" = p."id"
+FROM "players" p
+WHERE p."apiId" = a."playerId";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "leagues_apiId_key" ON "leagues"("apiId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "teams_apiId_key" ON "teams"("apiId");
+
+-- CreateIndex
+CREATE INDEX "teams_leagueId_idx" ON "teams"("leagueId");
+
+-- CreateIndex
+CREATE INDEX "player_team_history_playerId_startedAt_idx" ON "player_team_history"("playerId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "player_team_history_teamId_idx" ON "player_team_history"("teamId");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "players_teamId_idx" ON "players"("teamId");
+
+-- CreateIndex
+CREATE INDEX "activations_catalogPlayerId_idx" ON "activations"("catalogPlayerId");
+
+-- AddForeignKey
+ALTER TABLE "teams" ADD CONSTRAINT "teams_leagueId_fkey" FOREIGN KEY ("leagueId") REFERENCES "leagues"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "players" ADD CONSTRAINT "players_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "player_team_history" ADD CONSTRAINT "player_team_history_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "player_team_history" ADD CONSTRAINT "player_team_history_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "activations" ADD CONSTRAINT "activations_catalogPlayerId_fkey" FOREIGN KEY ("catalogPlayerId") REFERENCES "players"("id") ON DELETE SET NULL ON UPDATE CASCADE;
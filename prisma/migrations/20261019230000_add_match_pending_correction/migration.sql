@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "matches" ADD COLUMN "correctionRequestedAt" TIMESTAMP(3),
+ADD COLUMN "correctionReason" TEXT,
+ADD COLUMN "correctionById" TEXT;
@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "matches" ADD COLUMN "leagueId" TEXT;
+
+-- Stored matches take the provider id of the catalogue league with their
+-- competition's name, where only one league has it; the rest get theirs the
+-- next time their fixture is fetched
+UPDATE "matches" m SET "leagueId" = l."apiId"
+FROM "leagues" l
+WHERE l."name" = m."league"
+  AND (SELECT COUNT(*) FROM "leagues" other WHERE other."name" = l."name") = 1;
+
+-- CreateIndex
+CREATE INDEX "matches_leagueId_startTime_idx" ON "matches"("leagueId", "startTime");
+
+-- AlterTable
+ALTER TABLE "seasons" ADD COLUMN "leagueId" TEXT,
+ADD COLUMN "year" TEXT;
+
+UPDATE "seasons" s SET "leagueId" = l."apiId"
+FROM "leagues" l
+WHERE l."name" = s."league"
+  AND (SELECT COUNT(*) FROM "leagues" other WHERE other."name" = l."name") = 1;
+
+UPDATE "seasons" s SET "year" = (
+  SELECT MIN(m."season") FROM "matches" m
+  WHERE m."leagueId" = s."leagueId" AND m."season" IS NOT NULL
+    AND m."startTime" BETWEEN s."startDate" AND s."endDate"
+)
+WHERE s."leagueId" IS NOT NULL;
+
+-- Seasons whose competition can't be told apart by name are dropped with
+-- their gameweeks; the next calendar rebuild recreates them by league id
+DELETE FROM "seasons" WHERE "leagueId" IS NULL;
+
+ALTER TABLE "seasons" ALTER COLUMN "leagueId" SET NOT NULL;
+
+-- DropIndex
+DROP INDEX "seasons_league_name_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seasons_leagueId_year_key" ON "seasons"("leagueId", "year");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "seasons_leagueId_name_key" ON "seasons"("leagueId", "name");
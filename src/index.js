@@ -3,28 +3,39 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { PrismaClient } = require('@prisma/client');
-const FootballApiService = require('./services/footballApi');
+const { authenticateApiKey, requireScope, requirePermission } = require('./middleware/auth');
+const { requestId } = require('./middleware/requestId');
+const auditService = require('./services/auditService');
+const schedulerService = require('./services/schedulerService');
+const { PERMISSIONS } = require('./utils/permissions');
 
 const app = express();
 const prisma = new PrismaClient();
-const footballApi = new FootballApiService();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
+app.use(requestId);
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// API keys get their own per-key limit instead of the per-IP one
+app.use(authenticateApiKey);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => Boolean(req.apiKey)
 });
 app.use(limiter);
 
 // Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/admin', require('./routes/admin'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/styles', require('./routes/styles'));
 app.use('/api/nft', require('./routes/nft'));
@@ -33,6 +44,7 @@ app.use('/api/marketplace', require('./routes/marketplace'));
 app.use('/api/tournaments', require('./routes/tournaments'));
 app.use('/api/preorders', require('./routes/preorders'));
 app.use('/api/activations', require('./routes/activations'));
+app.use('/api/players', require('./routes/players'));
 
 // Health check
 app.get('/health', (req, res) => {
@@ -44,26 +56,26 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Process live matches (cron job endpoint)
-app.post('/api/process-matches', async (req, res) => {
+// Run the live-matches job now (it also runs on the scheduler)
+app.post('/api/process-matches', requireScope(PERMISSIONS.MATCHES_PROCESS), requirePermission(PERMISSIONS.MATCHES_PROCESS), async (req, res) => {
   try {
-    console.log('Processing live matches...');
-    const matches = await footballApi.fetchLiveMatches();
-    
-    let totalActivations = 0;
-    for (const match of matches) {
-      if (match.fixture.status.short === 'FT') {
-        const activations = await footballApi.processMatchForActivations(match.fixture.id);
-        totalActivations += activations.length;
-      }
-    }
-    
+    const run = await schedulerService.run('live-matches', { trigger: 'api', req });
+
+    await auditService.record(req, {
+      action: 'matches.process',
+      targetType: 'Match',
+      metadata: { jobRunId: run.id, ...run.summary }
+    });
+
     res.json({ 
       message: 'Matches processed successfully',
-      matchesFound: matches.length,
-      activationsCreated: totalActivations
+      jobRunId: run.id,
+      ...run.summary
     });
   } catch (error) {
+    if (error.code === 'JOB_LOCKED') {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
     console.error('Error processing matches:', error);
     res.status(500).json({ error: 'Failed to process matches' });
   }
@@ -83,6 +95,7 @@ app.use('*', (req, res) => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down gracefully...');
+  schedulerService.stop();
   await prisma.$disconnect();
   process.exit(0);
 });
@@ -91,4 +104,5 @@ app.listen(PORT, () => {
   console.log(`🚀 Jogata Backend running on port ${PORT}`);
   console.log(`📊 Database: Connected`);
   console.log(`⚽ Football API: Ready`);
+  schedulerService.start();
 });
\ No newline at end of file
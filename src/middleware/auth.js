@@ -1,11 +1,72 @@
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const authService = require('../services/authService');
+const apiKeyService = require('../services/apiKeyService');
+const twoFactorService = require('../services/twoFactorService');
 const logger = require('../utils/logger');
+const { hasPermission } = require('../utils/permissions');
 
 const prisma = new PrismaClient();
 
+// API keys are sent as `Authorization: ApiKey <key>` or an X-API-Key header
+const getApiKey = (req) => {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('ApiKey ')) {
+    return authHeader.slice('ApiKey '.length).trim();
+  }
+  return req.get('X-API-Key') || null;
+};
+
+// App-level: resolve an API key if one was sent and apply its own rate limit.
+// Keys are only honoured on routes guarded by requireScope or optionalAuth.
+const authenticateApiKey = async (req, res, next) => {
+  const key = getApiKey(req);
+  if (!key) {
+    return next();
+  }
+
+  try {
+    const { apiKey, user } = await apiKeyService.authenticate(key, { ipAddress: req.ip });
+
+    if (user.email && !user.isVerified) {
+      return res.status(401).json({
+        error: 'Email not verified',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.authSession = null;
+
+    // Required lazily: rateLimiter imports this module
+    const { apiKeyLimiter } = require('./rateLimiter');
+    apiKeyLimiter(req, res, next);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('API key authentication error:', error);
+    return res.status(500).json({
+      error: 'Authentication failed',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
+    // Account-level endpoints need a real user session
+    if (req.apiKey || getApiKey(req)) {
+      return res.status(403).json({
+        error: 'This endpoint does not accept API keys',
+        code: 'API_KEY_NOT_ALLOWED'
+      });
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -16,7 +77,8 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verifies the signature and that the session hasn't been revoked
+    const decoded = await authService.verifyAccessToken(token);
     
     // Fetch user from database to ensure they still exist
     const user = await prisma.user.findUnique({
@@ -33,7 +95,8 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    if (!user.isVerified) {
+    // Wallet-only accounts have no email address to verify
+    if (user.email && !user.isVerified) {
       return res.status(401).json({ 
         error: 'Email not verified',
         code: 'EMAIL_NOT_VERIFIED'
@@ -41,9 +104,17 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = decoded.session;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
+
+    if (error.code === 'SESSION_REVOKED' || error.code === 'INVALID_TOKEN') {
+      return res.status(401).json({ 
+        error: error.message,
+        code: error.code
+      });
+    }
     
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ 
@@ -68,6 +139,11 @@ const authenticateToken = async (req, res, next) => {
 
 const optionalAuth = async (req, res, next) => {
   try {
+    // Already resolved by authenticateApiKey
+    if (req.apiKey) {
+      return next();
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -76,7 +152,7 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await authService.verifyAccessToken(token);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
       include: {
@@ -85,6 +161,7 @@ const optionalAuth = async (req, res, next) => {
     });
 
     req.user = user;
+    req.authSession = user ? decoded.session : null;
     next();
   } catch (error) {
     // For optional auth, we don't fail on invalid tokens
@@ -100,11 +177,108 @@ const requireWallet = (req, res, next) => {
       code: 'WALLET_REQUIRED'
     });
   }
+
+  // Only wallets linked with a signed SIWE message count
+  if (!req.user.walletVerifiedAt) {
+    return res.status(403).json({
+      error: 'Wallet ownership not verified',
+      code: 'WALLET_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
+// Must run after authenticateToken
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    logger.warn(`Role check failed for user ${req.user?.id}: needs ${roles.join('|')}`);
+    return res.status(403).json({
+      error: 'Insufficient role',
+      code: 'INSUFFICIENT_ROLE'
+    });
+  }
+  next();
+};
+
+// Accept a user JWT, or an API key carrying every listed scope. Use in place
+// of authenticateToken on endpoints that integrations may call.
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.apiKey) {
+    return authenticateToken(req, res, next);
+  }
+
+  const missing = scopes.filter(scope => !req.apiKey.scopes.includes(scope));
+  if (missing.length > 0) {
+    logger.warn(`Scope check failed for API key ${req.apiKey.id}: missing ${missing.join(', ')}`);
+    return res.status(403).json({
+      error: 'API key is missing required scopes',
+      code: 'INSUFFICIENT_SCOPE',
+      required: missing
+    });
+  }
+  next();
+};
+
+// Must run after authenticateToken; every listed permission is required.
+// API keys also need the permission as a scope.
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission =>
+    !hasPermission(req.user, permission) || (req.apiKey && !req.apiKey.scopes.includes(permission))
+  );
+
+  if (missing.length > 0) {
+    logger.warn(`Permission check failed for user ${req.user?.id}: missing ${missing.join(', ')}`);
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      code: 'INSUFFICIENT_PERMISSION',
+      required: missing
+    });
+  }
   next();
 };
 
+// Step-up check for sensitive actions: accounts with 2FA enabled must send a
+// current code in the X-TOTP-Code header (or `totpCode` in the body).
+// API keys are exempt; creating one already required a fresh code.
+// Must run after authenticateToken.
+const requireFreshTotp = async (req, res, next) => {
+  try {
+    if (req.apiKey || !req.user.twoFactorEnabled) {
+      return next();
+    }
+
+    const code = req.get('X-TOTP-Code') || req.body?.totpCode;
+    if (!code) {
+      return res.status(403).json({
+        error: 'Two-factor code required for this action',
+        code: 'TOTP_REQUIRED'
+      });
+    }
+
+    if (!await twoFactorService.verifyTotp(req.user, code)) {
+      return res.status(403).json({
+        error: 'Invalid two-factor code',
+        code: 'INVALID_TOTP_CODE'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Two-factor check error:', error);
+    return res.status(500).json({
+      error: 'Two-factor check failed',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
 module.exports = {
+  authenticateApiKey,
   authenticateToken,
   optionalAuth,
-  requireWallet
+  requireWallet,
+  requireRole,
+  requireScope,
+  requirePermission,
+  requireFreshTotp
 };
@@ -0,0 +1,66 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+jest.mock('../services/authService', () => ({}));
+jest.mock('../services/apiKeyService', () => ({}));
+jest.mock('../services/twoFactorService', () => ({}));
+
+const { requireScope, requirePermission } = require('./auth');
+
+const response = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const keyRequest = (scopes, user = { id: 'user-1', role: 'USER', permissions: [] }) => ({
+  apiKey: { id: 'key-1', scopes },
+  user,
+  headers: {},
+  get: () => undefined
+});
+
+describe('requireScope', () => {
+  test('lets through an API key carrying every scope', () => {
+    const next = jest.fn();
+
+    requireScope('marketplace:read', 'marketplace:write')(keyRequest(['marketplace:read', 'marketplace:write']), response(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('names the scopes an API key is missing', () => {
+    const res = response();
+    const next = jest.fn();
+
+    requireScope('marketplace:read', 'marketplace:write')(keyRequest(['marketplace:read']), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_SCOPE', required: ['marketplace:write'] }));
+  });
+});
+
+describe('requirePermission', () => {
+  test('needs the permission as a scope on API keys, even for admins', () => {
+    const res = response();
+    const next = jest.fn();
+    const admin = { id: 'admin-1', role: 'ADMIN', permissions: [] };
+
+    requirePermission('internal:process-matches')(keyRequest(['profile:read'], admin), res, next);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_PERMISSION' }));
+
+    requirePermission('internal:process-matches')(keyRequest(['internal:process-matches'], admin), res, next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('stops a scope from working once its owner loses the permission', () => {
+    const res = response();
+    const next = jest.fn();
+
+    requirePermission('preorders:stats')(keyRequest(['preorders:stats']), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
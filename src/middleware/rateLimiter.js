@@ -1,21 +1,10 @@
 const rateLimit = require('express-rate-limit');
 const RedisStore = require('rate-limit-redis');
-const Redis = require('redis');
 const { authenticateToken } = require('./auth');
+const { redisClient } = require('../utils/redis');
 
-// Create Redis client for rate limiting
-let redisClient;
-if (process.env.REDIS_URL) {
-  redisClient = Redis.createClient({
-    url: process.env.REDIS_URL
-  });
-  
-  redisClient.on('error', (err) => {
-    console.error('Redis Client Error:', err);
-  });
-  
-  redisClient.connect();
-}
+// Requests made with an API key are limited per key rather than per IP
+const clientKey = (req) => (req.apiKey ? `apikey:${req.apiKey.id}` : req.ip);
 
 // General API rate limiter
 const generalLimiter = rateLimit({
@@ -53,10 +42,30 @@ const authLimiter = rateLimit({
   })
 });
 
+// Verification email resend limiter
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each IP to 3 resend requests per hour
+  message: {
+    error: 'Too many verification email requests',
+    code: 'VERIFICATION_RATE_LIMIT_EXCEEDED',
+    retryAfter: '1 hour'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  ...(redisClient && {
+    store: new RedisStore({
+      prefix: 'rl:verification:',
+      sendCommand: (...args) => redisClient.sendCommand(args),
+    })
+  })
+});
+
 // Pack purchase limiter (requires authentication)
 const packLimiter = [authenticateToken, rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 10, // limit each IP to 10 pack purchases per minute
+  max: 10, // limit each client to 10 pack purchases per minute
+  keyGenerator: clientKey,
   message: {
     error: 'Too many pack purchases',
     code: 'PACK_RATE_LIMIT_EXCEEDED',
@@ -74,7 +83,8 @@ const packLimiter = [authenticateToken, rateLimit({
 // Marketplace limiter
 const marketplaceLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 20, // limit each IP to 20 marketplace actions per minute
+  max: 20, // limit each client to 20 marketplace actions per minute
+  keyGenerator: clientKey,
   message: {
     error: 'Too many marketplace actions',
     code: 'MARKETPLACE_RATE_LIMIT_EXCEEDED',
@@ -89,9 +99,31 @@ const marketplaceLimiter = rateLimit({
   })
 });
 
+// Per API key limiter; each key carries its own requests-per-minute limit
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: (req) => req.apiKey.rateLimit,
+  keyGenerator: (req) => req.apiKey.id,
+  message: {
+    error: 'API key rate limit exceeded',
+    code: 'API_KEY_RATE_LIMIT_EXCEEDED',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  ...(redisClient && {
+    store: new RedisStore({
+      prefix: 'rl:apikey:',
+      sendCommand: (...args) => redisClient.sendCommand(args),
+    })
+  })
+});
+
 module.exports = {
   generalLimiter,
   authLimiter,
+  verificationLimiter,
   packLimiter,
-  marketplaceLimiter
+  marketplaceLimiter,
+  apiKeyLimiter
 };
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Accept a caller-supplied ID (e.g. from a load balancer) if it looks sane
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{8,128}$/;
+
+// Tag every request with an ID, echoed back in the X-Request-Id header
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = { requestId };
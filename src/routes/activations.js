@@ -2,24 +2,34 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { optionalAuth } = require('../middleware/auth');
 const logger = require('../utils/logger');
+const calendarService = require('../services/calendarService');
+const predictionService = require('../services/predictionService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get current week's activations
+// Get current gameweek's activations
 router.get('/current', optionalAuth, async (req, res, next) => {
   try {
-    const currentDate = new Date();
-    const currentWeek = getGameweek(currentDate);
-    const currentSeason = getCurrentSeason(currentDate);
+    const current = await calendarService.getCurrentGameweek({ league: req.query.league || undefined });
 
-    const activations = await prisma.styleActivation.findMany({
+    // No fixtures ingested for this competition yet
+    if (!current) {
+      return res.json({
+        gameweek: null,
+        season: null,
+        activations: []
+      });
+    }
+
+    // Activations from the gameweek's fixtures
+    const fixtures = await calendarService.getFixtures(current);
+    const activations = await prisma.activation.findMany({
       where: {
-        gameweek: currentWeek,
-        season: currentSeason
+        matchId: { in: fixtures.map(fixture => fixture.apiId) }
       },
       include: {
-        styleCard: {
+        style: {
           select: {
             id: true,
             name: true,
@@ -35,39 +45,47 @@ router.get('/current', optionalAuth, async (req, res, next) => {
             team: true,
             league: true,
             position: true,
-            country: true
+            nationality: true
           }
         }
       },
       orderBy: [
-        { styleCard: { rarity: 'desc' } },
-        { rank: 'asc' }
+        { style: { rarity: 'desc' } },
+        { points: 'desc' }
       ]
     });
 
-    // Group by style card
+    const kickoffs = new Map(fixtures.map(fixture => [fixture.apiId, fixture.startTime]));
+
+    // Group by style, ranked by points
     const activationsByStyle = activations.reduce((acc, activation) => {
-      const styleId = activation.styleCardId;
+      const styleId = activation.styleId;
       if (!acc[styleId]) {
         acc[styleId] = {
-          style: activation.styleCard,
+          style: activation.style,
           activations: []
         };
       }
       acc[styleId].activations.push({
-        rank: activation.rank,
+        rank: acc[styleId].activations.length + 1,
         points: activation.points,
-        bonusPoints: activation.bonusPoints,
         confidence: activation.confidence,
-        matchDate: activation.matchDate,
+        matchId: activation.matchId,
+        matchDate: kickoffs.get(activation.matchId),
+        playerId: activation.playerId,
+        playerName: activation.playerName,
         player: activation.player
       });
       return acc;
     }, {});
 
     res.json({
-      gameweek: currentWeek,
-      season: currentSeason,
+      gameweek: current.number,
+      season: current.season,
+      leagueId: current.leagueId,
+      league: current.league,
+      deadline: current.deadline,
+      closesAt: current.closesAt,
       activations: Object.values(activationsByStyle)
     });
   } catch (error) {
@@ -75,6 +93,24 @@ router.get('/current', optionalAuth, async (req, res, next) => {
   }
 });
 
+// Season calendar for a competition: the current gameweek and its season's gameweeks
+router.get('/calendar', async (req, res, next) => {
+  try {
+    const league = req.query.league || undefined;
+    const current = await calendarService.getCurrentGameweek({ league });
+    const gameweeks = current
+      ? (await calendarService.getGameweeks(league)).filter(gameweek => gameweek.seasonId === current.seasonId)
+      : [];
+
+    res.json({
+      current,
+      gameweeks
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get activation history
 router.get('/history', async (req, res, next) => {
   try {
@@ -83,6 +119,7 @@ router.get('/history', async (req, res, next) => {
       playerId, 
       gameweek, 
       season, 
+      league,
       page = 1, 
       limit = 20 
     } = req.query;
@@ -90,18 +127,24 @@ router.get('/history', async (req, res, next) => {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     const where = {};
 
-    if (styleId) where.styleCardId = styleId;
+    if (styleId) where.styleId = styleId;
     if (playerId) where.playerId = playerId;
-    if (gameweek) where.gameweek = parseInt(gameweek);
-    if (season) where.season = season;
+
+    // A gameweek or season is resolved to its fixtures through the calendar
+    if (gameweek || season) {
+      const gameweeks = (await calendarService.getGameweeks(league || undefined)).filter(entry =>
+        (!season || entry.season === season) && (!gameweek || entry.number === parseInt(gameweek)));
+      const fixtures = (await Promise.all(gameweeks.map(entry => calendarService.getFixtures(entry)))).flat();
+      where.matchId = { in: fixtures.map(fixture => fixture.apiId) };
+    }
 
     const [activations, total] = await Promise.all([
-      prisma.styleActivation.findMany({
+      prisma.activation.findMany({
         where,
         skip,
         take: parseInt(limit),
         include: {
-          styleCard: {
+          style: {
             select: {
               id: true,
               name: true,
@@ -119,9 +162,9 @@ router.get('/history', async (req, res, next) => {
             }
           }
         },
-        orderBy: { createdAt: 'desc' }
+        orderBy: { timestamp: 'desc' }
       }),
-      prisma.styleActivation.count({ where })
+      prisma.activation.count({ where })
     ]);
 
     res.json({
@@ -146,21 +189,21 @@ router.get('/stats', async (req, res, next) => {
     let dateFilter = {};
     if (timeframe === 'month') {
       dateFilter = {
-        createdAt: {
+        timestamp: {
           gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
         }
       };
     } else if (timeframe === 'week') {
       dateFilter = {
-        createdAt: {
+        timestamp: {
           gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
         }
       };
     }
 
     // Get activation counts by style rarity
-    const activationsByRarity = await prisma.styleActivation.groupBy({
-      by: ['styleCardId'],
+    const activationsByRarity = await prisma.activation.groupBy({
+      by: ['styleId'],
       where: dateFilter,
       _count: {
         id: true
@@ -171,11 +214,11 @@ router.get('/stats', async (req, res, next) => {
       }
     });
 
-    // Get style card details for grouping
-    const styleCards = await prisma.styleCard.findMany({
+    // Get style details for grouping
+    const styles = await prisma.style.findMany({
       where: {
         id: {
-          in: activationsByRarity.map(a => a.styleCardId)
+          in: activationsByRarity.map(a => a.styleId)
         }
       },
       select: {
@@ -184,14 +227,14 @@ router.get('/stats', async (req, res, next) => {
       }
     });
 
-    const styleCardMap = styleCards.reduce((acc, style) => {
+    const styleMap = styles.reduce((acc, style) => {
       acc[style.id] = style;
       return acc;
     }, {});
 
     // Group by rarity
     const statsByRarity = activationsByRarity.reduce((acc, activation) => {
-      const style = styleCardMap[activation.styleCardId];
+      const style = styleMap[activation.styleId];
       if (!style) return acc;
 
       const rarity = style.rarity;
@@ -220,16 +263,15 @@ router.get('/stats', async (req, res, next) => {
       delete stats.count;
     });
 
-    // Get top performing players
-    const topPlayers = await prisma.styleActivation.groupBy({
-      by: ['playerId'],
+    // Get top performing players, with their catalogue entry once linked
+    const topPlayers = await prisma.activation.groupBy({
+      by: ['playerId', 'catalogPlayerId'],
       where: dateFilter,
       _count: {
         id: true
       },
       _sum: {
-        points: true,
-        bonusPoints: true
+        points: true
       },
       orderBy: {
         _sum: {
@@ -242,15 +284,18 @@ router.get('/stats', async (req, res, next) => {
     const playerDetails = await prisma.player.findMany({
       where: {
         id: {
-          in: topPlayers.map(p => p.playerId)
+          in: topPlayers.map(p => p.catalogPlayerId).filter(Boolean)
         }
       },
       select: {
         id: true,
+        apiId: true,
         name: true,
         team: true,
         league: true,
-        position: true
+        position: true,
+        nationality: true,
+        photoUrl: true
       }
     });
 
@@ -260,9 +305,10 @@ router.get('/stats', async (req, res, next) => {
     }, {});
 
     const topPlayersWithDetails = topPlayers.map(player => ({
-      player: playerMap[player.playerId],
+      playerId: player.playerId,
+      player: playerMap[player.catalogPlayerId] || null,
       activations: player._count.id,
-      totalPoints: (player._sum.points || 0) + (player._sum.bonusPoints || 0)
+      totalPoints: player._sum.points || 0
     }));
 
     res.json({
@@ -275,62 +321,43 @@ router.get('/stats', async (req, res, next) => {
   }
 });
 
-// Get upcoming activation predictions (mock data for now)
+// Get projected activations for the next gameweek's fixtures
 router.get('/predictions', async (req, res, next) => {
   try {
-    // In a real implementation, this would call the AI service
-    // For now, return mock predictions
-    const predictions = [
-      {
-        styleId: 'style-1',
-        styleName: 'Speedster',
-        predictedPlayers: [
-          {
-            playerId: 'player-1',
-            playerName: 'Kylian Mbappé',
-            team: 'PSG',
-            confidence: 0.92,
-            expectedPoints: 15
-          },
-          {
-            playerId: 'player-2',
-            playerName: 'Vinicius Jr.',
-            team: 'Real Madrid',
-            confidence: 0.87,
-            expectedPoints: 12
-          }
-        ]
-      }
-    ];
-
-    res.json({
-      message: 'Predictions are currently in development',
-      predictions
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+    const result = await predictionService.getPredictions({
+      league: req.query.league || undefined,
+      limit
     });
+
+    // No upcoming gameweek in this competition's calendar
+    if (!result) {
+      return res.json({
+        gameweek: null,
+        generatedAt: null,
+        predictions: []
+      });
+    }
+
+    res.json(result);
   } catch (error) {
     next(error);
   }
 });
 
-// Helper functions
-function getGameweek(date) {
-  // Simplified gameweek calculation
-  // In reality, this would be more complex based on actual fixture schedules
-  const startOfSeason = new Date(date.getFullYear(), 7, 1); // August 1st
-  const weeksSinceStart = Math.floor((date - startOfSeason) / (7 * 24 * 60 * 60 * 1000));
-  return Math.max(1, Math.min(38, weeksSinceStart + 1));
-}
-
-function getCurrentSeason(date) {
-  const year = date.getFullYear();
-  const month = date.getMonth();
-  
-  // Season runs from August to May
-  if (month >= 7) { // August onwards
-    return `${year}-${year + 1}`;
-  } else { // January to July
-    return `${year - 1}-${year}`;
+// How past predictions compared with what actually happened
+router.get('/predictions/calibration', async (req, res, next) => {
+  try {
+    const gameweeks = Math.min(Math.max(parseInt(req.query.gameweeks) || 10, 1), 38);
+    const report = await predictionService.calibrate({
+      league: req.query.league || undefined,
+      gameweeks
+    });
+
+    res.json(report);
+  } catch (error) {
+    next(error);
   }
-}
+});
 
 module.exports = router;
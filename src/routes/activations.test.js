@@ -0,0 +1,96 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockPrisma = {
+  activation: { findMany: jest.fn(), count: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../middleware/auth', () => ({ optionalAuth: (req, res, next) => next() }));
+jest.mock('../services/calendarService', () => ({
+  getCurrentGameweek: jest.fn(),
+  getGameweeks: jest.fn(),
+  getFixtures: jest.fn()
+}));
+jest.mock('../services/predictionService', () => ({}));
+
+const calendarService = require('../services/calendarService');
+const activationsRouter = require('./activations');
+
+const app = express();
+app.use('/activations', activationsRouter);
+
+const gameweek = (number, season = '2026-2027') => ({
+  id: `gw-${number}`,
+  leagueId: '39',
+  league: 'Premier League',
+  season,
+  number,
+  deadline: new Date('2026-10-17T12:30:00Z'),
+  closesAt: new Date('2026-10-24T12:30:00Z')
+});
+const kickoff = new Date('2026-10-18T14:00:00Z');
+const style = (id, rarity) => ({ id, name: `Style ${id}`, rarity, category: 'Attack', imageUrl: null });
+
+describe('GET /activations/current', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calendarService.getCurrentGameweek.mockResolvedValue(gameweek(8));
+    calendarService.getFixtures.mockResolvedValue([{ apiId: 'm1', startTime: kickoff }, { apiId: 'm2', startTime: kickoff }]);
+  });
+
+  test('lists the activations of the gameweek\'s fixtures, grouped by style', async () => {
+    mockPrisma.activation.findMany.mockResolvedValueOnce([
+      { styleId: 's1', style: style('s1', 'EPIC'), matchId: 'm1', playerId: '9', playerName: 'A', points: 30, confidence: 0.9, player: null },
+      { styleId: 's1', style: style('s1', 'EPIC'), matchId: 'm2', playerId: '10', playerName: 'B', points: 20, confidence: 0.8, player: null },
+      { styleId: 's2', style: style('s2', 'COMMON'), matchId: 'm2', playerId: '11', playerName: 'C', points: 5, confidence: 0.7, player: null }
+    ]);
+
+    const res = await request(app).get('/activations/current?league=39');
+
+    expect(res.status).toBe(200);
+    expect(calendarService.getCurrentGameweek).toHaveBeenCalledWith({ league: '39' });
+    expect(mockPrisma.activation.findMany.mock.calls[0][0].where).toEqual({ matchId: { in: ['m1', 'm2'] } });
+    expect(res.body).toMatchObject({ gameweek: 8, season: '2026-2027', leagueId: '39' });
+    expect(res.body.activations).toHaveLength(2);
+    expect(res.body.activations[0].activations.map(entry => [entry.rank, entry.playerId])).toEqual([[1, '9'], [2, '10']]);
+    expect(res.body.activations[0].activations[0].matchDate).toBe(kickoff.toISOString());
+  });
+
+  test('returns no activations before the competition has a calendar', async () => {
+    calendarService.getCurrentGameweek.mockResolvedValueOnce(null);
+
+    const res = await request(app).get('/activations/current');
+
+    expect(res.body).toEqual({ gameweek: null, season: null, activations: [] });
+    expect(mockPrisma.activation.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /activations/history', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.activation.findMany.mockResolvedValue([]);
+    mockPrisma.activation.count.mockResolvedValue(0);
+  });
+
+  test('filters by style and player', async () => {
+    await request(app).get('/activations/history?styleId=s1&playerId=9');
+
+    expect(mockPrisma.activation.findMany.mock.calls[0][0].where).toEqual({ styleId: 's1', playerId: '9' });
+    expect(calendarService.getGameweeks).not.toHaveBeenCalled();
+  });
+
+  test('resolves a gameweek of a season to its fixtures', async () => {
+    calendarService.getGameweeks.mockResolvedValueOnce([gameweek(7), gameweek(8), gameweek(8, '2025-2026')]);
+    calendarService.getFixtures.mockResolvedValueOnce([{ apiId: 'm1' }, { apiId: 'm2' }]);
+
+    const res = await request(app).get('/activations/history?gameweek=8&season=2026-2027&league=39');
+
+    expect(res.status).toBe(200);
+    expect(calendarService.getGameweeks).toHaveBeenCalledWith('39');
+    expect(calendarService.getFixtures).toHaveBeenCalledTimes(1);
+    expect(calendarService.getFixtures.mock.calls[0][0].id).toBe('gw-8');
+    expect(mockPrisma.activation.count).toHaveBeenCalledWith({ where: { matchId: { in: ['m1', 'm2'] } } });
+  });
+});
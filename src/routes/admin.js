@@ -0,0 +1,556 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const styleRuleService = require('../services/styleRuleService');
+const backtestService = require('../services/backtestService');
+const matchPipeline = require('../services/matchPipeline');
+const scoringService = require('../services/scoringService');
+const calendarService = require('../services/calendarService');
+const schedulerService = require('../services/schedulerService');
+const FootballApiService = require('../services/footballApi');
+const { PERMISSIONS } = require('../utils/permissions');
+const { STAT_FIELDS, normalizePlayerStats } = require('../utils/matchStats');
+const { FUNCTIONS } = require('../utils/expression');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+const footballApi = new FootballApiService();
+
+router.use(authenticateToken);
+
+// Query the audit log
+router.get('/audit-logs', requirePermission(PERMISSIONS.AUDIT_READ), [
+  query('actorId').optional().isString(),
+  query('actorType').optional().isIn(['USER', 'API_KEY', 'SYSTEM']),
+  query('action').optional().isString(),
+  query('targetType').optional().isString(),
+  query('targetId').optional().isString(),
+  query('requestId').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, ...filters } = req.query;
+
+    const { entries, total } = await auditService.list({
+      ...filters,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Service errors carry a status and code; anything else is a 500
+const sendServiceError = (res, error, next) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      ...(error.field && { field: error.field })
+    });
+  }
+  next(error);
+};
+
+const ruleValidators = [
+  body('enabled').optional().isBoolean(),
+  body('description').optional({ nullable: true }).isString().isLength({ max: 500 }),
+  body('metrics').optional().isObject(),
+  body('condition').optional().isString(),
+  body('points').optional().isString(),
+  body('confidence').optional().isString(),
+  body('params').optional().isObject()
+];
+
+// Variables and functions available to rule expressions
+router.get('/style-rules/variables', requirePermission(PERMISSIONS.STYLE_RULES_READ), (req, res) => {
+  res.json({
+    stats: STAT_FIELDS,
+    functions: Object.keys(FUNCTIONS)
+  });
+});
+
+// List style activation rules
+router.get('/style-rules', requirePermission(PERMISSIONS.STYLE_RULES_READ), [
+  query('enabled').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const { enabled } = req.query;
+    const rules = await styleRuleService.list({
+      enabled: enabled === undefined ? undefined : enabled === 'true'
+    });
+
+    res.json({ rules });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Dry-run a rule against sample stats without saving it
+router.post('/style-rules/test', requirePermission(PERMISSIONS.STYLE_RULES_READ), [
+  body('rule').isObject(),
+  body('stats').isObject()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Unspecified stats default to zero
+    const stats = { ...normalizePlayerStats({}), ...req.body.stats };
+    const result = styleRuleService.test(req.body.rule, stats);
+
+    res.json({ result });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Replay stored match stats through a candidate rule set without saving anything
+router.post('/style-rules/backtest', requirePermission(PERMISSIONS.STYLE_RULES_READ), [
+  body('rules').optional().isArray({ max: 100 }),
+  body('rules.*').isObject(),
+  body('replace').optional().isBoolean(),
+  body('from').optional().isISO8601(),
+  body('to').optional().isISO8601(),
+  body('matchIds').optional().isArray({ max: 1000 }),
+  body('limit').optional().isInt({ min: 1 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { rules, replace, from, to, matchIds, limit } = req.body;
+    const report = await backtestService.run({ rules, replace, from, to, matchIds, limit });
+
+    res.json({ report });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Get the rule for a style
+router.get('/style-rules/:styleId', requirePermission(PERMISSIONS.STYLE_RULES_READ), async (req, res, next) => {
+  try {
+    const rule = await styleRuleService.get(req.params.styleId);
+    if (!rule) {
+      return res.status(404).json({
+        error: 'No rule for this style',
+        code: 'RULE_NOT_FOUND'
+      });
+    }
+
+    res.json({ rule });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create or update the rule for a style
+router.put('/style-rules/:styleId', requirePermission(PERMISSIONS.STYLE_RULES_WRITE), ruleValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { styleId } = req.params;
+    const { before, after } = await styleRuleService.save(styleId, req.body, {
+      updatedById: req.user.id
+    });
+
+    await auditService.record(req, {
+      action: before ? 'style_rule.update' : 'style_rule.create',
+      targetType: 'StyleRule',
+      targetId: after.id,
+      before,
+      after,
+      metadata: { styleId, version: after.version }
+    });
+
+    logger.info(`Style rule for ${after.style.name} saved by ${req.user.id} (v${after.version})`);
+
+    res.status(before ? 200 : 201).json({ rule: after });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Delete the rule for a style (the style stops activating)
+router.delete('/style-rules/:styleId', requirePermission(PERMISSIONS.STYLE_RULES_WRITE), async (req, res, next) => {
+  try {
+    const rule = await styleRuleService.remove(req.params.styleId);
+    if (!rule) {
+      return res.status(404).json({
+        error: 'No rule for this style',
+        code: 'RULE_NOT_FOUND'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'style_rule.delete',
+      targetType: 'StyleRule',
+      targetId: rule.id,
+      before: rule,
+      metadata: { styleId: req.params.styleId }
+    });
+
+    res.json({ message: 'Style rule deleted' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Pipeline state of a match
+router.get('/matches/:matchId/pipeline', requirePermission(PERMISSIONS.MATCHES_PROCESS), async (req, res, next) => {
+  try {
+    const match = await matchPipeline.getStatus(req.params.matchId);
+    res.json({ match });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Process (or resume) one match; `force` re-runs a published match as a correction
+router.post('/matches/:matchId/process', requirePermission(PERMISSIONS.MATCHES_PROCESS), [
+  body('force').optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await matchPipeline.process(req.params.matchId, {
+      force: Boolean(req.body.force),
+      req
+    });
+
+    if (result.failed) {
+      return res.status(502).json({
+        error: result.error,
+        code: 'PIPELINE_FAILED',
+        result
+      });
+    }
+
+    res.json({ result });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Re-analyse an amended match and correct its activations and points
+router.post('/matches/:matchId/corrections', requirePermission(PERMISSIONS.MATCHES_PROCESS), [
+  body('reason').isString().trim().isLength({ min: 3, max: 500 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const result = await matchPipeline.process(req.params.matchId, {
+      force: true,
+      reason: req.body.reason,
+      req
+    });
+
+    if (result.skipped) {
+      return res.status(409).json({
+        error: 'Match is already being processed',
+        code: 'PIPELINE_IN_PROGRESS'
+      });
+    }
+    if (result.failed) {
+      return res.status(502).json({
+        error: result.error,
+        code: 'PIPELINE_FAILED',
+        result
+      });
+    }
+
+    res.json({ result });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Correction history for a match
+router.get('/matches/:matchId/corrections', requirePermission(PERMISSIONS.MATCHES_PROCESS), async (req, res, next) => {
+  try {
+    const corrections = await matchPipeline.listCorrections(req.params.matchId);
+    res.json({ corrections });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reverse a single activation and take its points back from every holder
+router.post('/activations/:id/reverse', requirePermission(PERMISSIONS.MATCHES_PROCESS), [
+  body('reason').isString().trim().isLength({ min: 3, max: 500 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { activation, correction, affectedUsers } = await prisma.$transaction(async (tx) => {
+      const result = await scoringService.reverseActivation(tx, req.params.id, {
+        reason: req.body.reason,
+        createdById: req.user.id
+      });
+
+      await auditService.record(req, {
+        action: 'activation.reverse',
+        targetType: 'Activation',
+        targetId: result.activation.id,
+        before: result.activation,
+        metadata: {
+          correctionId: result.correction.id,
+          reason: req.body.reason,
+          affectedUsers: result.affectedUsers
+        }
+      }, tx);
+
+      return result;
+    });
+
+    res.json({
+      message: 'Activation reversed',
+      activation,
+      correction,
+      affectedUsers
+    });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Seasons of a competition's calendar
+router.get('/calendar/seasons', requirePermission(PERMISSIONS.CALENDAR_WRITE), [
+  query('league').optional().isString()
+], async (req, res, next) => {
+  try {
+    const seasons = await calendarService.listSeasons(req.query.league || undefined);
+    res.json({ seasons });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rebuild seasons and gameweeks from stored fixtures
+router.post('/calendar/rebuild', requirePermission(PERMISSIONS.CALENDAR_WRITE), [
+  body('league').optional().isString().trim().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const summary = await calendarService.rebuild({ league: req.body.league });
+
+    await auditService.record(req, {
+      action: 'calendar.rebuild',
+      targetType: 'Season',
+      metadata: summary
+    });
+
+    res.json({ summary });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set how many minutes before a gameweek's first fixture the season's deadlines fall
+router.put('/calendar/seasons/:id', requirePermission(PERMISSIONS.CALENDAR_WRITE), [
+  body('deadlineMinutes').optional({ nullable: true }).isInt({ min: 0, max: 7 * 24 * 60 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { before, after } = await calendarService.setSeasonDeadline(req.params.id, req.body.deadlineMinutes ?? null);
+
+    await auditService.record(req, {
+      action: 'calendar.season.update',
+      targetType: 'Season',
+      targetId: after.id,
+      before,
+      after
+    });
+
+    res.json({ season: after });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Move one gameweek's deadline (null goes back to the season's rule)
+router.put('/calendar/gameweeks/:id', requirePermission(PERMISSIONS.CALENDAR_WRITE), [
+  body('deadline').optional({ nullable: true }).isISO8601().toDate()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { before, after } = await calendarService.setGameweekDeadline(req.params.id, req.body.deadline || null);
+
+    await auditService.record(req, {
+      action: 'calendar.gameweek.update',
+      targetType: 'Gameweek',
+      targetId: after.id,
+      before,
+      after
+    });
+
+    res.json({ gameweek: after });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Scheduled jobs with their schedule, lease and latest run
+router.get('/jobs', requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res, next) => {
+  try {
+    const jobs = await schedulerService.listJobs();
+    res.json({ enabled: schedulerService.enabled, jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Football data provider in use and its remaining daily request budget
+router.get('/football/quota', requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res, next) => {
+  try {
+    const quota = await footballApi.getQuota();
+    res.json({ provider: footballApi.provider.name, quota });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run history of one job
+router.get('/jobs/:name/runs', requirePermission(PERMISSIONS.JOBS_MANAGE), [
+  query('status').optional().isIn(['RUNNING', 'SUCCEEDED', 'FAILED']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { status, page = 1, limit = 50 } = req.query;
+
+    const { runs, total } = await schedulerService.listRuns(req.params.name, {
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      runs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, next);
+  }
+});
+
+// Run a job now instead of waiting for its schedule
+router.post('/jobs/:name/run', requirePermission(PERMISSIONS.JOBS_MANAGE), async (req, res, next) => {
+  try {
+    const run = await schedulerService.run(req.params.name, { trigger: 'manual', req });
+
+    await auditService.record(req, {
+      action: 'job.run',
+      targetType: 'JobRun',
+      targetId: run.id,
+      metadata: { job: run.job, ...run.summary }
+    });
+
+    res.json({ run });
+  } catch (error) {
+    if (error.jobRun) {
+      return res.status(502).json({
+        error: error.message,
+        code: 'JOB_FAILED',
+        run: error.jobRun
+      });
+    }
+    sendServiceError(res, error, next);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockPrisma = {
+  $transaction: jest.fn(async callback => callback(mockPrisma))
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'admin-1', role: 'ADMIN', permissions: [] };
+    next();
+  },
+  requirePermission: () => (req, res, next) => next()
+}));
+jest.mock('../services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../services/styleRuleService', () => ({}));
+jest.mock('../services/backtestService', () => ({}));
+jest.mock('../services/matchPipeline', () => ({ process: jest.fn(), listCorrections: jest.fn() }));
+jest.mock('../services/scoringService', () => ({ reverseActivation: jest.fn() }));
+jest.mock('../services/calendarService', () => ({}));
+jest.mock('../services/schedulerService', () => ({}));
+jest.mock('../services/footballApi', () => jest.fn(() => ({})));
+
+const auditService = require('../services/auditService');
+const matchPipeline = require('../services/matchPipeline');
+const scoringService = require('../services/scoringService');
+const adminRouter = require('./admin');
+
+const app = express();
+app.use(express.json());
+app.use('/admin', adminRouter);
+
+describe('POST /admin/matches/:matchId/corrections', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('forces a re-run of the match as a correction', async () => {
+    matchPipeline.process.mockResolvedValueOnce({ state: 'PUBLISHED' });
+
+    const res = await request(app).post('/admin/matches/100/corrections').send({ reason: 'Goal reassigned' });
+
+    expect(res.status).toBe(200);
+    expect(matchPipeline.process).toHaveBeenCalledWith('100', expect.objectContaining({ force: true, reason: 'Goal reassigned' }));
+  });
+
+  test('requires a reason', async () => {
+    const res = await request(app).post('/admin/matches/100/corrections').send({});
+
+    expect(res.status).toBe(400);
+    expect(matchPipeline.process).not.toHaveBeenCalled();
+  });
+
+  test('reports a match another run is processing', async () => {
+    matchPipeline.process.mockResolvedValueOnce({ skipped: true });
+
+    const res = await request(app).post('/admin/matches/100/corrections').send({ reason: 'Goal reassigned' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('PIPELINE_IN_PROGRESS');
+  });
+});
+
+describe('POST /admin/activations/:id/reverse', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('reverses the activation and audits it in the same transaction', async () => {
+    scoringService.reverseActivation.mockResolvedValueOnce({
+      activation: { id: 'act-1', points: 20 },
+      correction: { id: 'corr-1' },
+      affectedUsers: 3
+    });
+
+    const res = await request(app).post('/admin/activations/act-1/reverse').send({ reason: 'Wrong player credited' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ correction: { id: 'corr-1' }, affectedUsers: 3 });
+    expect(scoringService.reverseActivation).toHaveBeenCalledWith(mockPrisma, 'act-1', {
+      reason: 'Wrong player credited',
+      createdById: 'admin-1'
+    });
+    expect(auditService.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'activation.reverse',
+      metadata: expect.objectContaining({ correctionId: 'corr-1', affectedUsers: 3 })
+    }), mockPrisma);
+  });
+
+  test('answers an unknown activation with its status', async () => {
+    const error = Object.assign(new Error('Activation not found'), { code: 'ACTIVATION_NOT_FOUND', statusCode: 404 });
+    scoringService.reverseActivation.mockRejectedValueOnce(error);
+
+    const res = await request(app).post('/admin/activations/nope/reverse').send({ reason: 'Wrong player credited' });
+
+    expect(res.status).toBe(404);
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
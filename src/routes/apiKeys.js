@@ -0,0 +1,162 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireFreshTotp } = require('../middleware/auth');
+const apiKeyService = require('../services/apiKeyService');
+const auditService = require('../services/auditService');
+const { PERMISSIONS, hasPermission, getGrantableScopes } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Keys can't be used to manage keys
+router.use(authenticateToken);
+
+// List scopes the current user can grant
+router.get('/scopes', (req, res) => {
+  res.json({ scopes: getGrantableScopes(req.user) });
+});
+
+// List API keys (managers may pass ?userId=, or ?all=true for every user)
+router.get('/', [
+  query('userId').optional().isString(),
+  query('all').optional().isBoolean(),
+  query('includeRevoked').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { userId, all, includeRevoked } = req.query;
+    const canManage = hasPermission(req.user, PERMISSIONS.API_KEYS_MANAGE);
+
+    if ((userId && userId !== req.user.id) || all === 'true') {
+      if (!canManage) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          code: 'INSUFFICIENT_PERMISSION',
+          required: [PERMISSIONS.API_KEYS_MANAGE]
+        });
+      }
+    }
+
+    const apiKeys = await apiKeyService.list({
+      userId: all === 'true' ? undefined : (userId || req.user.id),
+      includeRevoked: includeRevoked === 'true'
+    });
+
+    res.json({ apiKeys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create an API key. The plain key is only returned in this response.
+router.post('/', requireFreshTotp, [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isString(),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }),
+  body('rateLimit').optional().isInt({ min: 1, max: 6000 }),
+  body('userId').optional().isString()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays, rateLimit, userId } = req.body;
+    const canManage = hasPermission(req.user, PERMISSIONS.API_KEYS_MANAGE);
+
+    // Managers can issue keys for service accounts and raise the rate limit
+    if ((userId && userId !== req.user.id) || rateLimit !== undefined) {
+      if (!canManage) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          code: 'INSUFFICIENT_PERMISSION',
+          required: [PERMISSIONS.API_KEYS_MANAGE]
+        });
+      }
+    }
+
+    let owner = req.user;
+    if (userId && userId !== req.user.id) {
+      owner = await prisma.user.findUnique({ where: { id: userId } });
+      if (!owner) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+    }
+
+    const { apiKey, key } = await apiKeyService.create(owner, {
+      name,
+      scopes,
+      expiresInDays: expiresInDays && parseInt(expiresInDays),
+      rateLimit: rateLimit && parseInt(rateLimit)
+    });
+
+    await auditService.record(req, {
+      action: 'api_key.create',
+      targetType: 'ApiKey',
+      targetId: apiKey.id,
+      after: apiKey
+    });
+
+    logger.info(`API key ${apiKey.id} created for user ${owner.id} by ${req.user.id} with scopes ${apiKey.scopes.join(', ')}`);
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code,
+        ...(error.details && { scopes: error.details })
+      });
+    }
+    next(error);
+  }
+});
+
+// Revoke an API key
+router.delete('/:id', [
+  param('id').isString()
+], async (req, res, next) => {
+  try {
+    const canManage = hasPermission(req.user, PERMISSIONS.API_KEYS_MANAGE);
+
+    const revoked = await apiKeyService.revoke(req.params.id, {
+      userId: canManage ? undefined : req.user.id
+    });
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    await auditService.record(req, {
+      action: 'api_key.revoke',
+      targetType: 'ApiKey',
+      targetId: req.params.id
+    });
+
+    logger.info(`API key ${req.params.id} revoked by user ${req.user.id}`);
+
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,50 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const { body, validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const siweService = require('../services/siweService');
+const twoFactorService = require('../services/twoFactorService');
+const securityService = require('../services/securityService');
+const verificationService = require('../services/verificationService');
+const emailService = require('../services/emailService');
+const { authenticateToken, requireFreshTotp } = require('../middleware/auth');
+const { authLimiter, verificationLimiter } = require('../middleware/rateLimiter');
+const logger = require('../utils/logger');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Cloudflare's country header can only be trusted when every request comes
+// through Cloudflare; otherwise any client can set it
+const TRUST_CLOUDFLARE = process.env.TRUSTED_PROXY === 'cloudflare';
+
+// Compared against when there is no account, so unknown emails take as long
+// to reject as wrong passwords
+const DUMMY_PASSWORD_HASH = '$2a$12$Wxl5pG2BH1EjuTQq1tsIRe4dYn7dhhB1fzD.OI4upk6CuIGJ0SFRi';
+
+// Device details recorded against each session
+const getSessionContext = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip,
+  country: TRUST_CLOUDFLARE ? req.get('CF-IPCountry') : undefined
+});
+
+const accountLockedResponse = (res, lockedUntil) => res.status(423).json({
+  error: 'Account temporarily locked after too many failed attempts',
+  code: 'ACCOUNT_LOCKED',
+  lockedUntil
+});
+
+// Minimum gap between two verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Issue a fresh verification token and email it
+const sendVerificationEmail = async (user) => {
+  const { token, expiresInMinutes } = await verificationService.createToken(user.id, 'EMAIL_VERIFICATION');
+  await emailService.sendVerificationEmail(user, token, expiresInMinutes);
+};
+
 // Register
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -45,20 +83,24 @@ router.post('/register', [
         email: true,
         username: true,
         totalPoints: true,
+        isVerified: true,
         createdAt: true
       }
     });
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Don't fail registration if the mail server is unavailable; the user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for this device
+    const tokens = await authService.createSession(user.id, getSessionContext(req));
 
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      ...tokens,
       user
     });
   } catch (error) {
@@ -85,32 +127,51 @@ router.post('/login', [
       where: { email }
     });
 
-    if (!user) {
+    // Wallet-only accounts have no password and must use SIWE
+    const isMatch = await bcrypt.compare(password, user?.password || DUMMY_PASSWORD_HASH);
+    if (!user || !user.password) {
+      return res.status(400).json({ error: 'Invalid credentials' });
+    }
+
+    // The lockout is only revealed to someone who knows the password;
+    // guesses while locked get the same answer as an unknown account
+    if (securityService.isLocked(user)) {
+      if (isMatch) {
+        return accountLockedResponse(res, user.lockedUntil);
+      }
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      const { locked, lockedUntil } = await securityService.recordFailedLogin(user, getSessionContext(req));
+      if (locked) {
+        return accountLockedResponse(res, lockedUntil);
+      }
       return res.status(400).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Second step required before a session is issued
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        ...authService.createTwoFactorChallenge(user.id)
+      });
+    }
+
+    // Start a session for this device
+    const tokens = await authService.createSession(user.id, getSessionContext(req));
+    await securityService.recordSuccessfulLogin(user, getSessionContext(req));
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user.id,
         email: user.email,
         username: user.username,
         totalPoints: user.totalPoints,
-        walletAddress: user.walletAddress
+        walletAddress: user.walletAddress,
+        isVerified: user.isVerified
       }
     });
   } catch (error) {
@@ -119,6 +180,68 @@ router.post('/login', [
   }
 });
 
+// Complete login with a TOTP or recovery code
+router.post('/login/2fa', authLimiter, [
+  body('challengeToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = authService.verifyTwoFactorChallenge(challengeToken);
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: 'Invalid two-factor challenge', code: 'TWO_FACTOR_CHALLENGE_INVALID' });
+    }
+
+    if (securityService.isLocked(user)) {
+      return accountLockedResponse(res, user.lockedUntil);
+    }
+
+    const isValid = await twoFactorService.verify(user, { code, recoveryCode });
+    if (!isValid) {
+      const { locked, lockedUntil } = await securityService.recordFailedLogin(user, getSessionContext(req), 'INVALID_TOTP_CODE');
+      if (locked) {
+        return accountLockedResponse(res, lockedUntil);
+      }
+      return res.status(401).json({ error: 'Invalid authentication code', code: 'INVALID_TOTP_CODE' });
+    }
+
+    // Start a session for this device
+    const tokens = await authService.createSession(user.id, getSessionContext(req));
+    await securityService.recordSuccessfulLogin(user, getSessionContext(req));
+
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      recoveryCodeUsed: !code,
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        totalPoints: user.totalPoints,
+        walletAddress: user.walletAddress,
+        isVerified: user.isVerified
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', async (req, res) => {
   try {
@@ -127,7 +250,7 @@ router.get('/me', async (req, res) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = await authService.verifyAccessToken(token);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
       select: {
@@ -136,6 +259,8 @@ router.get('/me', async (req, res) => {
         username: true,
         totalPoints: true,
         walletAddress: true,
+        isVerified: true,
+        role: true,
         createdAt: true
       }
     });
@@ -151,4 +276,410 @@ router.get('/me', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await authService.rotateRefreshToken(req.body.refreshToken, getSessionContext(req));
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout (revokes the session the refresh token belongs to)
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await authService.revokeRefreshToken(req.body.refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// List active sessions (one per device)
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await authService.listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.authSession.id
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke every session except the current one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await authService.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.authSession.id
+    });
+
+    res.json({
+      message: 'Other sessions revoked',
+      revoked
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await authService.revokeSession(req.params.id, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Verify email address
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const verification = await verificationService.consumeToken(req.body.token, 'EMAIL_VERIFICATION');
+    if (!verification) {
+      return res.status(400).json({
+        error: 'Verification link is invalid or has expired',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: verification.userId },
+      data: {
+        isVerified: true,
+        emailVerifiedAt: new Date()
+      }
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', verificationLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    if (user && !user.isVerified) {
+      const lastToken = await prisma.verificationToken.findFirst({
+        where: { userId: user.id, type: 'EMAIL_VERIFICATION' },
+        orderBy: { createdAt: 'desc' }
+      });
+
+      if (!lastToken || Date.now() - lastToken.createdAt.getTime() > VERIFICATION_RESEND_COOLDOWN_MS) {
+        await sendVerificationEmail(user);
+      }
+    }
+
+    // Same response either way so this can't be used to probe for accounts
+    res.json({ message: 'If that account exists and is unverified, a verification email has been sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Request a password reset email
+router.post('/forgot-password', authLimiter, [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email: req.body.email }
+    });
+
+    if (user) {
+      try {
+        const { token, expiresInMinutes } = await verificationService.createToken(user.id, 'PASSWORD_RESET');
+        await emailService.sendPasswordResetEmail(user, token, expiresInMinutes);
+      } catch (mailError) {
+        // A failed send must not answer differently from an unknown address
+        logger.error(`Password reset email for user ${user.id} failed: ${mailError.message}`);
+      }
+    }
+
+    // Same response either way so this can't be used to probe for accounts
+    res.json({ message: 'If that account exists, a password reset email has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reset password with an emailed token
+router.post('/reset-password', authLimiter, [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reset = await verificationService.consumeToken(req.body.token, 'PASSWORD_RESET');
+    if (!reset) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired',
+        code: 'INVALID_RESET_TOKEN'
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(req.body.password, 12);
+
+    // Receiving the email proves ownership of the address, so verify it too
+    const user = await prisma.user.update({
+      where: { id: reset.userId },
+      data: {
+        password: hashedPassword,
+        isVerified: true,
+        failedLoginAttempts: 0,
+        lockedUntil: null
+      }
+    });
+
+    // Sign out everywhere in case the old password was compromised
+    await authService.revokeAllSessions(user.id);
+
+    try {
+      await emailService.sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({ message: 'Password reset successfully, please log in again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlock an account with the token from the lockout email
+router.post('/unlock', authLimiter, [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const unlocked = await securityService.unlockWithToken(req.body.token, getSessionContext(req));
+    if (!unlocked) {
+      return res.status(400).json({
+        error: 'Unlock link is invalid or has expired',
+        code: 'INVALID_UNLOCK_TOKEN'
+      });
+    }
+
+    res.json({ message: 'Account unlocked, you can log in again' });
+  } catch (error) {
+    console.error('Unlock error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Change password (authenticated)
+router.post('/change-password', authLimiter, authenticateToken, requireFreshTotp, [
+  body('currentPassword').exists(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    if (!req.user.password) {
+      return res.status(400).json({ error: 'Account has no password set', code: 'PASSWORD_NOT_SET' });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, req.user.password);
+    if (!isMatch) {
+      return res.status(400).json({ error: 'Current password is incorrect', code: 'INVALID_PASSWORD' });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { password: hashedPassword }
+    });
+
+    // Keep this device signed in, revoke every other session
+    const revoked = await authService.revokeAllSessions(req.user.id, {
+      exceptSessionId: req.authSession.id
+    });
+
+    try {
+      await emailService.sendPasswordChangedEmail(req.user);
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({
+      message: 'Password changed successfully',
+      sessionsRevoked: revoked
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Issue a nonce for a Sign-In With Ethereum message
+router.get('/siwe/nonce', async (req, res) => {
+  try {
+    const nonce = await siweService.issueNonce();
+    res.json(nonce);
+  } catch (error) {
+    console.error('SIWE nonce error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Log in (or sign up) with a signed SIWE message
+router.post('/siwe/login', [
+  body('message').isString().notEmpty(),
+  body('signature').matches(/^0x[a-fA-F0-9]+$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message, signature } = req.body;
+    const { user, isNewUser, ...tokens } = await authService.loginWithWallet(
+      { message, signature },
+      getSessionContext(req)
+    );
+
+    // Second step required before a session is issued
+    if (tokens.twoFactorRequired) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        ...tokens
+      });
+    }
+
+    res.status(isNewUser ? 201 : 200).json({
+      message: 'Login successful',
+      ...tokens,
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        totalPoints: user.totalPoints,
+        walletAddress: user.walletAddress,
+        isVerified: user.isVerified
+      }
+    });
+  } catch (error) {
+    if (error.code === 'ACCOUNT_LOCKED') {
+      return accountLockedResponse(res, error.lockedUntil);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('SIWE login error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Link a wallet to the current account with a signed SIWE message
+router.post('/siwe/link', authenticateToken, requireFreshTotp, [
+  body('message').isString().notEmpty(),
+  body('signature').matches(/^0x[a-fA-F0-9]+$/)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message, signature } = req.body;
+    const user = await authService.connectWallet(req.user.id, { message, signature });
+
+    res.json({
+      message: 'Wallet linked successfully',
+      walletAddress: user.walletAddress,
+      walletVerifiedAt: user.walletVerifiedAt
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('SIWE link error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
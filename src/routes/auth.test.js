@@ -0,0 +1,202 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const mockPrisma = { user: { findUnique: jest.fn(), update: jest.fn() } };
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../services/authService', () => ({
+  createSession: jest.fn(),
+  createTwoFactorChallenge: jest.fn(),
+  revokeAllSessions: jest.fn()
+}));
+jest.mock('../services/siweService', () => ({}));
+jest.mock('../services/twoFactorService', () => ({}));
+jest.mock('../services/verificationService', () => ({ createToken: jest.fn(), consumeToken: jest.fn() }));
+jest.mock('../services/emailService', () => ({ sendPasswordResetEmail: jest.fn(), sendPasswordChangedEmail: jest.fn() }));
+jest.mock('../services/securityService', () => ({
+  isLocked: jest.fn(user => Boolean(user.lockedUntil && user.lockedUntil > new Date())),
+  recordFailedLogin: jest.fn(),
+  recordSuccessfulLogin: jest.fn()
+}));
+jest.mock('../middleware/auth', () => ({ authenticateToken: jest.fn(), requireFreshTotp: jest.fn() }));
+jest.mock('../middleware/rateLimiter', () => ({
+  authLimiter: (req, res, next) => next(),
+  verificationLimiter: (req, res, next) => next()
+}));
+
+const authService = require('../services/authService');
+const securityService = require('../services/securityService');
+const verificationService = require('../services/verificationService');
+const emailService = require('../services/emailService');
+const logger = require('../utils/logger');
+
+const PASSWORD = 'correct horse';
+const user = {
+  id: 'user-1',
+  email: 'ana@example.com',
+  username: 'ana',
+  password: bcrypt.hashSync(PASSWORD, 4),
+  lockedUntil: null,
+  twoFactorEnabled: false
+};
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/auth', require('./auth'));
+  return app;
+};
+
+describe('POST /auth/login', () => {
+  const app = buildApp();
+  const login = (body, headers = {}) => request(app).post('/auth/login').set(headers).send(body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authService.createSession.mockResolvedValue({ token: 'access', refreshToken: 'session.secret' });
+    securityService.recordFailedLogin.mockResolvedValue({ locked: false });
+  });
+
+  test('signs in with the right password', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce(user);
+
+    const res = await login({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(securityService.recordSuccessfulLogin).toHaveBeenCalledWith(user, expect.objectContaining({ ipAddress: expect.any(String) }));
+  });
+
+  test('counts a wrong password', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce(user);
+
+    const res = await login({ email: user.email, password: 'wrong' });
+
+    expect(res.status).toBe(400);
+    expect(securityService.recordFailedLogin).toHaveBeenCalled();
+  });
+
+  test('answers a wrong password on a locked account like an unknown one', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce({ ...user, lockedUntil: new Date(Date.now() + 60 * 1000) });
+    const locked = await login({ email: user.email, password: 'wrong' });
+
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null);
+    const unknown = await login({ email: 'nobody@example.com', password: 'wrong' });
+
+    expect(locked.status).toBe(unknown.status);
+    expect(locked.body).toEqual(unknown.body);
+    expect(securityService.recordFailedLogin).not.toHaveBeenCalled();
+  });
+
+  test('reports the lockout once the password is proven', async () => {
+    const lockedUntil = new Date(Date.now() + 60 * 1000);
+    mockPrisma.user.findUnique.mockResolvedValueOnce({ ...user, lockedUntil });
+
+    const res = await login({ email: user.email, password: PASSWORD });
+
+    expect(res.status).toBe(423);
+    expect(res.body).toMatchObject({ code: 'ACCOUNT_LOCKED', lockedUntil: lockedUntil.toISOString() });
+    expect(authService.createSession).not.toHaveBeenCalled();
+  });
+
+  test('hashes the password even for unknown accounts', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null);
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    await login({ email: 'nobody@example.com', password: 'wrong' });
+
+    expect(compare).toHaveBeenCalledTimes(1);
+    compare.mockRestore();
+  });
+
+  test('ignores a client-supplied country header by default', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce(user);
+
+    await login({ email: user.email, password: PASSWORD }, { 'CF-IPCountry': 'BR' });
+
+    expect(authService.createSession.mock.calls[0][1].country).toBeUndefined();
+  });
+
+  test('uses the country header when configured to trust Cloudflare', async () => {
+    process.env.TRUSTED_PROXY = 'cloudflare';
+    let app;
+    jest.isolateModules(() => {
+      app = buildApp();
+    });
+    delete process.env.TRUSTED_PROXY;
+
+    mockPrisma.user.findUnique.mockResolvedValueOnce(user);
+
+    await request(app).post('/auth/login').set('CF-IPCountry', 'BR').send({ email: user.email, password: PASSWORD });
+
+    expect(authService.createSession).toHaveBeenCalledWith('user-1', expect.objectContaining({ country: 'BR' }));
+  });
+});
+
+describe('POST /auth/forgot-password', () => {
+  const app = buildApp();
+  const forgot = (email) => request(app).post('/auth/forgot-password').send({ email });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    verificationService.createToken.mockResolvedValue({ token: 'reset-token', expiresInMinutes: 60 });
+  });
+
+  test('emails a reset link to a known account', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce(user);
+
+    const res = await forgot(user.email);
+
+    expect(res.status).toBe(200);
+    expect(verificationService.createToken).toHaveBeenCalledWith('user-1', 'PASSWORD_RESET');
+    expect(emailService.sendPasswordResetEmail).toHaveBeenCalledWith(user, 'reset-token', 60);
+  });
+
+  test('answers a failed send like an unknown address', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce(user);
+    emailService.sendPasswordResetEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+    const failed = await forgot(user.email);
+
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null);
+    const unknown = await forgot('nobody@example.com');
+
+    expect(failed.status).toBe(unknown.status);
+    expect(failed.body).toEqual(unknown.body);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('SMTP unavailable'));
+  });
+});
+
+describe('POST /auth/reset-password', () => {
+  const app = buildApp();
+  const reset = (body) => request(app).post('/auth/reset-password').send(body);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.user.update.mockImplementation(async ({ data }) => ({ ...user, ...data }));
+  });
+
+  test('sets the new password and signs out every session', async () => {
+    verificationService.consumeToken.mockResolvedValueOnce({ userId: 'user-1' });
+
+    const res = await reset({ token: 'reset-token', password: 'new password' });
+
+    expect(res.status).toBe(200);
+    expect(verificationService.consumeToken).toHaveBeenCalledWith('reset-token', 'PASSWORD_RESET');
+    const { where, data } = mockPrisma.user.update.mock.calls[0][0];
+    expect(where).toEqual({ id: 'user-1' });
+    expect(bcrypt.compareSync('new password', data.password)).toBe(true);
+    expect(data).toMatchObject({ isVerified: true, failedLoginAttempts: 0, lockedUntil: null });
+    expect(authService.revokeAllSessions).toHaveBeenCalledWith('user-1');
+    expect(emailService.sendPasswordChangedEmail).toHaveBeenCalled();
+  });
+
+  test('rejects a used or expired token', async () => {
+    verificationService.consumeToken.mockResolvedValueOnce(null);
+
+    const res = await reset({ token: 'stale', password: 'new password' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_RESET_TOKEN');
+    expect(mockPrisma.user.update).not.toHaveBeenCalled();
+  });
+});
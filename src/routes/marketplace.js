@@ -1,9 +1,11 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { optionalAuth, requireScope, requireFreshTotp } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../utils/permissions');
 const { marketplaceLimiter } = require('../middleware/rateLimiter');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -100,7 +102,7 @@ router.get('/listings', optionalAuth, async (req, res, next) => {
 });
 
 // Create marketplace listing
-router.post('/listings', authenticateToken, [
+router.post('/listings', requireScope(API_KEY_SCOPES.MARKETPLACE_WRITE), requireFreshTotp, [
   body('userStyleId').isUUID(),
   body('price').isInt({ min: 100 }) // Minimum $1.00
 ], async (req, res, next) => {
@@ -156,23 +158,35 @@ router.post('/listings', authenticateToken, [
     }
 
     // Create listing
-    const listing = await prisma.marketplaceListing.create({
-      data: {
-        sellerId: req.user.id,
-        styleCardId: userStyle.styleCardId,
-        price: parseInt(price),
-        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
-      },
-      include: {
-        styleCard: {
-          select: {
-            id: true,
-            name: true,
-            rarity: true,
-            imageUrl: true
+    const listing = await prisma.$transaction(async (tx) => {
+      const created = await tx.marketplaceListing.create({
+        data: {
+          sellerId: req.user.id,
+          styleCardId: userStyle.styleCardId,
+          price: parseInt(price),
+          expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) // 30 days
+        },
+        include: {
+          styleCard: {
+            select: {
+              id: true,
+              name: true,
+              rarity: true,
+              imageUrl: true
+            }
           }
         }
-      }
+      });
+
+      await auditService.record(req, {
+        action: 'marketplace.listing.create',
+        targetType: 'MarketplaceListing',
+        targetId: created.id,
+        after: created,
+        metadata: { userStyleId }
+      }, tx);
+
+      return created;
     });
 
     logger.info(`Marketplace listing created: ${listing.id} by user ${req.user.id}`);
@@ -187,7 +201,7 @@ router.post('/listings', authenticateToken, [
 });
 
 // Purchase from marketplace
-router.post('/listings/:id/purchase', authenticateToken, async (req, res, next) => {
+router.post('/listings/:id/purchase', requireScope(API_KEY_SCOPES.MARKETPLACE_WRITE), requireFreshTotp, async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -292,6 +306,22 @@ router.post('/listings/:id/purchase', authenticateToken, async (req, res, next)
         }
       });
 
+      const { styleCard, seller, ...listingBefore } = listing;
+      await auditService.record(req, {
+        action: 'marketplace.listing.purchase',
+        targetType: 'MarketplaceListing',
+        targetId: id,
+        before: listingBefore,
+        after: updatedListing,
+        metadata: {
+          price: listing.price,
+          sellerAmount,
+          buyerTransactionId: buyerTransaction.id,
+          sellerTransactionId: sellerTransaction.id,
+          userStyleId: newUserStyle.id
+        }
+      }, tx);
+
       return {
         listing: updatedListing,
         buyerTransaction,
@@ -314,7 +344,7 @@ router.post('/listings/:id/purchase', authenticateToken, async (req, res, next)
 });
 
 // Cancel marketplace listing
-router.delete('/listings/:id', authenticateToken, async (req, res, next) => {
+router.delete('/listings/:id', requireScope(API_KEY_SCOPES.MARKETPLACE_WRITE), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -333,9 +363,21 @@ router.delete('/listings/:id', authenticateToken, async (req, res, next) => {
       });
     }
 
-    const updatedListing = await prisma.marketplaceListing.update({
-      where: { id },
-      data: { status: 'CANCELLED' }
+    const updatedListing = await prisma.$transaction(async (tx) => {
+      const cancelled = await tx.marketplaceListing.update({
+        where: { id },
+        data: { status: 'CANCELLED' }
+      });
+
+      await auditService.record(req, {
+        action: 'marketplace.listing.cancel',
+        targetType: 'MarketplaceListing',
+        targetId: id,
+        before: listing,
+        after: cancelled
+      }, tx);
+
+      return cancelled;
     });
 
     logger.info(`Marketplace listing cancelled: ${id} by user ${req.user.id}`);
@@ -350,7 +392,7 @@ router.delete('/listings/:id', authenticateToken, async (req, res, next) => {
 });
 
 // Get user's marketplace activity
-router.get('/user/activity', authenticateToken, async (req, res, next) => {
+router.get('/user/activity', requireScope(API_KEY_SCOPES.MARKETPLACE_READ), async (req, res, next) => {
   try {
     const { type = 'all', page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const NFTMetadataService = require('../services/nftMetadataService');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const { csrfProtection } = require('../middleware/csrf');
+const auditService = require('../services/auditService');
+const ownerScoringService = require('../services/ownerScoringService');
 
 const metadataService = new NFTMetadataService();
 
@@ -38,7 +41,7 @@ router.get('/metadata/:tokenId', authenticateToken, async (req, res) => {
  * POST /api/nft/metadata
  * Generate metadata for a new NFT (admin only)
  */
-router.post('/metadata', authenticateToken, csrfProtection, async (req, res) => {
+router.post('/metadata', authenticateToken, requirePermission(PERMISSIONS.NFT_METADATA_WRITE), csrfProtection, async (req, res) => {
   try {
     const { 
       tokenId, 
@@ -70,6 +73,13 @@ router.post('/metadata', authenticateToken, csrfProtection, async (req, res) =>
     // Save metadata
     await metadataService.saveMetadata(tokenId, metadata);
 
+    await auditService.record(req, {
+      action: 'nft.metadata.create',
+      targetType: 'NftMetadata',
+      targetId: tokenId,
+      after: metadata
+    });
+
     res.status(201).json({
       success: true,
       metadata,
@@ -88,13 +98,22 @@ router.post('/metadata', authenticateToken, csrfProtection, async (req, res) =>
  * PUT /api/nft/metadata/:tokenId
  * Update NFT metadata (admin only)
  */
-router.put('/metadata/:tokenId', authenticateToken, csrfProtection, async (req, res) => {
+router.put('/metadata/:tokenId', authenticateToken, requirePermission(PERMISSIONS.NFT_METADATA_WRITE), csrfProtection, async (req, res) => {
   try {
     const { tokenId } = req.params;
     const updates = req.body;
 
+    const previous = await metadataService.getMetadata(tokenId);
     const metadata = await metadataService.updateMetadata(tokenId, updates);
 
+    await auditService.record(req, {
+      action: 'nft.metadata.update',
+      targetType: 'NftMetadata',
+      targetId: tokenId,
+      before: previous,
+      after: metadata
+    });
+
     res.json({
       success: true,
       metadata,
@@ -168,11 +187,16 @@ router.get('/styles/:styleName', authenticateToken, (req, res) => {
  * POST /api/nft/generate-all
  * Generate all initial metadata files (admin only)
  */
-router.post('/generate-all', authenticateToken, csrfProtection, async (req, res) => {
+router.post('/generate-all', authenticateToken, requirePermission(PERMISSIONS.NFT_GENERATE), csrfProtection, async (req, res) => {
   try {
-    // Check if user is admin (you might want to add admin role check)
     const results = await metadataService.generateAllMetadata();
 
+    await auditService.record(req, {
+      action: 'nft.metadata.generate_all',
+      targetType: 'NftMetadata',
+      metadata: { generated: results.length }
+    });
+
     res.json({
       success: true,
       results,
@@ -281,7 +305,9 @@ router.get('/rarity-info', (req, res) => {
         LEGENDARY: 800,
         MYTHIC: 200
       },
-      maxSupply: 10000
+      maxSupply: 10000,
+      // Style bonus, serial and founder bonuses stack on top of rarity
+      bonuses: ownerScoringService.getConfig()
     };
 
     res.json(rarityInfo);
@@ -6,6 +6,7 @@ const { csrfProtection } = require('../middleware/csrf');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
 const { sanitizeForLog } = require('../utils/sanitize');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -136,6 +137,18 @@ router.post('/purchase', authenticateToken, csrfProtection, [
         }
       });
 
+      await auditService.record(req, {
+        action: 'pack.purchase',
+        targetType: 'Transaction',
+        targetId: transaction.id,
+        after: transaction,
+        metadata: {
+          packType,
+          quantity,
+          userStyleIds: userStyles.map(userStyle => userStyle.id)
+        }
+      }, tx);
+
       return {
         transaction,
         cards: userStyles
@@ -0,0 +1,100 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const playerDnaService = require('../services/playerDnaService');
+const catalogueService = require('../services/catalogueService');
+const { POSITION_NAMES, toPositionCode } = require('../utils/matchStats');
+
+const router = express.Router();
+
+// Get a player's bio, current club and club history
+router.get('/:id', [
+  param('id').isString().isLength({ min: 1, max: 64 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const player = await catalogueService.getPlayer(req.params.id);
+    res.json({ player });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+// Get a player's style profile ("Soccer DNA")
+router.get('/:id/dna', [
+  param('id').isString().isLength({ min: 1, max: 64 }),
+  query('window').optional().isIn(playerDnaService.windows)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const dna = await playerDnaService.getDna(req.params.id, {
+      window: req.query.window || undefined
+    });
+
+    res.json(dna);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+// Find players with a similar style profile
+router.get('/:id/similar', [
+  param('id').isString().isLength({ min: 1, max: 64 }),
+  query('window').optional().isIn(playerDnaService.windows),
+  query('league').optional().isString().trim().notEmpty(),
+  // Provider code (G, D, M, F) or name (Goalkeeper, Defender, ...)
+  query('position').optional().isIn([...Object.keys(POSITION_NAMES), ...Object.values(POSITION_NAMES)]),
+  query('minAge').optional().isInt({ min: 14, max: 50 }).toInt(),
+  query('maxAge').optional().isInt({ min: 14, max: 50 }).toInt(),
+  query('minMinutes').optional().isInt({ min: 0 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { window, league, position, minAge, maxAge, minMinutes, limit } = req.query;
+    const result = await playerDnaService.findSimilar(req.params.id, {
+      window: window || undefined,
+      league,
+      position: toPositionCode(position) || undefined,
+      minAge,
+      maxAge,
+      minMinutes,
+      limit
+    });
+
+    res.json(result);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
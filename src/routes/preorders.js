@@ -1,8 +1,10 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireWallet, requireScope, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -21,8 +23,8 @@ const PREORDER_CONFIG = {
 };
 
 // Create pre-order
-router.post('/create', authenticateToken, [
-  body('walletAddress').matches(/^0x[a-fA-F0-9]{40}$/),
+router.post('/create', authenticateToken, requireWallet, [
+  body('walletAddress').optional().matches(/^0x[a-fA-F0-9]{40}$/),
   body('packCount').isInt({ min: 1, max: PREORDER_CONFIG.MAX_PACKS_PER_USER }),
   body('totalAmount').isInt({ min: PREORDER_CONFIG.EARLY_BIRD_PRICE })
 ], async (req, res, next) => {
@@ -35,7 +37,16 @@ router.post('/create', authenticateToken, [
       });
     }
 
-    const { walletAddress, packCount, totalAmount } = req.body;
+    const { packCount, totalAmount } = req.body;
+
+    // Packs are delivered to the SIWE-verified wallet, never an arbitrary address
+    const walletAddress = req.user.walletAddress;
+    if (req.body.walletAddress && req.body.walletAddress.toLowerCase() !== walletAddress.toLowerCase()) {
+      return res.status(400).json({
+        error: 'Wallet address does not match your verified wallet',
+        code: 'WALLET_MISMATCH'
+      });
+    }
     
     // Verify pricing
     const expectedAmount = packCount * PREORDER_CONFIG.EARLY_BIRD_PRICE;
@@ -122,6 +133,14 @@ router.post('/create', authenticateToken, [
       data: { status: 'COMPLETED' }
     });
 
+    await auditService.record(req, {
+      action: 'preorder.create',
+      targetType: 'PreOrder',
+      targetId: preOrder.id,
+      after: { ...preOrder, status: 'CONFIRMED' },
+      metadata: { transactionId: transaction.id, totalAmount }
+    });
+
     res.status(201).json({
       message: 'Pre-order created successfully',
       preOrder: {
@@ -194,13 +213,8 @@ router.get('/my-orders', authenticateToken, async (req, res, next) => {
 });
 
 // Get pre-order statistics (admin only)
-router.get('/stats', authenticateToken, async (req, res, next) => {
+router.get('/stats', requireScope(PERMISSIONS.PREORDERS_STATS), requirePermission(PERMISSIONS.PREORDERS_STATS), async (req, res, next) => {
   try {
-    // Simple admin check - in production, use proper role-based auth
-    if (req.user.email !== 'admin@soccerdna.com') {
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-
     const stats = await prisma.preOrder.aggregate({
       _count: { id: true },
       _sum: { 
@@ -284,25 +298,39 @@ router.delete('/:preOrderId', authenticateToken, async (req, res, next) => {
       });
     }
 
-    // Cancel the pre-order
-    await prisma.preOrder.update({
-      where: { id: preOrderId },
-      data: { 
-        status: 'CANCELLED',
-        cancelledAt: new Date()
-      }
-    });
+    await prisma.$transaction(async (tx) => {
+      // Cancel the pre-order
+      const cancelled = await tx.preOrder.update({
+        where: { id: preOrderId },
+        data: { 
+          status: 'CANCELLED',
+          cancelledAt: new Date()
+        }
+      });
 
-    // Update transaction
-    await prisma.transaction.updateMany({
-      where: {
-        userId: req.user.id,
+      // Update transaction
+      const refunded = await tx.transaction.updateMany({
+        where: {
+          userId: req.user.id,
+          metadata: {
+            path: ['preOrderId'],
+            equals: preOrderId
+          }
+        },
+        data: { status: 'REFUNDED' }
+      });
+
+      await auditService.record(req, {
+        action: 'preorder.cancel',
+        targetType: 'PreOrder',
+        targetId: preOrderId,
+        before: preOrder,
+        after: cancelled,
         metadata: {
-          path: ['preOrderId'],
-          equals: preOrderId
+          refundAmount: preOrder.totalAmount,
+          transactionsRefunded: refunded.count
         }
-      },
-      data: { status: 'REFUNDED' }
+      }, tx);
     });
 
     logger.info(`Pre-order cancelled: ${preOrderId} by user ${req.user.id}`);
@@ -1,9 +1,17 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { requireScope, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const auditService = require('../services/auditService');
+const scoringService = require('../services/scoringService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// Owner fan-out is a few set-based statements, but very widely held styles
+// still need more than Prisma's 5s default
+const ACTIVATION_TIMEOUT_MS = 30 * 1000;
+
 // Get all styles
 router.get('/', async (req, res) => {
   try {
@@ -65,13 +73,14 @@ router.get('/rarity/:rarity', async (req, res) => {
 });
 
 // Activate style (internal API)
-router.post('/activate', async (req, res) => {
+router.post('/activate', requireScope(PERMISSIONS.STYLES_ACTIVATE), requirePermission(PERMISSIONS.STYLES_ACTIVATE), async (req, res) => {
   try {
-    const { styleId, playerId, playerName, matchId, leagueId, points, confidence } = req.body;
+    const { styleId, playerId, playerName, matchId, leagueId, points, confidence, reason } = req.body;
 
-    // Create activation
-    const activation = await prisma.activation.create({
-      data: {
+    // Keyed on match, player and style: repeating a call is a no-op and a
+    // different points value corrects the earlier award
+    const { activation, status, delta, affectedUsers, previous } = await prisma.$transaction(async (tx) => {
+      const result = await scoringService.recordActivation(tx, {
         styleId,
         playerId,
         playerName,
@@ -79,39 +88,44 @@ router.post('/activate', async (req, res) => {
         leagueId,
         points,
         confidence
-      }
-    });
+      });
 
-    // Update style stats
-    await prisma.style.update({
-      where: { id: styleId },
-      data: {
-        totalPoints: { increment: points },
-        activationCount: { increment: 1 }
+      if (result.status === 'updated') {
+        await scoringService.recordCorrection(tx, {
+          type: 'ADJUSTED',
+          previous: result.previous,
+          activation: result.activation,
+          owners: result.owners,
+          reason,
+          createdById: req.user.id
+        });
       }
-    });
 
-    // Update user points for all owners of this style
-    const userStyles = await prisma.userStyle.findMany({
-      where: { styleId }
-    });
-
-    for (const userStyle of userStyles) {
-      await prisma.userStyle.update({
-        where: { id: userStyle.id },
-        data: { points: { increment: points } }
-      });
+      if (result.status !== 'unchanged') {
+        await auditService.record(req, {
+          action: result.status === 'created' ? 'style.activate' : 'style.activate.correct',
+          targetType: 'Activation',
+          targetId: result.activation.id,
+          before: result.previous,
+          after: result.activation,
+          metadata: {
+            styleId,
+            points: result.delta,
+            affectedUsers: result.affectedUsers
+          }
+        }, tx);
+      }
 
-      await prisma.user.update({
-        where: { id: userStyle.userId },
-        data: { totalPoints: { increment: points } }
-      });
-    }
+      return result;
+    }, { timeout: ACTIVATION_TIMEOUT_MS });
 
-    res.json({ 
-      message: 'Style activated successfully',
+    res.json({
+      message: status === 'unchanged' ? 'Activation already recorded' : 'Style activated successfully',
       activation,
-      affectedUsers: userStyles.length
+      status,
+      pointsAwarded: delta,
+      affectedUsers,
+      ...(previous && { previousPoints: previous.points })
     });
   } catch (error) {
     console.error('Error activating style:', error);
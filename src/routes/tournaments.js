@@ -1,21 +1,50 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { optionalAuth, requireScope } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../utils/permissions');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const auditService = require('../services/auditService');
+const calendarService = require('../services/calendarService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// The calendar gameweeks a tournament's dates cover
+const gameweekSpan = async ({ startDate, endDate }) => {
+  const gameweeks = await calendarService.getGameweeksBetween(startDate, endDate);
+  if (gameweeks.length === 0) return null;
+
+  const [first, last] = [gameweeks[0], gameweeks[gameweeks.length - 1]];
+  return {
+    first: { season: first.season, number: first.number, deadline: first.deadline },
+    last: { season: last.season, number: last.number, closesAt: last.closesAt }
+  };
+};
+
 // Get all tournaments
 router.get('/', optionalAuth, async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { status, gameweek, page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const where = {};
     if (status) where.status = status.toUpperCase();
 
+    // ?gameweek=current: tournaments running during the current gameweek
+    const currentGameweek = await calendarService.getCurrentGameweek();
+    if (gameweek === 'current') {
+      if (!currentGameweek) {
+        return res.json({
+          tournaments: [],
+          currentGameweek: null,
+          pagination: { page: parseInt(page), limit: parseInt(limit), total: 0, pages: 0 }
+        });
+      }
+      where.startDate = { lt: currentGameweek.closesAt };
+      where.endDate = { gte: currentGameweek.deadline };
+    }
+
     const [tournaments, total] = await Promise.all([
       prisma.tournament.findMany({
         where,
@@ -34,15 +63,22 @@ router.get('/', optionalAuth, async (req, res, next) => {
       prisma.tournament.count({ where })
     ]);
 
-    const tournamentsWithStats = tournaments.map(tournament => ({
+    const tournamentsWithStats = await Promise.all(tournaments.map(async tournament => ({
       ...tournament,
       entryCount: tournament._count.entries,
       spotsRemaining: tournament.maxEntries ? tournament.maxEntries - tournament._count.entries : null,
+      gameweeks: await gameweekSpan(tournament),
       _count: undefined
-    }));
+    })));
 
     res.json({
       tournaments: tournamentsWithStats,
+      currentGameweek: currentGameweek && {
+        season: currentGameweek.season,
+        number: currentGameweek.number,
+        deadline: currentGameweek.deadline,
+        closesAt: currentGameweek.closesAt
+      },
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -106,6 +142,7 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
       ...tournament,
       entryCount: tournament._count.entries,
       spotsRemaining: tournament.maxEntries ? tournament.maxEntries - tournament._count.entries : null,
+      gameweeks: await gameweekSpan(tournament),
       userEntry,
       _count: undefined
     });
@@ -115,7 +152,7 @@ router.get('/:id', optionalAuth, async (req, res, next) => {
 });
 
 // Enter tournament
-router.post('/:id/enter', authenticateToken, async (req, res, next) => {
+router.post('/:id/enter', requireScope(API_KEY_SCOPES.TOURNAMENTS_WRITE), async (req, res, next) => {
   try {
     const { id } = req.params;
 
@@ -202,6 +239,18 @@ router.post('/:id/enter', authenticateToken, async (req, res, next) => {
         }
       });
 
+      await auditService.record(req, {
+        action: 'tournament.enter',
+        targetType: 'TournamentEntry',
+        targetId: entry.id,
+        after: entry,
+        metadata: {
+          tournamentId: id,
+          entryFee: tournament.entryFee,
+          transactionId: transaction.id
+        }
+      }, tx);
+
       return { transaction, entry };
     });
 
@@ -301,7 +350,7 @@ router.get('/:id/leaderboard', async (req, res, next) => {
 });
 
 // Get user's tournament history
-router.get('/user/history', authenticateToken, async (req, res, next) => {
+router.get('/user/history', requireScope(API_KEY_SCOPES.TOURNAMENTS_READ), async (req, res, next) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
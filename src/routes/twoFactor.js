@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requireFreshTotp } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+const twoFactorService = require('../services/twoFactorService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// Get 2FA status
+router.get('/status', async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+    res.json(status);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start enrolment: returns the secret and otpauth URI for the authenticator app
+router.post('/setup', async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await twoFactorService.beginEnrollment(req.user);
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+// Confirm enrolment with a code; returns recovery codes (shown only once)
+router.post('/confirm', authLimiter, [
+  body('code').isString().notEmpty()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user, req.body.code);
+
+    logger.info(`Two-factor authentication enabled for user ${req.user.id}`);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+// Disable 2FA (requires a TOTP or recovery code)
+router.post('/disable', authLimiter, [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const { code, recoveryCode } = req.body;
+    const isValid = await twoFactorService.verify(req.user, { code, recoveryCode });
+    if (!isValid) {
+      return res.status(401).json({
+        error: 'Invalid authentication code',
+        code: 'INVALID_TOTP_CODE'
+      });
+    }
+
+    await twoFactorService.disable(req.user.id);
+
+    logger.info(`Two-factor authentication disabled for user ${req.user.id}`);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace recovery codes (requires a fresh TOTP code)
+router.post('/recovery-codes', authLimiter, requireFreshTotp, async (req, res, next) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
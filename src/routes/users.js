@@ -1,14 +1,36 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireScope, requirePermission, requireFreshTotp } = require('../middleware/auth');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const { PERMISSIONS, API_KEY_SCOPES, ROLES, getUserPermissions, hasPermission } = require('../utils/permissions');
+const securityService = require('../services/securityService');
+const accountService = require('../services/accountService');
+const auditService = require('../services/auditService');
+const ownerScoringService = require('../services/ownerScoringService');
+const calendarService = require('../services/calendarService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
+// One point adjustment as the user sees it: the correction plus its effect on them
+const formatCorrection = ({ correction, cards, points, createdAt }) => ({
+  id: correction.id,
+  type: correction.type,
+  style: correction.style,
+  playerName: correction.playerName,
+  matchId: correction.matchId,
+  previousPoints: correction.previousPoints,
+  newPoints: correction.newPoints,
+  reason: correction.reason,
+  cards,
+  points,
+  createdAt
+});
+
 // Get user profile
-router.get('/profile', authenticateToken, async (req, res, next) => {
+router.get('/profile', requireScope(API_KEY_SCOPES.PROFILE_READ), async (req, res, next) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.user.id },
@@ -64,6 +86,9 @@ router.get('/profile', authenticateToken, async (req, res, next) => {
         email: user.email,
         walletAddress: user.walletAddress,
         isVerified: user.isVerified,
+        role: user.role,
+        permissions: getUserPermissions(user),
+        deletionScheduledFor: user.deletionScheduledFor,
         createdAt: user.createdAt
       },
       profile: user.profile,
@@ -118,25 +143,213 @@ router.put('/profile', authenticateToken, [
   }
 });
 
+// Points each of the user's cards earned from activations, with the multipliers applied
+router.get('/profile/awards', requireScope(API_KEY_SCOPES.ACTIVATIONS_READ), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const take = Math.min(parseInt(limit), 100);
+
+    const { awards, total } = await ownerScoringService.listAwards(req.user.id, {
+      page: parseInt(page),
+      limit: take
+    });
+
+    res.json({
+      awards,
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Point corrections applied to the user's cards after match data was amended
+router.get('/profile/corrections', requireScope(API_KEY_SCOPES.ACTIVATIONS_READ), async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const take = Math.min(parseInt(limit), 100);
+    const where = { userId: req.user.id };
+
+    const [adjustments, total] = await Promise.all([
+      prisma.pointAdjustment.findMany({
+        where,
+        include: {
+          correction: {
+            include: {
+              style: {
+                select: { id: true, name: true, rarity: true, imageUrl: true }
+              }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (parseInt(page) - 1) * take,
+        take
+      }),
+      prisma.pointAdjustment.count({ where })
+    ]);
+
+    res.json({
+      corrections: adjustments.map(formatCorrection),
+      pagination: {
+        page: parseInt(page),
+        limit: take,
+        total,
+        pages: Math.ceil(total / take)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the user's security events (logins, lockouts, new devices)
+router.get('/profile/security-events', authenticateToken, async (req, res, next) => {
+  try {
+    const { type, page = 1, limit = 20 } = req.query;
+
+    const { events, total } = await securityService.listEvents(req.user.id, {
+      type,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    });
+
+    res.json({
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Download a zip archive of everything we hold about the user
+router.get('/me/export', authenticateToken, requireFreshTotp, async (req, res, next) => {
+  try {
+    const filename = `jogata-export-${req.user.username}-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    res.attachment(filename);
+    res.type('application/zip');
+
+    await accountService.writeExportArchive(req.user.id, res);
+
+    await auditService.record(req, {
+      action: 'account.export',
+      targetType: 'User',
+      targetId: req.user.id
+    });
+
+    logger.info(`Data export downloaded by user ${req.user.id}`);
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Data export failed mid-stream:', error);
+      return res.end();
+    }
+    next(error);
+  }
+});
+
+// Request account deletion (anonymised after a grace period)
+router.post('/me/deletion', authenticateToken, requireFreshTotp, [
+  body('password').optional().isString()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    // Wallet-only accounts have no password; the session is the proof
+    if (req.user.password) {
+      const isMatch = req.body.password && await bcrypt.compare(req.body.password, req.user.password);
+      if (!isMatch) {
+        return res.status(400).json({
+          error: 'Password is incorrect',
+          code: 'INVALID_PASSWORD'
+        });
+      }
+    }
+
+    const { scheduledFor } = await accountService.requestDeletion(req.user);
+
+    await auditService.record(req, {
+      action: 'account.deletion.request',
+      targetType: 'User',
+      targetId: req.user.id,
+      metadata: { scheduledFor }
+    });
+
+    logger.info(`Account deletion requested by user ${req.user.id}, scheduled for ${scheduledFor.toISOString()}`);
+
+    res.status(202).json({
+      message: 'Account scheduled for deletion. Log in and cancel before the date below to keep it.',
+      scheduledFor
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    next(error);
+  }
+});
+
+// Cancel a pending account deletion
+router.delete('/me/deletion', authenticateToken, async (req, res, next) => {
+  try {
+    const cancelled = await accountService.cancelDeletion(req.user.id);
+    if (!cancelled) {
+      return res.status(404).json({
+        error: 'No pending deletion for this account',
+        code: 'NO_PENDING_DELETION'
+      });
+    }
+
+    await auditService.record(req, {
+      action: 'account.deletion.cancel',
+      targetType: 'User',
+      targetId: req.user.id
+    });
+
+    logger.info(`Account deletion cancelled by user ${req.user.id}`);
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Get user's dashboard data
-router.get('/dashboard', authenticateToken, async (req, res, next) => {
+router.get('/dashboard', requireScope(API_KEY_SCOPES.ACTIVATIONS_READ), async (req, res, next) => {
   try {
     // Get recent activations for user's styles
-    const recentActivations = await prisma.styleActivation.findMany({
+    const recentActivations = await prisma.activation.findMany({
       where: {
-        styleCard: {
+        style: {
           userStyles: {
             some: {
               userId: req.user.id
             }
           }
         },
-        createdAt: {
+        timestamp: {
           gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) // Last 7 days
         }
       },
       include: {
-        styleCard: {
+        style: {
           select: {
             id: true,
             name: true,
@@ -152,15 +365,15 @@ router.get('/dashboard', authenticateToken, async (req, res, next) => {
           }
         }
       },
-      orderBy: { createdAt: 'desc' },
+      orderBy: { timestamp: 'desc' },
       take: 10
     });
 
-    // Get user's weekly points
-    const weeklyPoints = await prisma.userStyle.aggregate({
-      where: { userId: req.user.id },
-      _sum: { weeklyPoints: true }
-    });
+    // Get user's points for the current gameweek
+    const gameweek = await calendarService.getCurrentGameweek();
+    const [weeklyTotal] = gameweek
+      ? await ownerScoringService.totalsBetween(gameweek.deadline, gameweek.closesAt, { leagueId: gameweek.leagueId, userId: req.user.id })
+      : [];
 
     // Get user's rank (simplified calculation)
     const userRank = await prisma.userProfile.findMany({
@@ -183,9 +396,27 @@ router.get('/dashboard', authenticateToken, async (req, res, next) => {
       orderBy: { endDate: 'asc' }
     });
 
+    // Corrections to points already credited to the user's cards
+    const recentCorrections = await prisma.pointAdjustment.findMany({
+      where: { userId: req.user.id },
+      include: {
+        correction: {
+          include: {
+            style: {
+              select: { id: true, name: true, rarity: true, imageUrl: true }
+            }
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 5
+    });
+
     res.json({
       recentActivations,
-      weeklyPoints: weeklyPoints._sum.weeklyPoints || 0,
+      recentCorrections: recentCorrections.map(formatCorrection),
+      weeklyPoints: weeklyTotal?.points || 0,
+      gameweek: gameweek && { number: gameweek.number, season: gameweek.season, deadline: gameweek.deadline },
       currentRank: rank,
       activeTournaments
     });
@@ -197,21 +428,68 @@ router.get('/dashboard', authenticateToken, async (req, res, next) => {
 // Get user leaderboard position
 router.get('/leaderboard', async (req, res, next) => {
   try {
-    const { timeframe = 'overall', page = 1, limit = 50 } = req.query;
+    const { timeframe = 'overall', league, page = 1, limit = 50 } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    let orderBy;
     if (timeframe === 'weekly') {
-      // Sum weekly points from user styles
-      orderBy = { weeklyRank: 'asc' };
-    } else {
-      orderBy = { totalPoints: 'desc' };
+      // Points from matches in the current gameweek of the competition's calendar
+      const gameweek = await calendarService.getCurrentGameweek({ league: league || undefined });
+      const totals = gameweek
+        ? await ownerScoringService.totalsBetween(gameweek.deadline, gameweek.closesAt, {
+          leagueId: gameweek.leagueId,
+          skip,
+          take: parseInt(limit)
+        })
+        : [];
+
+      const users = await prisma.user.findMany({
+        where: { id: { in: totals.map(total => total.userId) } },
+        select: {
+          id: true,
+          username: true,
+          profile: {
+            select: { displayName: true, avatar: true, country: true, packsPurchased: true }
+          }
+        }
+      });
+      const userMap = new Map(users.map(user => [user.id, user]));
+
+      return res.json({
+        timeframe,
+        gameweek: gameweek && {
+          number: gameweek.number,
+          season: gameweek.season,
+          leagueId: gameweek.leagueId,
+          league: gameweek.league,
+          deadline: gameweek.deadline,
+          closesAt: gameweek.closesAt
+        },
+        leaderboard: totals.map((total, index) => {
+          const user = userMap.get(total.userId);
+          return {
+            rank: skip + index + 1,
+            user: {
+              id: user.id,
+              username: user.username,
+              displayName: user.profile?.displayName || user.username,
+              avatar: user.profile?.avatar,
+              country: user.profile?.country
+            },
+            points: total.points,
+            packsPurchased: user.profile?.packsPurchased
+          };
+        }),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit)
+        }
+      });
     }
 
     const leaderboard = await prisma.userProfile.findMany({
       skip,
       take: parseInt(limit),
-      orderBy,
+      orderBy: { totalPoints: 'desc' },
       include: {
         user: {
           select: {
@@ -231,7 +509,7 @@ router.get('/leaderboard', async (req, res, next) => {
         avatar: profile.avatar,
         country: profile.country
       },
-      points: timeframe === 'weekly' ? profile.weeklyRank : profile.totalPoints,
+      points: profile.totalPoints,
       packsPurchased: profile.packsPurchased
     }));
 
@@ -249,7 +527,7 @@ router.get('/leaderboard', async (req, res, next) => {
 });
 
 // Get user's transaction history
-router.get('/transactions', authenticateToken, async (req, res, next) => {
+router.get('/transactions', requireScope(API_KEY_SCOPES.PROFILE_READ), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, type } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -281,4 +559,109 @@ router.get('/transactions', authenticateToken, async (req, res, next) => {
   }
 });
 
+// Update a user's role and extra permissions (admin)
+router.put('/:id/role', authenticateToken, requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), [
+  body('role').optional().isIn(ROLES),
+  body('permissions').optional().isArray(),
+  body('permissions.*').optional().isIn(Object.values(PERMISSIONS))
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { role, permissions } = req.body;
+
+    if (id === req.user.id && role && role !== req.user.role) {
+      return res.status(400).json({
+        error: 'You cannot change your own role',
+        code: 'SELF_ROLE_CHANGE'
+      });
+    }
+
+    if (id === req.user.id && permissions !== undefined) {
+      return res.status(400).json({
+        error: 'You cannot change your own permissions',
+        code: 'SELF_PERMISSION_CHANGE'
+      });
+    }
+
+    const updateData = {};
+    if (role !== undefined) updateData.role = role;
+    if (permissions !== undefined) updateData.permissions = permissions;
+
+    const roleSelect = {
+      id: true,
+      username: true,
+      role: true,
+      permissions: true
+    };
+
+    const previous = await prisma.user.findUnique({ where: { id }, select: roleSelect });
+    if (!previous) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    // Only admins may make or change admins, or hand out permissions they
+    // don't hold themselves
+    if (req.user.role !== 'ADMIN') {
+      if (role === 'ADMIN' || previous.role === 'ADMIN') {
+        return res.status(403).json({
+          error: 'Only admins can grant or change the admin role',
+          code: 'INSUFFICIENT_ROLE'
+        });
+      }
+
+      const before = getUserPermissions(previous);
+      const ungrantable = getUserPermissions({ ...previous, ...updateData })
+        .filter(permission => !before.includes(permission) && !hasPermission(req.user, permission));
+      if (ungrantable.length > 0) {
+        return res.status(403).json({
+          error: 'You can only grant permissions you hold',
+          code: 'INSUFFICIENT_PERMISSION',
+          required: ungrantable
+        });
+      }
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      const updated = await tx.user.update({
+        where: { id },
+        data: updateData,
+        select: roleSelect
+      });
+
+      await auditService.record(req, {
+        action: 'user.role.update',
+        targetType: 'User',
+        targetId: id,
+        before: previous,
+        after: updated
+      }, tx);
+
+      return updated;
+    });
+
+    logger.info(`Role updated for user ${id} by ${req.user.id}: ${user.role}`);
+
+    res.json({
+      message: 'Role updated successfully',
+      user: {
+        ...user,
+        effectivePermissions: getUserPermissions(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
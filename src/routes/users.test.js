@@ -0,0 +1,141 @@
+const express = require('express');
+const request = require('supertest');
+
+const mockPrisma = {
+  user: { findUnique: jest.fn() },
+  $transaction: jest.fn(async callback => callback(mockPrisma.tx)),
+  tx: { user: { update: jest.fn() } }
+};
+const mockCaller = { current: null };
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('../middleware/auth', () => {
+  const { hasPermission } = jest.requireActual('../utils/permissions');
+  const pass = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = mockCaller.current;
+      next();
+    },
+    requireScope: () => pass,
+    requireFreshTotp: pass,
+    requirePermission: (permission) => (req, res, next) => (hasPermission(req.user, permission)
+      ? next()
+      : res.status(403).json({ error: 'Insufficient permissions', code: 'INSUFFICIENT_PERMISSION' }))
+  };
+});
+jest.mock('../services/securityService', () => ({}));
+jest.mock('../services/accountService', () => ({}));
+jest.mock('../services/auditService', () => ({ record: jest.fn() }));
+jest.mock('../services/ownerScoringService', () => ({}));
+jest.mock('../services/calendarService', () => ({}));
+
+const { PERMISSIONS } = require('../utils/permissions');
+const usersRouter = require('./users');
+
+const app = express();
+app.use(express.json());
+app.use('/users', usersRouter);
+
+const admin = { id: 'admin-1', role: 'ADMIN', permissions: [] };
+const manager = { id: 'manager-1', role: 'MODERATOR', permissions: [PERMISSIONS.USERS_MANAGE_ROLES, PERMISSIONS.AUDIT_READ] };
+const target = { id: 'user-2', username: 'ben', role: 'USER', permissions: [] };
+
+const changeRole = (id, body) => request(app).put(`/users/${id}/role`).send(body);
+
+describe('PUT /users/:id/role', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.user.findUnique.mockResolvedValue(target);
+    mockPrisma.tx.user.update.mockImplementation(async ({ data }) => ({ ...target, ...data }));
+  });
+
+  describe('as a role manager', () => {
+    beforeEach(() => {
+      mockCaller.current = manager;
+    });
+
+    test('grants permissions the caller holds', async () => {
+      const res = await changeRole('user-2', { role: 'MODERATOR', permissions: [PERMISSIONS.AUDIT_READ] });
+
+      expect(res.status).toBe(200);
+      expect(mockPrisma.tx.user.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { role: 'MODERATOR', permissions: [PERMISSIONS.AUDIT_READ] }
+      }));
+    });
+
+    test('refuses to make anyone an admin', async () => {
+      const res = await changeRole('user-2', { role: 'ADMIN' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('INSUFFICIENT_ROLE');
+      expect(mockPrisma.tx.user.update).not.toHaveBeenCalled();
+    });
+
+    test('refuses to change an admin', async () => {
+      mockPrisma.user.findUnique.mockResolvedValueOnce({ ...target, role: 'ADMIN' });
+
+      const res = await changeRole('user-2', { role: 'USER' });
+
+      expect(res.status).toBe(403);
+      expect(mockPrisma.tx.user.update).not.toHaveBeenCalled();
+    });
+
+    test('refuses to grant permissions the caller lacks', async () => {
+      const res = await changeRole('user-2', { permissions: [PERMISSIONS.AUDIT_READ, PERMISSIONS.JOBS_MANAGE] });
+
+      expect(res.status).toBe(403);
+      expect(res.body).toMatchObject({ code: 'INSUFFICIENT_PERMISSION', required: [PERMISSIONS.JOBS_MANAGE] });
+      expect(mockPrisma.tx.user.update).not.toHaveBeenCalled();
+    });
+
+    test('may leave permissions the target already has', async () => {
+      mockPrisma.user.findUnique.mockResolvedValueOnce({ ...target, permissions: [PERMISSIONS.JOBS_MANAGE] });
+
+      const res = await changeRole('user-2', { role: 'MODERATOR' });
+
+      expect(res.status).toBe(200);
+    });
+
+    test('refuses to edit their own permissions', async () => {
+      const res = await changeRole('manager-1', { permissions: [...manager.permissions, PERMISSIONS.JOBS_MANAGE] });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('SELF_PERMISSION_CHANGE');
+    });
+
+    test('refuses to change their own role', async () => {
+      const res = await changeRole('manager-1', { role: 'ADMIN' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('SELF_ROLE_CHANGE');
+    });
+  });
+
+  describe('as an admin', () => {
+    beforeEach(() => {
+      mockCaller.current = admin;
+    });
+
+    test('may grant the admin role and any permission', async () => {
+      const res = await changeRole('user-2', { role: 'ADMIN', permissions: [PERMISSIONS.JOBS_MANAGE] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.role).toBe('ADMIN');
+    });
+
+    test('still cannot edit their own permissions', async () => {
+      const res = await changeRole('admin-1', { permissions: [PERMISSIONS.JOBS_MANAGE] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  test('is closed to users without the role management permission', async () => {
+    mockCaller.current = { id: 'user-3', role: 'USER', permissions: [] };
+
+    const res = await changeRole('user-2', { role: 'MODERATOR' });
+
+    expect(res.status).toBe(403);
+  });
+});
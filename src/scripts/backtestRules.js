@@ -0,0 +1,87 @@
+const fs = require('fs');
+const { PrismaClient } = require('@prisma/client');
+const backtestService = require('../services/backtestService');
+
+const prisma = new PrismaClient();
+
+const USAGE = 'Usage: node src/scripts/backtestRules.js [rules.json] [--replace] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--limit=N] [--json]';
+
+// rules.json holds an array of candidate rules, each with a styleId or
+// styleName plus the fields to change, e.g. [{ "styleName": "Speedster", "condition": "dribblesSuccess > 4" }]
+function parseArgs(argv) {
+  const options = { rules: [] };
+
+  for (const arg of argv) {
+    if (arg === '--replace') options.replace = true;
+    else if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--from=')) options.from = arg.slice(7);
+    else if (arg.startsWith('--to=')) options.to = arg.slice(5);
+    else if (arg.startsWith('--limit=')) options.limit = parseInt(arg.slice(8));
+    else if (!arg.startsWith('--')) options.rules = JSON.parse(fs.readFileSync(arg, 'utf8'));
+    else throw new Error(`Unknown option ${arg}`);
+  }
+
+  if (!Array.isArray(options.rules)) {
+    throw new Error('Rules file must contain an array');
+  }
+
+  return options;
+}
+
+async function backtestRules(argv) {
+  try {
+    let options;
+    try {
+      options = parseArgs(argv);
+    } catch (error) {
+      console.error(`❌ ${error.message}\n${USAGE}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { json, ...runOptions } = options;
+    const report = await backtestService.run(runOptions);
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    const { sample, totals, styles, rarity, pointsDistribution, diff } = report;
+
+    console.log(`Replayed ${sample.playerMatches} player performances from ${sample.matches} matches${sample.truncated ? ' (limit reached)' : ''}`);
+    console.log(`Activations: ${totals.activations} (recorded ${totals.recordedActivations})`);
+    console.log(`Points: ${totals.points} (recorded ${totals.recordedPoints})\n`);
+
+    console.table(styles.map(style => ({
+      style: style.styleName,
+      rarity: style.rarity,
+      activations: style.activations,
+      recorded: style.recorded.activations,
+      points: style.points,
+      'Δ points': style.change.points,
+      'avg points': style.averagePoints
+    })));
+
+    console.log('\n📊 Rarity share:');
+    console.table(rarity);
+
+    const { buckets, ...summary } = pointsDistribution;
+    console.log('\nPoints distribution:', summary);
+    console.table(buckets);
+
+    console.log(`\nDiff vs recorded: +${diff.added} added, -${diff.removed} removed, ${diff.changed} re-scored, ${diff.unchanged} unchanged`);
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  backtestRules(process.argv.slice(2));
+}
+
+module.exports = { backtestRules };
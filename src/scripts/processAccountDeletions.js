@@ -0,0 +1,24 @@
+const accountService = require('../services/accountService');
+
+// Usage: node src/scripts/processAccountDeletions.js
+// Anonymises accounts whose deletion grace period has ended
+async function processAccountDeletions() {
+  try {
+    const { due, processed } = await accountService.processDueDeletions();
+    console.log(`✓ Anonymised ${processed} of ${due} accounts due for deletion`);
+
+    if (processed < due) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('Error processing account deletions:', error);
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  processAccountDeletions().finally(() => process.exit());
+}
+
+module.exports = { processAccountDeletions };
@@ -0,0 +1,72 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ApiFootballProvider = require('../services/footballProviders/apiFootball');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../fixtures/football');
+const USAGE = 'Usage: node src/scripts/recordFixtures.js <fixtureId> [<fixtureId> ...] [--dir=<path>]';
+
+// Fixture ids are API-Football ids; --dir overrides FOOTBALL_FIXTURES_DIR
+function parseArgs(argv) {
+  const options = { fixtures: [], directory: process.env.FOOTBALL_FIXTURES_DIR || DEFAULT_DIRECTORY };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--dir=')) {
+      options.directory = arg.slice(6);
+    } else if (/^\d+$/.test(arg)) {
+      options.fixtures.push(arg);
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  if (options.fixtures.length === 0) throw new Error('No fixture ids given');
+  return options;
+}
+
+/**
+ * Record finished fixtures from API-Football into the file provider's
+ * format, so the pipeline can replay them offline
+ */
+async function recordFixtures(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const provider = new ApiFootballProvider();
+    await fs.mkdir(options.directory, { recursive: true });
+
+    for (const fixtureId of options.fixtures) {
+      const fixture = await provider.getFixture(fixtureId);
+      if (!fixture) {
+        console.warn(`⚠️ Fixture ${fixtureId} not found, skipping`);
+        continue;
+      }
+
+      const [lineups, events, players] = await Promise.all([
+        provider.getLineups(fixtureId),
+        provider.getEvents(fixtureId),
+        provider.getPlayerStats(fixtureId)
+      ]);
+
+      const file = path.join(options.directory, `${fixture.id}.json`);
+      await fs.writeFile(file, `${JSON.stringify({ fixture, lineups, events, players }, null, 2)}\n`);
+      console.log(`✓ Recorded ${fixture.homeTeam.name} v ${fixture.awayTeam.name} (${players.length} players) to ${file}`);
+    }
+  } catch (error) {
+    console.error('❌ Recording failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  recordFixtures(process.argv.slice(2)).finally(() => process.exit());
+}
+
+module.exports = { recordFixtures };
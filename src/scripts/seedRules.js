@@ -0,0 +1,282 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Defaults per rarity; rarer styles pay more and need more certainty
+const RARITY_PARAMS = {
+  COMMON: { basePoints: 4, minThreshold: 0.7 },
+  RARE: { basePoints: 7, minThreshold: 0.8 },
+  LEGENDARY: { basePoints: 12, minThreshold: 0.85 },
+  MYTHIC: { basePoints: 20, minThreshold: 0.9 }
+};
+
+// Activation rules keyed by style name (see seedStyles.js). Expressions are
+// written against utils/matchStats; `keyMetrics` is documentation only.
+const rules = {
+  // The first four reproduce the original hard-coded checks exactly
+  'Clinical Finisher': {
+    rarity: 'COMMON',
+    description: 'Scored at least once',
+    condition: 'goals > 0',
+    points: 'goals * 10',
+    confidence: '0.9',
+    params: { basePoints: 6, minThreshold: 0.75, keyMetrics: ['goals', 'shotsOn', 'penaltyScored'] }
+  },
+  'Speedster': {
+    rarity: 'COMMON',
+    description: 'Tidy passing plus repeated successful dribbles',
+    condition: 'passesAccuracy > 85 && dribblesSuccess > 3',
+    points: '5',
+    confidence: '0.7',
+    params: { basePoints: 4, minThreshold: 0.7, keyMetrics: ['dribblesSuccess', 'passesAccuracy'] }
+  },
+  'Ball Winner': {
+    rarity: 'COMMON',
+    description: 'More than five tackles and interceptions combined',
+    metrics: { defensiveActions: 'tacklesTotal + interceptions' },
+    condition: 'defensiveActions > 5',
+    points: 'defensiveActions * 2',
+    confidence: '0.8',
+    params: { basePoints: 4, minThreshold: 0.7, keyMetrics: ['tacklesTotal', 'interceptions'] }
+  },
+  'Playmaker': {
+    rarity: 'COMMON',
+    description: 'Provided an assist or more than three key passes',
+    condition: 'assists > 0 || passesKey > 3',
+    points: 'assists * 8 + passesKey * 2',
+    confidence: '0.85',
+    params: { keyMetrics: ['assists', 'passesKey'] }
+  },
+
+  'Aerial Threat': {
+    rarity: 'COMMON',
+    description: 'Won most of a high volume of duels',
+    metrics: { duelRate: 'duelsWon / max(duelsTotal, 1)' },
+    condition: 'duelsWon >= 8 && duelRate >= 0.6',
+    points: 'basePoints + duelsWon - 8',
+    confidence: 'clamp(0.5 + duelRate * 0.4, 0, 0.95)',
+    params: { keyMetrics: ['duelsWon', 'duelsTotal'] }
+  },
+  'Dribbler': {
+    rarity: 'COMMON',
+    description: 'Completed four or more dribbles at a good success rate',
+    metrics: { dribbleRate: 'dribblesSuccess / max(dribblesAttempts, 1)' },
+    condition: 'dribblesSuccess >= 4 && dribbleRate >= 0.5',
+    points: 'basePoints + dribblesSuccess',
+    confidence: 'clamp(0.5 + dribbleRate * 0.4, 0, 0.95)',
+    params: { keyMetrics: ['dribblesSuccess', 'dribblesAttempts'] }
+  },
+  'Shot Stopper': {
+    rarity: 'COMMON',
+    description: 'Goalkeeper making four or more saves, or saving a penalty',
+    condition: 'isGoalkeeper && (saves >= 4 || penaltySaved > 0)',
+    points: 'basePoints + saves + penaltySaved * 5 + (conceded == 0 ? 3 : 0)',
+    confidence: 'clamp(0.7 + saves * 0.03 - conceded * 0.02 + penaltySaved * 0.1, 0.7, 0.95)',
+    params: { keyMetrics: ['saves', 'penaltySaved', 'conceded'] }
+  },
+  'Defender': {
+    rarity: 'COMMON',
+    description: 'Defender with a busy, clean defensive shift',
+    metrics: { defensiveActions: 'tacklesTotal + interceptions + blocks' },
+    condition: 'isDefender && minutes >= 60 && defensiveActions >= 5 && dribblesPast <= 2',
+    points: 'basePoints + defensiveActions',
+    confidence: 'clamp(0.7 + defensiveActions * 0.02 - dribblesPast * 0.03, 0.7, 0.95)',
+    params: { keyMetrics: ['tacklesTotal', 'interceptions', 'blocks', 'dribblesPast'] }
+  },
+  'Crosser': {
+    rarity: 'COMMON',
+    description: 'Wide creator; proxied by key passes from a non-central role',
+    condition: '!isGoalkeeper && passesKey >= 3 && (isDefender || isForward)',
+    points: 'basePoints + passesKey * 2 + assists * 4',
+    confidence: 'clamp(0.65 + passesKey * 0.04 + assists * 0.05, 0.7, 0.95)',
+    params: { keyMetrics: ['passesKey', 'assists'] }
+  },
+  'Set Piece Specialist': {
+    rarity: 'COMMON',
+    description: 'Converted a penalty or won and scored from set situations',
+    condition: 'penaltyScored > 0 || (penaltyWon > 0 && goals > 0)',
+    points: 'basePoints + penaltyScored * 4 + penaltyWon * 2',
+    confidence: 'clamp(0.75 + penaltyScored * 0.1 - penaltyMissed * 0.1, 0.7, 0.95)',
+    params: { keyMetrics: ['penaltyScored', 'penaltyWon', 'penaltyMissed'] }
+  },
+  'Tackler': {
+    rarity: 'COMMON',
+    description: 'Four or more tackles without a booking',
+    condition: 'tacklesTotal >= 4 && yellowCards == 0 && redCards == 0',
+    points: 'basePoints + tacklesTotal',
+    confidence: 'clamp(0.7 + tacklesTotal * 0.03 - foulsCommitted * 0.02, 0.7, 0.95)',
+    params: { keyMetrics: ['tacklesTotal', 'foulsCommitted'] }
+  },
+  'Passer': {
+    rarity: 'COMMON',
+    description: 'High volume at 90% accuracy or better',
+    condition: 'passesTotal >= 50 && passesAccuracy >= 90',
+    points: 'basePoints + floor(passesTotal / 25)',
+    confidence: 'clamp(0.7 + (passesAccuracy - 90) * 0.02, 0.7, 0.95)',
+    params: { keyMetrics: ['passesTotal', 'passesAccuracy'] }
+  },
+  'Poacher': {
+    rarity: 'COMMON',
+    description: 'Scored with almost every shot on target',
+    condition: 'goals > 0 && goals >= shotsOn - 1 && shotsTotal <= 4',
+    points: 'basePoints + goals * 4',
+    confidence: 'clamp(0.7 + goals / max(shotsTotal, 1) * 0.25, 0.7, 0.95)',
+    params: { keyMetrics: ['goals', 'shotsOn', 'shotsTotal'] }
+  },
+  'Winger': {
+    rarity: 'COMMON',
+    description: 'Forward beating men and creating chances',
+    condition: 'isForward && dribblesSuccess >= 2 && passesKey >= 2',
+    points: 'basePoints + dribblesSuccess + passesKey',
+    confidence: 'clamp(0.65 + (dribblesSuccess + passesKey) * 0.03, 0.7, 0.95)',
+    params: { keyMetrics: ['dribblesSuccess', 'passesKey'] }
+  },
+  'Midfielder': {
+    rarity: 'COMMON',
+    description: 'Full midfield shift contributing both ways',
+    condition: 'isMidfielder && minutes >= 75 && passesTotal >= 40 && tacklesTotal + interceptions >= 3',
+    points: 'basePoints + floor(passesTotal / 20) + tacklesTotal + interceptions',
+    confidence: 'clamp(0.6 + passesAccuracy / 500 + rating / 100, 0.7, 0.95)',
+    params: { keyMetrics: ['passesTotal', 'tacklesTotal', 'interceptions'] }
+  },
+
+  'False 9': {
+    rarity: 'RARE',
+    description: 'Forward who both creates and scores',
+    condition: 'isForward && passesKey >= 2 && (goals + assists) >= 1 && passesTotal >= 25',
+    points: 'basePoints + goals * 5 + assists * 5 + passesKey',
+    confidence: 'clamp(0.75 + passesKey * 0.03 + (goals + assists) * 0.04, 0.8, 0.97)',
+    params: { basePoints: 7, minThreshold: 0.8, keyMetrics: ['passesKey', 'goals', 'assists'] }
+  },
+  'Inverted Winger': {
+    rarity: 'RARE',
+    description: 'Forward who dribbles in and shoots on target',
+    condition: 'isForward && dribblesSuccess >= 3 && shotsOn >= 2',
+    points: 'basePoints + dribblesSuccess + goals * 5',
+    confidence: 'clamp(0.75 + dribblesSuccess * 0.02 + goals * 0.05, 0.8, 0.97)',
+    params: { keyMetrics: ['dribblesSuccess', 'shotsOn', 'goals'] }
+  },
+  'Box-to-Box Engine': {
+    rarity: 'RARE',
+    description: 'Full 90 minutes with a shot, a tackle and a high duel count',
+    condition: 'isMidfielder && minutes >= 85 && duelsTotal >= 12 && tacklesTotal >= 2 && shotsTotal >= 1',
+    points: 'basePoints + floor(duelsWon / 2) + goals * 5 + assists * 4',
+    confidence: 'clamp(0.7 + duelsWon / max(duelsTotal, 1) * 0.25, 0.8, 0.97)',
+    params: { keyMetrics: ['duelsTotal', 'duelsWon', 'tacklesTotal', 'shotsTotal'] }
+  },
+  'Sweeper Keeper': {
+    rarity: 'RARE',
+    description: 'Goalkeeper involved in build-up and defending',
+    condition: 'isGoalkeeper && passesTotal >= 30 && passesAccuracy >= 80 && (interceptions + tacklesTotal) >= 1',
+    points: 'basePoints + interceptions * 2 + tacklesTotal * 2 + (conceded == 0 ? 3 : 0)',
+    confidence: 'clamp(0.75 + (passesAccuracy - 80) * 0.01, 0.8, 0.97)',
+    params: { keyMetrics: ['passesTotal', 'passesAccuracy', 'interceptions'] }
+  },
+  'Deep Playmaker': {
+    rarity: 'RARE',
+    description: 'Midfielder dictating with volume, accuracy and key passes',
+    condition: 'isMidfielder && passesTotal >= 60 && passesAccuracy >= 88 && passesKey >= 2',
+    points: 'basePoints + passesKey * 2 + assists * 5',
+    confidence: 'clamp(0.75 + (passesAccuracy - 88) * 0.01 + passesKey * 0.02, 0.8, 0.97)',
+    params: { keyMetrics: ['passesTotal', 'passesAccuracy', 'passesKey'] }
+  },
+  'Wing Back': {
+    rarity: 'RARE',
+    description: 'Defender creating chances without neglecting defence',
+    condition: 'isDefender && (passesKey >= 2 || assists > 0) && tacklesTotal + interceptions >= 3',
+    points: 'basePoints + assists * 6 + passesKey * 2 + tacklesTotal',
+    confidence: 'clamp(0.75 + assists * 0.08 + passesKey * 0.02, 0.8, 0.97)',
+    params: { keyMetrics: ['passesKey', 'assists', 'tacklesTotal', 'interceptions'] }
+  },
+  'Target Man': {
+    rarity: 'RARE',
+    description: 'Forward dominating duels and drawing fouls',
+    condition: 'isForward && duelsWon >= 8 && foulsDrawn >= 3',
+    points: 'basePoints + duelsWon - 8 + foulsDrawn + goals * 4',
+    confidence: 'clamp(0.7 + duelsWon / max(duelsTotal, 1) * 0.25, 0.8, 0.97)',
+    params: { keyMetrics: ['duelsWon', 'foulsDrawn', 'goals'] }
+  },
+  'Regista': {
+    rarity: 'RARE',
+    description: 'Deep midfielder combining elite passing with defensive reads',
+    condition: 'isMidfielder && passesTotal >= 70 && passesAccuracy >= 90 && interceptions >= 2',
+    points: 'basePoints + interceptions + passesKey * 2',
+    confidence: 'clamp(0.78 + (passesAccuracy - 90) * 0.015 + interceptions * 0.01, 0.8, 0.97)',
+    params: { keyMetrics: ['passesTotal', 'passesAccuracy', 'interceptions', 'passesKey'] }
+  },
+
+  'Total Football': {
+    rarity: 'LEGENDARY',
+    description: 'Contributed in attack, creation and defence in one match',
+    metrics: {
+      attacking: 'goals + shotsOn / 2',
+      creative: 'assists + passesKey / 2',
+      defensive: '(tacklesTotal + interceptions) / 2'
+    },
+    condition: 'minutes >= 60 && attacking >= 1 && creative >= 1 && defensive >= 1.5 && passesAccuracy >= 80',
+    points: 'basePoints + goals * 5 + assists * 4 + tacklesTotal + interceptions',
+    confidence: 'clamp(0.8 + min(attacking, creative, defensive) * 0.05, 0.85, 0.98)',
+    params: { basePoints: 12, minThreshold: 0.85, keyMetrics: ['goals', 'assists', 'passesKey', 'tacklesTotal', 'interceptions'] }
+  },
+  'Tiki-Taka Maestro': {
+    rarity: 'LEGENDARY',
+    description: '90+ passes at 93% or better with chances created',
+    condition: 'passesTotal >= 90 && passesAccuracy >= 93 && passesKey >= 2',
+    points: 'basePoints + floor(passesTotal / 30) + passesKey * 2',
+    confidence: 'clamp(0.82 + (passesAccuracy - 93) * 0.02, 0.85, 0.98)',
+    params: { keyMetrics: ['passesTotal', 'passesAccuracy', 'passesKey'] }
+  },
+
+  'Game Changer': {
+    rarity: 'MYTHIC',
+    description: 'Decisive: three goal contributions, or two from the bench, at an elite rating',
+    metrics: { contributions: 'goals + assists' },
+    condition: 'rating >= 8.5 && (contributions >= 3 || (isSubstitute && contributions >= 2))',
+    points: 'basePoints + goals * 8 + assists * 6',
+    confidence: 'clamp(0.85 + (rating - 8.5) * 0.05 + contributions * 0.02, 0.9, 0.99)',
+    params: { basePoints: 20, minThreshold: 0.9, keyMetrics: ['goals', 'assists', 'rating'] }
+  }
+};
+
+async function seedRules() {
+  try {
+    console.log('Seeding style activation rules...');
+
+    let seeded = 0;
+    for (const [name, { rarity, params, ...rule }] of Object.entries(rules)) {
+      const style = await prisma.style.findUnique({ where: { name } });
+      if (!style) {
+        console.log(`- ${name}: style not found, run seedStyles first`);
+        continue;
+      }
+
+      const data = {
+        ...rule,
+        metrics: rule.metrics || {},
+        params: { ...RARITY_PARAMS[rarity], ...params }
+      };
+
+      await prisma.styleRule.upsert({
+        where: { styleId: style.id },
+        update: { ...data, version: { increment: 1 } },
+        create: { styleId: style.id, ...data }
+      });
+      seeded++;
+      console.log(`✓ ${name}`);
+    }
+
+    console.log(`\n🎉 Seeded ${seeded} style rules`);
+  } catch (error) {
+    console.error('Error seeding style rules:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  seedRules();
+}
+
+module.exports = { seedRules, rules };
@@ -4,10 +4,10 @@ const prisma = new PrismaClient();
 
 const styles = [
   // Common Styles (15)
-  { name: 'Clinical Finisher', description: 'Deadly in front of goal with precise finishing', rarity: 'COMMON', category: 'Attacking' },
-  { name: 'Speedster', description: 'Lightning pace to outrun defenders', rarity: 'COMMON', category: 'Physical' },
+  { name: 'Clinical Finisher', description: 'Deadly in front of goal with precise finishing', rarity: 'COMMON', category: 'Attacking', bonusMultiplier: 1.0 },
+  { name: 'Speedster', description: 'Lightning pace to outrun defenders', rarity: 'COMMON', category: 'Physical', bonusMultiplier: 1.2 },
   { name: 'Aerial Threat', description: 'Dominates in the air for headers and crosses', rarity: 'COMMON', category: 'Physical' },
-  { name: 'Ball Winner', description: 'Excels at tackles and interceptions', rarity: 'COMMON', category: 'Defensive' },
+  { name: 'Ball Winner', description: 'Excels at tackles and interceptions', rarity: 'COMMON', category: 'Defensive', bonusMultiplier: 1.1 },
   { name: 'Playmaker', description: 'Creates chances with vision and passing', rarity: 'COMMON', category: 'Creative' },
   { name: 'Dribbler', description: 'Beats defenders with skill and close control', rarity: 'COMMON', category: 'Technical' },
   { name: 'Shot Stopper', description: 'Goalkeeper with exceptional reflexes', rarity: 'COMMON', category: 'Goalkeeping' },
@@ -21,7 +21,7 @@ const styles = [
   { name: 'Midfielder', description: 'Controls the tempo from the center', rarity: 'COMMON', category: 'Central' },
 
   // Rare Styles (8)
-  { name: 'False 9', description: 'Drops deep to create space and link play', rarity: 'RARE', category: 'Tactical' },
+  { name: 'False 9', description: 'Drops deep to create space and link play', rarity: 'RARE', category: 'Tactical', bonusMultiplier: 1.3 },
   { name: 'Inverted Winger', description: 'Cuts inside from wide to create danger', rarity: 'RARE', category: 'Tactical' },
   { name: 'Box-to-Box Engine', description: 'Covers every blade of grass with energy', rarity: 'RARE', category: 'Physical' },
   { name: 'Sweeper Keeper', description: 'Goalkeeper who acts as extra defender', rarity: 'RARE', category: 'Goalkeeping' },
@@ -31,11 +31,11 @@ const styles = [
   { name: 'Regista', description: 'Deep-lying playmaker with exceptional vision', rarity: 'RARE', category: 'Creative' },
 
   // Legendary Styles (2)
-  { name: 'Total Football', description: 'Can play any position with equal skill', rarity: 'LEGENDARY', category: 'Tactical' },
+  { name: 'Total Football', description: 'Can play any position with equal skill', rarity: 'LEGENDARY', category: 'Tactical', bonusMultiplier: 1.8 },
   { name: 'Tiki-Taka Maestro', description: 'Masters the art of possession football', rarity: 'LEGENDARY', category: 'Technical' },
 
   // Mythic Style (1)
-  { name: 'Game Changer', description: 'Single-handedly changes the outcome of matches', rarity: 'MYTHIC', category: 'Mental' }
+  { name: 'Game Changer', description: 'Single-handedly changes the outcome of matches', rarity: 'MYTHIC', category: 'Mental', bonusMultiplier: 2.5 }
 ];
 
 async function seedStyles() {
@@ -0,0 +1,44 @@
+const { PrismaClient } = require('@prisma/client');
+const { ROLES } = require('../utils/permissions');
+
+const prisma = new PrismaClient();
+
+// Usage: node src/scripts/setRole.js <email|username> <USER|MODERATOR|ADMIN>
+async function setRole(login, role) {
+  try {
+    if (!login || !ROLES.includes(role)) {
+      console.error(`Usage: node src/scripts/setRole.js <email|username> <${ROLES.join('|')}>`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const user = await prisma.user.findFirst({
+      where: { OR: [{ email: login }, { username: login }] }
+    });
+
+    if (!user) {
+      console.error(`❌ No user found for ${login}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { role }
+    });
+
+    console.log(`✓ ${user.username} is now ${role}`);
+  } catch (error) {
+    console.error('Error setting role:', error);
+    process.exitCode = 1;
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  setRole(process.argv[2], process.argv[3]);
+}
+
+module.exports = { setRole };
@@ -0,0 +1,58 @@
+const calendarService = require('../services/calendarService');
+const FootballApiService = require('../services/footballApi');
+
+const USAGE = 'Usage: node src/scripts/syncCalendar.js [--fixtures=<leagueId>:<season> ...] [--league=<leagueId>]';
+
+// --fixtures pulls a competition's fixture list from the provider first
+// (e.g. --fixtures=39:2026 for the 2026-27 Premier League); --league limits
+// the rebuild to one competition by provider league id
+function parseArgs(argv) {
+  const options = { fixtures: [] };
+
+  for (const arg of argv) {
+    if (arg.startsWith('--fixtures=')) {
+      const [league, season] = arg.slice(11).split(':');
+      if (!league || !season) throw new Error(`Invalid fixtures option ${arg}`);
+      options.fixtures.push({ league, season });
+    } else if (arg.startsWith('--league=')) {
+      options.league = arg.slice(9);
+    } else {
+      throw new Error(`Unknown option ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+async function syncCalendar(argv) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const footballApi = new FootballApiService();
+    for (const { league, season } of options.fixtures) {
+      const matches = await footballApi.fetchFixtures({ league, season });
+      console.log(`✓ Stored ${matches.length} fixtures for league ${league}, season ${season}`);
+    }
+
+    const summary = await calendarService.rebuild({ league: options.league });
+    console.table(summary.leagues);
+    console.log(`✓ Calendar rebuilt: ${summary.seasons} seasons, ${summary.gameweeks} gameweeks`);
+  } catch (error) {
+    console.error('❌ Calendar sync failed:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  syncCalendar(process.argv.slice(2)).finally(() => process.exit());
+}
+
+module.exports = { syncCalendar };
@@ -0,0 +1,297 @@
+const archiver = require('archiver');
+const { PrismaClient } = require('@prisma/client');
+const emailService = require('./emailService');
+const auditService = require('./auditService');
+const { sanitizeForLog } = require('../utils/sanitize');
+
+const prisma = new PrismaClient();
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+const DELETED_DISPLAY_NAME = 'Deleted user';
+const REDACTED = 'redacted';
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const accountError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Account Service
+ * Personal data export and account deletion. Deleted accounts are anonymised
+ * rather than removed: cards, trades, transactions and tournament results
+ * stay in place because other users' history and card provenance depend on
+ * them.
+ */
+class AccountService {
+  /**
+   * Collect everything we hold about a user, grouped by section
+   */
+  async collectExportData(userId) {
+    const [
+      user,
+      styles,
+      transactions,
+      preorders,
+      tournamentEntries,
+      listings,
+      purchases,
+      sessions,
+      securityEvents,
+      apiKeys,
+      pointAdjustments,
+      activationAwards
+    ] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          walletAddress: true,
+          walletVerifiedAt: true,
+          role: true,
+          isVerified: true,
+          emailVerifiedAt: true,
+          twoFactorEnabled: true,
+          deletionRequestedAt: true,
+          deletionScheduledFor: true,
+          createdAt: true,
+          updatedAt: true,
+          profile: true
+        }
+      }),
+      prisma.userStyle.findMany({
+        where: { userId },
+        include: {
+          style: {
+            select: { id: true, name: true, rarity: true, category: true }
+          }
+        }
+      }),
+      prisma.transaction.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.preOrder.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.tournamentEntry.findMany({
+        where: { userId },
+        include: {
+          tournament: {
+            select: { id: true, name: true, startDate: true, endDate: true, status: true }
+          }
+        }
+      }),
+      prisma.marketplaceListing.findMany({
+        where: { sellerId: userId },
+        orderBy: { listedAt: 'asc' }
+      }),
+      prisma.marketplaceListing.findMany({
+        where: { buyerId: userId },
+        orderBy: { soldAt: 'asc' }
+      }),
+      prisma.session.findMany({
+        where: { userId },
+        select: { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, revokedAt: true }
+      }),
+      prisma.securityEvent.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.apiKey.findMany({
+        where: { userId },
+        select: { id: true, name: true, prefix: true, scopes: true, createdAt: true, expiresAt: true, lastUsedAt: true, revokedAt: true }
+      }),
+      prisma.pointAdjustment.findMany({
+        where: { userId },
+        include: { correction: true },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.activationAward.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    if (!user) {
+      throw accountError('User not found', 'USER_NOT_FOUND', 404);
+    }
+
+    const { profile, ...account } = user;
+
+    return {
+      account,
+      profile,
+      styles,
+      pointAwards: activationAwards,
+      pointCorrections: pointAdjustments,
+      transactions,
+      preorders,
+      tournaments: tournamentEntries,
+      marketplace: { listings, purchases },
+      security: { sessions, events: securityEvents, apiKeys }
+    };
+  }
+
+  /**
+   * Write a zip archive of the user's data to `output` (e.g. the response)
+   */
+  async writeExportArchive(userId, output) {
+    const data = await this.collectExportData(userId);
+    const exportedAt = new Date().toISOString();
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.pipe(output);
+
+    archive.append(
+      `Jogata data export for ${data.account.username}\nGenerated ${exportedAt}\n\nEach JSON file holds one part of your account data.\n`,
+      { name: 'README.txt' }
+    );
+
+    for (const [section, content] of Object.entries(data)) {
+      archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    }
+
+    await archive.finalize();
+  }
+
+  /**
+   * Schedule the account for anonymisation after the grace period
+   */
+  async requestDeletion(user) {
+    if (user.deletionScheduledFor) {
+      throw accountError('Account deletion already requested', 'DELETION_ALREADY_REQUESTED', 409);
+    }
+
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          deletionRequestedAt: new Date(),
+          deletionScheduledFor: scheduledFor
+        }
+      }),
+      // Integrations stop working straight away
+      prisma.apiKey.updateMany({
+        where: { userId: user.id, revokedAt: null },
+        data: { revokedAt: new Date() }
+      })
+    ]);
+
+    if (user.email) {
+      try {
+        await emailService.sendAccountDeletionScheduledEmail(user, scheduledFor);
+      } catch (mailError) {
+        console.error('Deletion scheduled email error:', mailError);
+      }
+    }
+
+    return { scheduledFor };
+  }
+
+  async cancelDeletion(userId) {
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: userId,
+        deletedAt: null,
+        deletionScheduledFor: { not: null }
+      },
+      data: {
+        deletionRequestedAt: null,
+        deletionScheduledFor: null
+      }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Strip personal data from an account while keeping the rows other users'
+   * history points at. Audit entries are append-only and stay as they are:
+   * they name the user by id, plus the IP and user agent of each request.
+   */
+  async anonymiseUser(userId) {
+    await prisma.$transaction([
+      prisma.marketplaceListing.updateMany({
+        where: { sellerId: userId, status: 'ACTIVE' },
+        data: { status: 'CANCELLED' }
+      }),
+      prisma.preOrder.updateMany({
+        where: { userId },
+        data: { walletAddress: REDACTED }
+      }),
+      prisma.session.deleteMany({ where: { userId } }),
+      prisma.verificationToken.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.securityEvent.deleteMany({ where: { userId } }),
+      prisma.apiKey.deleteMany({ where: { userId } }),
+      prisma.userProfile.updateMany({
+        where: { userId },
+        data: {
+          displayName: DELETED_DISPLAY_NAME,
+          avatar: null,
+          bio: null,
+          country: null
+        }
+      }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          email: null,
+          username: `deleted_${userId}`,
+          password: null,
+          walletAddress: null,
+          walletVerifiedAt: null,
+          role: 'USER',
+          permissions: [],
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null,
+          isVerified: false,
+          emailVerifiedAt: null,
+          deletionScheduledFor: null,
+          deletedAt: new Date()
+        }
+      })
+    ]);
+  }
+
+  /**
+   * Anonymise every account whose grace period has ended
+   */
+  async processDueDeletions() {
+    const dueUsers = await prisma.user.findMany({
+      where: {
+        deletedAt: null,
+        deletionScheduledFor: { lte: new Date() }
+      },
+      select: { id: true }
+    });
+
+    let processed = 0;
+    for (const { id } of dueUsers) {
+      try {
+        await this.anonymiseUser(id);
+        await auditService.record(null, {
+          action: 'account.anonymise',
+          targetType: 'User',
+          targetId: id
+        });
+        processed++;
+      } catch (error) {
+        console.error(`Failed to anonymise user ${sanitizeForLog(id)}:`, error);
+      }
+    }
+
+    return { due: dueUsers.length, processed };
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,101 @@
+const { PassThrough } = require('stream');
+
+const mockPrisma = {
+  user: { findUnique: jest.fn() },
+  userStyle: { findMany: jest.fn() },
+  transaction: { findMany: jest.fn() },
+  preOrder: { findMany: jest.fn() },
+  tournamentEntry: { findMany: jest.fn() },
+  marketplaceListing: { findMany: jest.fn() },
+  session: { findMany: jest.fn() },
+  securityEvent: { findMany: jest.fn() },
+  apiKey: { findMany: jest.fn() },
+  pointAdjustment: { findMany: jest.fn() },
+  activationAward: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  ...jest.requireActual('@prisma/client'),
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('./emailService', () => ({}));
+jest.mock('./auditService', () => ({}));
+
+const { Prisma } = require('@prisma/client');
+const accountService = require('./accountService');
+
+const relationsOf = (modelName) => Prisma.dmmf.datamodel.models
+  .find(model => model.name === modelName).fields
+  .filter(field => field.kind === 'object')
+  .map(field => field.name);
+
+const card = {
+  id: 'card-1',
+  serialNumber: 7,
+  points: 120,
+  style: { id: 'style-1', name: 'Maestro', rarity: 'RARE', category: 'Playmaking' }
+};
+
+describe('accountService export', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    for (const delegate of Object.values(mockPrisma)) {
+      delegate.findMany?.mockResolvedValue([]);
+    }
+    mockPrisma.user.findUnique.mockResolvedValue({ id: 'user-1', username: 'ana', email: 'ana@example.com', profile: { displayName: 'Ana' } });
+    mockPrisma.userStyle.findMany.mockResolvedValue([card]);
+  });
+
+  test('includes cards through their style relation', async () => {
+    await accountService.collectExportData('user-1');
+
+    const { where, include } = mockPrisma.userStyle.findMany.mock.calls[0][0];
+    expect(where).toEqual({ userId: 'user-1' });
+    expect(Object.keys(include).every(name => relationsOf('UserStyle').includes(name))).toBe(true);
+    expect(include.style.select).toEqual({ id: true, name: true, rarity: true, category: true });
+  });
+
+  test('groups the data by section', async () => {
+    const data = await accountService.collectExportData('user-1');
+
+    expect(data.account).toEqual({ id: 'user-1', username: 'ana', email: 'ana@example.com' });
+    expect(data.profile).toEqual({ displayName: 'Ana' });
+    expect(data.styles).toEqual([card]);
+    expect(Object.keys(data)).toEqual([
+      'account', 'profile', 'styles', 'pointAwards', 'pointCorrections', 'transactions',
+      'preorders', 'tournaments', 'marketplace', 'security'
+    ]);
+  });
+
+  test('never exports secrets', async () => {
+    await accountService.collectExportData('user-1');
+
+    const { select } = mockPrisma.user.findUnique.mock.calls[0][0];
+    expect(select).not.toHaveProperty('password');
+    expect(select).not.toHaveProperty('twoFactorSecret');
+    expect(mockPrisma.session.findMany.mock.calls[0][0].select).not.toHaveProperty('refreshTokenHash');
+    expect(mockPrisma.apiKey.findMany.mock.calls[0][0].select).not.toHaveProperty('keyHash');
+  });
+
+  test('fails for an unknown user', async () => {
+    mockPrisma.user.findUnique.mockResolvedValueOnce(null);
+
+    await expect(accountService.collectExportData('missing')).rejects.toMatchObject({ code: 'USER_NOT_FOUND', statusCode: 404 });
+  });
+
+  test('writes a zip with a file per section', async () => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => output.on('end', resolve));
+
+    await accountService.writeExportArchive('user-1', output);
+    await ended;
+
+    const archive = Buffer.concat(chunks).toString('latin1');
+    expect(archive.startsWith('PK')).toBe(true);
+    for (const name of ['README.txt', 'account.json', 'styles.json', 'security.json']) {
+      expect(archive).toContain(name);
+    }
+  });
+});
@@ -0,0 +1,198 @@
+const { PrismaClient } = require('@prisma/client');
+const { compile } = require('../utils/expression');
+const { STAT_FIELDS } = require('../utils/matchStats');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const RULE_CACHE_TTL_MS = 60 * 1000;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const ruleError = (message, code = 'INVALID_RULE', statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Activation Rule Engine
+ * Evaluates a player's normalised match stats (see utils/matchStats) against
+ * every enabled StyleRule. A rule is:
+ *
+ *   metrics     named helper expressions, evaluated in order
+ *   condition   boolean expression; the style activates when true
+ *   points      points awarded (rounded, never negative)
+ *   confidence  0-1 score; must reach params.minThreshold when set
+ *   params      numeric constants usable in expressions (basePoints, ...)
+ */
+class ActivationRuleEngine {
+  constructor() {
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Compile a rule definition. Throws INVALID_RULE / INVALID_EXPRESSION with
+   * the offending field so the admin API can report it.
+   */
+  compileRule(rule) {
+    const params = rule.params || {};
+    const metrics = rule.metrics || {};
+
+    for (const [name, value] of Object.entries(params)) {
+      if (!IDENTIFIER.test(name) || STAT_FIELDS[name]) {
+        throw ruleError(`Invalid param name '${name}'`);
+      }
+      if (typeof value !== 'number' && !Array.isArray(value)) {
+        throw ruleError(`Param '${name}' must be a number`);
+      }
+    }
+
+    // Array params (e.g. keyMetrics) are documentation, not variables
+    const variables = [
+      ...Object.keys(STAT_FIELDS),
+      ...Object.keys(params).filter(name => typeof params[name] === 'number')
+    ];
+
+    const compileField = (field, source) => {
+      try {
+        return compile(source, { variables });
+      } catch (error) {
+        error.message = `${field}: ${error.message}`;
+        error.field = field;
+        throw error;
+      }
+    };
+
+    const compiledMetrics = Object.entries(metrics).map(([name, source]) => {
+      if (!IDENTIFIER.test(name) || variables.includes(name)) {
+        throw ruleError(`Invalid metric name '${name}'`);
+      }
+      const compiled = compileField(`metrics.${name}`, source);
+      // Later metrics may build on earlier ones
+      variables.push(name);
+      return { name, compiled };
+    });
+
+    return {
+      ...rule,
+      compiled: {
+        metrics: compiledMetrics,
+        condition: compileField('condition', rule.condition),
+        points: compileField('points', rule.points),
+        confidence: compileField('confidence', rule.confidence)
+      }
+    };
+  }
+
+  /**
+   * Evaluate one compiled rule against normalised stats
+   */
+  evaluateRule(rule, stats) {
+    const params = rule.params || {};
+    const scope = { ...stats };
+    for (const [name, value] of Object.entries(params)) {
+      if (typeof value === 'number') scope[name] = value;
+    }
+
+    const metrics = {};
+    for (const { name, compiled } of rule.compiled.metrics) {
+      scope[name] = Number(compiled.evaluate(scope));
+      metrics[name] = scope[name];
+    }
+
+    if (!rule.compiled.condition.evaluate(scope)) {
+      return { matched: false, metrics };
+    }
+
+    const points = Number(rule.compiled.points.evaluate(scope));
+    const confidence = Number(rule.compiled.confidence.evaluate(scope));
+
+    if (!Number.isFinite(points) || !Number.isFinite(confidence)) {
+      throw ruleError('Rule produced a non-numeric result', 'RULE_EVALUATION_FAILED', 500);
+    }
+
+    const result = {
+      matched: true,
+      points: Math.max(0, Math.round(points)),
+      confidence: round(Math.min(Math.max(confidence, 0), 1), 3),
+      metrics
+    };
+
+    if (typeof params.minThreshold === 'number' && result.confidence < params.minThreshold) {
+      return { ...result, matched: false, reason: 'BELOW_THRESHOLD' };
+    }
+
+    return result;
+  }
+
+  /**
+   * Enabled rules, compiled and cached. Rules that fail to compile are
+   * skipped (and logged) so one bad edit can't stop match processing.
+   */
+  async getRules({ refresh = false } = {}) {
+    if (!refresh && this.cache && Date.now() - this.cachedAt < RULE_CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const rules = await prisma.styleRule.findMany({
+      where: { enabled: true },
+      include: {
+        style: {
+          select: { id: true, name: true, rarity: true }
+        }
+      }
+    });
+
+    this.cache = rules.flatMap(rule => {
+      try {
+        return [this.compileRule(rule)];
+      } catch (error) {
+        logger.error(`Skipping style rule for ${rule.style.name}: ${error.message}`);
+        return [];
+      }
+    });
+    this.cachedAt = Date.now();
+
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Every style a player's match stats activate
+   */
+  async evaluate(stats, { rules } = {}) {
+    const activeRules = rules || await this.getRules();
+    const activations = [];
+
+    for (const rule of activeRules) {
+      try {
+        const result = this.evaluateRule(rule, stats);
+        if (result.matched) {
+          activations.push({
+            styleId: rule.styleId,
+            styleName: rule.style?.name,
+            ruleId: rule.id,
+            ruleVersion: rule.version,
+            points: result.points,
+            confidence: result.confidence,
+            metrics: result.metrics
+          });
+        }
+      } catch (error) {
+        logger.error(`Style rule ${rule.id} failed to evaluate: ${error.message}`);
+      }
+    }
+
+    return activations;
+  }
+}
+
+module.exports = new ActivationRuleEngine();
@@ -0,0 +1,53 @@
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => ({})) }));
+
+const activationRuleEngine = require('./activationRuleEngine');
+const { rules: seededRules } = require('../scripts/seedRules');
+
+const rule = (fields) => ({
+  condition: 'goals > 0',
+  points: 'goals * basePoints',
+  confidence: '0.9',
+  params: { basePoints: 10 },
+  ...fields
+});
+
+describe('activationRuleEngine.compileRule', () => {
+  test.each(Object.entries(seededRules))('compiles the seeded %s rule', (name, { params, ...fields }) => {
+    expect(() => activationRuleEngine.compileRule({ ...fields, params: { basePoints: 1, minThreshold: 0.5, ...params } })).not.toThrow();
+  });
+
+  test.each([
+    ['points', 'min()'],
+    ['confidence', 'clamp(goals / 3)'],
+    ['condition', 'abs(goals, assists) > 0']
+  ])('rejects a %s calling a function with the wrong arguments', (field, source) => {
+    expect.assertions(3);
+    try {
+      activationRuleEngine.compileRule(rule({ [field]: source }));
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.field).toBe(field);
+      expect(error.message).toMatch(new RegExp(`^${field}: '\\w+' takes`));
+    }
+  });
+
+  test('names the metric that fails to compile', () => {
+    expect(() => activationRuleEngine.compileRule(rule({ metrics: { ratio: 'max()' } })))
+      .toThrow("metrics.ratio: 'max' takes at least 1 argument, got 0");
+  });
+
+  test('evaluates a compiled rule', () => {
+    const compiled = activationRuleEngine.compileRule(rule({
+      metrics: { share: 'goals / max(shotsTotal, 1)' },
+      confidence: 'clamp(0.5 + share, 0, 0.95)'
+    }));
+
+    expect(activationRuleEngine.evaluateRule(compiled, { goals: 2, shotsTotal: 4 })).toEqual({
+      matched: true,
+      points: 20,
+      confidence: 0.95,
+      metrics: { share: 0.5 }
+    });
+    expect(activationRuleEngine.evaluateRule(compiled, { goals: 0 }).matched).toBe(false);
+  });
+});
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { generateRandomToken, hashToken } = require('../utils/crypto');
+const { getGrantableScopes } = require('../utils/permissions');
+
+const prisma = new PrismaClient();
+
+const KEY_PREFIX = 'jgk';
+const DEFAULT_EXPIRY_DAYS = 90;
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT || '60');
+// Don't write lastUsedAt on every request from a busy bot
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const apiKeyError = (message, code, statusCode = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Fields that are safe to return; the key hash never leaves this service
+const API_KEY_SELECT = {
+  id: true,
+  userId: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  rateLimit: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  lastUsedIp: true,
+  revokedAt: true,
+  createdAt: true
+};
+
+/**
+ * API Key Service
+ * Long-lived, scoped credentials for bots and partner integrations. Keys look
+ * like `jgk_<prefix>_<secret>`; only a SHA-256 hash is stored, and the plain
+ * key is returned once at creation.
+ */
+class ApiKeyService {
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(`${KEY_PREFIX}_`);
+  }
+
+  /**
+   * Create a key for `owner`. Scopes must all be grantable by the owner.
+   */
+  async create(owner, { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS, rateLimit = DEFAULT_RATE_LIMIT }) {
+    const grantable = getGrantableScopes(owner);
+    const notAllowed = scopes.filter(scope => !grantable.includes(scope));
+
+    if (notAllowed.length > 0) {
+      const error = apiKeyError('Scopes not allowed for this account', 'SCOPE_NOT_ALLOWED', 403);
+      error.details = notAllowed;
+      throw error;
+    }
+
+    const prefix = crypto.randomBytes(4).toString('hex');
+    const key = `${KEY_PREFIX}_${prefix}_${generateRandomToken()}`;
+
+    const apiKey = await prisma.apiKey.create({
+      data: {
+        userId: owner.id,
+        name,
+        prefix,
+        keyHash: hashToken(key),
+        scopes: [...new Set(scopes)],
+        rateLimit,
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      },
+      select: API_KEY_SELECT
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Resolve a presented key to its record and owner
+   */
+  async authenticate(key, { ipAddress } = {}) {
+    if (!this.isApiKey(key)) {
+      throw apiKeyError('Invalid API key', 'INVALID_API_KEY');
+    }
+
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { keyHash: hashToken(key) },
+      include: {
+        user: {
+          include: { profile: true }
+        }
+      }
+    });
+
+    if (!apiKey) {
+      throw apiKeyError('Invalid API key', 'INVALID_API_KEY');
+    }
+
+    if (apiKey.revokedAt) {
+      throw apiKeyError('API key has been revoked', 'API_KEY_REVOKED');
+    }
+
+    if (apiKey.expiresAt < new Date()) {
+      throw apiKeyError('API key expired', 'API_KEY_EXPIRED');
+    }
+
+    const { user, keyHash, ...record } = apiKey;
+    await this.touch(record, ipAddress);
+
+    return { apiKey: record, user };
+  }
+
+  async touch(apiKey, ipAddress) {
+    const threshold = new Date(Date.now() - LAST_USED_RESOLUTION_MS);
+
+    await prisma.apiKey.updateMany({
+      where: {
+        id: apiKey.id,
+        OR: [
+          { lastUsedAt: null },
+          { lastUsedAt: { lt: threshold } }
+        ]
+      },
+      data: {
+        lastUsedAt: new Date(),
+        lastUsedIp: ipAddress || null
+      }
+    });
+  }
+
+  async list({ userId, includeRevoked = false } = {}) {
+    return prisma.apiKey.findMany({
+      where: {
+        ...(userId && { userId }),
+        ...(!includeRevoked && { revokedAt: null })
+      },
+      select: API_KEY_SELECT,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke a key. Pass `userId` to restrict to keys owned by that user.
+   */
+  async revoke(id, { userId } = {}) {
+    const { count } = await prisma.apiKey.updateMany({
+      where: {
+        id,
+        revokedAt: null,
+        ...(userId && { userId })
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    return count > 0;
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -0,0 +1,84 @@
+const mockPrisma = {
+  apiKey: {
+    create: jest.fn(async ({ data }) => ({ id: 'key-1', ...data })),
+    findUnique: jest.fn(),
+    updateMany: jest.fn()
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const apiKeyService = require('./apiKeyService');
+const { hashToken } = require('../utils/crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const owner = { id: 'user-1', role: 'USER', permissions: [] };
+
+describe('ApiKeyService.create', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('returns the key once and stores only its hash', async () => {
+    const { apiKey, key } = await apiKeyService.create(owner, { name: 'Bot', scopes: ['profile:read', 'profile:read'] });
+
+    expect(key).toMatch(new RegExp(`^jgk_${apiKey.prefix}_`));
+    const { data, select } = mockPrisma.apiKey.create.mock.calls[0][0];
+    expect(data.keyHash).toBe(hashToken(key));
+    expect(data.scopes).toEqual(['profile:read']);
+    expect(data.expiresAt.getTime()).toBeGreaterThan(Date.now() + 89 * DAY_MS);
+    expect(select.keyHash).toBeUndefined();
+  });
+
+  test('refuses scopes that are permissions the owner lacks', async () => {
+    await expect(apiKeyService.create(owner, { name: 'Bot', scopes: ['profile:read', 'internal:process-matches'] }))
+      .rejects.toMatchObject({ code: 'SCOPE_NOT_ALLOWED', statusCode: 403, details: ['internal:process-matches'] });
+    expect(mockPrisma.apiKey.create).not.toHaveBeenCalled();
+  });
+
+  test('lets owners holding a permission grant it as a scope', async () => {
+    const moderator = { ...owner, role: 'MODERATOR' };
+
+    await expect(apiKeyService.create(moderator, { name: 'Stats', scopes: ['preorders:stats'] })).resolves.toHaveProperty('key');
+  });
+});
+
+describe('ApiKeyService.authenticate', () => {
+  const KEY = 'jgk_0a1b2c3d_secret';
+  const stored = (extra = {}) => ({
+    id: 'key-1',
+    keyHash: hashToken(KEY),
+    scopes: ['profile:read'],
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + DAY_MS),
+    user: { id: 'user-1' },
+    ...extra
+  });
+
+  beforeEach(() => jest.clearAllMocks());
+
+  test('resolves a live key to its owner without exposing the hash', async () => {
+    mockPrisma.apiKey.findUnique.mockResolvedValueOnce(stored());
+
+    const { apiKey, user } = await apiKeyService.authenticate(KEY, { ipAddress: '203.0.113.7' });
+
+    expect(mockPrisma.apiKey.findUnique.mock.calls[0][0].where).toEqual({ keyHash: hashToken(KEY) });
+    expect(user).toEqual({ id: 'user-1' });
+    expect(apiKey).not.toHaveProperty('keyHash');
+    expect(mockPrisma.apiKey.updateMany.mock.calls[0][0].data).toMatchObject({ lastUsedIp: '203.0.113.7' });
+  });
+
+  test.each([
+    ['an unknown key', null, 'INVALID_API_KEY'],
+    ['a revoked key', stored({ revokedAt: new Date() }), 'API_KEY_REVOKED'],
+    ['an expired key', stored({ expiresAt: new Date(Date.now() - 1000) }), 'API_KEY_EXPIRED']
+  ])('rejects %s', async (label, record, code) => {
+    mockPrisma.apiKey.findUnique.mockResolvedValueOnce(record);
+
+    await expect(apiKeyService.authenticate(KEY)).rejects.toMatchObject({ code, statusCode: 401 });
+    expect(mockPrisma.apiKey.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('does not look up values that are not API keys', async () => {
+    await expect(apiKeyService.authenticate('Bearer.jwt')).rejects.toMatchObject({ code: 'INVALID_API_KEY' });
+    expect(mockPrisma.apiKey.findUnique).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,103 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Drop undefined values and turn Dates into strings before storing as JSON
+const toJson = (value) => (value === undefined || value === null ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Fields that identify a person. Audit rows can never be rewritten, so
+// anonymising an account couldn't remove them later: snapshots refer to
+// users by id only.
+const PERSONAL_FIELDS = new Set([
+  'email',
+  'username',
+  'displayName',
+  'walletAddress',
+  'ipAddress',
+  'lastUsedIp',
+  'userAgent',
+  'password',
+  'twoFactorSecret'
+]);
+
+const withoutPersonalData = (value) => {
+  if (Array.isArray(value)) return value.map(withoutPersonalData);
+  if (!value || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !PERSONAL_FIELDS.has(key))
+    .map(([key, field]) => [key, withoutPersonalData(field)]));
+};
+
+const toSnapshot = (value) => withoutPersonalData(toJson(value));
+
+/**
+ * Audit Service
+ * Append-only record of privileged and financial actions: who did what to
+ * which record, its state before and after, and where the request came from.
+ * The audit_logs table rejects UPDATE and DELETE at the database level.
+ */
+class AuditService {
+  /**
+   * Record an action taken while handling `req` (pass null for jobs and
+   * scripts). Pass a transaction client to commit the entry atomically with
+   * the change it describes. Personal fields are dropped from `before`,
+   * `after` and `metadata`; the request's IP and user agent are kept on the
+   * entry as a security record.
+   */
+  async record(req, { action, targetType, targetId, before, after, metadata }, client = prisma) {
+    return client.auditLog.create({
+      data: {
+        actorType: this.getActorType(req),
+        actorId: req?.user?.id || null,
+        apiKeyId: req?.apiKey?.id || null,
+        action,
+        targetType,
+        targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        before: toSnapshot(before),
+        after: toSnapshot(after),
+        metadata: toSnapshot(metadata),
+        ipAddress: req?.ip || null,
+        userAgent: req?.get?.('User-Agent')?.slice(0, 512) || null,
+        requestId: req?.id || null
+      }
+    });
+  }
+
+  getActorType(req) {
+    if (req?.apiKey) return 'API_KEY';
+    if (req?.user) return 'USER';
+    return 'SYSTEM';
+  }
+
+  async list({ actorId, actorType, action, targetType, targetId, requestId, from, to, page = 1, limit = 50 } = {}) {
+    const where = {};
+    if (actorId) where.actorId = actorId;
+    if (actorType) where.actorType = actorType;
+    // `marketplace.` matches every marketplace action
+    if (action) where.action = action.endsWith('.') ? { startsWith: action } : action;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+    if (requestId) where.requestId = requestId;
+    if (from || to) {
+      where.createdAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      };
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip: (page - 1) * limit,
+        take: limit,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    return { entries, total };
+  }
+}
+
+module.exports = new AuditService();
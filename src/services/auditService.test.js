@@ -0,0 +1,105 @@
+const mockPrisma = {
+  auditLog: {
+    create: jest.fn(async ({ data }) => data),
+    findMany: jest.fn(async () => []),
+    count: jest.fn(async () => 0)
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const auditService = require('./auditService');
+
+const request = {
+  user: { id: 'user-1' },
+  ip: '203.0.113.7',
+  id: 'req-1',
+  get: (header) => (header === 'User-Agent' ? 'Mozilla/5.0' : undefined)
+};
+
+describe('AuditService.record', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('keeps personal data out of the stored snapshots', async () => {
+    const entry = await auditService.record(request, {
+      action: 'preorder.create',
+      targetType: 'PreOrder',
+      targetId: 'po-1',
+      after: {
+        id: 'po-1',
+        userId: 'user-1',
+        walletAddress: '0xabc',
+        packCount: 2,
+        user: { id: 'user-1', email: 'ana@example.com', username: 'ana' }
+      },
+      metadata: { sessions: [{ id: 's1', ipAddress: '198.51.100.1', userAgent: 'curl' }] }
+    });
+
+    expect(entry.after).toEqual({ id: 'po-1', userId: 'user-1', packCount: 2, user: { id: 'user-1' } });
+    expect(entry.metadata).toEqual({ sessions: [{ id: 's1' }] });
+  });
+
+  test('records the actor and request the entry came from', async () => {
+    const entry = await auditService.record(request, {
+      action: 'user.role.update',
+      targetType: 'User',
+      targetId: 42,
+      before: { id: '42', role: 'USER', updatedAt: new Date('2026-10-19T12:00:00Z') }
+    });
+
+    expect(entry).toMatchObject({
+      actorType: 'USER',
+      actorId: 'user-1',
+      targetId: '42',
+      before: { id: '42', role: 'USER', updatedAt: '2026-10-19T12:00:00.000Z' },
+      after: undefined,
+      ipAddress: '203.0.113.7',
+      userAgent: 'Mozilla/5.0',
+      requestId: 'req-1'
+    });
+  });
+
+  test('records jobs and scripts as the system', async () => {
+    const entry = await auditService.record(null, { action: 'account.anonymise', targetType: 'User', targetId: 'user-1' });
+
+    expect(entry).toMatchObject({ actorType: 'SYSTEM', actorId: null, ipAddress: null, userAgent: null });
+  });
+});
+
+describe('AuditService.list', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('matches a trailing dot as an action prefix', async () => {
+    await auditService.list({ action: 'marketplace.' });
+    await auditService.list({ action: 'marketplace.buy' });
+
+    expect(mockPrisma.auditLog.findMany.mock.calls[0][0].where).toEqual({ action: { startsWith: 'marketplace.' } });
+    expect(mockPrisma.auditLog.findMany.mock.calls[1][0].where).toEqual({ action: 'marketplace.buy' });
+  });
+
+  test('filters by actor, target and time, newest first, one page at a time', async () => {
+    await auditService.list({
+      actorId: 'user-1',
+      targetType: 'PreOrder',
+      targetId: 'po-1',
+      from: '2026-10-01',
+      to: '2026-10-19',
+      page: 3,
+      limit: 20
+    });
+
+    const query = mockPrisma.auditLog.findMany.mock.calls[0][0];
+    expect(query).toEqual({
+      where: {
+        actorId: 'user-1',
+        targetType: 'PreOrder',
+        targetId: 'po-1',
+        createdAt: { gte: new Date('2026-10-01'), lte: new Date('2026-10-19') }
+      },
+      skip: 40,
+      take: 20,
+      orderBy: { createdAt: 'desc' }
+    });
+    expect(mockPrisma.auditLog.count).toHaveBeenCalledWith({ where: query.where });
+  });
+});
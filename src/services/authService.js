@@ -2,11 +2,27 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 const { sanitizeForLog } = require('../utils/sanitize');
+const { generateRandomToken, hashToken } = require('../utils/crypto');
+const logger = require('../utils/logger');
+const siweService = require('./siweService');
+const securityService = require('./securityService');
 
 const prisma = new PrismaClient();
 
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const authError = (message, code, statusCode = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
 class AuthService {
-  async register({ email, username, password }) {
+  async register({ email, username, password }, context = {}) {
     // Check if user exists
     const existingUser = await prisma.user.findFirst({
       where: { OR: [{ email }, { username }] }
@@ -32,45 +48,323 @@ class AuthService {
       include: { profile: true }
     });
 
-    const token = this.generateToken(user.id);
-    return { user: this.sanitizeUser(user), token };
+    const tokens = await this.createSession(user.id, context);
+    return { user: this.sanitizeUser(user), ...tokens };
   }
 
-  async login({ login, password }) {
+  async login({ login, password }, context = {}) {
     const user = await prisma.user.findFirst({
       where: { OR: [{ email: login }, { username: login }] },
       include: { profile: true }
     });
 
-    if (!user || !await bcrypt.compare(password, user.passwordHash)) {
+    // Wallet-only accounts have no password to compare against
+    if (!user || !user.passwordHash || !await bcrypt.compare(password, user.passwordHash)) {
       throw new Error('Invalid credentials');
     }
 
-    const token = this.generateToken(user.id);
-    return { user: this.sanitizeUser(user), token };
+    if (user.twoFactorEnabled) {
+      return { user: this.sanitizeUser(user), ...this.createTwoFactorChallenge(user.id) };
+    }
+
+    const tokens = await this.createSession(user.id, context);
+    return { user: this.sanitizeUser(user), ...tokens };
   }
 
-  async connectWallet(userId, walletAddress) {
-    const existingWallet = await prisma.user.findUnique({
-      where: { walletAddress }
-    });
+  /**
+   * Link a wallet to an existing account. Requires a signed SIWE message
+   * proving the caller controls the address.
+   */
+  async connectWallet(userId, { message, signature }) {
+    const { address } = await siweService.verify(message, signature);
+    const existingWallet = await this.findWalletOwner(address);
 
     if (existingWallet && existingWallet.id !== userId) {
-      throw new Error('Wallet already connected');
+      if (existingWallet.walletVerifiedAt) {
+        throw authError('Wallet already connected', 'WALLET_ALREADY_CONNECTED', 409);
+      }
+
+      // An unproven claim on this address loses to the wallet's real owner
+      await prisma.user.update({
+        where: { id: existingWallet.id },
+        data: { walletAddress: null }
+      });
     }
 
     const user = await prisma.user.update({
       where: { id: userId },
-      data: { walletAddress },
+      data: {
+        walletAddress: address,
+        walletVerifiedAt: new Date()
+      },
       include: { profile: true }
     });
 
     return this.sanitizeUser(user);
   }
 
-  generateToken(userId) {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, { 
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d' 
+  /**
+   * Log in (or sign up) with a wallet alone using a signed SIWE message. The
+   * signature proves control of the wallet, so a locked account is reported
+   * as locked; a completed login goes through the same new-device checks as
+   * a password login.
+   */
+  async loginWithWallet({ message, signature }, context = {}) {
+    const { address } = await siweService.verify(message, signature);
+    let user = await this.findWalletOwner(address);
+
+    if (user && !user.walletVerifiedAt) {
+      throw authError(
+        'This wallet is attached to an account that has not verified it. Log in with your password and link the wallet first.',
+        'WALLET_LINK_UNVERIFIED',
+        409
+      );
+    }
+
+    const isNewUser = !user;
+    if (isNewUser) {
+      const username = `wallet_${address.slice(2, 12).toLowerCase()}`;
+      user = await prisma.user.create({
+        data: {
+          username,
+          walletAddress: address,
+          walletVerifiedAt: new Date(),
+          profile: {
+            create: { displayName: username }
+          }
+        },
+        include: { profile: true }
+      });
+    }
+
+    if (securityService.isLocked(user)) {
+      const error = authError('Account temporarily locked after too many failed attempts', 'ACCOUNT_LOCKED', 423);
+      error.lockedUntil = user.lockedUntil;
+      throw error;
+    }
+
+    if (user.twoFactorEnabled) {
+      return { user: this.sanitizeUser(user), ...this.createTwoFactorChallenge(user.id) };
+    }
+
+    const tokens = await this.createSession(user.id, context);
+    await securityService.recordSuccessfulLogin(user, context);
+    return { user: this.sanitizeUser(user), isNewUser, ...tokens };
+  }
+
+  async findWalletOwner(address) {
+    return prisma.user.findFirst({
+      where: { walletAddress: { equals: address, mode: 'insensitive' } },
+      include: { profile: true }
+    });
+  }
+
+  /**
+   * Start a new device session and issue an access/refresh token pair
+   */
+  async createSession(userId, { userAgent, ipAddress } = {}) {
+    const secret = generateRandomToken();
+
+    const session = await prisma.session.create({
+      data: {
+        userId,
+        refreshTokenHash: hashToken(secret),
+        userAgent: userAgent ? userAgent.slice(0, 512) : null,
+        ipAddress: ipAddress || null,
+        expiresAt: this.getRefreshExpiry()
+      }
+    });
+
+    return this.buildTokens(session, secret);
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Refresh tokens are single-use:
+   * presenting an already-rotated token revokes the whole session.
+   */
+  async rotateRefreshToken(refreshToken, { userAgent, ipAddress } = {}) {
+    const session = await this.findSessionByRefreshToken(refreshToken);
+    const [, presentedSecret] = refreshToken.split('.');
+    const secret = generateRandomToken();
+
+    // Swap the hash only if it still matches, so of two concurrent refreshes
+    // with the same token exactly one wins and the other counts as reuse
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: session.id,
+        refreshTokenHash: hashToken(presentedSecret),
+        revokedAt: null
+      },
+      data: {
+        refreshTokenHash: hashToken(secret),
+        expiresAt: this.getRefreshExpiry(),
+        lastUsedAt: new Date(),
+        ...(userAgent && { userAgent: userAgent.slice(0, 512) }),
+        ...(ipAddress && { ipAddress })
+      }
+    });
+
+    if (count === 0) {
+      await prisma.session.update({
+        where: { id: session.id },
+        data: { revokedAt: new Date() }
+      });
+      logger.warn(`Refresh token reuse detected for session ${sanitizeForLog(session.id)}`);
+      throw authError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED');
+    }
+
+    return this.buildTokens(session, secret);
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout). The session id
+   * is in every access token, so only its current secret may end it.
+   */
+  async revokeRefreshToken(refreshToken) {
+    const session = await this.findSessionByRefreshToken(refreshToken);
+    const [, presentedSecret] = refreshToken.split('.');
+
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: session.id,
+        refreshTokenHash: hashToken(presentedSecret),
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw authError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+  }
+
+  async revokeSession(sessionId, userId) {
+    const { count } = await prisma.session.updateMany({
+      where: { id: sessionId, userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    return count > 0;
+  }
+
+  async revokeAllSessions(userId, { exceptSessionId } = {}) {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        userId,
+        revokedAt: null,
+        ...(exceptSessionId && { id: { not: exceptSessionId } })
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    return count;
+  }
+
+  async listSessions(userId) {
+    return prisma.session.findMany({
+      where: {
+        userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+  }
+
+  async findSessionByRefreshToken(refreshToken) {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret) {
+      throw authError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: sessionId }
+    });
+
+    if (!session || session.revokedAt) {
+      throw authError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    if (session.expiresAt < new Date()) {
+      throw authError('Refresh token expired', 'REFRESH_TOKEN_EXPIRED');
+    }
+
+    return session;
+  }
+
+  /**
+   * Verify an access token and make sure its session is still live
+   */
+  async verifyAccessToken(token) {
+    const decoded = this.verifyToken(token);
+
+    // Also rejects 2FA challenge tokens, which carry no session
+    if (!decoded.sessionId) {
+      throw authError('Invalid token', 'INVALID_TOKEN');
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sessionId }
+    });
+
+    if (!session || session.revokedAt || session.userId !== decoded.userId) {
+      throw authError('Session has been revoked', 'SESSION_REVOKED');
+    }
+
+    return { ...decoded, session };
+  }
+
+  /**
+   * First-factor success for an account with 2FA: issue a short-lived
+   * challenge that must be completed with a TOTP or recovery code
+   */
+  createTwoFactorChallenge(userId) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: jwt.sign({ userId, purpose: '2fa' }, process.env.JWT_SECRET, {
+        expiresIn: TWO_FACTOR_CHALLENGE_TTL
+      })
+    };
+  }
+
+  verifyTwoFactorChallenge(challengeToken) {
+    let decoded;
+    try {
+      decoded = this.verifyToken(challengeToken);
+    } catch (error) {
+      throw authError('Two-factor challenge expired, please log in again', 'TWO_FACTOR_CHALLENGE_INVALID');
+    }
+
+    if (decoded.purpose !== '2fa') {
+      throw authError('Invalid two-factor challenge', 'TWO_FACTOR_CHALLENGE_INVALID');
+    }
+
+    return decoded.userId;
+  }
+
+  buildTokens(session, secret) {
+    return {
+      token: this.generateToken(session.userId, session.id),
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: ACCESS_TOKEN_TTL
+    };
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  generateToken(userId, sessionId) {
+    return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL
     });
   }
 
@@ -79,9 +373,9 @@ class AuthService {
   }
 
   sanitizeUser(user) {
-    const { passwordHash, ...sanitized } = user;
+    const { passwordHash, twoFactorSecret, twoFactorLastUsedStep, ...sanitized } = user;
     return sanitized;
   }
 }
 
-module.exports = new AuthService();
\ No newline at end of file
+module.exports = new AuthService();
@@ -0,0 +1,177 @@
+const mockSessions = new Map();
+const mockPrisma = {
+  user: { findFirst: jest.fn(), create: jest.fn() },
+  session: {
+    create: jest.fn(async ({ data }) => {
+      const session = { id: `session-${mockSessions.size + 1}`, revokedAt: null, ...data };
+      mockSessions.set(session.id, session);
+      return session;
+    }),
+    findUnique: jest.fn(async ({ where }) => {
+      const session = mockSessions.get(where.id);
+      return session ? { ...session } : null;
+    }),
+    // Applies the conditional update the way the database would: all or nothing
+    updateMany: jest.fn(async ({ where, data }) => {
+      const session = mockSessions.get(where.id);
+      const matches = session &&
+        (where.refreshTokenHash === undefined || session.refreshTokenHash === where.refreshTokenHash) &&
+        (where.revokedAt !== null || session.revokedAt === null);
+      if (!matches) return { count: 0 };
+      Object.assign(session, data);
+      return { count: 1 };
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(mockSessions.get(where.id), data))
+  }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('./siweService', () => ({ verify: jest.fn() }));
+jest.mock('./securityService', () => ({
+  isLocked: jest.fn(user => Boolean(user.lockedUntil && user.lockedUntil > new Date())),
+  recordSuccessfulLogin: jest.fn()
+}));
+
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+const authService = require('./authService');
+const siweService = require('./siweService');
+const securityService = require('./securityService');
+const logger = require('../utils/logger');
+
+describe('authService.rotateRefreshToken', () => {
+  beforeEach(() => {
+    mockSessions.clear();
+    jest.clearAllMocks();
+  });
+
+  test('swaps the refresh token and keeps the session', async () => {
+    const first = await authService.createSession('user-1', { userAgent: 'Firefox' });
+
+    const second = await authService.rotateRefreshToken(first.refreshToken, { ipAddress: '203.0.113.7' });
+
+    const [sessionId] = first.refreshToken.split('.');
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    expect(second.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+    expect(mockSessions.get(sessionId)).toMatchObject({ revokedAt: null, ipAddress: '203.0.113.7', userAgent: 'Firefox' });
+    await expect(authService.rotateRefreshToken(second.refreshToken)).resolves.toHaveProperty('refreshToken');
+  });
+
+  test('revokes the session when a rotated token is presented again', async () => {
+    const first = await authService.createSession('user-1');
+    const second = await authService.rotateRefreshToken(first.refreshToken);
+
+    await expect(authService.rotateRefreshToken(first.refreshToken)).rejects.toMatchObject({
+      code: 'REFRESH_TOKEN_REUSED',
+      statusCode: 401
+    });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Refresh token reuse detected'));
+
+    // The legitimate holder is signed out too
+    await expect(authService.rotateRefreshToken(second.refreshToken)).rejects.toMatchObject({ code: 'SESSION_REVOKED' });
+  });
+
+  test('lets only one of two concurrent refreshes with the same token win', async () => {
+    const { refreshToken } = await authService.createSession('user-1');
+
+    const results = await Promise.allSettled([
+      authService.rotateRefreshToken(refreshToken),
+      authService.rotateRefreshToken(refreshToken)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('REFRESH_TOKEN_REUSED');
+  });
+
+  test.each([
+    ['not-a-token', 'INVALID_REFRESH_TOKEN'],
+    ['missing-session.secret', 'SESSION_REVOKED']
+  ])('rejects %s', async (refreshToken, code) => {
+    await expect(authService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ code });
+  });
+
+  test('rejects an expired refresh token', async () => {
+    const { refreshToken } = await authService.createSession('user-1');
+    mockSessions.get(refreshToken.split('.')[0]).expiresAt = new Date(Date.now() - 1000);
+
+    await expect(authService.rotateRefreshToken(refreshToken)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+  });
+});
+
+describe('authService.revokeRefreshToken', () => {
+  beforeEach(() => {
+    mockSessions.clear();
+    jest.clearAllMocks();
+  });
+
+  test('ends the session of a valid refresh token', async () => {
+    const { refreshToken } = await authService.createSession('user-1');
+
+    await authService.revokeRefreshToken(refreshToken);
+
+    expect(mockSessions.get(refreshToken.split('.')[0]).revokedAt).toEqual(expect.any(Date));
+  });
+
+  test('refuses a session id with the wrong secret', async () => {
+    const { refreshToken } = await authService.createSession('user-1');
+    const [sessionId] = refreshToken.split('.');
+
+    await expect(authService.revokeRefreshToken(`${sessionId}.x`)).rejects.toMatchObject({
+      code: 'INVALID_REFRESH_TOKEN',
+      statusCode: 401
+    });
+    expect(mockSessions.get(sessionId).revokedAt).toBeNull();
+  });
+
+  test('refuses a token already rotated away', async () => {
+    const first = await authService.createSession('user-1');
+    await authService.rotateRefreshToken(first.refreshToken);
+
+    await expect(authService.revokeRefreshToken(first.refreshToken)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    expect(mockSessions.get(first.refreshToken.split('.')[0]).revokedAt).toBeNull();
+  });
+});
+
+describe('authService.loginWithWallet', () => {
+  const address = '0x1234567890abcdef1234567890abcdef12345678';
+  const context = { userAgent: 'Firefox', ipAddress: '203.0.113.7' };
+  const owner = { id: 'user-1', username: 'ana', walletAddress: address, walletVerifiedAt: new Date(), lockedUntil: null };
+
+  beforeEach(() => {
+    mockSessions.clear();
+    jest.clearAllMocks();
+    siweService.verify.mockResolvedValue({ address });
+  });
+
+  test('starts a session and runs the new-device checks', async () => {
+    mockPrisma.user.findFirst.mockResolvedValueOnce(owner);
+
+    const result = await authService.loginWithWallet({ message: 'siwe', signature: '0x01' }, context);
+
+    expect(result).toHaveProperty('refreshToken');
+    expect(securityService.recordSuccessfulLogin).toHaveBeenCalledWith(owner, context);
+  });
+
+  test('refuses a locked account without starting a session', async () => {
+    const lockedUntil = new Date(Date.now() + 60 * 1000);
+    mockPrisma.user.findFirst.mockResolvedValueOnce({ ...owner, lockedUntil });
+
+    await expect(authService.loginWithWallet({ message: 'siwe', signature: '0x01' }, context)).rejects.toMatchObject({
+      code: 'ACCOUNT_LOCKED',
+      statusCode: 423,
+      lockedUntil
+    });
+    expect(mockPrisma.session.create).not.toHaveBeenCalled();
+    expect(securityService.recordSuccessfulLogin).not.toHaveBeenCalled();
+  });
+
+  test('leaves the checks to the second step when 2FA is on', async () => {
+    mockPrisma.user.findFirst.mockResolvedValueOnce({ ...owner, twoFactorEnabled: true });
+
+    const result = await authService.loginWithWallet({ message: 'siwe', signature: '0x01' }, context);
+
+    expect(result.twoFactorRequired).toBe(true);
+    expect(mockPrisma.session.create).not.toHaveBeenCalled();
+    expect(securityService.recordSuccessfulLogin).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,374 @@
+const { PrismaClient } = require('@prisma/client');
+const FootballApiService = require('./footballApi');
+const activationRuleEngine = require('./activationRuleEngine');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const MATCH_BATCH_SIZE = 50;
+const MAX_RECORDS = parseInt(process.env.BACKTEST_MAX_RECORDS || '50000');
+const MAX_EXAMPLES = 50;
+const POINT_BUCKETS = [0, 5, 10, 20, 50, 100];
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const backtestError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+const activationKey = (matchId, playerId, styleId) => `${matchId}:${playerId}:${styleId}`;
+
+/**
+ * Backtest Service
+ * Replays stored player match stats (player_match_stats) through
+ * FootballApiService's activation logic with a candidate rule set and
+ * compares the outcome with the activations actually recorded. Nothing is
+ * written.
+ */
+class BacktestService {
+  constructor() {
+    this.footballApi = new FootballApiService();
+  }
+
+  /**
+   * Compile the rule set to test. Candidates are matched to a style by
+   * `styleId` or `styleName` and merged over that style's stored rule, so a
+   * candidate only needs the fields being changed. With `replace`, styles
+   * without a candidate are left out instead of keeping their stored rule.
+   */
+  async buildRuleSet(candidates = [], { replace = false } = {}) {
+    const [styles, storedRules] = await Promise.all([
+      prisma.style.findMany({
+        select: { id: true, name: true, rarity: true }
+      }),
+      prisma.styleRule.findMany()
+    ]);
+
+    const stylesById = new Map(styles.map(style => [style.id, style]));
+    const stylesByName = new Map(styles.map(style => [style.name.toLowerCase(), style]));
+    const storedByStyle = new Map(storedRules.map(rule => [rule.styleId, rule]));
+
+    const definitions = new Map();
+    if (!replace) {
+      for (const rule of storedRules) {
+        definitions.set(rule.styleId, { ...rule, candidate: false });
+      }
+    }
+
+    candidates.forEach((candidate, index) => {
+      const { styleId, styleName, ...definition } = candidate;
+      const style = styleId
+        ? stylesById.get(styleId)
+        : stylesByName.get(String(styleName || '').toLowerCase());
+
+      if (!style) {
+        throw backtestError(`rules[${index}]: style not found`, 'STYLE_NOT_FOUND');
+      }
+
+      definitions.set(style.id, {
+        ...(storedByStyle.get(style.id) || {}),
+        ...definition,
+        styleId: style.id,
+        candidate: true,
+        index
+      });
+    });
+
+    const ruleSet = [];
+    for (const definition of definitions.values()) {
+      if (definition.enabled === false) continue;
+
+      const style = stylesById.get(definition.styleId);
+      try {
+        ruleSet.push({
+          ...activationRuleEngine.compileRule(definition),
+          id: definition.id || `candidate:${style.id}`,
+          style
+        });
+      } catch (error) {
+        // A broken candidate is the caller's mistake; a broken stored rule is
+        // skipped exactly as live processing would
+        if (definition.candidate) {
+          error.message = `rules[${definition.index}] (${style.name}) ${error.message}`;
+          throw error;
+        }
+        logger.error(`Backtest skipping stored rule for ${style.name}: ${error.message}`);
+      }
+    }
+
+    return ruleSet;
+  }
+
+  /**
+   * Replay history against a candidate rule set and report the impact.
+   * `from` and `to` bound the kickoff of the matches replayed. Matches are
+   * replayed whole, oldest first, until `limit` player lines have been read,
+   * so a cut never leaves half a match to compare against its recorded
+   * activations.
+   */
+  async run({ rules = [], replace = false, from, to, matchIds, limit = MAX_RECORDS } = {}) {
+    const ruleSet = await this.buildRuleSet(rules, { replace });
+    const maxRecords = Math.min(limit, MAX_RECORDS);
+
+    const where = {};
+    if (from || to) {
+      where.startTime = {};
+      if (from) where.startTime.gte = new Date(from);
+      if (to) where.startTime.lte = new Date(to);
+    }
+    if (matchIds && matchIds.length > 0) {
+      where.apiId = { in: matchIds.map(String) };
+    }
+
+    const simulated = new Map();
+    const replayedMatches = new Set();
+    let playerMatches = 0;
+    let truncated = false;
+    let cursor;
+
+    while (!truncated) {
+      const matches = await prisma.match.findMany({
+        where,
+        select: { id: true, apiId: true },
+        orderBy: [{ startTime: 'asc' }, { id: 'asc' }],
+        take: MATCH_BATCH_SIZE,
+        ...(cursor && { skip: 1, cursor: { id: cursor } })
+      });
+      if (matches.length === 0) break;
+
+      const lines = await prisma.playerMatchStats.findMany({
+        where: { matchId: { in: matches.map(match => match.apiId) } }
+      });
+      const linesByMatch = new Map();
+      for (const row of lines) {
+        if (!linesByMatch.has(row.matchId)) linesByMatch.set(row.matchId, []);
+        linesByMatch.get(row.matchId).push(row);
+      }
+
+      for (const { apiId } of matches) {
+        const rows = linesByMatch.get(apiId);
+        if (!rows) continue;
+
+        if (playerMatches >= maxRecords) {
+          // The limit was reached, so newer history is missing
+          truncated = true;
+          break;
+        }
+
+        for (const row of rows) {
+          const activations = await this.footballApi.analyzePlayerPerformance(
+            this.footballApi.storedPlayerLine(row),
+            { rules: ruleSet }
+          );
+
+          for (const activation of activations) {
+            simulated.set(activationKey(row.matchId, row.playerId, activation.styleId), {
+              ...activation,
+              matchId: row.matchId
+            });
+          }
+        }
+        replayedMatches.add(apiId);
+        playerMatches += rows.length;
+      }
+
+      cursor = matches[matches.length - 1].id;
+    }
+
+    const recorded = await this.getRecordedActivations([...replayedMatches]);
+
+    return {
+      sample: {
+        playerMatches,
+        matches: replayedMatches.size,
+        from: from || null,
+        to: to || null,
+        truncated
+      },
+      rules: ruleSet.map(rule => ({
+        styleId: rule.styleId,
+        styleName: rule.style.name,
+        version: rule.candidate ? null : rule.version,
+        candidate: Boolean(rule.candidate)
+      })),
+      ...(await this.summarise(simulated, recorded))
+    };
+  }
+
+  // Activations recorded for the replayed matches, keyed like the simulation
+  async getRecordedActivations(matchIds) {
+    const recorded = new Map();
+
+    for (let i = 0; i < matchIds.length; i += 1000) {
+      const activations = await prisma.activation.findMany({
+        where: { matchId: { in: matchIds.slice(i, i + 1000) } },
+        select: { matchId: true, playerId: true, playerName: true, styleId: true, points: true }
+      });
+
+      for (const activation of activations) {
+        recorded.set(activationKey(activation.matchId, activation.playerId, activation.styleId), activation);
+      }
+    }
+
+    return recorded;
+  }
+
+  async summarise(simulated, recorded) {
+    const styles = await prisma.style.findMany({
+      select: { id: true, name: true, rarity: true }
+    });
+
+    const perStyle = new Map(styles.map(style => [style.id, {
+      styleId: style.id,
+      styleName: style.name,
+      rarity: style.rarity,
+      activations: 0,
+      points: 0,
+      confidenceTotal: 0,
+      recorded: { activations: 0, points: 0 }
+    }]));
+
+    const points = [];
+    for (const activation of simulated.values()) {
+      const entry = perStyle.get(activation.styleId);
+      entry.activations++;
+      entry.points += activation.points;
+      entry.confidenceTotal += activation.confidence;
+      points.push(activation.points);
+    }
+    for (const activation of recorded.values()) {
+      const entry = perStyle.get(activation.styleId);
+      if (!entry) continue;
+      entry.recorded.activations++;
+      entry.recorded.points += activation.points;
+    }
+
+    const totals = {
+      activations: simulated.size,
+      points: points.reduce((sum, value) => sum + value, 0),
+      recordedActivations: recorded.size,
+      recordedPoints: [...recorded.values()].reduce((sum, activation) => sum + activation.points, 0)
+    };
+
+    const styleReport = [...perStyle.values()]
+      .filter(entry => entry.activations > 0 || entry.recorded.activations > 0)
+      .map(({ confidenceTotal, ...entry }) => ({
+        ...entry,
+        averagePoints: entry.activations ? round(entry.points / entry.activations) : 0,
+        averageConfidence: entry.activations ? round(confidenceTotal / entry.activations, 3) : 0,
+        change: {
+          activations: entry.activations - entry.recorded.activations,
+          points: entry.points - entry.recorded.points
+        }
+      }))
+      .sort((a, b) => b.activations - a.activations);
+
+    const rarity = {};
+    for (const entry of styleReport) {
+      rarity[entry.rarity] = rarity[entry.rarity] || { activations: 0, points: 0 };
+      rarity[entry.rarity].activations += entry.activations;
+      rarity[entry.rarity].points += entry.points;
+    }
+    for (const share of Object.values(rarity)) {
+      share.activationShare = totals.activations ? round(share.activations / totals.activations, 4) : 0;
+      share.pointsShare = totals.points ? round(share.points / totals.points, 4) : 0;
+    }
+
+    return {
+      totals,
+      styles: styleReport,
+      rarity,
+      pointsDistribution: this.distribution(points),
+      diff: this.diff(simulated, recorded, perStyle)
+    };
+  }
+
+  distribution(points) {
+    const sorted = [...points].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+
+    const buckets = POINT_BUCKETS.map((min, index) => ({
+      min,
+      max: POINT_BUCKETS[index + 1] !== undefined ? POINT_BUCKETS[index + 1] - 1 : null,
+      count: 0
+    }));
+    for (const value of sorted) {
+      const bucket = buckets.find(b => value >= b.min && (b.max === null || value <= b.max));
+      bucket.count++;
+    }
+
+    return {
+      min: sorted[0] || 0,
+      max: sorted[sorted.length - 1] || 0,
+      mean: sorted.length ? round(total / sorted.length) : 0,
+      median: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9),
+      p99: percentile(sorted, 0.99),
+      buckets
+    };
+  }
+
+  // Activation-level comparison: new, lost, and re-scored activations
+  diff(simulated, recorded, perStyle) {
+    const result = { added: 0, removed: 0, changed: 0, unchanged: 0, examples: [] };
+    const styleName = (styleId) => perStyle.get(styleId)?.styleName;
+
+    const example = (entry) => {
+      if (result.examples.length < MAX_EXAMPLES) result.examples.push(entry);
+    };
+
+    for (const [key, activation] of simulated) {
+      const previous = recorded.get(key);
+      if (!previous) {
+        result.added++;
+        example({
+          type: 'added',
+          matchId: activation.matchId,
+          playerId: activation.playerId,
+          playerName: activation.playerName,
+          styleName: activation.styleName,
+          points: activation.points
+        });
+      } else if (previous.points !== activation.points) {
+        result.changed++;
+        example({
+          type: 'changed',
+          matchId: activation.matchId,
+          playerId: activation.playerId,
+          playerName: activation.playerName,
+          styleName: activation.styleName,
+          points: activation.points,
+          recordedPoints: previous.points
+        });
+      } else {
+        result.unchanged++;
+      }
+    }
+
+    for (const [key, activation] of recorded) {
+      if (simulated.has(key)) continue;
+      result.removed++;
+      example({
+        type: 'removed',
+        matchId: activation.matchId,
+        playerId: activation.playerId,
+        playerName: activation.playerName,
+        styleName: styleName(activation.styleId),
+        recordedPoints: activation.points
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new BacktestService();
@@ -0,0 +1,73 @@
+const mockPrisma = {
+  style: { findMany: jest.fn() },
+  styleRule: { findMany: jest.fn() },
+  match: { findMany: jest.fn() },
+  playerMatchStats: { findMany: jest.fn() },
+  activation: { findMany: jest.fn() }
+};
+const mockFootballApi = {
+  storedPlayerLine: jest.fn(row => row),
+  // Every line scoring 10 or more shots activates the style for 20 points
+  analyzePlayerPerformance: jest.fn(async (line, { rules }) => rules
+    .filter(() => line.shots >= 10)
+    .map(rule => ({ styleId: rule.styleId, styleName: rule.style.name, playerId: line.playerId, playerName: line.playerName, points: 20, confidence: 0.9 })))
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('./footballApi', () => jest.fn(() => mockFootballApi));
+jest.mock('./activationRuleEngine', () => ({ compileRule: jest.fn(definition => ({ ...definition })) }));
+
+const backtestService = require('./backtestService');
+
+const line = (matchId, playerId, shots) => ({ id: `${matchId}-${playerId}`, matchId, playerId, playerName: `Player ${playerId}`, shots });
+const LINES = {
+  m1: [line('m1', '9', 12), line('m1', '4', 1)],
+  m2: [line('m2', '9', 11), line('m2', '7', 14)]
+};
+
+describe('BacktestService.run', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.style.findMany.mockResolvedValue([{ id: 's1', name: 'Finisher', rarity: 'RARE' }]);
+    mockPrisma.styleRule.findMany.mockResolvedValue([{ id: 'rule-1', styleId: 's1', version: 3 }]);
+    mockPrisma.match.findMany.mockImplementation(async ({ cursor }) => (cursor
+      ? []
+      : [{ id: 'match-1', apiId: 'm1' }, { id: 'match-2', apiId: 'm2' }]));
+    mockPrisma.playerMatchStats.findMany.mockImplementation(async ({ where }) =>
+      where.matchId.in.flatMap(matchId => LINES[matchId] || []));
+    mockPrisma.activation.findMany.mockImplementation(async ({ where }) => [
+      { matchId: 'm1', playerId: '9', playerName: 'Player 9', styleId: 's1', points: 20 },
+      { matchId: 'm2', playerId: '7', playerName: 'Player 7', styleId: 's1', points: 15 }
+    ].filter(activation => where.matchId.in.includes(activation.matchId)));
+  });
+
+  test('selects matches by kickoff rather than by when their stats were stored', async () => {
+    await backtestService.run({ from: '2026-08-01', to: '2026-08-31', matchIds: [42] });
+
+    expect(mockPrisma.match.findMany.mock.calls[0][0]).toMatchObject({
+      where: {
+        startTime: { gte: new Date('2026-08-01'), lte: new Date('2026-08-31') },
+        apiId: { in: ['42'] }
+      },
+      orderBy: [{ startTime: 'asc' }, { id: 'asc' }]
+    });
+    expect(mockPrisma.playerMatchStats.findMany.mock.calls[0][0].where).toEqual({ matchId: { in: ['m1', 'm2'] } });
+  });
+
+  test('compares the simulation with the activations recorded for the same matches', async () => {
+    const report = await backtestService.run();
+
+    expect(report.sample).toMatchObject({ playerMatches: 4, matches: 2, truncated: false });
+    expect(report.diff).toMatchObject({ added: 1, removed: 0, changed: 1, unchanged: 1 });
+    expect(report.totals).toMatchObject({ activations: 3, points: 60, recordedActivations: 2, recordedPoints: 35 });
+  });
+
+  test('stops at a match boundary when the limit is reached', async () => {
+    const report = await backtestService.run({ limit: 2 });
+
+    expect(report.sample).toMatchObject({ playerMatches: 2, matches: 1, truncated: true });
+    expect(mockPrisma.activation.findMany.mock.calls[0][0].where).toEqual({ matchId: { in: ['m1'] } });
+    // The match left out is not reported as lost activations
+    expect(report.diff).toMatchObject({ added: 0, removed: 0, unchanged: 1 });
+  });
+});
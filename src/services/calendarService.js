@@ -0,0 +1,388 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CALENDAR_CACHE_TTL_MS = 60 * 1000;
+const REBUILD_TIMEOUT_MS = 60 * 1000;
+
+// Provider league id of the competition used when none is asked for
+const DEFAULT_LEAGUE = process.env.CALENDAR_DEFAULT_LEAGUE_ID || '39';
+const DEADLINE_MINUTES = parseInt(process.env.GAMEWEEK_DEADLINE_MINUTES || '90');
+// Fixtures further apart than this start a new gameweek (when the provider
+// gave no round) or a new season (when it gave no season)
+const GAMEWEEK_GAP_HOURS = parseInt(process.env.GAMEWEEK_GAP_HOURS || '48');
+const SEASON_BREAK_DAYS = parseInt(process.env.SEASON_BREAK_DAYS || '42');
+
+// Fixtures that won't be played on their listed date
+const UNSCHEDULED_STATUSES = ['CANC', 'PST', 'TBD'];
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const calendarError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Split fixtures (sorted by startTime) wherever the gap exceeds `gapMs`
+const splitByGap = (fixtures, gapMs) => {
+  const groups = [];
+  for (const fixture of fixtures) {
+    const current = groups[groups.length - 1];
+    if (current && fixture.startTime - current[current.length - 1].startTime <= gapMs) {
+      current.push(fixture);
+    } else {
+      groups.push([fixture]);
+    }
+  }
+  return groups;
+};
+
+const seasonName = (fixtures) => {
+  const startYear = fixtures[0].startTime.getUTCFullYear();
+  const endYear = fixtures[fixtures.length - 1].startTime.getUTCFullYear();
+  return startYear === endYear ? `${startYear}` : `${startYear}-${endYear}`;
+};
+
+/**
+ * Group one season's fixtures into gameweeks. Provider round labels win when
+ * every fixture has one, so a postponed match stays in its own round;
+ * otherwise fixtures are clustered by the gaps between them.
+ */
+function buildGameweeks(fixtures) {
+  let groups;
+  if (fixtures.every(fixture => fixture.round)) {
+    const byRound = new Map();
+    for (const fixture of fixtures) {
+      if (!byRound.has(fixture.round)) byRound.set(fixture.round, []);
+      byRound.get(fixture.round).push(fixture);
+    }
+    groups = [...byRound.values()];
+  } else {
+    groups = splitByGap(fixtures, GAMEWEEK_GAP_HOURS * HOUR_MS);
+  }
+
+  return groups
+    .map(group => ({
+      round: group[0].round || null,
+      startsAt: group[0].startTime,
+      endsAt: group[group.length - 1].startTime,
+      fixtures: group.length
+    }))
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .map((gameweek, index) => ({ number: index + 1, ...gameweek }));
+}
+
+/**
+ * Group a competition's fixtures (sorted by startTime) into seasons, by
+ * provider season where known and by the off-season break otherwise
+ */
+function buildSeasons(fixtures) {
+  const withSeason = new Map();
+  const withoutSeason = [];
+  for (const fixture of fixtures) {
+    if (fixture.season) {
+      if (!withSeason.has(fixture.season)) withSeason.set(fixture.season, []);
+      withSeason.get(fixture.season).push(fixture);
+    } else {
+      withoutSeason.push(fixture);
+    }
+  }
+
+  const groups = [
+    ...withSeason.values(),
+    ...splitByGap(withoutSeason, SEASON_BREAK_DAYS * DAY_MS)
+  ].sort((a, b) => a[0].startTime - b[0].startTime);
+
+  const names = new Set();
+  return groups.map(group => {
+    // Split seasons (Apertura/Clausura) can share a calendar year
+    let name = seasonName(group);
+    for (let suffix = 2; names.has(name); suffix++) {
+      name = `${seasonName(group)} (${suffix})`;
+    }
+    names.add(name);
+
+    return {
+      name,
+      year: group[0].season || null,
+      startDate: group[0].startTime,
+      endDate: group[group.length - 1].startTime,
+      gameweeks: buildGameweeks(group)
+    };
+  });
+}
+
+const deadlineFor = (startsAt, season) => {
+  const minutes = season.deadlineMinutes ?? DEADLINE_MINUTES;
+  return new Date(startsAt.getTime() - minutes * 60 * 1000);
+};
+
+/**
+ * Calendar Service
+ * Seasons and gameweeks per competition (by provider league id, as names
+ * like "Premier League" repeat across countries), built from ingested fixture dates
+ * rather than assumed (an August start and 38 weeks is wrong for MLS, Série
+ * A, the J-League and every international break). A gameweek's deadline
+ * falls a configurable time before its first fixture, and it stays current
+ * until the next gameweek's deadline.
+ */
+class CalendarService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  getDefaultLeague() {
+    return DEFAULT_LEAGUE;
+  }
+
+  /**
+   * Rebuild the calendar for one competition (provider league id), or every
+   * competition with fixtures. Deadlines moved by hand are kept.
+   */
+  async rebuild({ league } = {}) {
+    const leagueIds = league
+      ? [league.toString()]
+      : (await prisma.match.findMany({
+        where: { leagueId: { not: null } },
+        distinct: ['leagueId'],
+        select: { leagueId: true }
+      })).map(row => row.leagueId);
+
+    const summary = { leagues: [], seasons: 0, gameweeks: 0 };
+
+    for (const leagueId of leagueIds) {
+      const fixtures = await prisma.match.findMany({
+        where: { leagueId, status: { notIn: UNSCHEDULED_STATUSES } },
+        select: { startTime: true, season: true, round: true, league: true },
+        orderBy: { startTime: 'asc' }
+      });
+      // Shown under the name its latest fixture carries
+      const competition = { leagueId, league: fixtures[fixtures.length - 1]?.league || leagueId };
+
+      const seasons = buildSeasons(fixtures);
+      await prisma.$transaction(async (tx) => {
+        // Provider seasons are matched by year, so they keep their deadline
+        // settings when a new fixture changes their name
+        await tx.season.deleteMany({
+          where: {
+            leagueId,
+            NOT: seasons.map(season => (season.year ? { year: season.year } : { year: null, name: season.name }))
+          }
+        });
+
+        for (const season of seasons) {
+          await this.saveSeason(tx, competition, season);
+        }
+      }, { timeout: REBUILD_TIMEOUT_MS });
+
+      summary.leagues.push({ ...competition, fixtures: fixtures.length, seasons: seasons.length });
+      summary.seasons += seasons.length;
+      summary.gameweeks += seasons.reduce((sum, season) => sum + season.gameweeks.length, 0);
+    }
+
+    this.invalidate();
+    return summary;
+  }
+
+  async saveSeason(tx, { leagueId, league }, { name, year, startDate, endDate, gameweeks }) {
+    const season = await tx.season.upsert({
+      where: year ? { leagueId_year: { leagueId, year } } : { leagueId_name: { leagueId, name } },
+      create: { leagueId, league, year, name, startDate, endDate },
+      update: { league, name, startDate, endDate }
+    });
+
+    // Hand-set deadlines follow their round (or, without round labels, their
+    // first fixture) rather than their number, which a split or merged
+    // round shifts
+    const overrides = await tx.gameweek.findMany({ where: { seasonId: season.id, deadlineOverride: true } });
+    const overrideFor = (gameweek) => overrides.find(current => (gameweek.round
+      ? current.round === gameweek.round
+      : !current.round && current.startsAt.getTime() === gameweek.startsAt.getTime()));
+
+    for (const gameweek of gameweeks) {
+      const override = overrideFor(gameweek);
+      const data = {
+        ...gameweek,
+        deadline: override ? override.deadline : deadlineFor(gameweek.startsAt, season),
+        deadlineOverride: Boolean(override)
+      };
+
+      await tx.gameweek.upsert({
+        where: { seasonId_number: { seasonId: season.id, number: gameweek.number } },
+        create: { seasonId: season.id, ...data },
+        update: data
+      });
+    }
+
+    // Rounds that no longer have fixtures (e.g. a cancelled replay)
+    await tx.gameweek.deleteMany({
+      where: { seasonId: season.id, number: { gt: gameweeks.length } }
+    });
+
+    return season;
+  }
+
+  /**
+   * Every gameweek of a competition (provider league id) in order, each with
+   * `closesAt`: the next gameweek's deadline, or a day after its last fixture
+   */
+  async getGameweeks(league = DEFAULT_LEAGUE) {
+    const leagueId = league.toString();
+    const cached = this.cache.get(leagueId);
+    if (cached && Date.now() - cached.cachedAt < CALENDAR_CACHE_TTL_MS) {
+      return cached.gameweeks;
+    }
+
+    const rows = await prisma.gameweek.findMany({
+      where: { season: { leagueId } },
+      include: { season: { select: { id: true, league: true, name: true, year: true, endDate: true } } },
+      orderBy: { deadline: 'asc' }
+    });
+
+    const gameweeks = rows.map((row, index) => ({
+      id: row.id,
+      leagueId,
+      league: row.season.league,
+      season: row.season.name,
+      seasonYear: row.season.year,
+      seasonId: row.season.id,
+      seasonEndDate: row.season.endDate,
+      number: row.number,
+      round: row.round,
+      startsAt: row.startsAt,
+      endsAt: row.endsAt,
+      deadline: row.deadline,
+      deadlineOverride: row.deadlineOverride,
+      fixtures: row.fixtures,
+      closesAt: rows[index + 1]?.deadline || new Date(row.endsAt.getTime() + DAY_MS)
+    }));
+
+    this.cache.set(leagueId, { gameweeks, cachedAt: Date.now() });
+    return gameweeks;
+  }
+
+  /**
+   * The gameweek in play at `date`: the last one whose deadline has passed,
+   * or the next one once its season is over (and before the first). Null
+   * when the competition has no calendar yet.
+   */
+  async getCurrentGameweek({ league = DEFAULT_LEAGUE, date = new Date() } = {}) {
+    const gameweeks = await this.getGameweeks(league);
+    const nextIndex = gameweeks.findIndex(gameweek => gameweek.deadline > date);
+    const previous = nextIndex === -1 ? gameweeks[gameweeks.length - 1] : gameweeks[nextIndex - 1];
+    const next = nextIndex === -1 ? null : gameweeks[nextIndex];
+
+    if (previous && (previous.seasonEndDate.getTime() + DAY_MS >= date.getTime() || !next)) {
+      return previous;
+    }
+    return next || null;
+  }
+
+  /**
+   * The next gameweek whose deadline hasn't passed
+   */
+  async getNextGameweek({ league = DEFAULT_LEAGUE, date = new Date() } = {}) {
+    const gameweeks = await this.getGameweeks(league);
+    return gameweeks.find(gameweek => gameweek.deadline > date) || null;
+  }
+
+  /**
+   * Fixtures that make up a gameweek
+   */
+  async getFixtures(gameweek) {
+    return prisma.match.findMany({
+      where: {
+        leagueId: gameweek.leagueId,
+        status: { notIn: UNSCHEDULED_STATUSES },
+        startTime: { gte: gameweek.startsAt, lte: gameweek.endsAt },
+        ...(gameweek.round && { round: gameweek.round })
+      },
+      orderBy: { startTime: 'asc' }
+    });
+  }
+
+  /**
+   * Gameweeks whose window overlaps [from, to]
+   */
+  async getGameweeksBetween(from, to, { league = DEFAULT_LEAGUE } = {}) {
+    const gameweeks = await this.getGameweeks(league);
+    return gameweeks.filter(gameweek => gameweek.deadline <= to && gameweek.closesAt > from);
+  }
+
+  async listSeasons(league = DEFAULT_LEAGUE) {
+    return prisma.season.findMany({
+      where: { leagueId: league.toString() },
+      include: { _count: { select: { gameweeks: true } } },
+      orderBy: { startDate: 'desc' }
+    });
+  }
+
+  /**
+   * Change how long before a gameweek's first fixture the season's
+   * deadlines fall (null restores the default). Hand-set deadlines are kept.
+   */
+  async setSeasonDeadline(seasonId, deadlineMinutes) {
+    const before = await prisma.season.findUnique({ where: { id: seasonId } });
+    if (!before) {
+      throw calendarError('Season not found', 'SEASON_NOT_FOUND', 404);
+    }
+
+    const after = await prisma.$transaction(async (tx) => {
+      const season = await tx.season.update({
+        where: { id: seasonId },
+        data: { deadlineMinutes }
+      });
+
+      const gameweeks = await tx.gameweek.findMany({
+        where: { seasonId, deadlineOverride: false }
+      });
+      for (const gameweek of gameweeks) {
+        await tx.gameweek.update({
+          where: { id: gameweek.id },
+          data: { deadline: deadlineFor(gameweek.startsAt, season) }
+        });
+      }
+
+      return season;
+    });
+
+    this.invalidate();
+    return { before, after };
+  }
+
+  /**
+   * Move one gameweek's deadline by hand, or pass null to go back to the
+   * season's rule
+   */
+  async setGameweekDeadline(gameweekId, deadline) {
+    const before = await prisma.gameweek.findUnique({
+      where: { id: gameweekId },
+      include: { season: true }
+    });
+    if (!before) {
+      throw calendarError('Gameweek not found', 'GAMEWEEK_NOT_FOUND', 404);
+    }
+    if (deadline && deadline > before.endsAt) {
+      throw calendarError('Deadline must fall before the gameweek\'s last fixture', 'INVALID_DEADLINE');
+    }
+
+    const after = await prisma.gameweek.update({
+      where: { id: gameweekId },
+      data: deadline
+        ? { deadline, deadlineOverride: true }
+        : { deadline: deadlineFor(before.startsAt, before.season), deadlineOverride: false }
+    });
+
+    this.invalidate();
+    return { before, after };
+  }
+
+  invalidate() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new CalendarService();
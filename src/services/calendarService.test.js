@@ -0,0 +1,162 @@
+const mockPrisma = {
+  match: { findMany: jest.fn() },
+  season: { upsert: jest.fn(), deleteMany: jest.fn() },
+  gameweek: { findMany: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() },
+  $transaction: jest.fn(async (fn) => fn(mockPrisma))
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const calendarService = require('./calendarService');
+
+const fixture = (date, extra = {}) => ({
+  startTime: new Date(date),
+  season: '2026',
+  round: 'Regular Season - 1',
+  league: 'Premier League',
+  ...extra
+});
+
+// Fixtures of two different competitions that share a name
+const FIXTURES = {
+  39: [fixture('2026-08-15T14:00:00Z'), fixture('2026-08-16T14:00:00Z')],
+  // Premier League (Ukraine)
+  333: [fixture('2026-07-25T12:00:00Z'), fixture('2026-08-01T12:00:00Z', { round: 'Regular Season - 2' })]
+};
+
+describe('CalendarService.rebuild', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calendarService.invalidate();
+    mockPrisma.match.findMany.mockImplementation(async ({ where, distinct }) => (distinct
+      ? Object.keys(FIXTURES).map(leagueId => ({ leagueId }))
+      : FIXTURES[where.leagueId]));
+    mockPrisma.season.upsert.mockImplementation(async ({ create }) => ({ id: `season-${create.leagueId}`, ...create }));
+    mockPrisma.gameweek.findMany.mockResolvedValue([]);
+  });
+
+  test('builds a separate calendar for each league id, whatever the names', async () => {
+    const summary = await calendarService.rebuild();
+
+    expect(summary.leagues).toEqual([
+      { leagueId: '39', league: 'Premier League', fixtures: 2, seasons: 1 },
+      { leagueId: '333', league: 'Premier League', fixtures: 2, seasons: 1 }
+    ]);
+    expect(mockPrisma.match.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ leagueId: '333' })
+    }));
+
+    const gameweeks = mockPrisma.gameweek.upsert.mock.calls
+      .filter(([{ create }]) => create.seasonId === 'season-333');
+    expect(gameweeks).toHaveLength(2);
+  });
+
+  test('keys provider seasons on league id and year', async () => {
+    await calendarService.rebuild({ league: 39 });
+
+    expect(mockPrisma.season.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      where: { leagueId_year: { leagueId: '39', year: '2026' } },
+      create: expect.objectContaining({ leagueId: '39', league: 'Premier League', year: '2026', name: '2026' }),
+      update: expect.objectContaining({ name: '2026' })
+    }));
+    expect(mockPrisma.season.deleteMany).toHaveBeenCalledWith({
+      where: { leagueId: '39', NOT: [{ year: '2026' }] }
+    });
+  });
+
+  test('keys seasons without a provider year on their name', async () => {
+    mockPrisma.match.findMany.mockResolvedValueOnce([
+      fixture('2026-03-01T18:00:00Z', { season: null, round: null })
+    ]);
+
+    await calendarService.rebuild({ league: '253' });
+
+    expect(mockPrisma.season.upsert.mock.calls[0][0].where).toEqual({ leagueId_name: { leagueId: '253', name: '2026' } });
+    expect(mockPrisma.season.deleteMany).toHaveBeenCalledWith({
+      where: { leagueId: '253', NOT: [{ year: null, name: '2026' }] }
+    });
+  });
+});
+
+describe('CalendarService.saveSeason', () => {
+  const override = new Date('2026-08-21T18:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.season.upsert.mockImplementation(async ({ create }) => ({ id: 'season-39', ...create }));
+  });
+
+  test('keeps a hand-set deadline on its round when the rounds are renumbered', async () => {
+    // Round 2 was gameweek 2 with a deadline moved by hand
+    mockPrisma.gameweek.findMany.mockResolvedValueOnce([
+      { number: 2, round: 'Regular Season - 2', startsAt: new Date('2026-08-22T14:00:00Z'), deadline: override, deadlineOverride: true }
+    ]);
+    // A preliminary round now comes first
+    mockPrisma.match.findMany.mockResolvedValueOnce([
+      fixture('2026-08-08T14:00:00Z', { round: 'Preliminary Round' }),
+      fixture('2026-08-15T14:00:00Z'),
+      fixture('2026-08-22T14:00:00Z', { round: 'Regular Season - 2' })
+    ]);
+
+    await calendarService.rebuild({ league: '39' });
+
+    const saved = new Map(mockPrisma.gameweek.upsert.mock.calls.map(([{ create }]) => [create.round, create]));
+    expect(saved.get('Regular Season - 2')).toMatchObject({ number: 3, deadline: override, deadlineOverride: true });
+    expect(saved.get('Regular Season - 1')).toMatchObject({ number: 2, deadlineOverride: false });
+    expect(saved.get('Regular Season - 1').deadline).toEqual(new Date('2026-08-15T12:30:00Z'));
+    expect(mockPrisma.gameweek.upsert.mock.calls[2][0].update).toMatchObject({ deadline: override, deadlineOverride: true });
+  });
+
+  test('matches overrides by first fixture when the provider gives no rounds', async () => {
+    mockPrisma.gameweek.findMany.mockResolvedValueOnce([
+      { number: 1, round: null, startsAt: new Date('2026-08-15T14:00:00Z'), deadline: override, deadlineOverride: true }
+    ]);
+    mockPrisma.match.findMany.mockResolvedValueOnce([
+      fixture('2026-08-08T14:00:00Z', { round: null }),
+      fixture('2026-08-15T14:00:00Z', { round: null })
+    ]);
+
+    await calendarService.rebuild({ league: '39' });
+
+    const [first, second] = mockPrisma.gameweek.upsert.mock.calls.map(([{ create }]) => create);
+    expect(first).toMatchObject({ number: 1, deadlineOverride: false });
+    expect(second).toMatchObject({ number: 2, deadline: override, deadlineOverride: true });
+  });
+});
+
+describe('CalendarService.getGameweeks', () => {
+  const row = (id, leagueId, deadline) => ({
+    id,
+    number: 1,
+    round: null,
+    startsAt: new Date(deadline.getTime() + 90 * 60 * 1000),
+    endsAt: new Date(deadline.getTime() + 2 * 24 * 60 * 60 * 1000),
+    deadline,
+    deadlineOverride: false,
+    fixtures: 10,
+    season: { id: `season-${leagueId}`, league: 'Premier League', name: '2026', year: '2026', endDate: new Date('2027-05-30') }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calendarService.invalidate();
+    mockPrisma.gameweek.findMany.mockImplementation(async ({ where }) =>
+      [row(`gw-${where.season.leagueId}`, where.season.leagueId, new Date('2026-08-15T12:30:00Z'))]);
+  });
+
+  test('caches each league id on its own', async () => {
+    const [english] = await calendarService.getGameweeks('39');
+    const [ukrainian] = await calendarService.getGameweeks(333);
+    await calendarService.getGameweeks('39');
+
+    expect(english).toMatchObject({ id: 'gw-39', leagueId: '39', league: 'Premier League', seasonYear: '2026' });
+    expect(ukrainian).toMatchObject({ id: 'gw-333', leagueId: '333' });
+    expect(mockPrisma.gameweek.findMany).toHaveBeenCalledTimes(2);
+  });
+
+  test('defaults to the configured league id', async () => {
+    await calendarService.getCurrentGameweek({ date: new Date('2026-08-20') });
+
+    expect(mockPrisma.gameweek.findMany.mock.calls[0][0].where).toEqual({ season: { leagueId: calendarService.getDefaultLeague() } });
+  });
+});
@@ -0,0 +1,206 @@
+const { PrismaClient } = require('@prisma/client');
+const { createProvider } = require('./footballProviders');
+const { POSITION_NAMES } = require('../utils/matchStats');
+
+const prisma = new PrismaClient();
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const catalogueError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Catalogue Service
+ * Imports competitions, their teams, squads and player bios from the football
+ * data provider. Players are keyed by provider id, the same id activations
+ * store, and each club spell is kept in player_team_history: when a squad
+ * sync finds a player at a new club the open spell ends and a new one starts.
+ */
+class CatalogueService {
+  constructor(provider = createProvider()) {
+    this.provider = provider;
+  }
+
+  /**
+   * Sync one competition's teams and squads for a season (the provider's
+   * current season if not given)
+   */
+  async syncCompetition({ league: leagueId, season }) {
+    const details = await this.provider.getLeague(leagueId.toString());
+    if (!details) {
+      throw catalogueError(`League ${leagueId} not found`, 'LEAGUE_NOT_FOUND', 404);
+    }
+
+    const now = new Date();
+    const leagueData = {
+      name: details.name,
+      country: details.country,
+      logoUrl: details.logoUrl,
+      season: season ? season.toString() : details.season,
+      syncedAt: now
+    };
+    const league = await prisma.league.upsert({
+      where: { apiId: details.id },
+      update: leagueData,
+      create: { apiId: details.id, ...leagueData }
+    });
+
+    const teams = await this.provider.getTeams({ league: details.id, season: league.season });
+    const summary = { league: league.name, season: league.season, teams: 0, players: 0, transfers: 0, departures: 0 };
+
+    for (const entry of teams) {
+      const teamData = {
+        name: entry.name,
+        code: entry.code,
+        country: entry.country,
+        logoUrl: entry.logoUrl,
+        leagueId: league.id,
+        syncedAt: now
+      };
+      const team = await prisma.team.upsert({
+        where: { apiId: entry.id },
+        update: teamData,
+        create: { apiId: entry.id, ...teamData }
+      });
+
+      const result = await this.syncSquad(team, league);
+      summary.teams++;
+      summary.players += result.players;
+      summary.transfers += result.transfers;
+      summary.departures += result.departures;
+    }
+
+    return summary;
+  }
+
+  async syncSquad(team, league) {
+    const [squad, bios] = await Promise.all([
+      this.provider.getSquad(team.apiId),
+      this.provider.getPlayerBios({ team: team.apiId, season: league.season })
+    ]);
+    const result = { players: 0, transfers: 0, departures: 0 };
+
+    // An empty squad is more likely a provider gap than a club with no players
+    if (squad.length === 0) return result;
+
+    const biosById = new Map(bios.map(bio => [bio.id, bio]));
+    const now = new Date();
+
+    for (const member of squad) {
+      const bio = biosById.get(member.id) || {};
+      const transferred = await prisma.$transaction(async (tx) => {
+        const existing = await tx.player.findUnique({ where: { apiId: member.id } });
+        const data = {
+          name: member.name,
+          team: team.name,
+          league: league.name,
+          teamId: team.id,
+          position: POSITION_NAMES[member.position] || existing?.position || 'Unknown',
+          photoUrl: member.photoUrl || bio.photoUrl || existing?.photoUrl || null,
+          syncedAt: now,
+          ...(bio.birthDate && { birthDate: bio.birthDate }),
+          ...(bio.nationality && { nationality: bio.nationality })
+        };
+
+        const player = existing
+          ? await tx.player.update({ where: { id: existing.id }, data })
+          : await tx.player.create({ data: { apiId: member.id, ...data } });
+
+        return this.recordSpell(tx, player, team, league, now);
+      });
+
+      result.players++;
+      if (transferred) result.transfers++;
+    }
+
+    // Players still listed at this club who are no longer in its squad
+    const departed = await prisma.player.findMany({
+      where: { teamId: team.id, apiId: { notIn: squad.map(member => member.id) } },
+      select: { id: true }
+    });
+    for (const player of departed) {
+      await prisma.$transaction([
+        prisma.player.update({ where: { id: player.id }, data: { teamId: null, syncedAt: now } }),
+        prisma.playerTeamHistory.updateMany({
+          where: { playerId: player.id, endedAt: null },
+          data: { endedAt: now }
+        })
+      ]);
+      result.departures++;
+    }
+
+    return result;
+  }
+
+  // Start a spell at `team` unless one is open there; true when the player
+  // was last at another club
+  async recordSpell(tx, player, team, league, now) {
+    const last = await tx.playerTeamHistory.findFirst({
+      where: { playerId: player.id },
+      orderBy: { startedAt: 'desc' }
+    });
+    if (last && last.teamId === team.id && !last.endedAt) return false;
+
+    if (last && !last.endedAt) {
+      await tx.playerTeamHistory.update({ where: { id: last.id }, data: { endedAt: now } });
+    }
+    await tx.playerTeamHistory.create({
+      data: {
+        playerId: player.id,
+        teamId: team.id,
+        teamName: team.name,
+        league: league.name,
+        startedAt: now
+      }
+    });
+
+    return Boolean(last && last.teamId !== team.id);
+  }
+
+  /**
+   * Point activations at their player's catalogue row, for one match or for
+   * every activation not yet linked. Resolves to the number linked.
+   */
+  async linkActivations({ matchId } = {}, client = prisma) {
+    if (matchId) {
+      return client.$executeRaw`
+        UPDATE "activations" a SET "catalogPlayerId" = p."id"
+        FROM "players" p
+        WHERE p."apiId" = a."playerId" AND a."matchId" = ${matchId.toString()}
+          AND a."catalogPlayerId" IS DISTINCT FROM p."id"
+      `;
+    }
+
+    return client.$executeRaw`
+      UPDATE "activations" a SET "catalogPlayerId" = p."id"
+      FROM "players" p
+      WHERE p."apiId" = a."playerId" AND a."catalogPlayerId" IS NULL
+    `;
+  }
+
+  // A catalogue player (by id or provider id) with their club history
+  async getPlayer(id) {
+    const player = await prisma.player.findFirst({
+      where: { OR: [{ id }, { apiId: id }] },
+      include: {
+        currentTeam: {
+          select: { id: true, apiId: true, name: true, code: true, country: true, logoUrl: true }
+        },
+        teamHistory: {
+          select: { teamId: true, teamName: true, league: true, startedAt: true, endedAt: true },
+          orderBy: { startedAt: 'desc' }
+        }
+      }
+    });
+
+    if (!player) {
+      throw catalogueError('Player not found', 'PLAYER_NOT_FOUND', 404);
+    }
+    return player;
+  }
+}
+
+module.exports = new CatalogueService();
@@ -0,0 +1,132 @@
+const mockPrisma = {
+  league: { upsert: jest.fn(async ({ create }) => ({ id: 'league-1', ...create })) },
+  team: { upsert: jest.fn(async ({ create }) => ({ id: `team-${create.apiId}`, ...create })) },
+  player: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(async () => []),
+    create: jest.fn(async ({ data }) => ({ id: `player-${data.apiId}`, ...data })),
+    update: jest.fn(async ({ where, data }) => ({ id: where.id, ...data }))
+  },
+  playerTeamHistory: {
+    findFirst: jest.fn(async () => null),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  },
+  $transaction: jest.fn(async (work) => (typeof work === 'function' ? work(mockPrisma) : Promise.all(work)))
+};
+const mockProvider = {
+  getLeague: jest.fn(),
+  getTeams: jest.fn(),
+  getSquad: jest.fn(),
+  getPlayerBios: jest.fn(async () => [])
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('./footballProviders', () => ({ createProvider: jest.fn(() => mockProvider) }));
+
+const catalogueService = require('./catalogueService');
+
+const league = { id: 'league-1', apiId: '39', name: 'Premier League', season: '2026' };
+const team = { id: 'team-1', apiId: '50', name: 'Home FC' };
+
+describe('CatalogueService.syncSquad', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.player.findUnique.mockResolvedValue(null);
+  });
+
+  test('creates new players with their bio and opens a spell at the club', async () => {
+    mockProvider.getSquad.mockResolvedValueOnce([{ id: '9', name: 'A. Striker', position: 'F' }]);
+    mockProvider.getPlayerBios.mockResolvedValueOnce([{ id: '9', nationality: 'Brazil', birthDate: new Date('2001-04-02') }]);
+
+    const result = await catalogueService.syncSquad(team, league);
+
+    expect(result).toEqual({ players: 1, transfers: 0, departures: 0 });
+    expect(mockPrisma.player.create.mock.calls[0][0].data).toMatchObject({
+      apiId: '9',
+      team: 'Home FC',
+      teamId: 'team-1',
+      position: 'Attacker',
+      nationality: 'Brazil'
+    });
+    expect(mockPrisma.playerTeamHistory.create.mock.calls[0][0].data).toMatchObject({ playerId: 'player-9', teamId: 'team-1', teamName: 'Home FC' });
+  });
+
+  test('ends the spell at the previous club when a player moves', async () => {
+    mockProvider.getSquad.mockResolvedValueOnce([{ id: '9', name: 'A. Striker', position: 'F' }]);
+    mockPrisma.player.findUnique.mockResolvedValueOnce({ id: 'player-9', apiId: '9', position: 'Attacker' });
+    mockPrisma.playerTeamHistory.findFirst.mockResolvedValueOnce({ id: 'spell-1', teamId: 'team-2', endedAt: null });
+
+    const result = await catalogueService.syncSquad(team, league);
+
+    expect(result.transfers).toBe(1);
+    expect(mockPrisma.playerTeamHistory.update).toHaveBeenCalledWith({ where: { id: 'spell-1' }, data: { endedAt: expect.any(Date) } });
+    expect(mockPrisma.playerTeamHistory.create.mock.calls[0][0].data).toMatchObject({ teamId: 'team-1' });
+  });
+
+  test('keeps the open spell of a player still at the club', async () => {
+    mockProvider.getSquad.mockResolvedValueOnce([{ id: '9', name: 'A. Striker', position: 'F' }]);
+    mockPrisma.player.findUnique.mockResolvedValueOnce({ id: 'player-9', apiId: '9' });
+    mockPrisma.playerTeamHistory.findFirst.mockResolvedValueOnce({ id: 'spell-1', teamId: 'team-1', endedAt: null });
+
+    const result = await catalogueService.syncSquad(team, league);
+
+    expect(result.transfers).toBe(0);
+    expect(mockPrisma.playerTeamHistory.create).not.toHaveBeenCalled();
+  });
+
+  test('releases players the squad no longer lists', async () => {
+    mockProvider.getSquad.mockResolvedValueOnce([{ id: '9', name: 'A. Striker', position: 'F' }]);
+    mockPrisma.player.findMany.mockResolvedValueOnce([{ id: 'player-4' }]);
+
+    const result = await catalogueService.syncSquad(team, league);
+
+    expect(mockPrisma.player.findMany.mock.calls[0][0].where).toEqual({ teamId: 'team-1', apiId: { notIn: ['9'] } });
+    expect(mockPrisma.player.update).toHaveBeenCalledWith({ where: { id: 'player-4' }, data: { teamId: null, syncedAt: expect.any(Date) } });
+    expect(mockPrisma.playerTeamHistory.updateMany).toHaveBeenCalledWith({
+      where: { playerId: 'player-4', endedAt: null },
+      data: { endedAt: expect.any(Date) }
+    });
+    expect(result.departures).toBe(1);
+  });
+
+  test('leaves the club alone when the provider returns an empty squad', async () => {
+    mockProvider.getSquad.mockResolvedValueOnce([]);
+
+    await expect(catalogueService.syncSquad(team, league)).resolves.toEqual({ players: 0, transfers: 0, departures: 0 });
+    expect(mockPrisma.player.findMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('CatalogueService.syncCompetition', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('imports the league and every team for the requested season', async () => {
+    mockProvider.getLeague.mockResolvedValueOnce({ id: '39', name: 'Premier League', country: 'England', season: '2026' });
+    mockProvider.getTeams.mockResolvedValueOnce([{ id: '50', name: 'Home FC' }, { id: '51', name: 'Away FC' }]);
+    const syncSquad = jest.spyOn(catalogueService, 'syncSquad').mockResolvedValue({ players: 20, transfers: 1, departures: 2 });
+
+    const summary = await catalogueService.syncCompetition({ league: 39, season: 2025 });
+
+    expect(mockProvider.getTeams).toHaveBeenCalledWith({ league: '39', season: '2025' });
+    expect(syncSquad).toHaveBeenCalledTimes(2);
+    expect(summary).toEqual({ league: 'Premier League', season: '2025', teams: 2, players: 40, transfers: 2, departures: 4 });
+    syncSquad.mockRestore();
+  });
+
+  test('fails for a league the provider does not know', async () => {
+    mockProvider.getLeague.mockResolvedValueOnce(null);
+
+    await expect(catalogueService.syncCompetition({ league: 9999 })).rejects.toMatchObject({ code: 'LEAGUE_NOT_FOUND', statusCode: 404 });
+  });
+});
+
+describe('CatalogueService.getPlayer', () => {
+  test('fails for an unknown player', async () => {
+    mockPrisma.player.findFirst.mockResolvedValueOnce(null);
+
+    await expect(catalogueService.getPlayer('nobody')).rejects.toMatchObject({ code: 'PLAYER_NOT_FOUND', statusCode: 404 });
+  });
+});
@@ -0,0 +1,145 @@
+const nodemailer = require('nodemailer');
+const { sanitizeForLog } = require('../utils/sanitize');
+
+/**
+ * Email Service
+ * Sends transactional email over SMTP. Defaults point at a local catcher
+ * (MailHog / Mailpit on localhost:1025) so development and tests never
+ * need real credentials.
+ */
+class EmailService {
+  constructor() {
+    this.from = process.env.EMAIL_FROM || 'Jogata <no-reply@jogata.com>';
+    this.appUrl = process.env.APP_URL || 'http://localhost:3000';
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025'),
+      secure: process.env.SMTP_SECURE === 'true',
+      ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+      ...(process.env.SMTP_USER && {
+        auth: {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        }
+      })
+    });
+  }
+
+  /**
+   * Send a plain text + HTML email
+   */
+  async send({ to, subject, text, html }) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to,
+      subject,
+      text,
+      html
+    });
+
+    console.log(`Email sent: ${sanitizeForLog(subject)} (${info.messageId})`);
+    return info;
+  }
+
+  /**
+   * Send the email verification link
+   */
+  async sendVerificationEmail(user, token, expiresInMinutes) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+    const hours = Math.round(expiresInMinutes / 60);
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your Jogata email address',
+      text: `Hi ${user.username},\n\nConfirm your email address by opening the link below:\n\n${link}\n\nThe link expires in ${hours} hours. If you didn't create a Jogata account you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Confirm your email address by clicking the link below:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${hours} hours. If you didn't create a Jogata account you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Send the password reset link
+   */
+  async sendPasswordResetEmail(user, token, expiresInMinutes) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your Jogata password',
+      text: `Hi ${user.username},\n\nSomeone asked to reset the password for your Jogata account. Open the link below to choose a new one:\n\n${link}\n\nThe link can be used once and expires in ${expiresInMinutes} minutes. If you didn't ask for this you can ignore this email.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset the password for your Jogata account. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>The link can be used once and expires in ${expiresInMinutes} minutes. If you didn't ask for this you can ignore this email.</p>`
+    });
+  }
+
+  /**
+   * Let the user know their password was changed
+   */
+  async sendPasswordChangedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your Jogata password was changed',
+      text: `Hi ${user.username},\n\nThe password for your Jogata account was just changed and you have been signed out of your other devices. If this wasn't you, reset your password immediately and contact support.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>The password for your Jogata account was just changed and you have been signed out of your other devices. If this wasn't you, reset your password immediately and contact support.</p>`
+    });
+  }
+
+  /**
+   * Tell the user their account was locked and offer an unlock link
+   */
+  async sendAccountLockedEmail(user, token, lockedUntil) {
+    const link = `${this.appUrl}/unlock-account?token=${encodeURIComponent(token)}`;
+    const until = lockedUntil.toUTCString();
+
+    return this.send({
+      to: user.email,
+      subject: 'Your Jogata account has been locked',
+      text: `Hi ${user.username},\n\nWe locked your Jogata account after several failed sign-in attempts. It will unlock automatically at ${until}.\n\nIf it was you, you can unlock it now:\n\n${link}\n\nIf it wasn't you, someone may know your email address. We recommend resetting your password and enabling two-factor authentication.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>We locked your Jogata account after several failed sign-in attempts. It will unlock automatically at ${until}.</p><p>If it was you, you can <a href="${link}">unlock it now</a>.</p><p>If it wasn't you, someone may know your email address. We recommend resetting your password and enabling two-factor authentication.</p>`
+    });
+  }
+
+  /**
+   * Alert the user about a sign-in from a device or location we haven't seen
+   */
+  async sendNewSignInEmail(user, { userAgent, ipAddress, location }) {
+    const details = [
+      `Device: ${userAgent || 'Unknown'}`,
+      `IP address: ${ipAddress || 'Unknown'}`,
+      `Location: ${location || 'Unknown'}`
+    ];
+
+    return this.send({
+      to: user.email,
+      subject: 'New sign-in to your Jogata account',
+      text: `Hi ${user.username},\n\nYour account was just accessed from a new device or location:\n\n${details.join('\n')}\n\nIf this wasn't you, change your password and review your active sessions.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Your account was just accessed from a new device or location:</p><ul>${details.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul><p>If this wasn't you, change your password and review your active sessions.</p>`
+    });
+  }
+
+  /**
+   * Confirm a deletion request and explain how to cancel it
+   */
+  async sendAccountDeletionScheduledEmail(user, scheduledFor) {
+    const when = scheduledFor.toUTCString();
+
+    return this.send({
+      to: user.email,
+      subject: 'Your Jogata account is scheduled for deletion',
+      text: `Hi ${user.username},
+
+We received a request to delete your Jogata account. It will be permanently anonymised on ${when}.
+
+Changed your mind? Log in and cancel the deletion from your account settings before then.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>We received a request to delete your Jogata account. It will be permanently anonymised on ${when}.</p><p>Changed your mind? Log in and cancel the deletion from your account settings before then.</p>`
+    });
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = new EmailService();
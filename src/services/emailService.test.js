@@ -0,0 +1,158 @@
+const { SMTPServer } = require('smtp-server');
+const { simpleParser } = require('mailparser');
+
+const mockPrisma = {
+  verificationToken: { updateMany: jest.fn(), create: jest.fn(), findUnique: jest.fn() },
+  $transaction: jest.fn(operations => Promise.all(operations))
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const { hashToken } = require('../utils/crypto');
+
+const user = { id: 'user-1', username: 'ana <script>', email: 'ana@example.com' };
+
+// Local SMTP catcher: every delivered message is parsed into `inbox`
+const inbox = [];
+const catcher = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ['STARTTLS'],
+  logger: false,
+  onData(stream, session, callback) {
+    simpleParser(stream)
+      .then(mail => {
+        inbox.push({ ...mail, envelope: session.envelope });
+        callback();
+      })
+      .catch(callback);
+  }
+});
+
+let emailService;
+let verificationService;
+
+const lastMail = () => inbox[inbox.length - 1];
+const linkToken = (text, path) => new URL(text.match(new RegExp(`\\S+${path}\\?token=\\S+`))[0]).searchParams.get('token');
+
+describe('emailService', () => {
+  beforeAll(async () => {
+    await new Promise(resolve => catcher.listen(0, '127.0.0.1', resolve));
+
+    // The transport is configured when the service is first required
+    Object.assign(process.env, {
+      SMTP_HOST: '127.0.0.1',
+      SMTP_PORT: String(catcher.server.address().port),
+      SMTP_IGNORE_TLS: 'true',
+      EMAIL_FROM: 'Jogata <no-reply@jogata.test>',
+      APP_URL: 'https://app.jogata.test'
+    });
+    emailService = require('./emailService');
+    verificationService = require('./verificationService');
+  });
+
+  afterAll(async () => {
+    emailService.transporter.close();
+    await new Promise(resolve => catcher.close(resolve));
+  });
+
+  beforeEach(() => {
+    inbox.length = 0;
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('delivers a verification link whose token can be consumed', async () => {
+    const { token, expiresInMinutes } = await verificationService.createToken(user.id, 'EMAIL_VERIFICATION');
+    const { data: stored } = mockPrisma.verificationToken.create.mock.calls[0][0];
+
+    await emailService.sendVerificationEmail(user, token, expiresInMinutes);
+
+    const mail = lastMail();
+    expect(mail.envelope.rcptTo.map(rcpt => rcpt.address)).toEqual(['ana@example.com']);
+    expect(mail.from.value).toEqual([{ name: 'Jogata', address: 'no-reply@jogata.test' }]);
+    expect(mail.subject).toBe('Verify your Jogata email address');
+    expect(mail.text).toContain('expires in 24 hours');
+
+    const emailed = linkToken(mail.text, '/verify-email');
+    expect(emailed).toBe(token);
+    expect(mail.html).toContain(`href="https://app.jogata.test/verify-email?token=${encodeURIComponent(token)}"`);
+
+    // Only the hash is stored, and the emailed token is what matches it
+    expect(stored.tokenHash).toBe(hashToken(emailed));
+    mockPrisma.verificationToken.updateMany.mockResolvedValueOnce({ count: 1 });
+    mockPrisma.verificationToken.findUnique.mockResolvedValueOnce(stored);
+    await expect(verificationService.consumeToken(emailed, 'EMAIL_VERIFICATION')).resolves.toBe(stored);
+    expect(mockPrisma.verificationToken.updateMany).toHaveBeenLastCalledWith({
+      where: { tokenHash: stored.tokenHash, type: 'EMAIL_VERIFICATION', usedAt: null, expiresAt: { gt: expect.any(Date) } },
+      data: { usedAt: expect.any(Date) }
+    });
+  });
+
+  test('delivers a single-use password reset link', async () => {
+    const { token, expiresInMinutes } = await verificationService.createToken(user.id, 'PASSWORD_RESET');
+
+    await emailService.sendPasswordResetEmail(user, token, expiresInMinutes);
+
+    const mail = lastMail();
+    expect(mail.subject).toBe('Reset your Jogata password');
+    expect(mail.text).toContain('expires in 60 minutes');
+    expect(linkToken(mail.text, '/reset-password')).toBe(token);
+    // Any earlier reset link stops working
+    expect(mockPrisma.verificationToken.updateMany).toHaveBeenCalledWith({
+      where: { userId: user.id, type: 'PASSWORD_RESET', usedAt: null },
+      data: { usedAt: expect.any(Date) }
+    });
+  });
+
+  test('refuses a token that is used, expired or unknown', async () => {
+    mockPrisma.verificationToken.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(verificationService.consumeToken('not-a-token', 'PASSWORD_RESET')).resolves.toBeNull();
+    expect(mockPrisma.verificationToken.findUnique).not.toHaveBeenCalled();
+  });
+
+  test('delivers an unlock link with the lockout end', async () => {
+    const lockedUntil = new Date('2026-10-19T12:30:00Z');
+
+    await emailService.sendAccountLockedEmail(user, 'unlock-token', lockedUntil);
+
+    const mail = lastMail();
+    expect(mail.subject).toBe('Your Jogata account has been locked');
+    expect(mail.text).toContain(lockedUntil.toUTCString());
+    expect(linkToken(mail.text, '/unlock-account')).toBe('unlock-token');
+  });
+
+  test('describes a new sign-in with what is known about it', async () => {
+    await emailService.sendNewSignInEmail(user, { userAgent: 'Firefox <on> Linux', ipAddress: '203.0.113.7' });
+
+    const mail = lastMail();
+    expect(mail.subject).toBe('New sign-in to your Jogata account');
+    expect(mail.text).toContain('IP address: 203.0.113.7');
+    expect(mail.text).toContain('Location: Unknown');
+    expect(mail.html).toContain('Firefox &lt;on&gt; Linux');
+  });
+
+  test('sends the password changed and deletion notices', async () => {
+    const scheduledFor = new Date('2026-11-18T00:00:00Z');
+
+    await emailService.sendPasswordChangedEmail(user);
+    await emailService.sendAccountDeletionScheduledEmail(user, scheduledFor);
+
+    expect(inbox.map(mail => mail.subject)).toEqual([
+      'Your Jogata password was changed',
+      'Your Jogata account is scheduled for deletion'
+    ]);
+    expect(inbox[1].text).toContain(scheduledFor.toUTCString());
+  });
+
+  test('escapes user-supplied names in HTML bodies', async () => {
+    await emailService.sendPasswordChangedEmail(user);
+
+    expect(lastMail().html).toContain('Hi ana &lt;script&gt;,');
+    expect(lastMail().html).not.toContain('<script>');
+  });
+});
@@ -1,30 +1,31 @@
-const axios = require('axios');
 const { PrismaClient } = require('@prisma/client');
+const activationRuleEngine = require('./activationRuleEngine');
+const { createProvider } = require('./footballProviders');
+const { normalizePlayerStats } = require('../utils/matchStats');
+const { phaseFor, canTransition } = require('../utils/matchLifecycle');
 
 const prisma = new PrismaClient();
 
+/**
+ * Football data for the rest of the app: fixtures, lineups, events and player
+ * stats come from the configured provider (see footballProviders) in one
+ * provider-neutral shape, and are stored and analysed here.
+ */
 class FootballApiService {
-  constructor() {
-    this.apiKey = process.env.FOOTBALL_API_KEY;
-    this.baseUrl = 'https://api-football-v1.p.rapidapi.com/v3';
-    this.headers = {
-      'X-RapidAPI-Key': this.apiKey,
-      'X-RapidAPI-Host': 'api-football-v1.p.rapidapi.com'
-    };
+  constructor(provider = createProvider()) {
+    this.provider = provider;
+  }
+
+  // Remaining request budget of the provider (null if it doesn't report one)
+  async getQuota() {
+    return this.provider.getQuota();
   }
 
   // Fetch live matches
   async fetchLiveMatches() {
     try {
-      const response = await axios.get(`${this.baseUrl}/fixtures`, {
-        headers: this.headers,
-        params: {
-          live: 'all'
-        }
-      });
+      const matches = await this.provider.getLiveFixtures();
 
-      const matches = response.data.response;
-      
       for (const match of matches) {
         await this.saveMatch(match);
       }
@@ -36,170 +37,221 @@ class FootballApiService {
     }
   }
 
-  // Save match to database
-  async saveMatch(matchData) {
+  // Fetch a competition's fixture list (feeds the season calendar)
+  async fetchFixtures({ league, season }) {
+    const matches = await this.provider.getFixtures({ league, season });
+
+    for (const match of matches) {
+      await this.saveMatch(match);
+    }
+
+    return matches;
+  }
+
+  // Poll the fixtures of the tracked competitions ([{ league, season }])
+  // kicking off in a time range, so matches that finish between polls are
+  // still seen finished. Resolves to the stored matches.
+  async fetchFixturesBetween(from, to, competitions) {
+    if (competitions.length === 0) return [];
+    const fixtures = await this.provider.getFixturesBetween({ from, to, competitions });
+
+    const matches = [];
+    for (const fixture of fixtures) {
+      const match = await this.saveMatch(fixture);
+      if (match) matches.push(match);
+    }
+
+    return matches;
+  }
+
+  // Re-fetch stored matches one by one (ones the range polls have missed)
+  async refreshMatches(matchIds) {
+    const matches = [];
+    for (const matchId of matchIds) {
+      const fixture = await this.provider.getFixture(matchId.toString());
+      const match = fixture && await this.saveMatch(fixture);
+      if (match) matches.push(match);
+    }
+
+    return matches;
+  }
+
+  // Save match to database, moving it through its lifecycle phases
+  async saveMatch(fixture) {
     try {
-      const match = await prisma.match.upsert({
-        where: { apiId: matchData.fixture.id.toString() },
-        update: {
-          status: matchData.fixture.status.short,
-          processed: false
-        },
-        create: {
-          apiId: matchData.fixture.id.toString(),
-          homeTeam: matchData.teams.home.name,
-          awayTeam: matchData.teams.away.name,
-          league: matchData.league.name,
-          status: matchData.fixture.status.short,
-          startTime: new Date(matchData.fixture.date),
-          processed: false
+      const phase = phaseFor(fixture.status);
+      const now = new Date();
+      const existing = await prisma.match.findUnique({ where: { apiId: fixture.id } });
+
+      if (!existing) {
+        return await prisma.match.create({
+          data: {
+            apiId: fixture.id,
+            homeTeam: fixture.homeTeam.name,
+            awayTeam: fixture.awayTeam.name,
+            league: fixture.league.name,
+            leagueId: fixture.league.id,
+            status: fixture.status,
+            startTime: fixture.startTime,
+            season: fixture.league.season,
+            round: fixture.league.round,
+            processed: false,
+            phase,
+            phaseChangedAt: now,
+            finishedAt: phase === 'FINISHED' ? now : null
+          }
+        });
+      }
+
+      // Pipeline state is left alone so a re-fetch can't reopen a processed match
+      const data = {
+        startTime: fixture.startTime,
+        leagueId: fixture.league.id,
+        season: fixture.league.season,
+        round: fixture.league.round
+      };
+
+      if (canTransition(existing.phase, phase)) {
+        data.status = fixture.status;
+        if (phase !== existing.phase) {
+          Object.assign(data, { phase, phaseChangedAt: now, ...(phase === 'FINISHED' && { finishedAt: now }) });
         }
-      });
+      } else {
+        console.warn(`Ignoring match ${fixture.id} status ${existing.status} -> ${fixture.status}: ${existing.phase} can't become ${phase}`);
+      }
+
+      const unchanged = Object.keys(data).every(key =>
+        (data[key] instanceof Date ? data[key].getTime() === existing[key]?.getTime() : data[key] === existing[key]));
+      if (unchanged) return existing;
 
-      return match;
+      return await prisma.match.update({ where: { apiId: fixture.id }, data });
     } catch (error) {
       console.error('Error saving match:', error);
       return null;
     }
   }
 
-  // Fetch match statistics
-  async fetchMatchStats(matchId) {
+  // Fetch match lineups
+  async fetchLineups(matchId) {
     try {
-      const response = await axios.get(`${this.baseUrl}/fixtures/statistics`, {
-        headers: this.headers,
-        params: {
-          fixture: matchId
-        }
-      });
-
-      return response.data.response;
+      return await this.provider.getLineups(matchId.toString());
     } catch (error) {
-      console.error('Error fetching match stats:', error);
+      console.error('Error fetching lineups:', error);
       return null;
     }
   }
 
-  // Fetch player statistics
-  async fetchPlayerStats(matchId) {
+  // Fetch match events (goals, cards, substitutions)
+  async fetchEvents(matchId) {
     try {
-      const response = await axios.get(`${this.baseUrl}/fixtures/players`, {
-        headers: this.headers,
-        params: {
-          fixture: matchId
-        }
-      });
-
-      return response.data.response;
+      return await this.provider.getEvents(matchId.toString());
     } catch (error) {
-      console.error('Error fetching player stats:', error);
+      console.error('Error fetching match events:', error);
       return null;
     }
   }
 
-  // Process match for style activations
-  async processMatchForActivations(matchId) {
+  // Fetch player statistics, one line per player who took part
+  async fetchPlayerStats(matchId) {
     try {
-      const playerStats = await this.fetchPlayerStats(matchId);
-      if (!playerStats) return;
-
-      const activations = [];
-
-      for (const team of playerStats) {
-        for (const player of team.players) {
-          const playerActivations = await this.analyzePlayerPerformance(
-            player,
-            matchId,
-            team.team.name
-          );
-          activations.push(...playerActivations);
-        }
-      }
-
-      // Mark match as processed
-      await prisma.match.update({
-        where: { apiId: matchId.toString() },
-        data: { processed: true }
-      });
-
-      return activations;
+      return await this.provider.getPlayerStats(matchId.toString());
     } catch (error) {
-      console.error('Error processing match:', error);
-      return [];
+      console.error('Error fetching player stats:', error);
+      return null;
     }
   }
 
-  // Analyze player performance for style activations
-  async analyzePlayerPerformance(player, matchId, teamName) {
-    const activations = [];
-    const stats = player.statistics[0];
-    
-    if (!stats) return activations;
-
-    // Clinical Finisher - Goals scored
-    if (stats.goals.total > 0) {
-      activations.push({
-        styleName: 'Clinical Finisher',
-        playerId: player.player.id.toString(),
-        playerName: player.player.name,
-        points: stats.goals.total * 10,
-        confidence: 0.9
-      });
-    }
+  // Process match for style activations. Runs the resumable pipeline, so
+  // calling this twice for the same fixture never awards points twice.
+  async processMatchForActivations(matchId, options) {
+    // Required here because the pipeline is built on this service
+    const matchPipeline = require('./matchPipeline');
+    return matchPipeline.process(matchId, options);
+  }
 
-    // Speedster - High pass accuracy + dribbles
-    if (stats.passes.accuracy > 85 && stats.dribbles.success > 3) {
-      activations.push({
-        styleName: 'Speedster',
-        playerId: player.player.id.toString(),
-        playerName: player.player.name,
-        points: 5,
-        confidence: 0.7
-      });
-    }
+  // Keep the stats so rule changes can be backtested against history
+  async savePlayerMatchStats(line, matchId, client = prisma) {
+    const data = {
+      playerName: line.playerName,
+      teamName: line.teamName,
+      provider: this.provider.name,
+      position: line.position,
+      minutes: line.minutes,
+      stats: line.stats,
+      statistics: line.raw || line.stats
+    };
 
-    // Ball Winner - Tackles + interceptions
-    const defensiveActions = (stats.tackles.total || 0) + (stats.tackles.interceptions || 0);
-    if (defensiveActions > 5) {
-      activations.push({
-        styleName: 'Ball Winner',
-        playerId: player.player.id.toString(),
-        playerName: player.player.name,
-        points: defensiveActions * 2,
-        confidence: 0.8
-      });
-    }
+    // Errors propagate: the pipeline must not analyse a partial squad
+    return client.playerMatchStats.upsert({
+      where: {
+        matchId_playerId: {
+          matchId: matchId.toString(),
+          playerId: line.playerId
+        }
+      },
+      update: data,
+      create: {
+        matchId: matchId.toString(),
+        playerId: line.playerId,
+        ...data
+      }
+    });
+  }
 
-    // Playmaker - Assists + key passes
-    if (stats.goals.assists > 0 || stats.passes.key > 3) {
-      activations.push({
-        styleName: 'Playmaker',
-        playerId: player.player.id.toString(),
-        playerName: player.player.name,
-        points: (stats.goals.assists * 8) + (stats.passes.key * 2),
-        confidence: 0.85
-      });
-    }
+  // A stored PlayerMatchStats row as a player line. Rows saved before
+  // providers normalised their own stats hold only the API-Football entry.
+  storedPlayerLine(row) {
+    return {
+      playerId: row.playerId,
+      playerName: row.playerName,
+      teamName: row.teamName,
+      position: row.position,
+      minutes: row.minutes,
+      stats: row.stats || normalizePlayerStats(row.statistics)
+    };
+  }
 
-    return activations;
+  // Analyze player performance for style activations using the stored rules,
+  // or a candidate rule set when backtesting
+  async analyzePlayerPerformance(line, { rules } = {}) {
+    const results = await activationRuleEngine.evaluate(line.stats, { rules });
+
+    return results.map(result => ({
+      styleName: result.styleName,
+      styleId: result.styleId,
+      playerId: line.playerId,
+      playerName: line.playerName,
+      points: result.points,
+      confidence: result.confidence,
+      ruleVersion: result.ruleVersion
+    }));
   }
 
-  // Save player to database
+  // Save a player seen in a match. Match lines include national team games,
+  // so the club and league they carry are only used for a new player; once
+  // squad syncs (catalogueService) have a player, its row is theirs.
   async savePlayer(playerData, team, league) {
     try {
+      const apiId = playerData.id.toString();
+      const birthDate = playerData.birth?.date ? new Date(playerData.birth.date) : undefined;
+
+      const existing = await prisma.player.findUnique({ where: { apiId } });
+      if (existing?.syncedAt) return existing;
+
       const player = await prisma.player.upsert({
-        where: { apiId: playerData.id.toString() },
+        where: { apiId },
         update: {
           name: playerData.name,
-          team: team,
-          league: league
+          ...(playerData.position && { position: playerData.position }),
+          ...(birthDate && { birthDate })
         },
         create: {
-          apiId: playerData.id.toString(),
+          apiId,
           name: playerData.name,
           team: team,
           league: league,
-          position: playerData.position || 'Unknown'
+          position: playerData.position || 'Unknown',
+          birthDate
         }
       });
 
@@ -0,0 +1,173 @@
+const mockPrisma = {
+  match: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+  player: { findUnique: jest.fn(), upsert: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const FootballApiService = require('./footballApi');
+
+const fixture = (status, extra = {}) => ({
+  id: '1001',
+  league: { id: '39', name: 'Premier League', season: '2026', round: 'Regular Season - 8' },
+  homeTeam: { id: '1', name: 'Home' },
+  awayTeam: { id: '2', name: 'Away' },
+  status,
+  startTime: new Date('2026-10-19T15:00:00Z'),
+  ...extra
+});
+
+const storedMatch = (status, phase) => ({
+  apiId: '1001',
+  leagueId: '39',
+  status,
+  phase,
+  startTime: new Date('2026-10-19T15:00:00Z'),
+  season: '2026',
+  round: 'Regular Season - 8'
+});
+
+describe('FootballApiService.saveMatch', () => {
+  const footballApi = new FootballApiService({});
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.match.create.mockImplementation(async ({ data }) => data);
+    mockPrisma.match.update.mockImplementation(async ({ data }) => data);
+  });
+
+  test('stores a new match in the phase of its status', async () => {
+    mockPrisma.match.findUnique.mockResolvedValueOnce(null);
+
+    const match = await footballApi.saveMatch(fixture('FT'));
+
+    expect(match).toMatchObject({ apiId: '1001', league: 'Premier League', leagueId: '39', phase: 'FINISHED', finishedAt: expect.any(Date) });
+  });
+
+  test('moves a match on to its next phase', async () => {
+    mockPrisma.match.findUnique.mockResolvedValueOnce(storedMatch('NS', 'SCHEDULED'));
+
+    await footballApi.saveMatch(fixture('1H'));
+
+    expect(mockPrisma.match.update).toHaveBeenCalledWith({
+      where: { apiId: '1001' },
+      data: expect.objectContaining({ status: '1H', phase: 'LIVE', phaseChangedAt: expect.any(Date) })
+    });
+  });
+
+  test('stamps when a match finished', async () => {
+    mockPrisma.match.findUnique.mockResolvedValueOnce(storedMatch('2H', 'LIVE'));
+
+    await footballApi.saveMatch(fixture('FT'));
+
+    const { data } = mockPrisma.match.update.mock.calls[0][0];
+    expect(data).toMatchObject({ phase: 'FINISHED', finishedAt: expect.any(Date) });
+  });
+
+  test('keeps the phase when only the status code changes', async () => {
+    mockPrisma.match.findUnique.mockResolvedValueOnce(storedMatch('1H', 'LIVE'));
+
+    await footballApi.saveMatch(fixture('2H'));
+
+    const { data } = mockPrisma.match.update.mock.calls[0][0];
+    expect(data.status).toBe('2H');
+    expect(data).not.toHaveProperty('phase');
+  });
+
+  test('ignores a finished match reported live again', async () => {
+    const existing = storedMatch('FT', 'FINISHED');
+    mockPrisma.match.findUnique.mockResolvedValueOnce(existing);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const match = await footballApi.saveMatch(fixture('2H'));
+
+    expect(match).toBe(existing);
+    expect(mockPrisma.match.update).not.toHaveBeenCalled();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("FINISHED can't become LIVE"));
+    warn.mockRestore();
+  });
+
+  test('still updates the kick-off time of a match it refuses to move', async () => {
+    mockPrisma.match.findUnique.mockResolvedValueOnce(storedMatch('CANC', 'CANCELLED'));
+    jest.spyOn(console, 'warn').mockImplementationOnce(() => {});
+    const startTime = new Date('2026-10-20T15:00:00Z');
+
+    await footballApi.saveMatch(fixture('FT', { startTime }));
+
+    const { data } = mockPrisma.match.update.mock.calls[0][0];
+    expect(data).toEqual({ startTime, leagueId: '39', season: '2026', round: 'Regular Season - 8' });
+  });
+
+  test('fills in the league id of a match stored without one', async () => {
+    mockPrisma.match.findUnique.mockResolvedValueOnce({ ...storedMatch('NS', 'SCHEDULED'), leagueId: null });
+
+    await footballApi.saveMatch(fixture('NS'));
+
+    expect(mockPrisma.match.update.mock.calls[0][0].data).toMatchObject({ leagueId: '39' });
+  });
+
+  test('does not write a match that has not changed', async () => {
+    const existing = storedMatch('NS', 'SCHEDULED');
+    mockPrisma.match.findUnique.mockResolvedValueOnce(existing);
+
+    await expect(footballApi.saveMatch(fixture('NS'))).resolves.toBe(existing);
+    expect(mockPrisma.match.update).not.toHaveBeenCalled();
+  });
+
+  test('lets a postponed match be rescheduled', async () => {
+    mockPrisma.match.findUnique.mockResolvedValueOnce(storedMatch('PST', 'POSTPONED'));
+
+    await footballApi.saveMatch(fixture('NS'));
+
+    const { data } = mockPrisma.match.update.mock.calls[0][0];
+    expect(data).toMatchObject({ status: 'NS', phase: 'SCHEDULED' });
+  });
+});
+
+describe('FootballApiService.savePlayer', () => {
+  const footballApi = new FootballApiService({});
+  const line = { id: '77', name: 'A. Silva', position: 'Midfielder' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.player.upsert.mockImplementation(async ({ create }) => create);
+  });
+
+  test('adds a new player with the club from the match', async () => {
+    mockPrisma.player.findUnique.mockResolvedValueOnce(null);
+
+    await footballApi.savePlayer(line, 'Benfica', 'Primeira Liga');
+
+    expect(mockPrisma.player.upsert).toHaveBeenCalledWith(expect.objectContaining({
+      create: expect.objectContaining({ apiId: '77', team: 'Benfica', league: 'Primeira Liga', position: 'Midfielder' })
+    }));
+  });
+
+  test('never moves a known player to the team of a match', async () => {
+    mockPrisma.player.findUnique.mockResolvedValueOnce({ apiId: '77', team: 'Benfica', syncedAt: null });
+
+    await footballApi.savePlayer(line, 'Portugal', 'World Cup - Qualification Europe');
+
+    const { update } = mockPrisma.player.upsert.mock.calls[0][0];
+    expect(update).not.toHaveProperty('team');
+    expect(update).not.toHaveProperty('league');
+  });
+
+  test('leaves catalogued players to the squad sync', async () => {
+    const catalogued = { apiId: '77', name: 'André Silva', team: 'Benfica', teamId: 'team-1', syncedAt: new Date() };
+    mockPrisma.player.findUnique.mockResolvedValueOnce(catalogued);
+
+    await expect(footballApi.savePlayer(line, 'Portugal', 'Friendlies')).resolves.toBe(catalogued);
+    expect(mockPrisma.player.upsert).not.toHaveBeenCalled();
+  });
+});
+
+describe('FootballApiService.fetchFixturesBetween', () => {
+  test('asks the provider for nothing when no competition is tracked', async () => {
+    const provider = { getFixturesBetween: jest.fn() };
+    const footballApi = new FootballApiService(provider);
+
+    await expect(footballApi.fetchFixturesBetween(new Date(), new Date(), [])).resolves.toEqual([]);
+    expect(provider.getFixturesBetween).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,288 @@
+const axios = require('axios');
+const { FootballProvider, providerError } = require('./baseProvider');
+const QuotaTracker = require('./quotaTracker');
+const responseCache = require('./responseCache');
+const { normalizePlayerStats, POSITION_NAMES } = require('../../utils/matchStats');
+
+const MAX_RETRIES = parseInt(process.env.FOOTBALL_API_MAX_RETRIES || '3');
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// Seconds each kind of response is cached for
+const CACHE_TTL = {
+  live: 15,
+  day: 30,
+  fixture: 30,
+  season: 6 * 60 * 60,
+  lineups: 10 * 60,
+  events: 30,
+  players: 2 * 60,
+  catalogue: 12 * 60 * 60
+};
+
+// One budget however many services hold a provider
+const quota = new QuotaTracker('api-football', {
+  limitHeader: 'x-ratelimit-requests-limit',
+  remainingHeader: 'x-ratelimit-requests-remaining',
+  resetHeader: 'x-ratelimit-requests-reset'
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network errors, rate limiting and server errors are worth another try
+const isRetryable = (error) => !error.response || error.response.status === 429 || error.response.status >= 500;
+
+const retryDelay = (error, attempt) => {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter)) return Math.min(retryAfter * 1000, RETRY_MAX_MS);
+  return Math.min(RETRY_BASE_MS * 2 ** attempt + Math.random() * RETRY_BASE_MS, RETRY_MAX_MS);
+};
+
+const team = (data) => ({ id: data.id.toString(), name: data.name });
+const person = (data) => (data && data.id ? { id: data.id.toString(), name: data.name } : null);
+
+const toFixture = (item) => ({
+  id: item.fixture.id.toString(),
+  league: {
+    id: item.league.id.toString(),
+    name: item.league.name,
+    season: item.league.season ? item.league.season.toString() : null,
+    round: item.league.round || null
+  },
+  homeTeam: team(item.teams.home),
+  awayTeam: team(item.teams.away),
+  status: item.fixture.status.short,
+  startTime: new Date(item.fixture.date),
+  score: {
+    home: item.goals?.home ?? null,
+    away: item.goals?.away ?? null
+  }
+});
+
+// Squads name positions in full; everything else uses the one-letter codes
+const POSITION_CODES = Object.fromEntries(Object.entries(POSITION_NAMES).map(([code, name]) => [name, code]));
+
+const toLineupPlayer = ({ player }) => ({
+  id: player.id ? player.id.toString() : null,
+  name: player.name,
+  number: player.number ?? null,
+  position: player.pos || null
+});
+
+/**
+ * API-Football (v3, via RapidAPI). Responses are cached for CACHE_TTL, failed
+ * requests retried with backoff, and the daily budget tracked from the
+ * response headers.
+ */
+class ApiFootballProvider extends FootballProvider {
+  constructor({ apiKey = process.env.FOOTBALL_API_KEY } = {}) {
+    super('api-football');
+    this.baseUrl = 'https://api-football-v1.p.rapidapi.com/v3';
+    this.headers = {
+      'X-RapidAPI-Key': apiKey,
+      'X-RapidAPI-Host': 'api-football-v1.p.rapidapi.com'
+    };
+  }
+
+  /**
+   * GET an endpoint's `response` array. `ttl` is how long to cache it (0 for
+   * not at all); `priority` is 'urgent' or 'background' (see QuotaTracker).
+   */
+  async request(path, params, options) {
+    return this.load(path, params, options, data => data.response);
+  }
+
+  // Every page of a paginated endpoint's `response`
+  async requestPages(path, params, options) {
+    const items = [];
+    for (let page = 1, pages = 1; page <= pages; page++) {
+      const data = await this.load(path, { ...params, page }, options, ({ response, paging }) => ({ response, paging }));
+      items.push(...data.response);
+      pages = data.paging?.total || 1;
+    }
+    return items;
+  }
+
+  async load(path, params, { ttl = 0, priority = 'urgent' } = {}, select) {
+    const key = `${this.name}:${path}?${new URLSearchParams(Object.entries(params).sort()).toString()}`;
+    if (ttl) {
+      const cached = await responseCache.get(key);
+      if (cached !== undefined) return cached;
+    }
+
+    await quota.reserve(priority);
+    const value = select(await this.send(path, params));
+
+    if (ttl) await responseCache.set(key, value, ttl);
+    return value;
+  }
+
+  async send(path, params) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+          headers: this.headers,
+          params,
+          timeout: REQUEST_TIMEOUT_MS
+        });
+        await quota.record(response.headers);
+
+        // The API reports some failures, including a spent quota, with a 200
+        const errors = Object.values(response.data.errors || {});
+        if (response.data.errors?.rateLimit) {
+          throw Object.assign(new Error(response.data.errors.rateLimit), {
+            response: { status: 429, headers: response.headers }
+          });
+        }
+        if (errors.length > 0) {
+          const spent = response.data.errors.requests;
+          throw providerError(`api-football: ${errors.join('; ')}`, spent ? 'QUOTA_EXHAUSTED' : 'PROVIDER_ERROR', spent ? 429 : 502);
+        }
+        return response.data;
+      } catch (error) {
+        if (error.statusCode) throw error;
+        if (error.response) await quota.record(error.response.headers);
+
+        if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+          const status = error.response ? ` (HTTP ${error.response.status})` : '';
+          throw providerError(`api-football request to ${path} failed${status}: ${error.message}`, 'PROVIDER_UNAVAILABLE', 502);
+        }
+        await sleep(retryDelay(error, attempt));
+      }
+    }
+  }
+
+  async getQuota() {
+    return quota.status();
+  }
+
+  async getLiveFixtures() {
+    const items = await this.request('/fixtures', { live: 'all' }, { ttl: CACHE_TTL.live });
+    return items.map(toFixture);
+  }
+
+  async getFixtures({ league, season }) {
+    const items = await this.request('/fixtures', { league, season }, { ttl: CACHE_TTL.season, priority: 'background' });
+    return items.map(toFixture);
+  }
+
+  // One request per competition; the API filters by calendar date, so the
+  // UTC days the range touches are asked for and trimmed to the range
+  async getFixturesBetween({ from, to, competitions }) {
+    const fixtures = [];
+
+    for (const { league, season } of competitions) {
+      const items = await this.request('/fixtures', {
+        league,
+        season,
+        from: from.toISOString().slice(0, 10),
+        to: to.toISOString().slice(0, 10),
+        timezone: 'UTC'
+      }, { ttl: CACHE_TTL.day });
+      fixtures.push(...items.map(toFixture).filter(fixture => fixture.startTime >= from && fixture.startTime <= to));
+    }
+
+    return fixtures;
+  }
+
+  async getFixture(fixtureId) {
+    const [item] = await this.request('/fixtures', { id: fixtureId }, { ttl: CACHE_TTL.fixture });
+    return item ? toFixture(item) : null;
+  }
+
+  async getLineups(fixtureId) {
+    const items = await this.request('/fixtures/lineups', { fixture: fixtureId }, { ttl: CACHE_TTL.lineups });
+    return items.map(item => ({
+      team: team(item.team),
+      formation: item.formation || null,
+      startXI: (item.startXI || []).map(toLineupPlayer),
+      substitutes: (item.substitutes || []).map(toLineupPlayer)
+    }));
+  }
+
+  async getEvents(fixtureId) {
+    const items = await this.request('/fixtures/events', { fixture: fixtureId }, { ttl: CACHE_TTL.events });
+    return items.map(item => ({
+      minute: item.time.elapsed,
+      extraMinute: item.time.extra ?? null,
+      team: team(item.team),
+      player: person(item.player),
+      assist: person(item.assist),
+      type: item.type,
+      detail: item.detail
+    }));
+  }
+
+  async getPlayerStats(fixtureId) {
+    const teams = await this.request('/fixtures/players', { fixture: fixtureId }, { ttl: CACHE_TTL.players });
+
+    return teams.flatMap(entry => entry.players
+      // Unused substitutes come back without a statistics entry
+      .filter(player => player.statistics && player.statistics[0])
+      .map(player => {
+        const statistics = player.statistics[0];
+        return {
+          playerId: player.player.id.toString(),
+          playerName: player.player.name,
+          teamId: entry.team.id.toString(),
+          teamName: entry.team.name,
+          position: statistics.games?.position || null,
+          minutes: parseInt(statistics.games?.minutes) || 0,
+          stats: normalizePlayerStats(statistics),
+          raw: statistics
+        };
+      }));
+  }
+
+  async getLeague(leagueId) {
+    const [item] = await this.request('/leagues', { id: leagueId }, { ttl: CACHE_TTL.catalogue, priority: 'background' });
+    if (!item) return null;
+
+    const current = (item.seasons || []).find(season => season.current);
+    return {
+      id: item.league.id.toString(),
+      name: item.league.name,
+      country: item.country?.name || null,
+      logoUrl: item.league.logo || null,
+      season: current ? current.year.toString() : null
+    };
+  }
+
+  async getTeams({ league, season }) {
+    const items = await this.request('/teams', { league, season }, { ttl: CACHE_TTL.catalogue, priority: 'background' });
+    return items.map(item => ({
+      id: item.team.id.toString(),
+      name: item.team.name,
+      code: item.team.code || null,
+      country: item.team.country || null,
+      logoUrl: item.team.logo || null
+    }));
+  }
+
+  async getSquad(teamId) {
+    const [item] = await this.request('/players/squads', { team: teamId }, { ttl: CACHE_TTL.catalogue, priority: 'background' });
+    return (item?.players || []).map(player => ({
+      id: player.id.toString(),
+      name: player.name,
+      number: player.number ?? null,
+      position: POSITION_CODES[player.position] || null,
+      photoUrl: player.photo || null
+    }));
+  }
+
+  async getPlayerBios({ team, season }) {
+    const items = await this.requestPages('/players', { team, season }, { ttl: CACHE_TTL.catalogue, priority: 'background' });
+    return items.map(({ player }) => ({
+      id: player.id.toString(),
+      name: player.name,
+      firstName: player.firstname || null,
+      lastName: player.lastname || null,
+      birthDate: player.birth?.date ? new Date(player.birth.date) : null,
+      nationality: player.nationality || null,
+      photoUrl: player.photo || null
+    }));
+  }
+}
+
+module.exports = ApiFootballProvider;
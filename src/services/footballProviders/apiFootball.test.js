@@ -0,0 +1,144 @@
+jest.mock('axios');
+
+const axios = require('axios');
+const ApiFootballProvider = require('./apiFootball');
+
+const QUOTA_HEADERS = {
+  'x-ratelimit-requests-limit': '100',
+  'x-ratelimit-requests-remaining': '90',
+  'x-ratelimit-requests-reset': '3600'
+};
+
+const ok = (response, headers = QUOTA_HEADERS) => ({ data: { errors: [], response }, headers });
+
+// An axios failure; `retry-after: 0` keeps retries from waiting
+const httpError = (status, headers = { 'retry-after': '0' }) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+const fixture = (id, date, league = { id: 39, name: 'Premier League', season: 2026, round: 'Regular Season - 8' }) => ({
+  fixture: { id, date, status: { short: 'NS' } },
+  league,
+  teams: { home: { id: 1, name: 'Home' }, away: { id: 2, name: 'Away' } },
+  goals: { home: null, away: null }
+});
+
+describe('ApiFootballProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    axios.get.mockReset();
+    provider = new ApiFootballProvider({ apiKey: 'test-key' });
+  });
+
+  test('sends the API key and maps fixtures', async () => {
+    axios.get.mockResolvedValueOnce(ok([fixture(101, '2026-10-19T15:00:00Z')]));
+
+    const [match] = await provider.getFixturesBetween({
+      from: new Date('2026-10-19T14:00:00Z'),
+      to: new Date('2026-10-19T16:00:00Z'),
+      competitions: [{ league: '39', season: '2026' }]
+    });
+
+    expect(axios.get).toHaveBeenCalledWith(expect.stringContaining('/fixtures'), expect.objectContaining({
+      headers: expect.objectContaining({ 'X-RapidAPI-Key': 'test-key' }),
+      params: { league: '39', season: '2026', from: '2026-10-19', to: '2026-10-19', timezone: 'UTC' }
+    }));
+    expect(match).toMatchObject({
+      id: '101',
+      league: { id: '39', name: 'Premier League', season: '2026', round: 'Regular Season - 8' },
+      homeTeam: { id: '1', name: 'Home' },
+      status: 'NS'
+    });
+  });
+
+  test('asks for each tracked competition once, trimmed to the range', async () => {
+    const laLiga = { id: 140, name: 'La Liga', season: 2026, round: 'Regular Season - 9' };
+    axios.get
+      .mockResolvedValueOnce(ok([fixture(201, '2026-10-19T21:00:00Z'), fixture(202, '2026-10-19T12:00:00Z')]))
+      .mockResolvedValueOnce(ok([fixture(301, '2026-10-20T00:30:00Z', laLiga)]));
+
+    const matches = await provider.getFixturesBetween({
+      from: new Date('2026-10-19T20:00:00Z'),
+      to: new Date('2026-10-20T01:00:00Z'),
+      competitions: [{ league: '39', season: '2026' }, { league: '140', season: '2026' }]
+    });
+
+    expect(axios.get).toHaveBeenCalledTimes(2);
+    expect(axios.get.mock.calls[1][1].params).toEqual({
+      league: '140', season: '2026', from: '2026-10-19', to: '2026-10-20', timezone: 'UTC'
+    });
+    expect(matches.map(match => match.id)).toEqual(['201', '301']);
+  });
+
+  test('retries server errors and rate limiting, then succeeds', async () => {
+    axios.get
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(429))
+      .mockResolvedValueOnce(ok([]));
+
+    await expect(provider.request('/fixtures', { id: 'retry-1' })).resolves.toEqual([]);
+    expect(axios.get).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries a rate limit reported with a 200', async () => {
+    axios.get
+      .mockResolvedValueOnce({ data: { errors: { rateLimit: 'Too many requests' }, response: [] }, headers: { 'retry-after': '0' } })
+      .mockResolvedValueOnce(ok([]));
+
+    await expect(provider.request('/fixtures', { id: 'retry-2' })).resolves.toEqual([]);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after the configured number of retries', async () => {
+    axios.get.mockRejectedValue(httpError(500));
+
+    await expect(provider.request('/fixtures', { id: 'retry-3' })).rejects.toMatchObject({
+      code: 'PROVIDER_UNAVAILABLE',
+      statusCode: 502
+    });
+    expect(axios.get).toHaveBeenCalledTimes(4);
+  });
+
+  test('does not retry client errors', async () => {
+    axios.get.mockRejectedValueOnce(httpError(403));
+
+    await expect(provider.request('/fixtures', { id: 'retry-4' })).rejects.toMatchObject({ code: 'PROVIDER_UNAVAILABLE' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a spent quota without retrying', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: { errors: { requests: 'You have reached the request limit for the day' }, response: [] },
+      headers: {}
+    });
+
+    await expect(provider.request('/fixtures', { id: 'quota-1' })).rejects.toMatchObject({
+      code: 'QUOTA_EXHAUSTED',
+      statusCode: 429
+    });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('caches responses for their ttl', async () => {
+    axios.get.mockResolvedValue(ok([fixture(202, '2026-10-19T15:00:00Z')]));
+
+    await provider.getFixture('202');
+    await provider.getFixture('202');
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('tracks the budget and holds back background requests when it runs low', async () => {
+    axios.get.mockResolvedValueOnce(ok([], { ...QUOTA_HEADERS, 'x-ratelimit-requests-remaining': '3' }));
+
+    await provider.request('/fixtures', { id: 'quota-2' });
+    expect(await provider.getQuota()).toMatchObject({ limit: 100, remaining: 3 });
+
+    await expect(provider.getFixtures({ league: '39', season: '2026' })).rejects.toMatchObject({ code: 'QUOTA_LOW' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+
+    // The tracker is shared by every provider instance; leave it healthy
+    axios.get.mockResolvedValueOnce(ok([]));
+    await provider.request('/fixtures', { id: 'quota-3' });
+  });
+});
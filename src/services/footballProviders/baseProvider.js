@@ -0,0 +1,98 @@
+// Errors raised here carry an HTTP status and a machine-readable code
+const providerError = (message, code = 'PROVIDER_ERROR', statusCode = 502) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Football data provider interface. Adapters translate a provider's API into
+ * the shapes below, so nothing downstream knows which provider is in use.
+ * Ids are strings; methods resolve to null (or []) when there is no data.
+ *
+ *   Fixture      { id, league: { id, name, season, round }, homeTeam: { id, name },
+ *                  awayTeam: { id, name }, status, startTime, score: { home, away } }
+ *                status uses API-Football's short codes (NS, 1H, HT, 2H, FT,
+ *                PST, CANC, ...); other adapters map onto them
+ *   Lineup       { team: { id, name }, formation, startXI: [LineupPlayer], substitutes: [LineupPlayer] }
+ *   LineupPlayer { id, name, number, position }
+ *   Event        { minute, extraMinute, team, player, assist, type, detail }
+ *   PlayerLine   { playerId, playerName, teamId, teamName, position, minutes, stats, raw }
+ *                position is G, D, M or F; stats has the fields in
+ *                utils/matchStats; raw is the provider's own entry, if any
+ *   League       { id, name, country, logoUrl, season }   season is the current one
+ *   Team         { id, name, code, country, logoUrl }
+ *   SquadPlayer  { id, name, number, position, photoUrl }
+ *   PlayerBio    { id, name, firstName, lastName, birthDate, nationality, photoUrl }
+ */
+class FootballProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  notImplemented(method) {
+    return providerError(`${this.name} provider does not support ${method}`, 'PROVIDER_NOT_SUPPORTED', 501);
+  }
+
+  // The provider's remaining request budget, if it has one
+  async getQuota() {
+    return null;
+  }
+
+  // Fixtures in play
+  async getLiveFixtures() {
+    throw this.notImplemented('getLiveFixtures');
+  }
+
+  // A competition's fixture list for one season
+  async getFixtures() {
+    throw this.notImplemented('getFixtures');
+  }
+
+  // Fixtures of the given competitions ([{ league, season }]) kicking off in
+  // a time range, whatever their status
+  async getFixturesBetween() {
+    throw this.notImplemented('getFixturesBetween');
+  }
+
+  async getFixture() {
+    throw this.notImplemented('getFixture');
+  }
+
+  async getLineups() {
+    throw this.notImplemented('getLineups');
+  }
+
+  async getEvents() {
+    throw this.notImplemented('getEvents');
+  }
+
+  async getPlayerStats() {
+    throw this.notImplemented('getPlayerStats');
+  }
+
+  async getLeague() {
+    throw this.notImplemented('getLeague');
+  }
+
+  // Teams playing in a competition's season
+  async getTeams() {
+    throw this.notImplemented('getTeams');
+  }
+
+  // A team's current squad
+  async getSquad() {
+    throw this.notImplemented('getSquad');
+  }
+
+  // Biographies of the players who appeared for a team in a season
+  async getPlayerBios() {
+    throw this.notImplemented('getPlayerBios');
+  }
+}
+
+module.exports = {
+  FootballProvider,
+  providerError
+};
@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { FootballProvider } = require('./baseProvider');
+const { normalizePlayerStats } = require('../../utils/matchStats');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../../fixtures/football');
+const FIXTURE_ID = /^[A-Za-z0-9_-]+$/;
+
+// Competitions are given by provider league id (or name) and, optionally, season
+const inCompetition = (fixture, { league, season }) =>
+  [fixture.league.id, fixture.league.name].includes(league?.toString()) &&
+  (!season || fixture.league.season === season.toString());
+
+/**
+ * Recorded fixtures on disk, for running the pipeline offline in development
+ * and CI. Each fixture is one `<id>.json` file holding the provider
+ * interface's shapes (see baseProvider and scripts/recordFixtures):
+ *
+ *   { "fixture": Fixture, "lineups": [...], "events": [...], "players": [PlayerLine] }
+ *
+ * A player line may give `stats` directly (fields left out are 0) or only an
+ * API-Football `raw` entry. Every fixture on file counts as live and as
+ * falling in any polled time range of its competition.
+ */
+class FileProvider extends FootballProvider {
+  constructor({ directory = process.env.FOOTBALL_FIXTURES_DIR || DEFAULT_DIRECTORY } = {}) {
+    super('file');
+    this.directory = path.resolve(directory);
+  }
+
+  async read(fixtureId) {
+    const id = fixtureId.toString();
+    if (!FIXTURE_ID.test(id)) return null;
+
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readAll() {
+    let files;
+    try {
+      files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return Promise.all(files.map(file => this.read(path.basename(file, '.json'))));
+  }
+
+  toFixture(record) {
+    return { ...record.fixture, startTime: new Date(record.fixture.startTime) };
+  }
+
+  async getLiveFixtures() {
+    return (await this.readAll()).filter(Boolean).map(record => this.toFixture(record));
+  }
+
+  async getFixtures({ league, season }) {
+    const fixtures = await this.getLiveFixtures();
+    return fixtures.filter(fixture => inCompetition(fixture, { league, season }));
+  }
+
+  // Recorded fixtures are replayed whenever they were played
+  async getFixturesBetween({ competitions }) {
+    const fixtures = await this.getLiveFixtures();
+    return fixtures.filter(fixture => competitions.some(competition => inCompetition(fixture, competition)));
+  }
+
+  async getFixture(fixtureId) {
+    const record = await this.read(fixtureId);
+    return record ? this.toFixture(record) : null;
+  }
+
+  async getLineups(fixtureId) {
+    const record = await this.read(fixtureId);
+    return record ? record.lineups || [] : null;
+  }
+
+  async getEvents(fixtureId) {
+    const record = await this.read(fixtureId);
+    return record ? record.events || [] : null;
+  }
+
+  async getPlayerStats(fixtureId) {
+    const record = await this.read(fixtureId);
+    if (!record) return null;
+
+    return (record.players || []).map(line => ({
+      ...line,
+      stats: {
+        ...normalizePlayerStats(line.raw || { games: { position: line.position, minutes: line.minutes } }),
+        ...line.stats
+      }
+    }));
+  }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,77 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const FileProvider = require('./fileProvider');
+const { createProvider } = require('./index');
+
+const record = (id, league, extra = {}) => ({
+  fixture: {
+    id,
+    league: { id: league.id, name: league.name, season: '2026' },
+    homeTeam: { id: 'h', name: 'Home' },
+    awayTeam: { id: 'a', name: 'Away' },
+    status: 'FT',
+    startTime: '2026-08-15T14:00:00.000Z'
+  },
+  ...extra
+});
+
+describe('FileProvider', () => {
+  let directory;
+  let provider;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'fixtures-'));
+    await fs.writeFile(path.join(directory, '1001.json'), JSON.stringify(record('1001', { id: '39', name: 'Premier League' }, {
+      lineups: [{ team: 'Home' }],
+      players: [
+        { playerId: '9', playerName: 'A. Striker', position: 'F', minutes: 90, stats: { goals: 2 } },
+        { playerId: '4', playerName: 'B. Back', position: 'D', minutes: 45 }
+      ]
+    })));
+    await fs.writeFile(path.join(directory, '1002.json'), JSON.stringify(record('1002', { id: '140', name: 'La Liga' })));
+    await fs.writeFile(path.join(directory, 'notes.txt'), 'not a fixture');
+    provider = new FileProvider({ directory });
+  });
+
+  afterAll(() => fs.rm(directory, { recursive: true, force: true }));
+
+  test('lists every recorded fixture with its kickoff as a date', async () => {
+    const fixtures = await provider.getLiveFixtures();
+
+    expect(fixtures.map(fixture => fixture.id)).toEqual(['1001', '1002']);
+    expect(fixtures[0].startTime).toEqual(new Date('2026-08-15T14:00:00Z'));
+  });
+
+  test('selects a competition by league id or name and season', async () => {
+    expect((await provider.getFixtures({ league: 39, season: 2026 })).map(fixture => fixture.id)).toEqual(['1001']);
+    expect((await provider.getFixtures({ league: 'La Liga' })).map(fixture => fixture.id)).toEqual(['1002']);
+    expect(await provider.getFixtures({ league: 39, season: 2025 })).toEqual([]);
+    expect((await provider.getFixturesBetween({ competitions: [{ league: '140' }] })).map(fixture => fixture.id)).toEqual(['1002']);
+  });
+
+  test('fills in the stats a player line leaves out', async () => {
+    const [striker, back] = await provider.getPlayerStats('1001');
+
+    expect(striker.stats).toMatchObject({ goals: 2, assists: 0, minutes: 90 });
+    expect(back.stats).toMatchObject({ goals: 0, minutes: 45 });
+    expect(await provider.getLineups('1001')).toEqual([{ team: 'Home' }]);
+    expect(await provider.getEvents('1001')).toEqual([]);
+  });
+
+  test('answers unknown fixtures with null and never reads outside its directory', async () => {
+    expect(await provider.getFixture('9999')).toBeNull();
+    expect(await provider.getPlayerStats('../1001')).toBeNull();
+  });
+
+  test('treats a missing directory as having no fixtures', async () => {
+    const empty = new FileProvider({ directory: path.join(directory, 'missing') });
+
+    await expect(empty.getLiveFixtures()).resolves.toEqual([]);
+  });
+
+  test('is selected by name', () => {
+    expect(createProvider('file', { directory })).toBeInstanceOf(FileProvider);
+    expect(() => createProvider('nope')).toThrow(expect.objectContaining({ code: 'UNKNOWN_PROVIDER' }));
+  });
+});
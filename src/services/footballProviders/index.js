@@ -0,0 +1,26 @@
+const { FootballProvider, providerError } = require('./baseProvider');
+const ApiFootballProvider = require('./apiFootball');
+const FileProvider = require('./fileProvider');
+
+// Adapters by the name FOOTBALL_PROVIDER selects them with
+const PROVIDERS = {
+  'api-football': ApiFootballProvider,
+  file: FileProvider
+};
+
+/**
+ * Create the configured football data provider
+ */
+function createProvider(name = process.env.FOOTBALL_PROVIDER || 'api-football', options) {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw providerError(`Unknown football data provider '${name}'`, 'UNKNOWN_PROVIDER', 500);
+  }
+  return new Provider(options);
+}
+
+module.exports = {
+  FootballProvider,
+  PROVIDERS,
+  createProvider
+};
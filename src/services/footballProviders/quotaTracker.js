@@ -0,0 +1,108 @@
+const { providerError } = require('./baseProvider');
+const { redisClient } = require('../../utils/redis');
+
+const KEY_PREFIX = 'football:quota:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Below this share of the daily budget, background requests slow down...
+const BUDGET_RESERVE = parseFloat(process.env.FOOTBALL_API_BUDGET_RESERVE || '0.2');
+// ...by up to this long each, and below a quarter of it they stop
+const BACKGROUND_MAX_DELAY_MS = parseInt(process.env.FOOTBALL_API_THROTTLE_MS || '5000');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const headerInt = (headers, name) => {
+  const value = parseInt(headers[name]);
+  return Number.isFinite(value) ? value : null;
+};
+
+// Daily quotas reset at midnight UTC unless the provider says otherwise
+const nextMidnight = (now) => {
+  const date = new Date(now);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) + DAY_MS);
+};
+
+/**
+ * Daily request budget of a provider, read from its rate-limit response
+ * headers and shared between instances through Redis when available.
+ * Urgent requests (live polling, post-match stats) may spend the whole
+ * budget; background ones (fixture lists, catalogue syncs) give way to them
+ * as it runs low.
+ */
+class QuotaTracker {
+  constructor(provider, { limitHeader, remainingHeader, resetHeader } = {}) {
+    this.provider = provider;
+    this.headers = { limit: limitHeader, remaining: remainingHeader, reset: resetHeader };
+    this.state = null;
+  }
+
+  get key() {
+    return KEY_PREFIX + this.provider;
+  }
+
+  get redis() {
+    return redisClient && redisClient.isReady ? redisClient : null;
+  }
+
+  // Note the budget the provider reported with a response
+  async record(headers = {}) {
+    const limit = headerInt(headers, this.headers.limit);
+    const remaining = headerInt(headers, this.headers.remaining);
+    if (limit === null || remaining === null) return;
+
+    const now = Date.now();
+    const resetSeconds = this.headers.reset ? headerInt(headers, this.headers.reset) : null;
+    this.state = {
+      limit,
+      remaining,
+      resetAt: (resetSeconds !== null ? new Date(now + resetSeconds * 1000) : nextMidnight(now)).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    };
+
+    try {
+      if (this.redis) {
+        await this.redis.set(this.key, JSON.stringify(this.state), { PXAT: new Date(this.state.resetAt).getTime() });
+      }
+    } catch (error) {
+      console.error('Football quota write failed:', error.message);
+    }
+  }
+
+  // Latest known budget, or null before the first response
+  async status() {
+    try {
+      if (this.redis) {
+        const value = await this.redis.get(this.key);
+        if (value) this.state = JSON.parse(value);
+      }
+    } catch (error) {
+      console.error('Football quota read failed:', error.message);
+    }
+
+    if (this.state && new Date(this.state.resetAt) <= new Date()) {
+      this.state = null;
+    }
+    return this.state && { ...this.state, share: this.state.limit ? this.state.remaining / this.state.limit : 0 };
+  }
+
+  /**
+   * Wait for, or refuse, a request of the given priority ('urgent' or
+   * 'background') according to the budget left
+   */
+  async reserve(priority) {
+    const budget = await this.status();
+    if (!budget) return;
+
+    if (budget.remaining <= 0) {
+      throw providerError(`${this.provider} request budget is spent until ${budget.resetAt}`, 'QUOTA_EXHAUSTED', 429);
+    }
+    if (priority === 'urgent' || budget.share >= BUDGET_RESERVE) return;
+
+    if (budget.share < BUDGET_RESERVE / 4) {
+      throw providerError(`${this.provider} request budget is reserved for live matches`, 'QUOTA_LOW', 429);
+    }
+    await sleep(Math.round(BACKGROUND_MAX_DELAY_MS * (1 - budget.share / BUDGET_RESERVE)));
+  }
+}
+
+module.exports = QuotaTracker;
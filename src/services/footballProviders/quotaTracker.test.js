@@ -0,0 +1,91 @@
+const QuotaTracker = require('./quotaTracker');
+
+const HEADERS = {
+  limitHeader: 'x-limit',
+  remainingHeader: 'x-remaining',
+  resetHeader: 'x-reset'
+};
+
+const budget = (remaining, limit = 100) => ({ 'x-limit': String(limit), 'x-remaining': String(remaining), 'x-reset': '3600' });
+
+describe('QuotaTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new QuotaTracker('test', HEADERS);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('knows nothing before the first response', async () => {
+    expect(await tracker.status()).toBeNull();
+    await expect(tracker.reserve('background')).resolves.toBeUndefined();
+  });
+
+  test('reads the budget from response headers', async () => {
+    await tracker.record(budget(40));
+
+    expect(await tracker.status()).toMatchObject({ limit: 100, remaining: 40, share: 0.4 });
+  });
+
+  test('ignores responses without rate-limit headers', async () => {
+    await tracker.record(budget(40));
+    await tracker.record({});
+
+    expect((await tracker.status()).remaining).toBe(40);
+  });
+
+  test('resets at midnight UTC when the provider gives no reset', async () => {
+    const untimed = new QuotaTracker('test', { limitHeader: 'x-limit', remainingHeader: 'x-remaining' });
+    await untimed.record(budget(40));
+
+    const resetAt = new Date((await untimed.status()).resetAt);
+    expect(resetAt.getUTCHours()).toBe(0);
+    expect(resetAt.getTime() - Date.now()).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+  });
+
+  test('forgets the budget once it has reset', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+    await tracker.record(budget(0));
+
+    jest.setSystemTime(new Date('2026-10-19T13:00:01Z'));
+    expect(await tracker.status()).toBeNull();
+  });
+
+  test('refuses every request once the budget is spent', async () => {
+    await tracker.record(budget(0));
+
+    await expect(tracker.reserve('urgent')).rejects.toMatchObject({ code: 'QUOTA_EXHAUSTED', statusCode: 429 });
+    await expect(tracker.reserve('background')).rejects.toMatchObject({ code: 'QUOTA_EXHAUSTED' });
+  });
+
+  test('lets background requests through while above the reserve', async () => {
+    await tracker.record(budget(20));
+
+    await expect(tracker.reserve('background')).resolves.toBeUndefined();
+  });
+
+  test('keeps the last of the budget for urgent requests', async () => {
+    await tracker.record(budget(4));
+
+    await expect(tracker.reserve('urgent')).resolves.toBeUndefined();
+    await expect(tracker.reserve('background')).rejects.toMatchObject({ code: 'QUOTA_LOW', statusCode: 429 });
+  });
+
+  test('slows background requests down as the reserve runs out', async () => {
+    jest.useFakeTimers();
+    await tracker.record(budget(10));
+
+    let reserved = false;
+    const pending = tracker.reserve('background').then(() => { reserved = true; });
+
+    // Half the reserve left: half the maximum delay (5s)
+    await jest.advanceTimersByTimeAsync(2400);
+    expect(reserved).toBe(false);
+    await jest.advanceTimersByTimeAsync(100);
+    await pending;
+    expect(reserved).toBe(true);
+  });
+});
@@ -0,0 +1,59 @@
+const { redisClient } = require('../../utils/redis');
+
+const KEY_PREFIX = 'football:cache:';
+const MEMORY_MAX_ENTRIES = 1000;
+
+/**
+ * Provider response cache. Uses Redis when it's connected, so every instance
+ * shares one cache, and an in-process map otherwise. A cache failure is never
+ * fatal: the request just goes to the provider.
+ */
+class ResponseCache {
+  constructor() {
+    this.memory = new Map();
+  }
+
+  get redis() {
+    return redisClient && redisClient.isReady ? redisClient : null;
+  }
+
+  async get(key) {
+    try {
+      if (this.redis) {
+        const value = await this.redis.get(KEY_PREFIX + key);
+        return value === null ? undefined : JSON.parse(value);
+      }
+    } catch (error) {
+      console.error('Football cache read failed:', error.message);
+      return undefined;
+    }
+
+    const entry = this.memory.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    try {
+      if (this.redis) {
+        await this.redis.set(KEY_PREFIX + key, JSON.stringify(value), { EX: ttlSeconds });
+        return;
+      }
+    } catch (error) {
+      console.error('Football cache write failed:', error.message);
+      return;
+    }
+
+    // Maps iterate in insertion order, so this drops the oldest entry
+    if (this.memory.size >= MEMORY_MAX_ENTRIES) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+    this.memory.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+}
+
+module.exports = new ResponseCache();
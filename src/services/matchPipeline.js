@@ -0,0 +1,278 @@
+const { PrismaClient } = require('@prisma/client');
+const FootballApiService = require('./footballApi');
+const scoringService = require('./scoringService');
+const auditService = require('./auditService');
+const catalogueService = require('./catalogueService');
+const { POSITION_NAMES } = require('../utils/matchStats');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// A run that hasn't finished after this long is assumed dead and may be resumed
+const STALE_LOCK_MS = parseInt(process.env.MATCH_PIPELINE_LOCK_MINUTES || '10') * 60 * 1000;
+const FETCH_TIMEOUT_MS = 60 * 1000;
+const SCORING_TIMEOUT_MS = 60 * 1000;
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const pipelineError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Match Pipeline
+ * Processes a finished match (FT, AET or PEN; see utils/matchLifecycle) in
+ * resumable steps, persisting the state after each one:
+ *
+ *   PENDING -> FETCHED    player stats stored in player_match_stats
+ *   FETCHED -> ANALYSED   activation rules evaluated, result kept on the match
+ *   ANALYSED -> SCORED    activations and points written in one transaction
+ *   SCORED -> PUBLISHED   activations linked to catalogue players, match marked processed
+ *
+ * A failed run keeps its last completed state and picks up from there next
+ * time. Re-running a published match is a no-op unless forced, in which case
+ * scoring reconciles against the stored activations instead of adding to them
+ * and every change is written to the correction history. The correction's
+ * reason and actor are kept on the match until it is published again, so a
+ * forced run that fails part way is still recorded as one when resumed.
+ */
+class MatchPipeline {
+  constructor() {
+    this.footballApi = new FootballApiService();
+  }
+
+  async process(matchId, { force = false, req = null, reason = null } = {}) {
+    const apiId = matchId.toString();
+
+    const match = await prisma.match.findUnique({ where: { apiId } });
+    if (!match) {
+      throw pipelineError('Match not found', 'MATCH_NOT_FOUND', 404);
+    }
+    if (match.phase !== 'FINISHED') {
+      throw pipelineError(`Match is ${match.phase.toLowerCase().replace('_', ' ')}, not finished`, 'MATCH_NOT_FINISHED', 409);
+    }
+
+    const correction = force ? { reason, createdById: req?.user?.id || null } : null;
+    const claimedAt = await this.claim(apiId, { correction });
+    if (!claimedAt) {
+      const current = await prisma.match.findUnique({ where: { apiId } });
+      return {
+        matchId: apiId,
+        state: current.pipelineState,
+        skipped: true,
+        reason: current.pipelineState === 'PUBLISHED' ? 'ALREADY_PUBLISHED' : 'IN_PROGRESS'
+      };
+    }
+
+    let state = force ? 'PENDING' : match.pipelineState;
+    let scoring = null;
+
+    try {
+      if (state === 'PENDING') {
+        await this.fetch(apiId);
+        state = 'FETCHED';
+      }
+      if (state === 'FETCHED') {
+        await this.analyse(apiId);
+        state = 'ANALYSED';
+      }
+      if (state === 'ANALYSED') {
+        scoring = await this.score(apiId, { req });
+        state = 'SCORED';
+      }
+      if (state === 'SCORED') {
+        await this.publish(apiId);
+        state = 'PUBLISHED';
+      }
+
+      return { matchId: apiId, state, skipped: false, scoring };
+    } catch (error) {
+      logger.error(`Match ${apiId} pipeline stopped at ${state}: ${error.message}`);
+      await prisma.match.updateMany({
+        where: { apiId, pipelineLockedAt: claimedAt },
+        data: { pipelineError: error.message.slice(0, 1000) }
+      });
+      return { matchId: apiId, state, skipped: false, failed: true, error: error.message };
+    } finally {
+      // A run that overran STALE_LOCK_MS may have been taken over; the lock
+      // is then the other run's to release
+      await prisma.match.updateMany({
+        where: { apiId, pipelineLockedAt: claimedAt },
+        data: { pipelineLockedAt: null }
+      });
+    }
+  }
+
+  // Take the match's lock so two runs can't interleave; a correction restarts
+  // the match from PENDING, published or not. Resolves to the claim's time,
+  // which identifies the lock, or null when it is held.
+  async claim(apiId, { correction }) {
+    const force = Boolean(correction);
+    const claimedAt = new Date();
+    const { count } = await prisma.match.updateMany({
+      where: {
+        apiId,
+        ...(!force && { pipelineState: { not: 'PUBLISHED' } }),
+        OR: [
+          { pipelineLockedAt: null },
+          { pipelineLockedAt: { lt: new Date(Date.now() - STALE_LOCK_MS) } }
+        ]
+      },
+      data: {
+        pipelineLockedAt: claimedAt,
+        pipelineAttempts: { increment: 1 },
+        pipelineError: null,
+        ...(force && {
+          pipelineState: 'PENDING',
+          correctionRequestedAt: new Date(),
+          correctionReason: correction.reason,
+          correctionById: correction.createdById
+        })
+      }
+    });
+
+    return count > 0 ? claimedAt : null;
+  }
+
+  // Move to the next state, failing if another run already moved it
+  async advance(apiId, from, to, data = {}, client = prisma) {
+    const { count } = await client.match.updateMany({
+      where: { apiId, pipelineState: from },
+      data: { ...data, pipelineState: to }
+    });
+
+    if (count === 0) {
+      throw pipelineError(`Match ${apiId} is no longer ${from}`, 'PIPELINE_STATE_CONFLICT', 409);
+    }
+  }
+
+  async fetch(apiId) {
+    const lines = await this.footballApi.fetchPlayerStats(apiId);
+    if (!lines || lines.length === 0) {
+      // Provider stats often lag the final whistle; try again on the next run
+      throw pipelineError('Player statistics not available yet', 'STATS_UNAVAILABLE', 503);
+    }
+
+    const match = await prisma.match.findUnique({ where: { apiId }, select: { league: true } });
+
+    // The stored lines become exactly the provider's: a player it has since
+    // dropped from the match (a correction) must not be analysed again
+    await prisma.$transaction(async (tx) => {
+      for (const line of lines) {
+        await this.footballApi.savePlayerMatchStats(line, apiId, tx);
+      }
+      await tx.playerMatchStats.deleteMany({
+        where: { matchId: apiId, playerId: { notIn: lines.map(line => line.playerId) } }
+      });
+
+      await this.advance(apiId, 'PENDING', 'FETCHED', {}, tx);
+    }, { timeout: FETCH_TIMEOUT_MS });
+
+    // Adds players the catalogue hasn't synced yet
+    for (const line of lines) {
+      await this.footballApi.savePlayer({
+        id: line.playerId,
+        name: line.playerName,
+        position: POSITION_NAMES[line.position]
+      }, line.teamName, match.league);
+    }
+  }
+
+  async analyse(apiId) {
+    const rows = await prisma.playerMatchStats.findMany({ where: { matchId: apiId } });
+
+    const activations = [];
+    for (const row of rows) {
+      activations.push(...await this.footballApi.analyzePlayerPerformance(this.footballApi.storedPlayerLine(row)));
+    }
+
+    await this.advance(apiId, 'FETCHED', 'ANALYSED', { analysis: activations });
+  }
+
+  async score(apiId, { req }) {
+    return prisma.$transaction(async (tx) => {
+      const match = await tx.match.findUnique({ where: { apiId } });
+      const correction = match.correctionRequestedAt
+        ? { reason: match.correctionReason, createdById: match.correctionById }
+        : null;
+
+      const summary = await scoringService.reconcileMatch(tx, {
+        matchId: apiId,
+        leagueId: match.league,
+        activations: match.analysis || [],
+        correction
+      });
+
+      await this.advance(apiId, 'ANALYSED', 'SCORED', {}, tx);
+
+      await auditService.record(req, {
+        action: correction ? 'match.correct' : 'match.score',
+        targetType: 'Match',
+        targetId: apiId,
+        metadata: { ...summary, ...(correction && { reason: correction.reason }) }
+      }, tx);
+
+      return summary;
+    }, { timeout: SCORING_TIMEOUT_MS });
+  }
+
+  async publish(apiId) {
+    await catalogueService.linkActivations({ matchId: apiId });
+    await this.advance(apiId, 'SCORED', 'PUBLISHED', {
+      processed: true,
+      publishedAt: new Date(),
+      correctionRequestedAt: null,
+      correctionReason: null,
+      correctionById: null
+    });
+  }
+
+  async getStatus(matchId) {
+    const match = await prisma.match.findUnique({
+      where: { apiId: matchId.toString() },
+      select: {
+        apiId: true,
+        homeTeam: true,
+        awayTeam: true,
+        status: true,
+        phase: true,
+        phaseChangedAt: true,
+        finishedAt: true,
+        processed: true,
+        pipelineState: true,
+        pipelineAttempts: true,
+        pipelineError: true,
+        pipelineLockedAt: true,
+        publishedAt: true,
+        correctionRequestedAt: true,
+        correctionReason: true
+      }
+    });
+
+    if (!match) {
+      throw pipelineError('Match not found', 'MATCH_NOT_FOUND', 404);
+    }
+
+    const activations = await prisma.activation.count({ where: { matchId: match.apiId } });
+    return { ...match, activations };
+  }
+
+  async listCorrections(matchId) {
+    return prisma.activationCorrection.findMany({
+      where: { matchId: matchId.toString() },
+      include: {
+        style: {
+          select: { id: true, name: true, rarity: true }
+        },
+        _count: {
+          select: { adjustments: true }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+}
+
+module.exports = new MatchPipeline();
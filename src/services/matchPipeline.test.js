@@ -0,0 +1,173 @@
+// One match row, updated the way Postgres would apply these where clauses
+const mockMatch = {};
+const matches = (where) => {
+  if (where.apiId !== mockMatch.apiId) return false;
+  if (where.pipelineState?.not && mockMatch.pipelineState === where.pipelineState.not) return false;
+  if (typeof where.pipelineState === 'string' && mockMatch.pipelineState !== where.pipelineState) return false;
+  if (where.pipelineLockedAt instanceof Date &&
+    mockMatch.pipelineLockedAt?.getTime() !== where.pipelineLockedAt.getTime()) return false;
+  if (where.OR && !where.OR.some(clause => clause.pipelineLockedAt === null
+    ? mockMatch.pipelineLockedAt === null
+    : mockMatch.pipelineLockedAt < clause.pipelineLockedAt.lt)) return false;
+  return true;
+};
+const apply = (data) => {
+  for (const [key, value] of Object.entries(data)) {
+    mockMatch[key] = value && value.increment ? mockMatch[key] + value.increment : value;
+  }
+};
+const mockPrisma = {
+  match: {
+    findUnique: jest.fn(async () => ({ ...mockMatch })),
+    update: jest.fn(async ({ data }) => apply(data)),
+    updateMany: jest.fn(async ({ where, data }) => {
+      if (!matches(where)) return { count: 0 };
+      apply(data);
+      return { count: 1 };
+    })
+  },
+  playerMatchStats: { findMany: jest.fn(async () => []), deleteMany: jest.fn() },
+  $transaction: jest.fn(async (fn) => fn(mockPrisma))
+};
+
+const mockFootballApi = {
+  fetchPlayerStats: jest.fn(async () => [{ playerId: '9', playerName: 'A. Striker', position: 'F', teamName: 'Home' }]),
+  savePlayerMatchStats: jest.fn(),
+  savePlayer: jest.fn(),
+  analyzePlayerPerformance: jest.fn(async () => []),
+  storedPlayerLine: jest.fn(row => row)
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('./footballApi', () => jest.fn(() => mockFootballApi));
+jest.mock('./scoringService', () => ({ reconcileMatch: jest.fn() }));
+jest.mock('./auditService', () => ({ record: jest.fn() }));
+jest.mock('./catalogueService', () => ({ linkActivations: jest.fn() }));
+
+const scoringService = require('./scoringService');
+const auditService = require('./auditService');
+const matchPipeline = require('./matchPipeline');
+
+const admin = { user: { id: 'admin-1' } };
+
+describe('MatchPipeline corrections', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    for (const key of Object.keys(mockMatch)) delete mockMatch[key];
+    Object.assign(mockMatch, {
+      apiId: '100',
+      league: 'Premier League',
+      phase: 'FINISHED',
+      pipelineState: 'PUBLISHED',
+      pipelineAttempts: 1,
+      pipelineLockedAt: null,
+      analysis: [],
+      correctionRequestedAt: null,
+      correctionReason: null,
+      correctionById: null
+    });
+    scoringService.reconcileMatch.mockResolvedValue({ created: 0, updated: 1 });
+  });
+
+  test('a forced run scores as a correction and clears it once published', async () => {
+    const result = await matchPipeline.process('100', { force: true, req: admin, reason: 'Goal reassigned' });
+
+    expect(result.state).toBe('PUBLISHED');
+    expect(scoringService.reconcileMatch).toHaveBeenCalledWith(mockPrisma, expect.objectContaining({
+      correction: { reason: 'Goal reassigned', createdById: 'admin-1' }
+    }));
+    expect(auditService.record.mock.calls[0][1].action).toBe('match.correct');
+    expect(mockMatch.correctionRequestedAt).toBeNull();
+    expect(mockMatch.correctionReason).toBeNull();
+  });
+
+  test('a forced run that fails part way is resumed as the same correction', async () => {
+    scoringService.reconcileMatch.mockRejectedValueOnce(new Error('Transaction already closed'));
+
+    const failed = await matchPipeline.process('100', { force: true, req: admin, reason: 'Assist corrected' });
+    expect(failed).toMatchObject({ state: 'ANALYSED', failed: true });
+    expect(mockMatch.correctionReason).toBe('Assist corrected');
+
+    // The scheduler resumes it with no correction of its own
+    const resumed = await matchPipeline.process('100');
+
+    expect(resumed.state).toBe('PUBLISHED');
+    expect(scoringService.reconcileMatch).toHaveBeenLastCalledWith(mockPrisma, expect.objectContaining({
+      correction: { reason: 'Assist corrected', createdById: 'admin-1' }
+    }));
+    expect(auditService.record.mock.calls[0][1]).toMatchObject({
+      action: 'match.correct',
+      metadata: expect.objectContaining({ reason: 'Assist corrected' })
+    });
+    expect(mockMatch.correctionRequestedAt).toBeNull();
+  });
+
+  test('a match first processed normally is scored without a correction', async () => {
+    mockMatch.pipelineState = 'ANALYSED';
+
+    await matchPipeline.process('100');
+
+    expect(scoringService.reconcileMatch.mock.calls[0][1].correction).toBeNull();
+    expect(auditService.record.mock.calls[0][1].action).toBe('match.score');
+  });
+});
+
+describe('MatchPipeline locking', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(mockMatch, { apiId: '100', phase: 'FINISHED', pipelineState: 'ANALYSED', pipelineLockedAt: null, correctionRequestedAt: null });
+    scoringService.reconcileMatch.mockResolvedValue({ created: 1 });
+  });
+
+  test('releases its own lock when done', async () => {
+    await matchPipeline.process('100');
+
+    expect(mockMatch.pipelineLockedAt).toBeNull();
+  });
+
+  test('leaves the lock of a run that took over a stale claim', async () => {
+    const takenOver = new Date(Date.now() + 60 * 1000);
+    scoringService.reconcileMatch.mockImplementationOnce(async () => {
+      // Another run finds this one stale and claims the match meanwhile
+      mockMatch.pipelineLockedAt = takenOver;
+      throw new Error('Transaction already closed');
+    });
+
+    const result = await matchPipeline.process('100');
+
+    expect(result.failed).toBe(true);
+    expect(mockMatch.pipelineLockedAt).toBe(takenOver);
+    expect(mockMatch.pipelineError).not.toBe('Transaction already closed');
+  });
+});
+
+describe('MatchPipeline.fetch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(mockMatch, { apiId: '100', league: 'Premier League', pipelineState: 'PENDING' });
+  });
+
+  test('drops stored lines of players the provider no longer lists, with the new lines', async () => {
+    mockFootballApi.fetchPlayerStats.mockResolvedValueOnce([
+      { playerId: '9', playerName: 'A. Striker', position: 'F', teamName: 'Home' },
+      { playerId: '4', playerName: 'B. Back', position: 'D', teamName: 'Away' }
+    ]);
+
+    await matchPipeline.fetch('100');
+
+    expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+    expect(mockFootballApi.savePlayerMatchStats).toHaveBeenCalledWith(expect.objectContaining({ playerId: '4' }), '100', mockPrisma);
+    expect(mockPrisma.playerMatchStats.deleteMany).toHaveBeenCalledWith({
+      where: { matchId: '100', playerId: { notIn: ['9', '4'] } }
+    });
+    expect(mockMatch.pipelineState).toBe('FETCHED');
+  });
+
+  test('keeps the stored lines when saving the new ones fails', async () => {
+    mockFootballApi.savePlayerMatchStats.mockRejectedValueOnce(new Error('deadlock detected'));
+
+    await expect(matchPipeline.fetch('100')).rejects.toThrow('deadlock detected');
+    expect(mockPrisma.playerMatchStats.deleteMany).not.toHaveBeenCalled();
+    expect(mockMatch.pipelineState).toBe('PENDING');
+  });
+});
@@ -0,0 +1,187 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Same multipliers NFTMetadataService.getRarityMultiplier and
+// /api/nft/rarity-info advertise
+const RARITY_MULTIPLIERS = {
+  COMMON: 1.0,
+  RARE: 1.5,
+  LEGENDARY: 2.0,
+  MYTHIC: 3.0
+};
+
+// Optional bonuses; a multiplier of 1 switches them off
+const SERIAL_BONUS_MAX_SERIAL = parseInt(process.env.SERIAL_BONUS_MAX_SERIAL || '0');
+const SERIAL_BONUS_MULTIPLIER = parseFloat(process.env.SERIAL_BONUS_MULTIPLIER || '1');
+const FOUNDER_BONUS_MULTIPLIER = parseFloat(process.env.FOUNDER_BONUS_MULTIPLIER || '1');
+
+const toOwners = (rows) => new Map(rows.map(row => [row.userId, { cards: row.cards, points: row.points }]));
+
+/**
+ * Owner Scoring Service
+ * Works out what each card earns from an activation and keeps the working as
+ * an ActivationAward per card:
+ *
+ *   points = activation points x rarity x style bonus x serial bonus x founder bonus
+ *
+ * Multipliers are captured when the award is made, so a later correction
+ * rescales each award with the multipliers its holder actually had. Awards
+ * and the card and user totals they feed are written with set-based SQL, so
+ * the cost of an activation doesn't grow with one query per holder.
+ */
+class OwnerScoringService {
+  getConfig() {
+    return {
+      rarityMultipliers: RARITY_MULTIPLIERS,
+      serialBonus: SERIAL_BONUS_MAX_SERIAL > 0 && SERIAL_BONUS_MULTIPLIER !== 1
+        ? { maxSerial: SERIAL_BONUS_MAX_SERIAL, multiplier: SERIAL_BONUS_MULTIPLIER }
+        : null,
+      founderBonus: FOUNDER_BONUS_MULTIPLIER !== 1
+        ? { multiplier: FOUNDER_BONUS_MULTIPLIER }
+        : null
+    };
+  }
+
+  /**
+   * Credit every current holder of the activation's style in one statement:
+   * awards are inserted for all cards and card and user totals updated from
+   * them. Awards are unique per (activation, card), so a retry only credits
+   * cards that weren't paid yet. Returns { cards, points } per user id.
+   */
+  async awardOwners(tx, activation) {
+    const style = await tx.style.findUnique({
+      where: { id: activation.styleId },
+      select: { rarity: true, bonusMultiplier: true }
+    });
+
+    const rarityMultiplier = RARITY_MULTIPLIERS[style.rarity] || 1;
+    const styleMultiplier = style.bonusMultiplier || 1;
+
+    const rows = await tx.$queryRaw`
+      WITH "cards" AS (
+        SELECT us."id", us."userId",
+               CASE WHEN us."serialNumber" <= ${SERIAL_BONUS_MAX_SERIAL}::int THEN ${SERIAL_BONUS_MULTIPLIER}::float8 ELSE 1 END AS "serialMultiplier",
+               CASE WHEN up."isFounder" THEN ${FOUNDER_BONUS_MULTIPLIER}::float8 ELSE 1 END AS "founderMultiplier"
+        FROM "user_styles" us
+        LEFT JOIN "user_profiles" up ON up."userId" = us."userId"
+        WHERE us."styleId" = ${activation.styleId}
+      ), "changes" AS (
+        INSERT INTO "activation_awards" (
+          "id", "activationId", "userId", "userStyleId", "basePoints",
+          "rarityMultiplier", "styleMultiplier", "serialMultiplier", "founderMultiplier",
+          "totalMultiplier", "points", "updatedAt"
+        )
+        SELECT md5(${activation.id}::text || ':' || c."id"), ${activation.id}, c."userId", c."id", ${activation.points}::int,
+               ${rarityMultiplier}::float8, ${styleMultiplier}::float8, c."serialMultiplier", c."founderMultiplier",
+               ${rarityMultiplier}::float8 * ${styleMultiplier}::float8 * c."serialMultiplier" * c."founderMultiplier",
+               ROUND((${activation.points}::int * ${rarityMultiplier}::float8 * ${styleMultiplier}::float8 * c."serialMultiplier" * c."founderMultiplier")::numeric)::int,
+               CURRENT_TIMESTAMP
+        FROM "cards" c
+        ON CONFLICT ("activationId", "userStyleId") DO NOTHING
+        RETURNING "userId", "userStyleId", "points" AS "delta"
+      )${this.creditSql()}
+    `;
+
+    return toOwners(rows);
+  }
+
+  /**
+   * Rescale an activation's existing awards to a new base (0 to reverse),
+   * keeping each award's multipliers. Returns { cards, points } per user id.
+   */
+  async reviseAwards(tx, activation, basePoints) {
+    const rows = await tx.$queryRaw`
+      WITH "previous" AS (
+        SELECT "id", "points" FROM "activation_awards" WHERE "activationId" = ${activation.id}
+      ), "changes" AS (
+        UPDATE "activation_awards" a
+        SET "basePoints" = ${basePoints}::int,
+            "points" = ROUND((${basePoints}::int * a."totalMultiplier")::numeric)::int,
+            "updatedAt" = CURRENT_TIMESTAMP
+        FROM "previous" p
+        WHERE a."id" = p."id"
+          AND a."points" <> ROUND((${basePoints}::int * a."totalMultiplier")::numeric)::int
+        RETURNING a."userId", a."userStyleId", a."points" - p."points" AS "delta"
+      )${this.creditSql()}
+    `;
+
+    return toOwners(rows);
+  }
+
+  // Shared tail of the statements above: apply the "changes" deltas to cards
+  // and users and return them totalled per user
+  creditSql() {
+    return Prisma.sql`, "credited_cards" AS (
+        UPDATE "user_styles" us
+        SET "points" = us."points" + i."delta"
+        FROM "changes" i
+        WHERE us."id" = i."userStyleId"
+      ), "per_user" AS (
+        SELECT "userId", COUNT(*)::int AS "cards", SUM("delta")::int AS "points"
+        FROM "changes"
+        GROUP BY "userId"
+      ), "credited_users" AS (
+        UPDATE "users" u
+        SET "totalPoints" = u."totalPoints" + pu."points"
+        FROM "per_user" pu
+        WHERE u."id" = pu."userId"
+      )
+      SELECT "userId", "cards", "points" FROM "per_user"`;
+  }
+
+  /**
+   * A user's awards with their breakdown, newest first
+   */
+  async listAwards(userId, { page = 1, limit = 20 } = {}) {
+    const where = { userId };
+
+    const [awards, total] = await Promise.all([
+      prisma.activationAward.findMany({
+        where,
+        include: {
+          activation: {
+            select: {
+              id: true,
+              matchId: true,
+              playerName: true,
+              timestamp: true,
+              style: {
+                select: { id: true, name: true, rarity: true, imageUrl: true }
+              }
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.activationAward.count({ where })
+    ]);
+
+    return { awards, total };
+  }
+
+  /**
+   * Award points per user for matches kicking off in [from, to), highest
+   * first, optionally only from one competition (provider league id).
+   * Activations with no stored match count from when they were made.
+   */
+  async totalsBetween(from, to, { leagueId, userId, skip = 0, take = 50 } = {}) {
+    return prisma.$queryRaw`
+      SELECT aa."userId", SUM(aa."points")::int AS "points", COUNT(DISTINCT aa."activationId")::int AS "activations"
+      FROM "activation_awards" aa
+      JOIN "activations" a ON a."id" = aa."activationId"
+      LEFT JOIN "matches" m ON m."apiId" = a."matchId"
+      WHERE COALESCE(m."startTime", a."timestamp") >= ${from}
+        AND COALESCE(m."startTime", a."timestamp") < ${to}
+        ${leagueId ? Prisma.sql`AND m."leagueId" = ${leagueId}` : Prisma.empty}
+        ${userId ? Prisma.sql`AND aa."userId" = ${userId}` : Prisma.empty}
+      GROUP BY aa."userId"
+      ORDER BY "points" DESC, aa."userId"
+      OFFSET ${skip}::int LIMIT ${take}::int
+    `;
+  }
+}
+
+module.exports = new OwnerScoringService();
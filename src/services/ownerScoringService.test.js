@@ -0,0 +1,127 @@
+const mockPrisma = {};
+
+jest.mock('@prisma/client', () => ({
+  ...jest.requireActual('@prisma/client'),
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+
+const { Prisma } = require('@prisma/client');
+const ownerScoringService = require('./ownerScoringService');
+
+// Transaction client that records each raw statement as one Prisma.Sql
+const fakeTx = (rows, style = { rarity: 'LEGENDARY', bonusMultiplier: 1.25 }) => {
+  const statements = [];
+  return {
+    statements,
+    style: { findUnique: jest.fn().mockResolvedValue(style) },
+    $queryRaw: jest.fn(async (strings, ...values) => {
+      statements.push(Prisma.sql(strings, ...values));
+      return rows;
+    })
+  };
+};
+
+const activation = { id: 'act-1', styleId: 'style-1', points: 40 };
+
+describe('ownerScoringService', () => {
+  describe('awardOwners', () => {
+    test('credits every holder in a single statement', async () => {
+      const tx = fakeTx([
+        { userId: 'user-1', cards: 2, points: 200 },
+        { userId: 'user-2', cards: 1, points: 100 }
+      ]);
+
+      const owners = await ownerScoringService.awardOwners(tx, activation);
+
+      expect(tx.$queryRaw).toHaveBeenCalledTimes(1);
+      expect(owners).toEqual(new Map([
+        ['user-1', { cards: 2, points: 200 }],
+        ['user-2', { cards: 1, points: 100 }]
+      ]));
+    });
+
+    test('captures the rarity and style multipliers on each award', async () => {
+      const tx = fakeTx([]);
+
+      await ownerScoringService.awardOwners(tx, activation);
+
+      const [statement] = tx.statements;
+      expect(tx.style.findUnique).toHaveBeenCalledWith({
+        where: { id: 'style-1' },
+        select: { rarity: true, bonusMultiplier: true }
+      });
+      expect(statement.values).toEqual(expect.arrayContaining(['act-1', 'style-1', 40, 2.0, 1.25]));
+      expect(statement.sql).toContain('INSERT INTO "activation_awards"');
+    });
+
+    test('never pays a card twice for the same activation', async () => {
+      const tx = fakeTx([]);
+
+      await ownerScoringService.awardOwners(tx, activation);
+
+      expect(tx.statements[0].sql).toContain('ON CONFLICT ("activationId", "userStyleId") DO NOTHING');
+    });
+
+    test('updates card and user totals from the awards it inserts', async () => {
+      const tx = fakeTx([]);
+
+      await ownerScoringService.awardOwners(tx, activation);
+
+      const { sql } = tx.statements[0];
+      expect(sql).toContain('UPDATE "user_styles" us');
+      expect(sql).toContain('UPDATE "users" u');
+      expect(sql).toMatch(/SELECT "userId", "cards", "points" FROM "per_user"\s*$/);
+    });
+  });
+
+  describe('reviseAwards', () => {
+    test('rescales the existing awards to the new base in a single statement', async () => {
+      const tx = fakeTx([{ userId: 'user-1', cards: 2, points: -80 }]);
+
+      const owners = await ownerScoringService.reviseAwards(tx, activation, 0);
+
+      expect(tx.$queryRaw).toHaveBeenCalledTimes(1);
+      const { sql, values } = tx.statements[0];
+      expect(sql).toContain('UPDATE "activation_awards" a');
+      expect(sql).toContain('a."totalMultiplier"');
+      expect(values).toEqual(expect.arrayContaining(['act-1', 0]));
+      expect(owners).toEqual(new Map([['user-1', { cards: 2, points: -80 }]]));
+    });
+
+    test('only touches awards whose points change', async () => {
+      const tx = fakeTx([]);
+
+      const owners = await ownerScoringService.reviseAwards(tx, activation, 40);
+
+      expect(tx.statements[0].sql).toContain('AND a."points" <>');
+      expect(owners.size).toBe(0);
+    });
+  });
+
+  describe('totalsBetween', () => {
+    const from = new Date('2026-10-17T12:30:00Z');
+    const to = new Date('2026-10-24T12:30:00Z');
+
+    beforeEach(() => {
+      const tx = fakeTx([]);
+      mockPrisma.$queryRaw = tx.$queryRaw;
+      mockPrisma.statements = tx.statements;
+    });
+
+    test('counts only the given competition\'s matches', async () => {
+      await ownerScoringService.totalsBetween(from, to, { leagueId: '39', take: 10 });
+
+      const [statement] = mockPrisma.statements;
+      expect(statement.sql).toContain('AND m."leagueId" = ?');
+      expect(statement.values).toEqual([from, to, '39', 0, 10]);
+    });
+
+    test('counts every competition when none is given', async () => {
+      await ownerScoringService.totalsBetween(from, to, { userId: 'user-1' });
+
+      const [statement] = mockPrisma.statements;
+      expect(statement.sql).not.toContain('leagueId');
+      expect(statement.values).toContain('user-1');
+    });
+  });
+});
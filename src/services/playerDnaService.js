@@ -0,0 +1,463 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const calendarService = require('./calendarService');
+const { POSITION_NAMES, toPositionCode } = require('../utils/matchStats');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Selectable windows; `season` is the player's competition's current season
+const WINDOWS = {
+  '30d': { days: 30, trendUnit: 'week' },
+  '90d': { days: 90, trendUnit: 'week' },
+  '365d': { days: 365, trendUnit: 'month' },
+  season: { trendUnit: 'month' },
+  all: { trendUnit: 'month' }
+};
+
+const DOMINANT_STYLES = 3;
+// Peers need a few games before their rates mean anything
+const MIN_PEER_APPEARANCES = 3;
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const playerError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+// When an appearance or activation happened; manual activations may have no stored match
+const APPEARANCE_TIME = Prisma.sql`COALESCE(m."startTime", pms."createdAt")`;
+const ACTIVATION_TIME = Prisma.sql`COALESCE(m."startTime", a."timestamp")`;
+// A player's usual position as a code, whichever form each row stored
+const POSITION = Prisma.sql`MODE() WITHIN GROUP (ORDER BY CASE pms."position" ${Prisma.join(
+  Object.entries(POSITION_NAMES).map(([code, name]) => Prisma.sql`WHEN ${name} THEN ${code}`),
+  ' '
+)} ELSE pms."position" END)`;
+
+const since = (column, from) => (from ? Prisma.sql`AND ${column} >= ${from}` : Prisma.empty);
+
+// Share of values below `value`, ties counting half, as 0-100
+const percentileOf = (value, values) => {
+  if (values.length === 0) return null;
+  const below = values.filter(other => other < value).length;
+  const equal = values.filter(other => other === value).length;
+  return round(((below + equal / 2) / values.length) * 100, 1);
+};
+
+/**
+ * Player DNA Service
+ * Describes a player through the styles they activate: per-style activation
+ * counts, rates, confidence and points over a window, a fingerprint (each
+ * style's share of the player's confidence-weighted activations, summing to
+ * 1), their dominant styles, a trend over time and where they rank among
+ * players at the same position, and finds players with a similar profile.
+ */
+class PlayerDnaService {
+  get windows() {
+    return Object.keys(WINDOWS);
+  }
+
+  /**
+   * `id` may be a Player id or the provider's player id
+   */
+  async getDna(id, { window = '365d' } = {}) {
+    const player = await this.findPlayer(id);
+    const { trendUnit } = WINDOWS[window];
+    const from = await this.windowStart(window, player);
+    const to = new Date();
+
+    const [[summary], styleRows, styles] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "appearances", ${POSITION} AS "position"
+        FROM "player_match_stats" pms
+        LEFT JOIN "matches" m ON m."apiId" = pms."matchId"
+        WHERE pms."playerId" = ${player.apiId} ${since(APPEARANCE_TIME, from)}
+      `,
+      prisma.$queryRaw`
+        SELECT a."styleId", COUNT(*)::int AS "activations", SUM(a."points")::int AS "points",
+               AVG(a."confidence")::float8 AS "averageConfidence", SUM(a."confidence")::float8 AS "weight"
+        FROM "activations" a
+        LEFT JOIN "matches" m ON m."apiId" = a."matchId"
+        WHERE a."playerId" = ${player.apiId} ${since(ACTIVATION_TIME, from)}
+        GROUP BY a."styleId"
+      `,
+      prisma.style.findMany({
+        select: { id: true, name: true, rarity: true, category: true },
+        orderBy: { name: 'asc' }
+      })
+    ]);
+
+    const appearances = summary.appearances;
+    // The catalogue names positions in full; match stats use codes
+    const position = toPositionCode(summary.position) || toPositionCode(player.position);
+    const totalWeight = styleRows.reduce((sum, row) => sum + row.weight, 0);
+    const styleMap = new Map(styles.map(style => [style.id, style]));
+
+    const styleStats = styleRows
+      .filter(row => styleMap.has(row.styleId))
+      .map(row => ({
+        style: styleMap.get(row.styleId),
+        activations: row.activations,
+        rate: appearances > 0 ? round(row.activations / appearances) : null,
+        averageConfidence: round(row.averageConfidence),
+        points: row.points,
+        share: totalWeight > 0 ? round(row.weight / totalWeight) : 0
+      }))
+      .sort((a, b) => b.share - a.share);
+
+    const shares = new Map(styleStats.map(stat => [stat.style.id, stat.share]));
+    const fingerprint = Object.fromEntries(styles.map(style => [style.name, shares.get(style.id) || 0]));
+
+    const [trend, percentile] = await Promise.all([
+      this.trend(player.apiId, from, trendUnit),
+      this.percentile(player.apiId, position, from, styleStats.slice(0, DOMINANT_STYLES))
+    ]);
+
+    const totals = styleStats.reduce((sum, stat) => ({
+      activations: sum.activations + stat.activations,
+      points: sum.points + stat.points
+    }), { activations: 0, points: 0 });
+
+    return {
+      player: {
+        id: player.id,
+        apiId: player.apiId,
+        name: player.name,
+        team: player.team,
+        position: POSITION_NAMES[position] || position || null
+      },
+      window: { key: window, from, to },
+      appearances,
+      totals: {
+        ...totals,
+        pointsPerAppearance: appearances > 0 ? round(totals.points / appearances, 2) : null,
+        averageConfidence: totals.activations > 0 ? round(totalWeight / totals.activations) : null
+      },
+      fingerprint,
+      dominantStyles: percentile.styles,
+      styles: styleStats,
+      trend,
+      percentile: {
+        position: percentile.position,
+        peers: percentile.peers,
+        pointsPerAppearance: percentile.pointsPerAppearance
+      }
+    };
+  }
+
+  async findPlayer(id) {
+    const player = await prisma.player.findFirst({
+      where: { OR: [{ id }, { apiId: id }] },
+      include: { currentTeam: { select: { league: { select: { apiId: true } } } } }
+    });
+    const latest = await prisma.playerMatchStats.findFirst({
+      where: { playerId: player?.apiId || id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    if (!player && !latest) {
+      throw playerError('Player not found', 'PLAYER_NOT_FOUND', 404);
+    }
+
+    // Players seen only in match stats have no Player row yet
+    const lastMatch = latest && await prisma.match.findUnique({
+      where: { apiId: latest.matchId },
+      select: { league: true, leagueId: true }
+    });
+
+    return {
+      id: player?.id || null,
+      apiId: player?.apiId || id,
+      name: player?.name || latest.playerName,
+      team: player?.team || latest.teamName,
+      league: lastMatch?.league || player?.league,
+      // The club's competition sets the season; cup and international
+      // matches don't
+      leagueId: player?.currentTeam?.league?.apiId || lastMatch?.leagueId || null,
+      position: player?.position || null
+    };
+  }
+
+  async windowStart(window, player) {
+    if (window === 'all') return null;
+    if (window !== 'season') return new Date(Date.now() - WINDOWS[window].days * DAY_MS);
+
+    const current = player.leagueId && await calendarService.getCurrentGameweek({ league: player.leagueId });
+    if (!current) {
+      throw playerError('No season calendar for this player\'s competition', 'SEASON_NOT_FOUND', 404);
+    }
+
+    const gameweeks = await calendarService.getGameweeks(player.leagueId);
+    return gameweeks.find(gameweek => gameweek.seasonId === current.seasonId).startsAt;
+  }
+
+  /**
+   * Appearances, activations and points per week or month
+   */
+  async trend(apiId, from, unit) {
+    const [appearances, activations] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT date_trunc(${unit}::text, ${APPEARANCE_TIME}) AS "period", COUNT(*)::int AS "appearances"
+        FROM "player_match_stats" pms
+        LEFT JOIN "matches" m ON m."apiId" = pms."matchId"
+        WHERE pms."playerId" = ${apiId} ${since(APPEARANCE_TIME, from)}
+        GROUP BY 1
+      `,
+      prisma.$queryRaw`
+        SELECT date_trunc(${unit}::text, ${ACTIVATION_TIME}) AS "period", a."styleId",
+               COUNT(*)::int AS "activations", SUM(a."points")::int AS "points"
+        FROM "activations" a
+        LEFT JOIN "matches" m ON m."apiId" = a."matchId"
+        WHERE a."playerId" = ${apiId} ${since(ACTIVATION_TIME, from)}
+        GROUP BY 1, 2
+      `
+    ]);
+
+    const periods = new Map();
+    const periodFor = (date) => {
+      const key = date.toISOString();
+      if (!periods.has(key)) {
+        periods.set(key, { period: date, appearances: 0, activations: 0, points: 0, byStyle: new Map() });
+      }
+      return periods.get(key);
+    };
+
+    for (const row of appearances) {
+      periodFor(row.period).appearances = row.appearances;
+    }
+    for (const row of activations) {
+      const period = periodFor(row.period);
+      period.activations += row.activations;
+      period.points += row.points;
+      period.byStyle.set(row.styleId, row.activations);
+    }
+
+    return [...periods.values()]
+      .sort((a, b) => a.period - b.period)
+      .map(({ byStyle, ...period }) => ({
+        ...period,
+        topStyleId: [...byStyle.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null
+      }));
+  }
+
+  /**
+   * Percentile of the player's points per appearance, and of their rate for
+   * each given style, among players whose usual position matches
+   */
+  async percentile(apiId, position, from, dominant) {
+    if (!position) {
+      return {
+        position: null,
+        peers: 0,
+        pointsPerAppearance: null,
+        styles: dominant.map(stat => ({ ...stat, percentile: null }))
+      };
+    }
+
+    const rows = await prisma.$queryRaw`
+      WITH "apps" AS (
+        SELECT pms."playerId", COUNT(*)::int AS "appearances", ${POSITION} AS "position"
+        FROM "player_match_stats" pms
+        LEFT JOIN "matches" m ON m."apiId" = pms."matchId"
+        WHERE true ${since(APPEARANCE_TIME, from)}
+        GROUP BY pms."playerId"
+      ), "acts" AS (
+        SELECT a."playerId", a."styleId", COUNT(*)::int AS "activations", SUM(a."points")::int AS "points"
+        FROM "activations" a
+        LEFT JOIN "matches" m ON m."apiId" = a."matchId"
+        WHERE true ${since(ACTIVATION_TIME, from)}
+        GROUP BY a."playerId", a."styleId"
+      )
+      SELECT apps."playerId", apps."appearances", acts."styleId", acts."activations", acts."points"
+      FROM "apps"
+      LEFT JOIN "acts" ON acts."playerId" = apps."playerId"
+      WHERE apps."position" = ${position}
+        AND (apps."appearances" >= ${MIN_PEER_APPEARANCES}::int OR apps."playerId" = ${apiId})
+    `;
+
+    const peers = new Map();
+    for (const row of rows) {
+      if (!peers.has(row.playerId)) {
+        peers.set(row.playerId, { appearances: row.appearances, points: 0, styles: new Map() });
+      }
+      if (row.styleId) {
+        const peer = peers.get(row.playerId);
+        peer.points += row.points;
+        peer.styles.set(row.styleId, row.activations);
+      }
+    }
+
+    const self = peers.get(apiId);
+    const others = [...peers.values()];
+    const pointsPerAppearance = (peer) => peer.points / peer.appearances;
+    const styleRate = (peer, styleId) => (peer.styles.get(styleId) || 0) / peer.appearances;
+
+    return {
+      position: POSITION_NAMES[position] || position,
+      peers: others.length,
+      pointsPerAppearance: self ? percentileOf(pointsPerAppearance(self), others.map(pointsPerAppearance)) : null,
+      styles: dominant.map(stat => ({
+        ...stat,
+        percentile: self ? percentileOf(styleRate(self, stat.style.id), others.map(peer => styleRate(peer, stat.style.id))) : null
+      }))
+    };
+  }
+
+  /**
+   * Players whose style vectors are closest to the given player's. A vector
+   * holds each style's activation rate divided by its rate across all
+   * players, so rare styles count as much as common ones; players are ranked
+   * by cosine similarity and each result names the styles that drive it.
+   */
+  async findSimilar(id, { window = '365d', league, position, minAge, maxAge, minMinutes = 0, limit = 10 } = {}) {
+    const player = await this.findPlayer(id);
+    const from = await this.windowStart(window, player);
+    const now = new Date();
+
+    const filters = [Prisma.sql`apps."appearances" >= ${MIN_PEER_APPEARANCES}::int`];
+    if (minMinutes > 0) filters.push(Prisma.sql`apps."minutes" >= ${minMinutes}::int`);
+    if (league) filters.push(Prisma.sql`p."league" = ${league}`);
+    if (position) filters.push(Prisma.sql`apps."position" = ${position}`);
+    // Age bands need a known birth date
+    if (minAge !== undefined) {
+      const bornBy = new Date(now);
+      bornBy.setFullYear(bornBy.getFullYear() - minAge);
+      filters.push(Prisma.sql`p."birthDate" <= ${bornBy}`);
+    }
+    if (maxAge !== undefined) {
+      const bornAfter = new Date(now);
+      bornAfter.setFullYear(bornAfter.getFullYear() - maxAge - 1);
+      filters.push(Prisma.sql`p."birthDate" > ${bornAfter}`);
+    }
+
+    const [candidates, rates, [{ total }]] = await Promise.all([
+      prisma.$queryRaw`
+        WITH "apps" AS (
+          SELECT pms."playerId", MAX(pms."playerName") AS "playerName", MAX(pms."teamName") AS "teamName",
+                 COUNT(*)::int AS "appearances",
+                 SUM(pms."minutes")::int AS "minutes",
+                 ${POSITION} AS "position"
+          FROM "player_match_stats" pms
+          LEFT JOIN "matches" m ON m."apiId" = pms."matchId"
+          WHERE true ${since(APPEARANCE_TIME, from)}
+          GROUP BY pms."playerId"
+        )
+        SELECT apps.*, p."id", p."name", p."team", p."league", p."birthDate"
+        FROM "apps"
+        LEFT JOIN "players" p ON p."apiId" = apps."playerId"
+        WHERE (${Prisma.join(filters, ' AND ')}) OR apps."playerId" = ${player.apiId}
+      `,
+      prisma.$queryRaw`
+        SELECT a."playerId", a."styleId", COUNT(*)::int AS "activations"
+        FROM "activations" a
+        LEFT JOIN "matches" m ON m."apiId" = a."matchId"
+        WHERE true ${since(ACTIVATION_TIME, from)}
+        GROUP BY a."playerId", a."styleId"
+      `,
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "total"
+        FROM "player_match_stats" pms
+        LEFT JOIN "matches" m ON m."apiId" = pms."matchId"
+        WHERE true ${since(APPEARANCE_TIME, from)}
+      `
+    ]);
+
+    const target = candidates.find(candidate => candidate.playerId === player.apiId);
+    if (!target) {
+      throw playerError('Player has no appearances in this window', 'NO_APPEARANCES', 404);
+    }
+
+    // Each style's rate across every player, the baseline for the vectors
+    const styleActivations = new Map();
+    const byPlayer = new Map();
+    for (const row of rates) {
+      styleActivations.set(row.styleId, (styleActivations.get(row.styleId) || 0) + row.activations);
+      if (!byPlayer.has(row.playerId)) byPlayer.set(row.playerId, new Map());
+      byPlayer.get(row.playerId).set(row.styleId, row.activations);
+    }
+    const styleIds = [...styleActivations.keys()];
+    const vectorFor = (candidate) => {
+      const counts = byPlayer.get(candidate.playerId) || new Map();
+      return styleIds.map(styleId => {
+        const rate = (counts.get(styleId) || 0) / candidate.appearances;
+        return rate / (styleActivations.get(styleId) / total);
+      });
+    };
+    const norm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+    const targetVector = vectorFor(target);
+    const targetNorm = norm(targetVector);
+    if (targetNorm === 0) {
+      throw playerError('Player has no activations in this window', 'NO_ACTIVATIONS', 404);
+    }
+
+    const styles = await prisma.style.findMany({
+      where: { id: { in: styleIds } },
+      select: { id: true, name: true, rarity: true }
+    });
+    const styleMap = new Map(styles.map(style => [style.id, style]));
+
+    const results = candidates
+      .filter(candidate => candidate.playerId !== player.apiId)
+      .map(candidate => {
+        const vector = vectorFor(candidate);
+        const candidateNorm = norm(vector);
+        if (candidateNorm === 0) return null;
+
+        // Cosine similarity is the sum of these per-style terms
+        const contributions = styleIds.map((styleId, index) => ({
+          styleId,
+          value: (targetVector[index] * vector[index]) / (targetNorm * candidateNorm),
+          player: vector[index],
+          target: targetVector[index]
+        }));
+        const similarity = contributions.reduce((sum, contribution) => sum + contribution.value, 0);
+
+        return {
+          player: {
+            id: candidate.id,
+            apiId: candidate.playerId,
+            name: candidate.name || candidate.playerName,
+            team: candidate.team || candidate.teamName,
+            league: candidate.league,
+            position: POSITION_NAMES[candidate.position] || candidate.position,
+            birthDate: candidate.birthDate
+          },
+          appearances: candidate.appearances,
+          minutes: candidate.minutes,
+          similarity: round(similarity),
+          drivers: contributions
+            .filter(contribution => contribution.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .slice(0, DOMINANT_STYLES)
+            .map(contribution => ({
+              style: styleMap.get(contribution.styleId) || { id: contribution.styleId },
+              share: round(contribution.value / similarity),
+              lift: round(contribution.player, 2),
+              targetLift: round(contribution.target, 2)
+            }))
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+
+    return {
+      player: {
+        id: player.id,
+        apiId: player.apiId,
+        name: player.name,
+        team: player.team,
+        position: POSITION_NAMES[target.position] || target.position
+      },
+      window: { key: window, from, to: now },
+      similar: results
+    };
+  }
+}
+
+module.exports = new PlayerDnaService();
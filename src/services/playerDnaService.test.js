@@ -0,0 +1,134 @@
+const mockPrisma = {
+  $queryRaw: jest.fn(),
+  style: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  ...jest.requireActual('@prisma/client'),
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('./calendarService', () => ({}));
+
+const { Prisma } = require('@prisma/client');
+const playerDnaService = require('./playerDnaService');
+
+const lastQuery = () => Prisma.sql(...mockPrisma.$queryRaw.mock.calls.at(-1));
+
+describe('playerDnaService.percentile', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('ranks the player among peers at the same position', async () => {
+    mockPrisma.$queryRaw.mockResolvedValueOnce([
+      { playerId: 'p1', appearances: 10, styleId: 's1', activations: 5, points: 50 },
+      { playerId: 'p2', appearances: 10, styleId: 's1', activations: 1, points: 10 },
+      { playerId: 'p3', appearances: 10, styleId: null }
+    ]);
+
+    const result = await playerDnaService.percentile('p1', 'M', null, [{ style: { id: 's1' } }]);
+
+    expect(lastQuery().values).toContain('M');
+    expect(result).toMatchObject({ position: 'Midfielder', peers: 3, pointsPerAppearance: 83.3 });
+    expect(result.styles[0].percentile).toBe(83.3);
+  });
+
+  test('reads each stored position as a code', async () => {
+    mockPrisma.$queryRaw.mockResolvedValueOnce([]);
+
+    await playerDnaService.percentile('p1', 'M', null, []);
+
+    const { sql, values } = lastQuery();
+    expect(sql).toContain('CASE pms."position" WHEN ? THEN ?');
+    expect(values).toEqual(expect.arrayContaining(['Midfielder', 'M', 'Goalkeeper', 'G']));
+  });
+});
+
+describe('playerDnaService.getDna', () => {
+  const player = { id: 'player-1', apiId: 'p1', name: 'Ana', team: 'Club', league: 'Premier League', position: 'Midfielder' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(playerDnaService, 'findPlayer').mockResolvedValue(player);
+    jest.spyOn(playerDnaService, 'trend').mockResolvedValue([]);
+    jest.spyOn(playerDnaService, 'percentile').mockResolvedValue({ position: 'Midfielder', peers: 0, pointsPerAppearance: null, styles: [] });
+    mockPrisma.style.findMany.mockResolvedValue([]);
+  });
+
+  test('falls back to the catalogue position as a code', async () => {
+    mockPrisma.$queryRaw
+      .mockResolvedValueOnce([{ appearances: 0, position: null }])
+      .mockResolvedValueOnce([]);
+
+    const dna = await playerDnaService.getDna('player-1');
+
+    expect(playerDnaService.percentile).toHaveBeenCalledWith('p1', 'M', expect.any(Date), []);
+    expect(dna.player.position).toBe('Midfielder');
+  });
+
+  test('prefers the position the player usually plays in matches', async () => {
+    mockPrisma.$queryRaw
+      .mockResolvedValueOnce([{ appearances: 4, position: 'F' }])
+      .mockResolvedValueOnce([]);
+
+    await playerDnaService.getDna('player-1');
+
+    expect(playerDnaService.percentile).toHaveBeenCalledWith('p1', 'F', expect.any(Date), []);
+  });
+});
+
+describe('playerDnaService.findSimilar', () => {
+  const player = { id: 'player-1', apiId: 'p1', name: 'Ana', team: 'Club', league: 'Premier League', position: 'Midfielder' };
+  const candidate = (playerId, extra = {}) => ({ playerId, playerName: playerId, appearances: 10, minutes: 900, position: 'M', ...extra });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(playerDnaService, 'findPlayer').mockResolvedValue(player);
+    mockPrisma.style.findMany.mockResolvedValue([{ id: 's1', name: 'Finisher' }, { id: 's2', name: 'Playmaker' }]);
+  });
+
+  const respond = (candidates, rates, total) => mockPrisma.$queryRaw
+    .mockResolvedValueOnce(candidates)
+    .mockResolvedValueOnce(rates)
+    .mockResolvedValueOnce([{ total }]);
+
+  test('ranks players by how closely their style lifts match', async () => {
+    respond(
+      [candidate('p1'), candidate('p2'), candidate('p3'), candidate('p4'), candidate('p5')],
+      [
+        { playerId: 'p1', styleId: 's1', activations: 5 },
+        { playerId: 'p2', styleId: 's1', activations: 5 },
+        { playerId: 'p3', styleId: 's2', activations: 4 },
+        { playerId: 'p5', styleId: 's1', activations: 5 },
+        { playerId: 'p5', styleId: 's2', activations: 4 }
+      ],
+      50
+    );
+
+    const { player: target, similar } = await playerDnaService.findSimilar('player-1');
+
+    expect(target).toMatchObject({ apiId: 'p1', position: 'Midfielder' });
+    // p4 never activated a style, so there is nothing to compare
+    expect(similar.map(entry => [entry.player.apiId, entry.similarity])).toEqual([['p2', 1], ['p5', 0.555], ['p3', 0]]);
+    expect(similar[0].drivers).toEqual([{ style: { id: 's1', name: 'Finisher' }, share: 1, lift: 1.67, targetLift: 1.67 }]);
+    expect(similar[2].drivers).toEqual([]);
+  });
+
+  test('passes the filters to the candidate query but always loads the player', async () => {
+    respond([candidate('p1')], [{ playerId: 'p1', styleId: 's1', activations: 5 }], 10);
+
+    await playerDnaService.findSimilar('player-1', { position: 'F', league: 'La Liga', minMinutes: 600, limit: 5 });
+
+    const { sql, values } = Prisma.sql(...mockPrisma.$queryRaw.mock.calls[0]);
+    expect(sql).toContain('OR apps."playerId" = ?');
+    expect(values).toEqual(expect.arrayContaining(['F', 'La Liga', 600, 'p1']));
+  });
+
+  test('fails for a player without appearances or activations in the window', async () => {
+    respond([candidate('p2')], [], 10);
+    await expect(playerDnaService.findSimilar('player-1')).rejects.toMatchObject({ code: 'NO_APPEARANCES', statusCode: 404 });
+
+    respond([candidate('p1')], [{ playerId: 'p2', styleId: 's1', activations: 1 }], 10);
+    await expect(playerDnaService.findSimilar('player-1')).rejects.toMatchObject({ code: 'NO_ACTIVATIONS', statusCode: 404 });
+  });
+});
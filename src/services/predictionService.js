@@ -0,0 +1,456 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const calendarService = require('./calendarService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREDICTION_CACHE_TTL_MS = 5 * 60 * 1000;
+const GENERATE_TIMEOUT_MS = 60 * 1000;
+
+const HISTORY_DAYS = parseInt(process.env.PREDICTION_HISTORY_DAYS || '365');
+const REFRESH_HOURS = parseFloat(process.env.PREDICTION_REFRESH_HOURS || '6');
+// Appearances counted as "recent form", and how much form weighs against
+// the longer history
+const FORM_MATCHES = 5;
+const FORM_WEIGHT = 0.4;
+// Pseudo-appearances at the style's overall rate, so a player with two games
+// isn't projected from two games alone
+const PRIOR_WEIGHT = 5;
+const OPPONENT_FACTOR_RANGE = [0.5, 1.5];
+const MIN_PROBABILITY = 0.02;
+const STORED_PER_STYLE = 50;
+const PLAYERS_PER_STYLE = 5;
+const CALIBRATION_BUCKETS = 10;
+
+const clamp = (value, low, high) => Math.min(Math.max(value, low), high);
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+const smoothed = (count, trials, prior) => (count + PRIOR_WEIGHT * prior) / (trials + PRIOR_WEIGHT);
+
+/**
+ * Prediction Service
+ * Projects, for every style, which players are most likely to activate it
+ * in the next gameweek's fixtures and how many points they'd bring:
+ *
+ *   probability     = activation rate (history blended with recent form,
+ *                     smoothed towards the style's overall rate)
+ *                     x opponent factor (activations the opponent concedes
+ *                     per match against the average)
+ *   expectedPoints  = probability x the player's average points for the style
+ *
+ * Predictions are stored per gameweek, refreshed by the `predictions`
+ * scheduled job until its deadline and then frozen, so each gameweek can
+ * later be calibrated against the activations that actually happened.
+ * Reading them never generates any.
+ */
+class PredictionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Stored predictions for the next gameweek of a competition, grouped by
+   * style. Null when the competition has no upcoming gameweek.
+   */
+  async getPredictions({ league, limit = PLAYERS_PER_STYLE } = {}) {
+    const gameweek = await calendarService.getNextGameweek({ league });
+    if (!gameweek) return null;
+
+    const cached = this.cache.get(gameweek.id);
+    if (cached && Date.now() - cached.cachedAt < PREDICTION_CACHE_TTL_MS) {
+      return this.format(gameweek, cached.stored, limit);
+    }
+
+    const stored = await this.load(gameweek.id);
+    this.cache.set(gameweek.id, { stored, cachedAt: Date.now() });
+    return this.format(gameweek, stored, limit);
+  }
+
+  /**
+   * Generate predictions for the next gameweek of every competition with
+   * upcoming gameweeks, where they're missing or older than
+   * PREDICTION_REFRESH_HOURS. Run by the `predictions` scheduled job.
+   */
+  async refresh({ now = new Date() } = {}) {
+    const seasons = await prisma.season.findMany({
+      where: { gameweeks: { some: { deadline: { gt: now } } } },
+      distinct: ['leagueId'],
+      select: { leagueId: true }
+    });
+
+    const leagues = [];
+    for (const { leagueId } of seasons) {
+      const gameweek = await calendarService.getNextGameweek({ league: leagueId, date: now });
+      if (!gameweek) continue;
+
+      const { predictedAt } = await prisma.gameweek.findUnique({
+        where: { id: gameweek.id },
+        select: { predictedAt: true }
+      });
+      const stale = !predictedAt || now.getTime() - predictedAt.getTime() > REFRESH_HOURS * 60 * 60 * 1000;
+
+      leagues.push({
+        leagueId,
+        season: gameweek.season,
+        gameweek: gameweek.number,
+        predictions: stale ? await this.generate(gameweek, { now }) : null
+      });
+    }
+
+    return { leagues, generated: leagues.filter(entry => entry.predictions !== null).length };
+  }
+
+  /**
+   * Work out and store predictions for every fixture in a gameweek
+   */
+  async generate(gameweek, { now = new Date() } = {}) {
+    const fixtures = await calendarService.getFixtures(gameweek);
+    const teams = [...new Set(fixtures.flatMap(fixture => [fixture.homeTeam, fixture.awayTeam]))];
+    const since = new Date(now.getTime() - HISTORY_DAYS * DAY_MS);
+
+    const predictions = teams.length > 0
+      ? this.project(fixtures, await this.loadHistory(teams, since, now))
+      : [];
+
+    await prisma.$transaction(async (tx) => {
+      await tx.activationPrediction.deleteMany({ where: { gameweekId: gameweek.id } });
+      await tx.activationPrediction.createMany({
+        data: predictions.map(prediction => ({ gameweekId: gameweek.id, ...prediction })),
+        skipDuplicates: true
+      });
+      await tx.gameweek.update({
+        where: { id: gameweek.id },
+        data: { predictedAt: now }
+      });
+    }, { timeout: GENERATE_TIMEOUT_MS });
+
+    this.cache.delete(gameweek.id);
+    logger.info(`Generated ${predictions.length} activation predictions for ${gameweek.league} ${gameweek.season} gameweek ${gameweek.number}`);
+
+    return predictions.length;
+  }
+
+  /**
+   * Appearances and activations for the fixture teams' players, plus the
+   * league-wide style rates and opponent records the projection is scaled by
+   */
+  async loadHistory(teams, since, until) {
+    const inWindow = Prisma.sql`m."startTime" >= ${since} AND m."startTime" < ${until}`;
+
+    const [appearances, activations, [{ total }], styles, conceded, played] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT pms."playerId", pms."playerName", pms."teamName", pms."matchId"
+        FROM "player_match_stats" pms
+        JOIN "matches" m ON m."apiId" = pms."matchId"
+        WHERE pms."teamName" IN (${Prisma.join(teams)}) AND ${inWindow}
+        ORDER BY m."startTime" DESC
+      `,
+      prisma.$queryRaw`
+        SELECT a."playerId", a."matchId", a."styleId", a."points"
+        FROM "activations" a
+        JOIN "player_match_stats" pms ON pms."matchId" = a."matchId" AND pms."playerId" = a."playerId"
+        JOIN "matches" m ON m."apiId" = a."matchId"
+        WHERE pms."teamName" IN (${Prisma.join(teams)}) AND ${inWindow}
+      `,
+      prisma.$queryRaw`
+        SELECT COUNT(*)::int AS "total"
+        FROM "player_match_stats" pms
+        JOIN "matches" m ON m."apiId" = pms."matchId"
+        WHERE ${inWindow}
+      `,
+      prisma.$queryRaw`
+        SELECT a."styleId", COUNT(*)::int AS "activations", AVG(a."points")::float8 AS "averagePoints"
+        FROM "activations" a
+        JOIN "matches" m ON m."apiId" = a."matchId"
+        WHERE ${inWindow}
+        GROUP BY a."styleId"
+      `,
+      prisma.$queryRaw`
+        SELECT CASE WHEN pms."teamName" = m."homeTeam" THEN m."awayTeam" ELSE m."homeTeam" END AS "team",
+               COUNT(*)::int AS "activations"
+        FROM "activations" a
+        JOIN "player_match_stats" pms ON pms."matchId" = a."matchId" AND pms."playerId" = a."playerId"
+        JOIN "matches" m ON m."apiId" = a."matchId"
+        WHERE ${inWindow}
+        GROUP BY 1
+      `,
+      prisma.$queryRaw`
+        SELECT "team", COUNT(*)::int AS "matches"
+        FROM (
+          SELECT m."homeTeam" AS "team" FROM "matches" m WHERE m."pipelineState" = 'PUBLISHED' AND ${inWindow}
+          UNION ALL
+          SELECT m."awayTeam" AS "team" FROM "matches" m WHERE m."pipelineState" = 'PUBLISHED' AND ${inWindow}
+        ) t
+        GROUP BY "team"
+      `
+    ]);
+
+    return { appearances, activations, totalAppearances: total, styles, conceded, played };
+  }
+
+  /**
+   * Turn history into per-fixture predictions (pure; see the class comment
+   * for the model)
+   */
+  project(fixtures, { appearances, activations, totalAppearances, styles, conceded, played }) {
+    if (totalAppearances === 0 || styles.length === 0) return [];
+
+    const styleRates = styles.map(style => ({
+      styleId: style.styleId,
+      rate: style.activations / totalAppearances,
+      averagePoints: style.averagePoints
+    }));
+
+    // Opponent strength: activations conceded per match against the average
+    const playedBy = new Map(played.map(row => [row.team, row.matches]));
+    const concededBy = new Map(conceded.map(row => [row.team, row.activations]));
+    const teamMatches = played.reduce((sum, row) => sum + row.matches, 0);
+    const averageConceded = teamMatches > 0
+      ? conceded.reduce((sum, row) => sum + row.activations, 0) / teamMatches
+      : 0;
+    const opponentFactor = (team) => {
+      if (averageConceded === 0) return 1;
+      const perMatch = smoothed(concededBy.get(team) || 0, playedBy.get(team) || 0, averageConceded);
+      return clamp(perMatch / averageConceded, ...OPPONENT_FACTOR_RANGE);
+    };
+
+    // Each player's appearances (newest first) and activations by match
+    const players = new Map();
+    for (const row of appearances) {
+      if (!players.has(row.playerId)) {
+        players.set(row.playerId, { playerName: row.playerName, teamName: row.teamName, matches: [] });
+      }
+      players.get(row.playerId).matches.push(row.matchId);
+    }
+    const activated = new Map();
+    for (const row of activations) {
+      activated.set(`${row.playerId}:${row.matchId}:${row.styleId}`, row.points);
+    }
+
+    const byStyle = new Map(styleRates.map(style => [style.styleId, []]));
+
+    for (const fixture of fixtures) {
+      const sides = [
+        { team: fixture.homeTeam, opponent: fixture.awayTeam },
+        { team: fixture.awayTeam, opponent: fixture.homeTeam }
+      ];
+
+      for (const { team, opponent } of sides) {
+        const factor = opponentFactor(opponent);
+
+        for (const [playerId, player] of players) {
+          // Players are projected for the side they last played for
+          if (player.teamName !== team) continue;
+
+          const recent = player.matches.slice(0, FORM_MATCHES);
+
+          for (const style of styleRates) {
+            let count = 0;
+            let recentCount = 0;
+            let points = 0;
+            player.matches.forEach((matchId, index) => {
+              const awarded = activated.get(`${playerId}:${matchId}:${style.styleId}`);
+              if (awarded === undefined) return;
+              count++;
+              points += awarded;
+              if (index < recent.length) recentCount++;
+            });
+
+            const historicalRate = smoothed(count, player.matches.length, style.rate);
+            const recentRate = smoothed(recentCount, recent.length, style.rate);
+            const rate = (1 - FORM_WEIGHT) * historicalRate + FORM_WEIGHT * recentRate;
+            const probability = clamp(rate * factor, 0, 0.99);
+            if (probability < MIN_PROBABILITY) continue;
+
+            const averagePoints = smoothed(points, count, style.averagePoints);
+
+            byStyle.get(style.styleId).push({
+              styleId: style.styleId,
+              matchId: fixture.apiId,
+              playerId,
+              playerName: player.playerName,
+              teamName: team,
+              opponent,
+              kickoff: fixture.startTime,
+              probability: round(probability),
+              expectedPoints: round(probability * averagePoints, 2),
+              factors: {
+                appearances: player.matches.length,
+                activations: count,
+                recentAppearances: recent.length,
+                recentActivations: recentCount,
+                historicalRate: round(historicalRate),
+                recentRate: round(recentRate),
+                opponentFactor: round(factor),
+                averagePoints: round(averagePoints, 2)
+              }
+            });
+          }
+        }
+      }
+    }
+
+    return [...byStyle.values()].flatMap(predictions => predictions
+      .sort((a, b) => b.expectedPoints - a.expectedPoints)
+      .slice(0, STORED_PER_STYLE));
+  }
+
+  async load(gameweekId) {
+    return prisma.activationPrediction.findMany({
+      where: { gameweekId },
+      include: {
+        style: {
+          select: { id: true, name: true, rarity: true, imageUrl: true }
+        }
+      },
+      orderBy: [{ styleId: 'asc' }, { expectedPoints: 'desc' }]
+    });
+  }
+
+  format(gameweek, stored, limit) {
+    const byStyle = new Map();
+    for (const prediction of stored) {
+      if (!byStyle.has(prediction.styleId)) {
+        byStyle.set(prediction.styleId, { style: prediction.style, predictedPlayers: [] });
+      }
+      const group = byStyle.get(prediction.styleId);
+      if (group.predictedPlayers.length >= limit) continue;
+
+      group.predictedPlayers.push({
+        playerId: prediction.playerId,
+        playerName: prediction.playerName,
+        team: prediction.teamName,
+        opponent: prediction.opponent,
+        matchId: prediction.matchId,
+        kickoff: prediction.kickoff,
+        probability: prediction.probability,
+        expectedPoints: prediction.expectedPoints,
+        factors: prediction.factors
+      });
+    }
+
+    return {
+      gameweek: {
+        leagueId: gameweek.leagueId,
+        league: gameweek.league,
+        season: gameweek.season,
+        number: gameweek.number,
+        deadline: gameweek.deadline
+      },
+      generatedAt: stored[0]?.createdAt || null,
+      predictions: [...byStyle.values()]
+        .sort((a, b) => (b.predictedPlayers[0]?.expectedPoints || 0) - (a.predictedPlayers[0]?.expectedPoints || 0))
+    };
+  }
+
+  /**
+   * Compare the stored predictions of finished gameweeks with the
+   * activations that happened. Only fixtures whose activations have been
+   * published are counted.
+   */
+  async calibrate({ league = calendarService.getDefaultLeague(), gameweeks: count = 10 } = {}) {
+    const leagueId = league.toString();
+    const gameweeks = await prisma.gameweek.findMany({
+      where: {
+        season: { leagueId },
+        predictedAt: { not: null },
+        endsAt: { lt: new Date() }
+      },
+      include: { season: { select: { name: true } } },
+      orderBy: { deadline: 'desc' },
+      take: count
+    });
+
+    const predictions = await prisma.activationPrediction.findMany({
+      where: { gameweekId: { in: gameweeks.map(gameweek => gameweek.id) } }
+    });
+
+    const matchIds = [...new Set(predictions.map(prediction => prediction.matchId))];
+    const [matches, activations] = await Promise.all([
+      prisma.match.findMany({
+        where: { apiId: { in: matchIds }, pipelineState: 'PUBLISHED' },
+        select: { apiId: true }
+      }),
+      prisma.activation.findMany({
+        where: { matchId: { in: matchIds } },
+        select: { matchId: true, playerId: true, styleId: true, points: true }
+      })
+    ]);
+
+    const published = new Set(matches.map(match => match.apiId));
+    const outcomes = new Map(activations.map(activation => [
+      `${activation.matchId}:${activation.playerId}:${activation.styleId}`,
+      activation.points
+    ]));
+
+    const summarise = () => ({
+      predictions: 0,
+      expectedActivations: 0,
+      actualActivations: 0,
+      expectedPoints: 0,
+      actualPoints: 0,
+      squaredError: 0,
+      absolutePointsError: 0
+    });
+    const finish = ({ squaredError, absolutePointsError, ...totals }) => ({
+      ...totals,
+      expectedActivations: round(totals.expectedActivations, 2),
+      expectedPoints: round(totals.expectedPoints, 2),
+      brierScore: totals.predictions > 0 ? round(squaredError / totals.predictions, 4) : null,
+      meanAbsolutePointsError: totals.predictions > 0 ? round(absolutePointsError / totals.predictions, 2) : null
+    });
+
+    const overall = summarise();
+    const perGameweek = new Map(gameweeks.map(gameweek => [gameweek.id, summarise()]));
+    const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, index) => ({
+      from: index / CALIBRATION_BUCKETS,
+      to: (index + 1) / CALIBRATION_BUCKETS,
+      predictions: 0,
+      probabilitySum: 0,
+      activations: 0
+    }));
+
+    for (const prediction of predictions) {
+      if (!published.has(prediction.matchId)) continue;
+
+      const points = outcomes.get(`${prediction.matchId}:${prediction.playerId}:${prediction.styleId}`);
+      const happened = points !== undefined ? 1 : 0;
+
+      for (const totals of [overall, perGameweek.get(prediction.gameweekId)]) {
+        totals.predictions++;
+        totals.expectedActivations += prediction.probability;
+        totals.actualActivations += happened;
+        totals.expectedPoints += prediction.expectedPoints;
+        totals.actualPoints += points || 0;
+        totals.squaredError += (prediction.probability - happened) ** 2;
+        totals.absolutePointsError += Math.abs(prediction.expectedPoints - (points || 0));
+      }
+
+      const bucket = buckets[Math.min(Math.floor(prediction.probability * CALIBRATION_BUCKETS), CALIBRATION_BUCKETS - 1)];
+      bucket.predictions++;
+      bucket.probabilitySum += prediction.probability;
+      bucket.activations += happened;
+    }
+
+    return {
+      leagueId,
+      overall: finish(overall),
+      gameweeks: gameweeks.map(gameweek => ({
+        season: gameweek.season.name,
+        number: gameweek.number,
+        predictedAt: gameweek.predictedAt,
+        ...finish(perGameweek.get(gameweek.id))
+      })),
+      // A well calibrated model's actual rate tracks its mean probability
+      buckets: buckets
+        .filter(bucket => bucket.predictions > 0)
+        .map(({ probabilitySum, activations, ...bucket }) => ({
+          ...bucket,
+          meanProbability: round(probabilitySum / bucket.predictions),
+          actualRate: round(activations / bucket.predictions)
+        }))
+    };
+  }
+}
+
+module.exports = new PredictionService();
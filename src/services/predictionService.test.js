@@ -0,0 +1,96 @@
+const mockPrisma = {
+  season: { findMany: jest.fn() },
+  gameweek: { findUnique: jest.fn() },
+  activationPrediction: { findMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({
+  ...jest.requireActual('@prisma/client'),
+  PrismaClient: jest.fn(() => mockPrisma)
+}));
+jest.mock('./calendarService', () => ({ getNextGameweek: jest.fn() }));
+
+const calendarService = require('./calendarService');
+const predictionService = require('./predictionService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-10-19T12:00:00Z');
+const gameweek = (leagueId) => ({
+  id: `gw-${leagueId}`,
+  leagueId,
+  league: 'Premier League',
+  season: '2026-2027',
+  number: 9,
+  deadline: new Date('2026-10-24T12:30:00Z')
+});
+
+describe('PredictionService.getPredictions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    predictionService.cache.clear();
+    calendarService.getNextGameweek.mockResolvedValue(gameweek('39'));
+  });
+
+  test('serves stored predictions without generating any', async () => {
+    mockPrisma.activationPrediction.findMany.mockResolvedValueOnce([]);
+    const generate = jest.spyOn(predictionService, 'generate');
+
+    const result = await predictionService.getPredictions({ league: '39' });
+
+    expect(result).toMatchObject({ gameweek: { leagueId: '39', number: 9 }, generatedAt: null, predictions: [] });
+    expect(generate).not.toHaveBeenCalled();
+    expect(mockPrisma.gameweek.findUnique).not.toHaveBeenCalled();
+    generate.mockRestore();
+  });
+
+  test('returns null when the competition has no upcoming gameweek', async () => {
+    calendarService.getNextGameweek.mockResolvedValueOnce(null);
+
+    await expect(predictionService.getPredictions({ league: '39' })).resolves.toBeNull();
+  });
+});
+
+describe('PredictionService.refresh', () => {
+  let generate;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    calendarService.getNextGameweek.mockImplementation(async ({ league }) => gameweek(league));
+    generate = jest.spyOn(predictionService, 'generate').mockResolvedValue(12);
+  });
+
+  afterEach(() => generate.mockRestore());
+
+  test('generates only the gameweeks whose predictions are missing or stale', async () => {
+    mockPrisma.season.findMany.mockResolvedValueOnce([{ leagueId: '39' }, { leagueId: '140' }, { leagueId: '78' }]);
+    mockPrisma.gameweek.findUnique.mockImplementation(async ({ where }) => ({
+      predictedAt: {
+        'gw-39': null,
+        'gw-140': new Date(now.getTime() - HOUR_MS),
+        'gw-78': new Date(now.getTime() - 7 * HOUR_MS)
+      }[where.id]
+    }));
+
+    const summary = await predictionService.refresh({ now });
+
+    expect(generate.mock.calls.map(([entry]) => entry.id)).toEqual(['gw-39', 'gw-78']);
+    expect(summary).toEqual({
+      generated: 2,
+      leagues: [
+        { leagueId: '39', season: '2026-2027', gameweek: 9, predictions: 12 },
+        { leagueId: '140', season: '2026-2027', gameweek: 9, predictions: null },
+        { leagueId: '78', season: '2026-2027', gameweek: 9, predictions: 12 }
+      ]
+    });
+  });
+
+  test('looks only at competitions with gameweeks still to come', async () => {
+    mockPrisma.season.findMany.mockResolvedValueOnce([]);
+
+    await expect(predictionService.refresh({ now })).resolves.toEqual({ leagues: [], generated: 0 });
+    expect(mockPrisma.season.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { gameweeks: { some: { deadline: { gt: now } } } },
+      distinct: ['leagueId']
+    }));
+  });
+});
@@ -0,0 +1,351 @@
+const os = require('os');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { PrismaClient } = require('@prisma/client');
+const FootballApiService = require('./footballApi');
+const calendarService = require('./calendarService');
+const catalogueService = require('./catalogueService');
+const predictionService = require('./predictionService');
+const { OPEN_PHASES } = require('../utils/matchLifecycle');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Runs in production unless turned off; elsewhere only when turned on
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED
+  ? process.env.SCHEDULER_ENABLED === 'true'
+  : process.env.NODE_ENV === 'production';
+const SCHEDULER_TIMEZONE = process.env.SCHEDULER_TIMEZONE || 'UTC';
+
+// Competitions the app tracks, as `<leagueId>:<season>` pairs (e.g.
+// "39:2026,140:2026"): the nightly sync refreshes their fixture lists and
+// the live poll only asks the provider for theirs
+const SYNC_COMPETITIONS = (process.env.SYNC_COMPETITIONS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [league, season] = entry.split(':');
+    return { league, season };
+  });
+
+// The live poll covers fixtures that kicked off up to this long ago (long
+// enough to see a match through extra time and penalties) or within the hour
+const POLL_HOURS_BEHIND = parseInt(process.env.MATCH_POLL_HOURS_BEHIND || '4');
+const POLL_HOURS_AHEAD = 1;
+// Open matches older than the live poll are re-fetched one by one, for a week
+const STALE_MAX_DAYS = 7;
+const FINALISE_BATCH_SIZE = 50;
+// Provider refusals that mean a sync should wait for more budget
+const QUOTA_ERRORS = ['QUOTA_LOW', 'QUOTA_EXHAUSTED'];
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const schedulerError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+const footballApi = new FootballApiService();
+
+// Process matches through the pipeline, tallying the outcomes
+async function processMatches(matchIds, { req }) {
+  const summary = { published: 0, skipped: 0, failed: 0, activationsCreated: 0 };
+
+  for (const matchId of matchIds) {
+    const result = await footballApi.processMatchForActivations(matchId, { req });
+    if (result.failed) summary.failed++;
+    else if (result.skipped) summary.skipped++;
+    else summary.published++;
+    summary.activationsCreated += result.scoring?.created || 0;
+  }
+
+  return summary;
+}
+
+/**
+ * Scheduled jobs. Each runs on its cron schedule (overridable through the
+ * env var named in `scheduleEnv`) and holds its lease for at most
+ * `leaseMinutes`; a run still going after that may be overlapped.
+ */
+const JOBS = {
+  'live-matches': {
+    description: 'Poll fixtures kicking off around now and process those that have finished',
+    scheduleEnv: 'JOB_LIVE_MATCHES_CRON',
+    defaultSchedule: '* * * * *',
+    leaseMinutes: 5,
+    run: async ({ req }) => {
+      const now = Date.now();
+
+      // Only spend a request while a stored fixture has kicked off and not
+      // finished; the nightly fixture sync keeps kick-off times current
+      const inPlay = await prisma.match.count({
+        where: {
+          leagueId: { in: SYNC_COMPETITIONS.map(competition => competition.league) },
+          phase: { in: OPEN_PHASES },
+          startTime: { gte: new Date(now - POLL_HOURS_BEHIND * HOUR_MS), lte: new Date(now) }
+        }
+      });
+      if (inPlay === 0) {
+        return { matchesFound: 0, polled: false };
+      }
+
+      const matches = await footballApi.fetchFixturesBetween(
+        new Date(now - POLL_HOURS_BEHIND * HOUR_MS),
+        new Date(now + POLL_HOURS_AHEAD * HOUR_MS),
+        SYNC_COMPETITIONS
+      );
+
+      const finished = matches.filter(match => match.phase === 'FINISHED' && match.pipelineState !== 'PUBLISHED');
+      const summary = await processMatches(finished.map(match => match.apiId), { req });
+      return { matchesFound: matches.length, polled: true, ...summary };
+    }
+  },
+  'finalise-matches': {
+    description: 'Catch up open matches the live poll has missed, then process every finished match not yet published',
+    scheduleEnv: 'JOB_FINALISE_MATCHES_CRON',
+    defaultSchedule: '*/15 * * * *',
+    leaseMinutes: 30,
+    run: async ({ req }) => {
+      const now = Date.now();
+      const stale = await prisma.match.findMany({
+        where: {
+          phase: { in: OPEN_PHASES },
+          startTime: {
+            gte: new Date(now - STALE_MAX_DAYS * DAY_MS),
+            lt: new Date(now - POLL_HOURS_BEHIND * HOUR_MS)
+          }
+        },
+        select: { apiId: true },
+        orderBy: { startTime: 'asc' },
+        take: FINALISE_BATCH_SIZE
+      });
+      const refreshed = await footballApi.refreshMatches(stale.map(match => match.apiId));
+
+      const matches = await prisma.match.findMany({
+        where: {
+          phase: 'FINISHED',
+          pipelineState: { not: 'PUBLISHED' }
+        },
+        select: { apiId: true },
+        // Matches that keep failing don't hold back ones not yet tried
+        orderBy: [{ pipelineAttempts: 'asc' }, { startTime: 'asc' }],
+        take: FINALISE_BATCH_SIZE
+      });
+
+      const summary = await processMatches(matches.map(match => match.apiId), { req });
+      return { matchesRefreshed: refreshed.length, matchesFound: matches.length, ...summary };
+    }
+  },
+  'catalogue-sync': {
+    description: 'Refresh fixture lists, teams, squads and player bios for SYNC_COMPETITIONS and rebuild the calendar',
+    scheduleEnv: 'JOB_CATALOGUE_SYNC_CRON',
+    defaultSchedule: '0 3 * * *',
+    leaseMinutes: 120,
+    run: async () => {
+      const competitions = [];
+      for (const { league, season } of SYNC_COMPETITIONS) {
+        const entry = { league, season };
+        try {
+          entry.fixtures = (await footballApi.fetchFixtures({ league, season })).length;
+          entry.catalogue = await catalogueService.syncCompetition({ league, season });
+        } catch (error) {
+          // What's left of the request budget is kept for live matches
+          if (QUOTA_ERRORS.includes(error.code)) entry.deferred = error.code;
+          else if (error.code === 'PROVIDER_NOT_SUPPORTED') entry.unsupported = error.message;
+          else throw error;
+        }
+        competitions.push(entry);
+      }
+
+      const calendar = await calendarService.rebuild();
+      const activationsLinked = await catalogueService.linkActivations();
+      return { competitions, seasons: calendar.seasons, gameweeks: calendar.gameweeks, activationsLinked };
+    }
+  },
+  'predictions': {
+    description: 'Generate activation predictions for each competition\'s next gameweek once they are PREDICTION_REFRESH_HOURS old',
+    scheduleEnv: 'JOB_PREDICTIONS_CRON',
+    defaultSchedule: '30 * * * *',
+    leaseMinutes: 30,
+    run: () => predictionService.refresh()
+  }
+};
+
+/**
+ * Scheduler Service
+ * Runs the ingestion jobs on node-cron. Every instance schedules every job;
+ * a lease row in job_locks makes sure only one of them runs each tick, and
+ * each run is kept in job_runs with its outcome.
+ */
+class SchedulerService {
+  constructor() {
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.tasks = new Map();
+  }
+
+  getSchedule(name) {
+    const job = JOBS[name];
+    return process.env[job.scheduleEnv] || job.defaultSchedule;
+  }
+
+  get enabled() {
+    return SCHEDULER_ENABLED;
+  }
+
+  // Schedule every job; does nothing when the scheduler is disabled
+  start() {
+    if (!SCHEDULER_ENABLED || this.tasks.size > 0) return;
+
+    for (const name of Object.keys(JOBS)) {
+      const schedule = this.getSchedule(name);
+      if (!cron.validate(schedule)) {
+        logger.error(`Job ${name} not scheduled: invalid cron expression "${schedule}"`);
+        continue;
+      }
+
+      this.tasks.set(name, cron.schedule(schedule, () => {
+        this.run(name, { trigger: 'schedule' }).catch(error => {
+          if (error.code !== 'JOB_LOCKED') {
+            logger.error(`Job ${name} failed: ${error.message}`);
+          }
+        });
+      }, { timezone: SCHEDULER_TIMEZONE }));
+    }
+
+    logger.info(`Scheduler started ${this.tasks.size} jobs as ${this.owner}`);
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) task.stop();
+    this.tasks.clear();
+  }
+
+  /**
+   * Run a job now, if no instance holds its lease. Resolves to the finished
+   * run; a failed job's error is rethrown with the run as `error.jobRun`.
+   */
+  async run(name, { trigger = 'manual', req = null } = {}) {
+    const job = JOBS[name];
+    if (!job) {
+      throw schedulerError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    if (!(await this.acquire(name, job.leaseMinutes))) {
+      throw schedulerError(`Job ${name} is already running`, 'JOB_LOCKED', 409);
+    }
+
+    // Another instance's run still RUNNING after its lease lapsed most likely
+    // died with it; one that was only slow records its outcome over this
+    await prisma.jobRun.updateMany({
+      where: {
+        job: name,
+        status: 'RUNNING',
+        owner: { not: this.owner },
+        startedAt: { lt: new Date(Date.now() - job.leaseMinutes * MINUTE_MS) }
+      },
+      data: { status: 'FAILED', error: 'Interrupted', finishedAt: new Date() }
+    });
+
+    const run = await prisma.jobRun.create({
+      data: { job: name, trigger, owner: this.owner }
+    });
+    const startedAt = Date.now();
+
+    try {
+      const summary = await job.run({ req });
+      return await this.finish(run.id, startedAt, { status: 'SUCCEEDED', summary });
+    } catch (error) {
+      error.jobRun = await this.finish(run.id, startedAt, { status: 'FAILED', error: error.message.slice(0, 1000) });
+      throw error;
+    } finally {
+      await this.release(name);
+    }
+  }
+
+  async finish(runId, startedAt, data) {
+    return prisma.jobRun.update({
+      where: { id: runId },
+      data: { ...data, finishedAt: new Date(), durationMs: Date.now() - startedAt }
+    });
+  }
+
+  // Take the job's lease unless another run holds an unexpired one
+  async acquire(name, leaseMinutes) {
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + leaseMinutes * MINUTE_MS);
+
+    const rows = await prisma.$queryRaw`
+      INSERT INTO "job_locks" ("name", "owner", "lockedUntil", "acquiredAt")
+      VALUES (${name}, ${this.owner}, ${lockedUntil}, ${now})
+      ON CONFLICT ("name") DO UPDATE
+        SET "owner" = EXCLUDED."owner",
+            "lockedUntil" = EXCLUDED."lockedUntil",
+            "acquiredAt" = EXCLUDED."acquiredAt"
+        WHERE "job_locks"."lockedUntil" < ${now}
+      RETURNING "name"
+    `;
+
+    return rows.length > 0;
+  }
+
+  async release(name) {
+    await prisma.jobLock.updateMany({
+      where: { name, owner: this.owner },
+      data: { lockedUntil: new Date() }
+    });
+  }
+
+  // Every job with its schedule, current lease and latest run
+  async listJobs() {
+    const names = Object.keys(JOBS);
+    const [locks, lastRuns] = await Promise.all([
+      prisma.jobLock.findMany({ where: { name: { in: names } } }),
+      Promise.all(names.map(name => prisma.jobRun.findFirst({
+        where: { job: name },
+        orderBy: { startedAt: 'desc' }
+      })))
+    ]);
+
+    const now = new Date();
+    return names.map((name, index) => {
+      const lock = locks.find(entry => entry.name === name);
+      return {
+        name,
+        description: JOBS[name].description,
+        schedule: this.getSchedule(name),
+        scheduled: this.tasks.has(name),
+        lock: lock && lock.lockedUntil > now
+          ? { owner: lock.owner, acquiredAt: lock.acquiredAt, lockedUntil: lock.lockedUntil }
+          : null,
+        lastRun: lastRuns[index]
+      };
+    });
+  }
+
+  async listRuns(name, { status, page = 1, limit = 50 } = {}) {
+    if (!JOBS[name]) {
+      throw schedulerError('Job not found', 'JOB_NOT_FOUND', 404);
+    }
+
+    const where = { job: name, ...(status && { status }) };
+    const [runs, total] = await Promise.all([
+      prisma.jobRun.findMany({
+        where,
+        orderBy: { startedAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.jobRun.count({ where })
+    ]);
+
+    return { runs, total };
+  }
+}
+
+module.exports = new SchedulerService();
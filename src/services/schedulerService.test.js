@@ -0,0 +1,85 @@
+const mockPrisma = {
+  $queryRaw: jest.fn(),
+  match: { count: jest.fn(), findMany: jest.fn() },
+  jobRun: { updateMany: jest.fn(), create: jest.fn(), update: jest.fn() },
+  jobLock: { updateMany: jest.fn() }
+};
+const mockFootballApi = { fetchFixturesBetween: jest.fn(), processMatchForActivations: jest.fn() };
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+jest.mock('./footballApi', () => jest.fn(() => mockFootballApi));
+jest.mock('./calendarService', () => ({}));
+jest.mock('./catalogueService', () => ({}));
+jest.mock('./predictionService', () => ({ refresh: jest.fn() }));
+
+const schedulerService = require('./schedulerService');
+
+const MINUTE_MS = 60 * 1000;
+
+describe('SchedulerService.run', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$queryRaw.mockResolvedValue([{ name: 'live-matches' }]);
+    mockPrisma.jobRun.create.mockImplementation(async ({ data }) => ({ id: 'run-1', ...data }));
+    mockPrisma.jobRun.update.mockImplementation(async ({ data }) => ({ id: 'run-1', ...data }));
+  });
+
+  test('refuses a job another instance holds the lease of', async () => {
+    mockPrisma.$queryRaw.mockResolvedValueOnce([]);
+
+    await expect(schedulerService.run('live-matches')).rejects.toMatchObject({ code: 'JOB_LOCKED', statusCode: 409 });
+    expect(mockPrisma.jobRun.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('only marks runs of other instances whose lease has lapsed as interrupted', async () => {
+    mockPrisma.match.count.mockResolvedValueOnce(0);
+    const before = Date.now();
+
+    await schedulerService.run('live-matches');
+
+    const { where, data } = mockPrisma.jobRun.updateMany.mock.calls[0][0];
+    expect(where).toMatchObject({ job: 'live-matches', status: 'RUNNING', owner: { not: schedulerService.owner } });
+    // live-matches holds its lease for 5 minutes
+    expect(where.startedAt.lt.getTime()).toBeGreaterThanOrEqual(before - 5 * MINUTE_MS);
+    expect(where.startedAt.lt.getTime()).toBeLessThanOrEqual(Date.now() - 5 * MINUTE_MS);
+    expect(data).toMatchObject({ status: 'FAILED', error: 'Interrupted' });
+  });
+});
+
+describe('live-matches job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$queryRaw.mockResolvedValue([{ name: 'live-matches' }]);
+    mockPrisma.jobRun.create.mockImplementation(async ({ data }) => ({ id: 'run-1', ...data }));
+    mockPrisma.jobRun.update.mockImplementation(async ({ data }) => ({ id: 'run-1', ...data }));
+  });
+
+  test('makes no provider request while no stored fixture is in play', async () => {
+    mockPrisma.match.count.mockResolvedValueOnce(0);
+
+    const run = await schedulerService.run('live-matches');
+
+    expect(mockFootballApi.fetchFixturesBetween).not.toHaveBeenCalled();
+    expect(run.summary).toEqual({ matchesFound: 0, polled: false });
+
+    const { where } = mockPrisma.match.count.mock.calls[0][0];
+    expect(where.phase).toEqual({ in: ['SCHEDULED', 'LIVE', 'HALF_TIME'] });
+    expect(where.startTime.lte.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test('polls and processes finished matches while one is in play', async () => {
+    mockPrisma.match.count.mockResolvedValueOnce(2);
+    mockFootballApi.fetchFixturesBetween.mockResolvedValueOnce([
+      { apiId: '1', phase: 'LIVE', pipelineState: 'PENDING' },
+      { apiId: '2', phase: 'FINISHED', pipelineState: 'PENDING' },
+      { apiId: '3', phase: 'FINISHED', pipelineState: 'PUBLISHED' }
+    ]);
+    mockFootballApi.processMatchForActivations.mockResolvedValueOnce({ scoring: { created: 4 } });
+
+    const run = await schedulerService.run('live-matches');
+
+    expect(mockFootballApi.processMatchForActivations).toHaveBeenCalledTimes(1);
+    expect(mockFootballApi.processMatchForActivations).toHaveBeenCalledWith('2', { req: null });
+    expect(run.summary).toMatchObject({ matchesFound: 3, polled: true, published: 1, activationsCreated: 4 });
+  });
+});
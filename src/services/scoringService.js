@@ -0,0 +1,204 @@
+const ownerScoringService = require('./ownerScoringService');
+
+const activationKey = (playerId, styleId) => `${playerId}:${styleId}`;
+
+const countCards = (owners) => [...owners.values()].reduce((sum, owner) => sum + owner.cards, 0);
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const scoringError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Scoring Service
+ * Turns activations into points for the style and everyone holding it (see
+ * ownerScoringService for what each card earns). Every method takes a
+ * transaction client so an activation and its point updates commit together,
+ * and activations are keyed on (match, player, style) so recording one twice
+ * never pays out twice.
+ */
+class ScoringService {
+  // Style totals track activation points before owner multipliers
+  async updateStyleTotals(tx, styleId, delta, activationDelta = 0) {
+    if (delta === 0 && activationDelta === 0) return;
+
+    await tx.style.update({
+      where: { id: styleId },
+      data: {
+        totalPoints: { increment: delta },
+        activationCount: { increment: activationDelta }
+      }
+    });
+  }
+
+  /**
+   * Create an activation, or correct an existing one for the same match,
+   * player and style. `owners` holds each affected user's { cards, points }.
+   */
+  async recordActivation(tx, data) {
+    const { matchId, playerId, styleId } = data;
+    const existing = await tx.activation.findUnique({
+      where: { matchId_playerId_styleId: { matchId, playerId, styleId } }
+    });
+
+    if (!existing) {
+      const activation = await tx.activation.create({ data });
+      await this.updateStyleTotals(tx, styleId, data.points, 1);
+      const owners = await ownerScoringService.awardOwners(tx, activation);
+      return { activation, status: 'created', delta: data.points, owners, affectedUsers: countCards(owners) };
+    }
+
+    const confidence = data.confidence ?? existing.confidence;
+    if (existing.points === data.points && existing.confidence === confidence) {
+      return { activation: existing, status: 'unchanged', delta: 0, owners: new Map(), affectedUsers: 0 };
+    }
+
+    const delta = data.points - existing.points;
+    const activation = await tx.activation.update({
+      where: { id: existing.id },
+      data: {
+        points: data.points,
+        confidence,
+        ruleVersion: data.ruleVersion
+      }
+    });
+    await this.updateStyleTotals(tx, styleId, delta);
+    // Awards are rescaled for the cards that earned them, not today's holders
+    const owners = await ownerScoringService.reviseAwards(tx, existing, data.points);
+
+    return { activation, status: 'updated', delta, owners, affectedUsers: countCards(owners), previous: existing };
+  }
+
+  // Take an activation's points back from every card it paid, then delete it
+  async removeActivation(tx, activation) {
+    const owners = await ownerScoringService.reviseAwards(tx, activation, 0);
+    await tx.activation.delete({ where: { id: activation.id } });
+    await this.updateStyleTotals(tx, activation.styleId, -activation.points, -1);
+    return owners;
+  }
+
+  /**
+   * Record a correction history entry and what it did to each holder's
+   * points (`owners`, as returned by the methods above)
+   */
+  async recordCorrection(tx, { type, previous, activation, owners = new Map(), reason, createdById }) {
+    const source = activation || previous;
+    const previousPoints = previous ? previous.points : 0;
+    const newPoints = type === 'REVERSED' ? 0 : activation.points;
+
+    const correction = await tx.activationCorrection.create({
+      data: {
+        activationId: source.id,
+        matchId: source.matchId,
+        playerId: source.playerId,
+        playerName: source.playerName,
+        styleId: source.styleId,
+        type,
+        previousPoints,
+        newPoints,
+        delta: newPoints - previousPoints,
+        reason,
+        createdById
+      }
+    });
+
+    const adjustments = [...owners]
+      .filter(([, owner]) => owner.points !== 0)
+      .map(([userId, owner]) => ({
+        userId,
+        correctionId: correction.id,
+        cards: owner.cards,
+        points: owner.points
+      }));
+
+    if (adjustments.length > 0) {
+      await tx.pointAdjustment.createMany({ data: adjustments });
+    }
+
+    return correction;
+  }
+
+  /**
+   * Undo an activation entirely, taking its points back from every holder
+   */
+  async reverseActivation(tx, activationId, { reason, createdById } = {}) {
+    const activation = await tx.activation.findUnique({ where: { id: activationId } });
+    if (!activation) {
+      throw scoringError('Activation not found', 'ACTIVATION_NOT_FOUND', 404);
+    }
+
+    const owners = await this.removeActivation(tx, activation);
+    const correction = await this.recordCorrection(tx, {
+      type: 'REVERSED',
+      previous: activation,
+      owners,
+      reason,
+      createdById
+    });
+
+    return { activation, correction, affectedUsers: countCards(owners) };
+  }
+
+  /**
+   * Bring a match's stored activations in line with a fresh analysis: new
+   * ones are created, re-scored ones corrected, and ones the analysis no
+   * longer produces are removed with their points taken back. Changes to
+   * existing activations always get a correction entry; new ones only when
+   * `correction` ({ reason, createdById }) marks this as a re-analysis.
+   */
+  async reconcileMatch(tx, { matchId, leagueId, activations, correction }) {
+    const existing = await tx.activation.findMany({ where: { matchId } });
+    const stale = new Map(existing.map(activation => [
+      activationKey(activation.playerId, activation.styleId),
+      activation
+    ]));
+
+    const summary = { created: 0, updated: 0, removed: 0, unchanged: 0, corrections: 0, points: 0 };
+    const { reason, createdById } = correction || {};
+
+    for (const activation of activations) {
+      stale.delete(activationKey(activation.playerId, activation.styleId));
+
+      const result = await this.recordActivation(tx, {
+        matchId,
+        leagueId,
+        styleId: activation.styleId,
+        playerId: activation.playerId,
+        playerName: activation.playerName,
+        points: activation.points,
+        confidence: activation.confidence,
+        ruleVersion: activation.ruleVersion
+      });
+
+      summary[result.status]++;
+      summary.points += result.delta;
+
+      if (result.status === 'updated' || (result.status === 'created' && correction)) {
+        await this.recordCorrection(tx, {
+          type: result.status === 'created' ? 'ADDED' : 'ADJUSTED',
+          previous: result.previous,
+          activation: result.activation,
+          owners: result.owners,
+          reason,
+          createdById
+        });
+        summary.corrections++;
+      }
+    }
+
+    for (const activation of stale.values()) {
+      const owners = await this.removeActivation(tx, activation);
+      await this.recordCorrection(tx, { type: 'REVERSED', previous: activation, owners, reason, createdById });
+      summary.removed++;
+      summary.corrections++;
+      summary.points -= activation.points;
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new ScoringService();
@@ -0,0 +1,204 @@
+jest.mock('./ownerScoringService', () => ({
+  awardOwners: jest.fn(),
+  reviseAwards: jest.fn()
+}));
+
+const ownerScoringService = require('./ownerScoringService');
+const scoringService = require('./scoringService');
+
+// In-memory transaction client holding one match's activations
+const fakeTx = (stored = []) => {
+  const activations = new Map(stored.map(activation => [activation.id, { ...activation }]));
+  let nextId = 1;
+
+  return {
+    activations,
+    style: { update: jest.fn() },
+    activation: {
+      findMany: jest.fn(async ({ where }) => [...activations.values()].filter(a => a.matchId === where.matchId)),
+      findUnique: jest.fn(async ({ where }) => {
+        if (where.id) return activations.get(where.id) || null;
+        const { matchId, playerId, styleId } = where.matchId_playerId_styleId;
+        return [...activations.values()].find(a =>
+          a.matchId === matchId && a.playerId === playerId && a.styleId === styleId) || null;
+      }),
+      create: jest.fn(async ({ data }) => {
+        const activation = { id: `new-${nextId++}`, ...data };
+        activations.set(activation.id, activation);
+        return activation;
+      }),
+      update: jest.fn(async ({ where, data }) => {
+        const activation = { ...activations.get(where.id), ...data };
+        activations.set(where.id, activation);
+        return activation;
+      }),
+      delete: jest.fn(async ({ where }) => activations.delete(where.id))
+    },
+    activationCorrection: {
+      create: jest.fn(async ({ data }) => ({ id: `correction-${data.type}-${data.playerId}`, ...data }))
+    },
+    pointAdjustment: { createMany: jest.fn() }
+  };
+};
+
+const stored = (playerId, points, extra = {}) => ({
+  id: `act-${playerId}`,
+  matchId: 'match-1',
+  leagueId: 'Premier League',
+  playerId,
+  playerName: `Player ${playerId}`,
+  styleId: 'style-1',
+  points,
+  confidence: 0.8,
+  ruleVersion: 1,
+  ...extra
+});
+
+const analysed = (playerId, points) => ({
+  playerId,
+  playerName: `Player ${playerId}`,
+  styleId: 'style-1',
+  points,
+  confidence: 0.8,
+  ruleVersion: 2
+});
+
+const owners = (entries) => new Map(entries);
+
+describe('scoringService.reconcileMatch', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ownerScoringService.awardOwners.mockResolvedValue(owners([['user-1', { cards: 1, points: 60 }]]));
+    ownerScoringService.reviseAwards.mockResolvedValue(owners([['user-1', { cards: 1, points: -15 }]]));
+  });
+
+  test('creates new activations and pays their holders', async () => {
+    const tx = fakeTx();
+
+    const summary = await scoringService.reconcileMatch(tx, {
+      matchId: 'match-1',
+      leagueId: 'Premier League',
+      activations: [analysed('p1', 40), analysed('p2', 25)]
+    });
+
+    expect(summary).toEqual({ created: 2, updated: 0, removed: 0, unchanged: 0, corrections: 0, points: 65 });
+    expect(ownerScoringService.awardOwners).toHaveBeenCalledTimes(2);
+    expect(tx.style.update).toHaveBeenCalledWith({
+      where: { id: 'style-1' },
+      data: { totalPoints: { increment: 40 }, activationCount: { increment: 1 } }
+    });
+    // A first analysis isn't a correction
+    expect(tx.activationCorrection.create).not.toHaveBeenCalled();
+  });
+
+  test('leaves unchanged activations and their awards alone', async () => {
+    const tx = fakeTx([stored('p1', 40)]);
+
+    const summary = await scoringService.reconcileMatch(tx, {
+      matchId: 'match-1',
+      activations: [analysed('p1', 40)]
+    });
+
+    expect(summary).toMatchObject({ unchanged: 1, corrections: 0, points: 0 });
+    expect(ownerScoringService.awardOwners).not.toHaveBeenCalled();
+    expect(ownerScoringService.reviseAwards).not.toHaveBeenCalled();
+    expect(tx.style.update).not.toHaveBeenCalled();
+  });
+
+  test('rescales the awards of a re-scored activation and records the adjustment', async () => {
+    const tx = fakeTx([stored('p1', 40)]);
+    const correction = { reason: 'Provider fixed assists', createdById: 'admin-1' };
+
+    const summary = await scoringService.reconcileMatch(tx, {
+      matchId: 'match-1',
+      activations: [analysed('p1', 30)],
+      correction
+    });
+
+    expect(summary).toMatchObject({ updated: 1, corrections: 1, points: -10 });
+    expect(ownerScoringService.reviseAwards).toHaveBeenCalledWith(tx, expect.objectContaining({ id: 'act-p1', points: 40 }), 30);
+    expect(tx.activationCorrection.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({
+        activationId: 'act-p1',
+        type: 'ADJUSTED',
+        previousPoints: 40,
+        newPoints: 30,
+        delta: -10,
+        ...correction
+      })
+    });
+    expect(tx.pointAdjustment.createMany).toHaveBeenCalledWith({
+      data: [{ userId: 'user-1', correctionId: 'correction-ADJUSTED-p1', cards: 1, points: -15 }]
+    });
+    expect(tx.activations.get('act-p1')).toMatchObject({ points: 30, ruleVersion: 2 });
+  });
+
+  test('reverses activations the analysis no longer produces', async () => {
+    const tx = fakeTx([stored('p1', 40), stored('p2', 25)]);
+
+    const summary = await scoringService.reconcileMatch(tx, {
+      matchId: 'match-1',
+      activations: [analysed('p1', 40)]
+    });
+
+    expect(summary).toMatchObject({ unchanged: 1, removed: 1, corrections: 1, points: -25 });
+    expect(ownerScoringService.reviseAwards).toHaveBeenCalledWith(tx, expect.objectContaining({ id: 'act-p2' }), 0);
+    expect(tx.activations.has('act-p2')).toBe(false);
+    expect(tx.style.update).toHaveBeenCalledWith({
+      where: { id: 'style-1' },
+      data: { totalPoints: { increment: -25 }, activationCount: { increment: -1 } }
+    });
+    expect(tx.activationCorrection.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ activationId: 'act-p2', type: 'REVERSED', previousPoints: 25, newPoints: 0, delta: -25 })
+    });
+  });
+
+  test('records activations added by a re-analysis as corrections', async () => {
+    const tx = fakeTx([stored('p1', 40)]);
+
+    const summary = await scoringService.reconcileMatch(tx, {
+      matchId: 'match-1',
+      activations: [analysed('p1', 40), analysed('p2', 20)],
+      correction: { reason: 'Late lineup data', createdById: null }
+    });
+
+    expect(summary).toMatchObject({ created: 1, unchanged: 1, corrections: 1, points: 20 });
+    expect(tx.activationCorrection.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ type: 'ADDED', playerId: 'p2', previousPoints: 0, newPoints: 20, reason: 'Late lineup data' })
+    });
+  });
+
+  test('skips adjustments for holders whose points did not move', async () => {
+    ownerScoringService.reviseAwards.mockResolvedValueOnce(owners([['user-1', { cards: 1, points: 0 }]]));
+    const tx = fakeTx([stored('p1', 40, { confidence: 0.5 })]);
+
+    await scoringService.reconcileMatch(tx, { matchId: 'match-1', activations: [analysed('p1', 40)] });
+
+    expect(tx.activationCorrection.create).toHaveBeenCalledTimes(1);
+    expect(tx.pointAdjustment.createMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('scoringService.reverseActivation', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ownerScoringService.reviseAwards.mockResolvedValue(owners([['user-1', { cards: 2, points: -120 }]]));
+  });
+
+  test('takes the points back from every holder', async () => {
+    const tx = fakeTx([stored('p1', 40)]);
+
+    const result = await scoringService.reverseActivation(tx, 'act-p1', { reason: 'Wrong player', createdById: 'admin-1' });
+
+    expect(result.affectedUsers).toBe(2);
+    expect(result.correction).toMatchObject({ type: 'REVERSED', delta: -40, reason: 'Wrong player' });
+    expect(tx.activations.size).toBe(0);
+  });
+
+  test('fails for an unknown activation', async () => {
+    await expect(scoringService.reverseActivation(fakeTx(), 'missing')).rejects.toMatchObject({
+      code: 'ACTIVATION_NOT_FOUND',
+      statusCode: 404
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const net = require('net');
+const { PrismaClient } = require('@prisma/client');
+const verificationService = require('./verificationService');
+const emailService = require('./emailService');
+const { hashToken } = require('../utils/crypto');
+const { sanitizeForLog } = require('../utils/sanitize');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOCKOUT_MAX_ATTEMPTS || '5');
+const BASE_LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES || '15');
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * Security Service
+ * Per-account brute force protection (progressive lockout) and login
+ * anomaly detection. Complements the per-IP authLimiter, which can't see
+ * credential stuffing spread across many addresses.
+ */
+class SecurityService {
+  isLocked(user) {
+    return Boolean(user.lockedUntil && user.lockedUntil > new Date());
+  }
+
+  /**
+   * Lockout length doubles with each consecutive lockout, capped at 24 hours
+   */
+  getLockoutMinutes(lockoutCount) {
+    return Math.min(BASE_LOCKOUT_MINUTES * 2 ** lockoutCount, MAX_LOCKOUT_MINUTES);
+  }
+
+  /**
+   * Count a failed first or second factor. Locks the account and emails an
+   * unlock link once the threshold is reached.
+   */
+  async recordFailedLogin(user, context = {}, reason = 'INVALID_PASSWORD') {
+    const updated = await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: { increment: 1 } }
+    });
+
+    await this.recordEvent(user.id, 'LOGIN_FAILED', context, { reason, attempt: updated.failedLoginAttempts });
+
+    if (updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+      return { locked: false, attemptsRemaining: MAX_FAILED_ATTEMPTS - updated.failedLoginAttempts };
+    }
+
+    const lockoutMinutes = this.getLockoutMinutes(updated.lockoutCount);
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        lockedUntil,
+        failedLoginAttempts: 0,
+        lockoutCount: { increment: 1 }
+      }
+    });
+
+    await this.recordEvent(user.id, 'ACCOUNT_LOCKED', context, { lockoutMinutes, lockedUntil });
+    logger.warn(`Account locked for ${lockoutMinutes} minutes: ${sanitizeForLog(user.id)}`);
+
+    if (user.email) {
+      try {
+        const { token } = await verificationService.createToken(user.id, 'ACCOUNT_UNLOCK');
+        await emailService.sendAccountLockedEmail(user, token, lockedUntil);
+      } catch (mailError) {
+        logger.error(`Account locked email for user ${sanitizeForLog(user.id)} failed: ${mailError.message}`);
+      }
+    }
+
+    return { locked: true, lockedUntil };
+  }
+
+  /**
+   * Reset counters after a complete login and flag new devices/locations
+   */
+  async recordSuccessfulLogin(user, context = {}) {
+    const deviceHash = this.getDeviceHash(context.userAgent);
+    const location = this.getLocation(context);
+
+    const [previousLogins, knownDevice, knownLocation] = await Promise.all([
+      prisma.securityEvent.count({
+        where: { userId: user.id, type: 'LOGIN_SUCCESS' }
+      }),
+      prisma.securityEvent.findFirst({
+        where: { userId: user.id, type: 'LOGIN_SUCCESS', deviceHash },
+        select: { id: true }
+      }),
+      prisma.securityEvent.findFirst({
+        where: { userId: user.id, type: 'LOGIN_SUCCESS', location },
+        select: { id: true }
+      })
+    ]);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        lockedUntil: null
+      }
+    });
+
+    await this.recordEvent(user.id, 'LOGIN_SUCCESS', context);
+
+    // The very first login has nothing to compare against
+    if (previousLogins === 0) {
+      return { newDevice: false, newLocation: false };
+    }
+
+    const newDevice = !knownDevice;
+    const newLocation = !knownLocation;
+
+    if (newDevice) {
+      await this.recordEvent(user.id, 'NEW_DEVICE_LOGIN', context);
+    }
+    if (newLocation) {
+      await this.recordEvent(user.id, 'NEW_LOCATION_LOGIN', context);
+    }
+
+    if ((newDevice || newLocation) && user.email) {
+      try {
+        await emailService.sendNewSignInEmail(user, { ...context, location });
+      } catch (mailError) {
+        logger.error(`New sign-in email for user ${sanitizeForLog(user.id)} failed: ${mailError.message}`);
+      }
+    }
+
+    return { newDevice, newLocation };
+  }
+
+  /**
+   * Unlock an account with the emailed token
+   */
+  async unlockWithToken(token, context = {}) {
+    const unlock = await verificationService.consumeToken(token, 'ACCOUNT_UNLOCK');
+    if (!unlock) {
+      return false;
+    }
+
+    await prisma.user.update({
+      where: { id: unlock.userId },
+      data: {
+        lockedUntil: null,
+        failedLoginAttempts: 0
+      }
+    });
+
+    await this.recordEvent(unlock.userId, 'ACCOUNT_UNLOCKED', context);
+    return true;
+  }
+
+  async recordEvent(userId, type, { userAgent, ipAddress, country } = {}, metadata) {
+    return prisma.securityEvent.create({
+      data: {
+        userId,
+        type,
+        ipAddress: ipAddress || null,
+        userAgent: userAgent ? userAgent.slice(0, 512) : null,
+        deviceHash: this.getDeviceHash(userAgent),
+        location: this.getLocation({ ipAddress, country }),
+        ...(metadata && { metadata })
+      }
+    });
+  }
+
+  async listEvents(userId, { type, page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+    const where = { userId };
+    if (type) where.type = type;
+
+    const [events, total] = await Promise.all([
+      prisma.securityEvent.findMany({
+        where,
+        skip,
+        take: limit,
+        select: {
+          id: true,
+          type: true,
+          ipAddress: true,
+          userAgent: true,
+          location: true,
+          metadata: true,
+          createdAt: true
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.securityEvent.count({ where })
+    ]);
+
+    return { events, total };
+  }
+
+  getDeviceHash(userAgent) {
+    return hashToken((userAgent || 'unknown').trim().toLowerCase()).slice(0, 32);
+  }
+
+  /**
+   * Coarse location: the edge's country header when behind a CDN, otherwise
+   * the network prefix (/24 for IPv4, /48 for IPv6)
+   */
+  getLocation({ ipAddress, country } = {}) {
+    if (country) {
+      return `country:${country.toUpperCase()}`;
+    }
+
+    if (!ipAddress) return null;
+
+    const address = ipAddress.replace(/^::ffff:/, '');
+    if (net.isIPv4(address)) {
+      return `net:${address.split('.').slice(0, 3).join('.')}.0/24`;
+    }
+    if (net.isIPv6(address)) {
+      return `net:${address.split(':').slice(0, 3).join(':')}::/48`;
+    }
+    return null;
+  }
+}
+
+module.exports = new SecurityService();
@@ -0,0 +1,102 @@
+const { SiweMessage, generateNonce } = require('siwe');
+const { PrismaClient } = require('@prisma/client');
+const { sanitizeForLog } = require('../utils/sanitize');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const NONCE_TTL_MINUTES = parseInt(process.env.SIWE_NONCE_TTL_MINUTES || '10');
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const siweError = (message, code, statusCode = 401) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Sign-In With Ethereum (EIP-4361) Service
+ * Issues single-use nonces and verifies signed SIWE messages. Signatures are
+ * checked by local ECDSA recovery only; no RPC provider is ever contacted, so
+ * EIP-1271 smart contract wallets are not supported.
+ */
+class SiweService {
+  constructor() {
+    this.domain = process.env.SIWE_DOMAIN || 'localhost:3000';
+    this.allowedChainIds = (process.env.SIWE_CHAIN_IDS || process.env.CHAIN_ID || '1337')
+      .split(',')
+      .map(id => parseInt(id.trim()))
+      .filter(id => !Number.isNaN(id));
+  }
+
+  /**
+   * Issue a nonce to be embedded in the message the wallet signs
+   */
+  async issueNonce() {
+    const nonce = generateNonce();
+    const expiresAt = new Date(Date.now() + NONCE_TTL_MINUTES * 60 * 1000);
+
+    await prisma.walletNonce.create({
+      data: { nonce, expiresAt }
+    });
+
+    return {
+      nonce,
+      expiresAt,
+      domain: this.domain,
+      chainIds: this.allowedChainIds
+    };
+  }
+
+  /**
+   * Verify a signed SIWE message and return the proven (checksummed) address
+   */
+  async verify(message, signature) {
+    let siweMessage;
+    try {
+      siweMessage = new SiweMessage(message);
+    } catch (error) {
+      throw siweError('Malformed SIWE message', 'SIWE_MALFORMED', 400);
+    }
+
+    if (siweMessage.domain !== this.domain) {
+      throw siweError('SIWE message was issued for another domain', 'SIWE_DOMAIN_MISMATCH');
+    }
+
+    if (!this.allowedChainIds.includes(siweMessage.chainId)) {
+      throw siweError('Unsupported chain', 'SIWE_CHAIN_NOT_ALLOWED');
+    }
+
+    // Burn the nonce before checking the signature so a message can never be replayed
+    const { count } = await prisma.walletNonce.updateMany({
+      where: {
+        nonce: siweMessage.nonce,
+        usedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw siweError('Nonce is invalid, expired or already used', 'SIWE_INVALID_NONCE');
+    }
+
+    const result = await siweMessage.verify(
+      { signature, domain: this.domain, nonce: siweMessage.nonce },
+      { suppressExceptions: true }
+    );
+
+    if (!result.success) {
+      logger.warn(`SIWE verification failed for ${sanitizeForLog(siweMessage.address)}: ${sanitizeForLog(result.error?.type || result.error?.message)}`);
+      throw siweError('Invalid SIWE signature', 'SIWE_INVALID_SIGNATURE');
+    }
+
+    return {
+      address: siweMessage.address,
+      chainId: siweMessage.chainId
+    };
+  }
+}
+
+module.exports = new SiweService();
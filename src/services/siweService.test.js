@@ -0,0 +1,72 @@
+const { Wallet } = require('ethers');
+const { SiweMessage } = require('siwe');
+
+const mockPrisma = {
+  walletNonce: { create: jest.fn(), updateMany: jest.fn() }
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+const siweService = require('./siweService');
+
+const wallet = Wallet.createRandom();
+
+const signIn = async (fields = {}) => {
+  const message = new SiweMessage({
+    domain: siweService.domain,
+    address: wallet.address,
+    statement: 'Sign in to Jogata',
+    uri: `http://${siweService.domain}`,
+    version: '1',
+    chainId: siweService.allowedChainIds[0],
+    nonce: 'abcdef123456',
+    issuedAt: new Date().toISOString(),
+    ...fields
+  }).prepareMessage();
+
+  return { message, signature: await wallet.signMessage(message) };
+};
+
+describe('SiweService.verify', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.walletNonce.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  test('returns the address that signed the message and burns its nonce', async () => {
+    const { message, signature } = await signIn();
+
+    await expect(siweService.verify(message, signature)).resolves.toEqual({
+      address: wallet.address,
+      chainId: siweService.allowedChainIds[0]
+    });
+    expect(mockPrisma.walletNonce.updateMany.mock.calls[0][0].where).toMatchObject({ nonce: 'abcdef123456', usedAt: null });
+  });
+
+  test('rejects a signature from another wallet', async () => {
+    const { message } = await signIn();
+    const signature = await Wallet.createRandom().signMessage(message);
+
+    await expect(siweService.verify(message, signature)).rejects.toMatchObject({ code: 'SIWE_INVALID_SIGNATURE', statusCode: 401 });
+  });
+
+  test('rejects a nonce that was already used', async () => {
+    mockPrisma.walletNonce.updateMany.mockResolvedValueOnce({ count: 0 });
+    const { message, signature } = await signIn();
+
+    await expect(siweService.verify(message, signature)).rejects.toMatchObject({ code: 'SIWE_INVALID_NONCE' });
+  });
+
+  test('rejects messages issued for another domain or chain before touching the nonce', async () => {
+    const otherDomain = await signIn({ domain: 'evil.example' });
+    const otherChain = await signIn({ chainId: 999999 });
+
+    await expect(siweService.verify(otherDomain.message, otherDomain.signature)).rejects.toMatchObject({ code: 'SIWE_DOMAIN_MISMATCH' });
+    await expect(siweService.verify(otherChain.message, otherChain.signature)).rejects.toMatchObject({ code: 'SIWE_CHAIN_NOT_ALLOWED' });
+    expect(mockPrisma.walletNonce.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('answers a malformed message with 400', async () => {
+    await expect(siweService.verify('not a siwe message', '0x')).rejects.toMatchObject({ code: 'SIWE_MALFORMED', statusCode: 400 });
+  });
+});
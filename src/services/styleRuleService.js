@@ -0,0 +1,106 @@
+const { PrismaClient } = require('@prisma/client');
+const activationRuleEngine = require('./activationRuleEngine');
+
+const prisma = new PrismaClient();
+
+const RULE_FIELDS = ['enabled', 'description', 'metrics', 'condition', 'points', 'confidence', 'params'];
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const styleRuleError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Style Rule Service
+ * Storage and validation for the activation rules the engine evaluates.
+ * Every save is compiled first, so a broken expression never reaches the
+ * table, and bumps the rule's version.
+ */
+class StyleRuleService {
+  async list({ enabled } = {}) {
+    return prisma.styleRule.findMany({
+      where: enabled === undefined ? {} : { enabled },
+      include: {
+        style: {
+          select: { id: true, name: true, rarity: true, category: true }
+        }
+      },
+      orderBy: { style: { name: 'asc' } }
+    });
+  }
+
+  async get(styleId) {
+    return prisma.styleRule.findUnique({
+      where: { styleId },
+      include: {
+        style: {
+          select: { id: true, name: true, rarity: true, category: true }
+        }
+      }
+    });
+  }
+
+  /**
+   * Create or replace the rule for a style. Returns { before, after }.
+   */
+  async save(styleId, definition, { updatedById } = {}) {
+    const style = await prisma.style.findUnique({ where: { id: styleId } });
+    if (!style) {
+      throw styleRuleError('Style not found', 'STYLE_NOT_FOUND', 404);
+    }
+
+    const before = await prisma.styleRule.findUnique({ where: { styleId } });
+
+    const data = {};
+    for (const field of RULE_FIELDS) {
+      if (definition[field] !== undefined) data[field] = definition[field];
+    }
+
+    // Validate the merged rule, not just the fields being changed
+    activationRuleEngine.compileRule({ ...(before || {}), ...data });
+
+    const after = await prisma.styleRule.upsert({
+      where: { styleId },
+      create: {
+        styleId,
+        ...data,
+        updatedById
+      },
+      update: {
+        ...data,
+        updatedById,
+        version: { increment: 1 }
+      },
+      include: {
+        style: {
+          select: { id: true, name: true, rarity: true, category: true }
+        }
+      }
+    });
+
+    activationRuleEngine.invalidate();
+    return { before, after };
+  }
+
+  async remove(styleId) {
+    const rule = await prisma.styleRule.findUnique({ where: { styleId } });
+    if (!rule) return null;
+
+    await prisma.styleRule.delete({ where: { styleId } });
+    activationRuleEngine.invalidate();
+    return rule;
+  }
+
+  /**
+   * Dry-run a rule definition against a set of stats without saving it
+   */
+  test(definition, stats) {
+    const compiled = activationRuleEngine.compileRule(definition);
+    return activationRuleEngine.evaluateRule(compiled, stats);
+  }
+}
+
+module.exports = new StyleRuleService();
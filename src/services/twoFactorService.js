@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const totp = require('../utils/totp');
+const { encrypt, decrypt, hashToken } = require('../utils/crypto');
+
+const prisma = new PrismaClient();
+
+const ISSUER = process.env.TOTP_ISSUER || 'Jogata';
+const RECOVERY_CODE_COUNT = 10;
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const twoFactorError = (message, code, statusCode = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrolment, verification with replay protection, and single-use
+ * recovery codes. Secrets are stored encrypted; recovery codes are hashed.
+ */
+class TwoFactorService {
+  /**
+   * Start enrolment: store a pending secret and return it with an otpauth URI
+   */
+  async beginEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    const secret = totp.generateSecret();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        twoFactorSecret: encrypt(secret),
+        twoFactorLastUsedStep: null
+      }
+    });
+
+    return {
+      secret,
+      otpauthUri: totp.buildOtpauthUri(secret, user.email || user.username, ISSUER)
+    };
+  }
+
+  /**
+   * Finish enrolment with a code from the authenticator app
+   */
+  async confirmEnrollment(user, code) {
+    if (user.twoFactorEnabled) {
+      throw twoFactorError('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED', 409);
+    }
+
+    if (!user.twoFactorSecret) {
+      throw twoFactorError('Start two-factor setup first', 'TWO_FACTOR_NOT_STARTED');
+    }
+
+    if (!await this.verifyTotp(user, code)) {
+      throw twoFactorError('Invalid authentication code', 'INVALID_TOTP_CODE', 401);
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { twoFactorEnabled: true }
+    });
+
+    return this.regenerateRecoveryCodes(user.id);
+  }
+
+  async disable(userId) {
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.user.update({
+        where: { id: userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null
+        }
+      })
+    ]);
+  }
+
+  /**
+   * Replace all recovery codes. The plain codes are only ever returned here.
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await prisma.$transaction([
+      prisma.recoveryCode.deleteMany({ where: { userId } }),
+      prisma.recoveryCode.createMany({
+        data: codes.map(code => ({
+          userId,
+          codeHash: hashToken(this.normalizeRecoveryCode(code))
+        }))
+      })
+    ]);
+
+    return codes;
+  }
+
+  /**
+   * Verify a TOTP code. Each time step can only be used once per user.
+   */
+  async verifyTotp(user, code) {
+    if (!user.twoFactorSecret) return false;
+
+    const step = totp.verifyCode(decrypt(user.twoFactorSecret), code);
+    if (step === null) return false;
+
+    // Conditional update so the same code can't be replayed, even concurrently
+    const { count } = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { lt: step } }
+        ]
+      },
+      data: { twoFactorLastUsedStep: step }
+    });
+
+    return count > 0;
+  }
+
+  async verifyRecoveryCode(user, recoveryCode) {
+    const { count } = await prisma.recoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashToken(this.normalizeRecoveryCode(recoveryCode)),
+        usedAt: null
+      },
+      data: { usedAt: new Date() }
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Verify either a TOTP code or a recovery code
+   */
+  async verify(user, { code, recoveryCode }) {
+    if (code) return this.verifyTotp(user, code);
+    if (recoveryCode) return this.verifyRecoveryCode(user, recoveryCode);
+    return false;
+  }
+
+  async getStatus(user) {
+    const remainingRecoveryCodes = await prisma.recoveryCode.count({
+      where: { userId: user.id, usedAt: null }
+    });
+
+    return {
+      enabled: user.twoFactorEnabled,
+      remainingRecoveryCodes: user.twoFactorEnabled ? remainingRecoveryCodes : 0
+    };
+  }
+
+  normalizeRecoveryCode(code) {
+    return String(code || '').replace(/[\s-]/g, '').toLowerCase();
+  }
+}
+
+module.exports = new TwoFactorService();
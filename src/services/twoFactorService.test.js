@@ -0,0 +1,101 @@
+const mockPrisma = {
+  user: { update: jest.fn(), updateMany: jest.fn() },
+  recoveryCode: { deleteMany: jest.fn(), createMany: jest.fn(), updateMany: jest.fn(), count: jest.fn() },
+  $transaction: jest.fn(operations => Promise.all(operations))
+};
+
+jest.mock('@prisma/client', () => ({ PrismaClient: jest.fn(() => mockPrisma) }));
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const twoFactorService = require('./twoFactorService');
+const totp = require('../utils/totp');
+const { encrypt, hashToken } = require('../utils/crypto');
+
+// A code that isn't valid for `secret` anywhere in the drift window
+const wrongCode = (secret) => {
+  const step = totp.getTimeStep();
+  const valid = [step - 1, step, step + 1].map(value => totp.generateCode(secret, value));
+  let code = 0;
+  while (valid.includes(String(code).padStart(6, '0'))) code++;
+  return String(code).padStart(6, '0');
+};
+
+describe('twoFactorService', () => {
+  const secret = totp.generateSecret();
+  const user = { id: 'user-1', email: 'ana@example.com', twoFactorEnabled: true, twoFactorSecret: encrypt(secret) };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recovery codes', () => {
+    test('issues ten single-use codes and stores only their hashes', async () => {
+      const codes = await twoFactorService.regenerateRecoveryCodes('user-1');
+
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+      expect(mockPrisma.recoveryCode.deleteMany).toHaveBeenCalledWith({ where: { userId: 'user-1' } });
+      const { data } = mockPrisma.recoveryCode.createMany.mock.calls[0][0];
+      expect(data).toEqual(codes.map(code => ({ userId: 'user-1', codeHash: hashToken(code.replace('-', '')) })));
+    });
+
+    test('accepts a code however it is typed and marks it used', async () => {
+      mockPrisma.recoveryCode.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      await expect(twoFactorService.verifyRecoveryCode(user, ' AB12C-3DE45 ')).resolves.toBe(true);
+      expect(mockPrisma.recoveryCode.updateMany).toHaveBeenCalledWith({
+        where: { userId: 'user-1', codeHash: hashToken('ab12c3de45'), usedAt: null },
+        data: { usedAt: expect.any(Date) }
+      });
+    });
+
+    test('rejects a used or unknown code', async () => {
+      mockPrisma.recoveryCode.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(twoFactorService.verify(user, { recoveryCode: 'ab12c-3de45' })).resolves.toBe(false);
+    });
+  });
+
+  describe('TOTP', () => {
+    test('accepts a current code and records its step', async () => {
+      mockPrisma.user.updateMany.mockResolvedValueOnce({ count: 1 });
+      const step = totp.getTimeStep();
+
+      await expect(twoFactorService.verify(user, { code: totp.generateCode(secret, step) })).resolves.toBe(true);
+
+      const { where, data } = mockPrisma.user.updateMany.mock.calls[0][0];
+      expect(where.OR).toContainEqual({ twoFactorLastUsedStep: { lt: data.twoFactorLastUsedStep } });
+      expect(Math.abs(data.twoFactorLastUsedStep - step)).toBeLessThanOrEqual(1);
+    });
+
+    test('refuses a replayed code', async () => {
+      mockPrisma.user.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(twoFactorService.verifyTotp(user, totp.generateCode(secret))).resolves.toBe(false);
+    });
+
+    test('refuses a wrong code without touching the user', async () => {
+      await expect(twoFactorService.verifyTotp(user, wrongCode(secret))).resolves.toBe(false);
+      expect(mockPrisma.user.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('confirms enrolment only with a valid code', async () => {
+      const pending = { ...user, twoFactorEnabled: false };
+
+      await expect(twoFactorService.confirmEnrollment(pending, wrongCode(secret))).rejects.toMatchObject({ code: 'INVALID_TOTP_CODE', statusCode: 401 });
+      await expect(twoFactorService.confirmEnrollment({ ...pending, twoFactorSecret: null }, '000000')).rejects.toMatchObject({ code: 'TWO_FACTOR_NOT_STARTED' });
+      await expect(twoFactorService.confirmEnrollment(user, '000000')).rejects.toMatchObject({ code: 'TWO_FACTOR_ALREADY_ENABLED', statusCode: 409 });
+    });
+
+    test('stores the enrolment secret encrypted', async () => {
+      const { secret: issued, otpauthUri } = await twoFactorService.beginEnrollment({ ...user, twoFactorEnabled: false });
+
+      const { data } = mockPrisma.user.update.mock.calls[0][0];
+      expect(data.twoFactorSecret).not.toContain(issued);
+      expect(otpauthUri).toContain(`secret=${issued}`);
+    });
+  });
+});
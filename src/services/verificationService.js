@@ -0,0 +1,70 @@
+const { PrismaClient } = require('@prisma/client');
+const { generateRandomToken, hashToken } = require('../utils/crypto');
+
+const prisma = new PrismaClient();
+
+// How long each kind of emailed token stays valid
+const TOKEN_TTL_MINUTES = {
+  EMAIL_VERIFICATION: parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440'), // 24 hours
+  PASSWORD_RESET: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60'), // 1 hour
+  ACCOUNT_UNLOCK: parseInt(process.env.ACCOUNT_UNLOCK_TTL_MINUTES || '1440') // 24 hours
+};
+
+/**
+ * Verification Service
+ * Issues and consumes single-use, time-limited tokens that are sent by email
+ */
+class VerificationService {
+  /**
+   * Issue a new token, invalidating any outstanding token of the same type
+   */
+  async createToken(userId, type) {
+    const token = generateRandomToken();
+    const ttlMinutes = TOKEN_TTL_MINUTES[type];
+
+    await prisma.$transaction([
+      prisma.verificationToken.updateMany({
+        where: { userId, type, usedAt: null },
+        data: { usedAt: new Date() }
+      }),
+      prisma.verificationToken.create({
+        data: {
+          userId,
+          type,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+        }
+      })
+    ]);
+
+    return { token, expiresInMinutes: ttlMinutes };
+  }
+
+  /**
+   * Mark a token as used and return it, or null if it is unknown, used or expired
+   */
+  async consumeToken(token, type) {
+    const tokenHash = hashToken(token);
+
+    // Conditional update so two concurrent requests can't both consume it
+    const { count } = await prisma.verificationToken.updateMany({
+      where: {
+        tokenHash,
+        type,
+        usedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return prisma.verificationToken.findUnique({
+      where: { tokenHash }
+    });
+  }
+}
+
+module.exports = new VerificationService();
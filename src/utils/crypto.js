@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+
+/**
+ * Generate a URL-safe random token
+ */
+const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash a high-entropy token for storage (never store raw tokens)
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+const safeCompare = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+// AES-256-GCM key for secrets that must be recoverable (e.g. TOTP seeds)
+const getEncryptionKey = () => {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a string, returning `iv.authTag.ciphertext` (base64url parts)
+ */
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+
+  return [iv, authTag, ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateRandomToken,
+  hashToken,
+  safeCompare,
+  encrypt,
+  decrypt
+};
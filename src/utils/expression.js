@@ -0,0 +1,330 @@
+/**
+ * Safe arithmetic/boolean expression language for style activation rules.
+ * Expressions are parsed into an AST and evaluated against a plain scope
+ * object, so rule authors can never reach JavaScript itself.
+ *
+ *   goals * 10 + (assists > 0 ? assists * 8 : 0)
+ *   isGoalkeeper && saves >= 4 && conceded <= 1
+ *   clamp(0.5 + dribblesSuccess / max(dribblesAttempts, 1) * 0.4, 0, 0.95)
+ */
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 40;
+
+const FUNCTIONS = {
+  min: (...args) => Math.min(...args),
+  max: (...args) => Math.max(...args),
+  abs: (x) => Math.abs(x),
+  round: (x) => Math.round(x),
+  floor: (x) => Math.floor(x),
+  ceil: (x) => Math.ceil(x),
+  sqrt: (x) => Math.sqrt(Math.max(x, 0)),
+  clamp: (x, low, high) => Math.min(Math.max(x, low), high)
+};
+
+// Argument counts each function accepts, as [fewest, most]
+const ARITY = {
+  min: [1, Infinity],
+  max: [1, Infinity],
+  abs: [1, 1],
+  round: [1, 1],
+  floor: [1, 1],
+  ceil: [1, 1],
+  sqrt: [1, 1],
+  clamp: [3, 3]
+};
+
+const describeArity = ([fewest, most]) => {
+  if (fewest === most) return `${fewest} argument${fewest === 1 ? '' : 's'}`;
+  if (most === Infinity) return `at least ${fewest} argument${fewest === 1 ? '' : 's'}`;
+  return `${fewest} to ${most} arguments`;
+};
+
+const OPERATORS = ['&&', '||', '==', '!=', '<=', '>=', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', ','];
+
+// Errors raised here carry an HTTP status and a machine-readable code
+const expressionError = (message, position) => {
+  const error = new Error(position !== undefined ? `${message} at position ${position}` : message);
+  error.code = 'INVALID_EXPRESSION';
+  error.statusCode = 400;
+  error.position = position;
+  return error;
+};
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+      i += number[0].length;
+      continue;
+    }
+
+    const identifier = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (identifier) {
+      tokens.push({ type: 'identifier', value: identifier[0], position: i });
+      i += identifier[0].length;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw expressionError(`Unexpected character '${char}'`, i);
+  }
+
+  tokens.push({ type: 'end', position: source.length });
+  return tokens;
+}
+
+// Recursive descent parser, lowest precedence first
+function parse(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek().type === 'operator' && values.includes(peek().value);
+  const next = () => tokens[index++];
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw expressionError(`Expected '${value}'`, peek().position);
+    }
+    return next();
+  };
+
+  const enter = () => {
+    if (++depth > MAX_DEPTH) {
+      throw expressionError('Expression is nested too deeply', peek().position);
+    }
+  };
+
+  const binary = (parseOperand, operators) => () => {
+    let left = parseOperand();
+    while (isOperator(...operators)) {
+      const operator = next().value;
+      left = { type: 'binary', operator, left, right: parseOperand() };
+    }
+    return left;
+  };
+
+  function parseTernary() {
+    enter();
+    const test = parseOr();
+    if (isOperator('?')) {
+      next();
+      const consequent = parseTernary();
+      expect(':');
+      const alternate = parseTernary();
+      depth--;
+      return { type: 'conditional', test, consequent, alternate };
+    }
+    depth--;
+    return test;
+  }
+
+  function parseUnary() {
+    if (isOperator('!', '-')) {
+      const operator = next().value;
+      enter();
+      const argument = parseUnary();
+      depth--;
+      return { type: 'unary', operator, argument };
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+
+    if (token.type === 'number') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      if (token.value === 'true' || token.value === 'false') {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+
+      if (isOperator('(')) {
+        if (!FUNCTIONS[token.value]) {
+          throw expressionError(`Unknown function '${token.value}'`, token.position);
+        }
+        next();
+        const args = [];
+        if (!isOperator(')')) {
+          args.push(parseTernary());
+          while (isOperator(',')) {
+            next();
+            args.push(parseTernary());
+          }
+        }
+        expect(')');
+
+        const [fewest, most] = ARITY[token.value];
+        if (args.length < fewest || args.length > most) {
+          throw expressionError(`'${token.value}' takes ${describeArity(ARITY[token.value])}, got ${args.length}`, token.position);
+        }
+        return { type: 'call', name: token.value, args };
+      }
+
+      return { type: 'identifier', name: token.value, position: token.position };
+    }
+
+    if (token.type === 'operator' && token.value === '(') {
+      const expression = parseTernary();
+      expect(')');
+      return expression;
+    }
+
+    throw expressionError(token.type === 'end' ? 'Unexpected end of expression' : `Unexpected '${token.value}'`, token.position);
+  }
+
+  const parseMultiplicative = binary(parseUnary, ['*', '/', '%']);
+  const parseAdditive = binary(parseMultiplicative, ['+', '-']);
+  const parseComparison = binary(parseAdditive, ['<', '<=', '>', '>=']);
+  const parseEquality = binary(parseComparison, ['==', '!=']);
+  const parseAnd = binary(parseEquality, ['&&']);
+  const parseOr = binary(parseAnd, ['||']);
+
+  const ast = parseTernary();
+  if (peek().type !== 'end') {
+    throw expressionError(`Unexpected '${peek().value}'`, peek().position);
+  }
+  return ast;
+}
+
+function collectIdentifiers(node, found = new Set()) {
+  switch (node.type) {
+    case 'identifier':
+      found.add(node.name);
+      break;
+    case 'unary':
+      collectIdentifiers(node.argument, found);
+      break;
+    case 'binary':
+      collectIdentifiers(node.left, found);
+      collectIdentifiers(node.right, found);
+      break;
+    case 'conditional':
+      collectIdentifiers(node.test, found);
+      collectIdentifiers(node.consequent, found);
+      collectIdentifiers(node.alternate, found);
+      break;
+    case 'call':
+      node.args.forEach(arg => collectIdentifiers(arg, found));
+      break;
+    default:
+      break;
+  }
+  return found;
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'identifier': {
+      const value = Object.prototype.hasOwnProperty.call(scope, node.name) ? scope[node.name] : undefined;
+      // Missing stats count as zero so partial provider data doesn't throw
+      return value === undefined || value === null ? 0 : value;
+    }
+    case 'unary': {
+      const value = evaluateNode(node.argument, scope);
+      return node.operator === '!' ? !value : -value;
+    }
+    case 'conditional':
+      return evaluateNode(node.test, scope)
+        ? evaluateNode(node.consequent, scope)
+        : evaluateNode(node.alternate, scope);
+    case 'call':
+      return FUNCTIONS[node.name](...node.args.map(arg => Number(evaluateNode(arg, scope))));
+    case 'binary': {
+      if (node.operator === '&&') {
+        return evaluateNode(node.left, scope) && evaluateNode(node.right, scope);
+      }
+      if (node.operator === '||') {
+        return evaluateNode(node.left, scope) || evaluateNode(node.right, scope);
+      }
+
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+
+      switch (node.operator) {
+        case '+': return Number(left) + Number(right);
+        case '-': return left - right;
+        case '*': return left * right;
+        // Division by zero yields 0 rather than Infinity
+        case '/': return right === 0 ? 0 : left / right;
+        case '%': return right === 0 ? 0 : left % right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '==': return left === right;
+        case '!=': return left !== right;
+        default:
+          throw expressionError(`Unknown operator '${node.operator}'`);
+      }
+    }
+    default:
+      throw expressionError(`Unknown node type '${node.type}'`);
+  }
+}
+
+/**
+ * Compile an expression. Pass `variables` to reject unknown identifiers up
+ * front instead of silently treating them as zero.
+ */
+function compile(source, { variables } = {}) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw expressionError('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_LENGTH) {
+    throw expressionError(`Expression is longer than ${MAX_LENGTH} characters`);
+  }
+
+  const ast = parse(source);
+  const identifiers = collectIdentifiers(ast);
+
+  if (variables) {
+    const allowed = new Set(variables);
+    const unknown = [...identifiers].filter(name => !allowed.has(name));
+    if (unknown.length > 0) {
+      throw expressionError(`Unknown variable${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+  }
+
+  return {
+    source,
+    identifiers,
+    evaluate: (scope = {}) => evaluateNode(ast, scope)
+  };
+}
+
+/**
+ * One-off evaluation helper
+ */
+function evaluate(source, scope, options) {
+  return compile(source, options).evaluate(scope);
+}
+
+module.exports = {
+  FUNCTIONS,
+  compile,
+  evaluate
+};
@@ -0,0 +1,74 @@
+const { compile, evaluate } = require('./expression');
+
+describe('expression', () => {
+  test('follows operator precedence and associativity', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('10 - 4 - 3')).toBe(3);
+    expect(evaluate('-2 * -3')).toBe(6);
+    expect(evaluate('1 + 1 == 2 && !(3 < 2)')).toBe(true);
+    expect(evaluate('false || 2 > 1 ? 5 : 6')).toBe(5);
+  });
+
+  test('evaluates against a scope, treating missing values as zero', () => {
+    const rule = compile('goals * 10 + (assists > 0 ? assists * 8 : 0)');
+
+    expect(rule.evaluate({ goals: 2, assists: 1 })).toBe(28);
+    expect(rule.evaluate({ goals: 1 })).toBe(10);
+    expect(rule.evaluate({ goals: null, assists: 0 })).toBe(0);
+    expect([...rule.identifiers].sort()).toEqual(['assists', 'goals']);
+  });
+
+  test('does not read inherited properties of the scope', () => {
+    expect(evaluate('constructor + toString')).toBe(0);
+  });
+
+  test('divides by zero to zero', () => {
+    expect(evaluate('shots / attempts', { shots: 3, attempts: 0 })).toBe(0);
+    expect(evaluate('7 % 0')).toBe(0);
+  });
+
+  test('calls the built-in functions', () => {
+    expect(evaluate('clamp(0.5 + dribbles / max(attempts, 1) * 0.4, 0, 0.95)', { dribbles: 4, attempts: 4 })).toBe(0.9);
+    expect(evaluate('min(3, 1, 2) + max(4, 6) + abs(-2) + round(1.5) + floor(1.9) + ceil(1.1) + sqrt(-4)')).toBe(14);
+  });
+
+  test('rejects unknown variables when the allowed ones are given', () => {
+    expect(() => compile('goals + shots', { variables: ['goals'] })).toThrow('Unknown variable: shots');
+    expect(() => compile('goals', { variables: ['goals'] })).not.toThrow();
+  });
+
+  test.each([
+    ['', 'Expression must be a non-empty string'],
+    ['1 +', 'Unexpected end of expression at position 3'],
+    ['(1 + 2', "Expected ')' at position 6"],
+    ['1 2', "Unexpected '2' at position 2"],
+    ['goals $ 2', "Unexpected character '$' at position 6"],
+    ['eval(1)', "Unknown function 'eval' at position 0"],
+    ['a ? b', "Expected ':' at position 5"],
+    ['min()', "'min' takes at least 1 argument, got 0 at position 0"],
+    ['1 + max()', "'max' takes at least 1 argument, got 0 at position 4"],
+    ['clamp(x)', "'clamp' takes 3 arguments, got 1 at position 0"],
+    ['clamp(x, 0, 1, 2)', "'clamp' takes 3 arguments, got 4 at position 0"],
+    ['abs(x, y)', "'abs' takes 1 argument, got 2 at position 0"]
+  ])('rejects %j', (source, message) => {
+    expect(() => compile(source)).toThrow(message);
+  });
+
+  test('raises errors with an HTTP status and code', () => {
+    expect.assertions(3);
+    try {
+      compile('1 +');
+    } catch (error) {
+      expect(error.statusCode).toBe(400);
+      expect(error.code).toBe('INVALID_EXPRESSION');
+      expect(error.position).toBe(3);
+    }
+  });
+
+  test('limits length and nesting', () => {
+    expect(() => compile('1+'.repeat(300) + '1')).toThrow('longer than 500');
+    expect(() => compile('('.repeat(60) + '1' + ')'.repeat(60))).toThrow('nested too deeply');
+    expect(() => compile('-'.repeat(60) + '1')).toThrow('nested too deeply');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Match lifecycle. A match's phase follows the provider's status code
+ * (API-Football short codes, which every adapter maps onto) through the
+ * transitions below; an update that would break them, such as a finished
+ * match reported live again, is a provider glitch and is not applied.
+ */
+
+const MATCH_PHASES = ['SCHEDULED', 'LIVE', 'HALF_TIME', 'FINISHED', 'POSTPONED', 'CANCELLED', 'ABANDONED'];
+
+const STATUS_PHASES = {
+  TBD: 'SCHEDULED',
+  NS: 'SCHEDULED',
+  '1H': 'LIVE',
+  '2H': 'LIVE',
+  ET: 'LIVE',
+  BT: 'LIVE',
+  P: 'LIVE',
+  LIVE: 'LIVE',
+  // Suspended and interrupted matches are expected to resume
+  SUSP: 'LIVE',
+  INT: 'LIVE',
+  HT: 'HALF_TIME',
+  FT: 'FINISHED',
+  AET: 'FINISHED',
+  PEN: 'FINISHED',
+  PST: 'POSTPONED',
+  CANC: 'CANCELLED',
+  ABD: 'ABANDONED',
+  // Awarded results and walkovers have no play to score
+  AWD: 'CANCELLED',
+  WO: 'CANCELLED'
+};
+
+// Phases each phase may move to. Postponed, abandoned and cancelled matches
+// can be rescheduled; an abandoned match's result can also be allowed to stand.
+const TRANSITIONS = {
+  SCHEDULED: ['LIVE', 'HALF_TIME', 'FINISHED', 'POSTPONED', 'CANCELLED', 'ABANDONED'],
+  LIVE: ['HALF_TIME', 'FINISHED', 'POSTPONED', 'CANCELLED', 'ABANDONED'],
+  HALF_TIME: ['LIVE', 'FINISHED', 'POSTPONED', 'CANCELLED', 'ABANDONED'],
+  FINISHED: [],
+  POSTPONED: ['SCHEDULED', 'LIVE', 'HALF_TIME', 'FINISHED', 'CANCELLED'],
+  CANCELLED: ['SCHEDULED'],
+  ABANDONED: ['SCHEDULED', 'FINISHED', 'CANCELLED']
+};
+
+// Phases the provider will still report changes for
+const OPEN_PHASES = ['SCHEDULED', 'LIVE', 'HALF_TIME'];
+
+/**
+ * Phase for a provider status code; unknown codes are treated as not yet played
+ */
+const phaseFor = (status) => STATUS_PHASES[status] || 'SCHEDULED';
+
+/**
+ * Whether a match may move between two phases (staying put always may)
+ */
+const canTransition = (from, to) => from === to || TRANSITIONS[from].includes(to);
+
+module.exports = {
+  MATCH_PHASES,
+  STATUS_PHASES,
+  TRANSITIONS,
+  OPEN_PHASES,
+  phaseFor,
+  canTransition
+};
@@ -0,0 +1,53 @@
+const { MATCH_PHASES, STATUS_PHASES, TRANSITIONS, phaseFor, canTransition } = require('./matchLifecycle');
+
+describe('matchLifecycle', () => {
+  test('maps provider status codes onto phases', () => {
+    expect(phaseFor('NS')).toBe('SCHEDULED');
+    expect(phaseFor('1H')).toBe('LIVE');
+    expect(phaseFor('HT')).toBe('HALF_TIME');
+    expect(phaseFor('PEN')).toBe('FINISHED');
+    expect(phaseFor('PST')).toBe('POSTPONED');
+    expect(phaseFor('AWD')).toBe('CANCELLED');
+    expect(phaseFor('ABD')).toBe('ABANDONED');
+  });
+
+  test('treats unknown status codes as not yet played', () => {
+    expect(phaseFor('???')).toBe('SCHEDULED');
+    expect(phaseFor(undefined)).toBe('SCHEDULED');
+  });
+
+  test('only uses known phases', () => {
+    expect(Object.keys(TRANSITIONS).sort()).toEqual([...MATCH_PHASES].sort());
+    for (const targets of Object.values(TRANSITIONS)) {
+      targets.forEach(phase => expect(MATCH_PHASES).toContain(phase));
+    }
+    Object.values(STATUS_PHASES).forEach(phase => expect(MATCH_PHASES).toContain(phase));
+  });
+
+  test.each([
+    ['SCHEDULED', 'LIVE'],
+    ['LIVE', 'HALF_TIME'],
+    ['HALF_TIME', 'LIVE'],
+    ['LIVE', 'FINISHED'],
+    ['SCHEDULED', 'FINISHED'],
+    ['POSTPONED', 'SCHEDULED'],
+    ['CANCELLED', 'SCHEDULED'],
+    ['ABANDONED', 'FINISHED']
+  ])('allows %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(true);
+  });
+
+  test.each([
+    ['FINISHED', 'LIVE'],
+    ['FINISHED', 'SCHEDULED'],
+    ['LIVE', 'SCHEDULED'],
+    ['CANCELLED', 'FINISHED'],
+    ['CANCELLED', 'LIVE']
+  ])('refuses %s -> %s', (from, to) => {
+    expect(canTransition(from, to)).toBe(false);
+  });
+
+  test('always allows staying in the same phase', () => {
+    MATCH_PHASES.forEach(phase => expect(canTransition(phase, phase)).toBe(true));
+  });
+});
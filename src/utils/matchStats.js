@@ -0,0 +1,125 @@
+/**
+ * Player match statistics in the flat shape activation rules are written
+ * against. Every field is a number or boolean; missing provider values are 0.
+ */
+
+const STAT_FIELDS = {
+  minutes: 'Minutes played',
+  rating: 'Provider match rating (0-10)',
+  goals: 'Goals scored',
+  assists: 'Assists',
+  shotsTotal: 'Shots',
+  shotsOn: 'Shots on target',
+  passesTotal: 'Passes attempted',
+  passesKey: 'Key passes',
+  passesAccuracy: 'Pass accuracy (%)',
+  tacklesTotal: 'Tackles',
+  blocks: 'Blocks',
+  interceptions: 'Interceptions',
+  duelsTotal: 'Duels contested',
+  duelsWon: 'Duels won',
+  dribblesAttempts: 'Dribbles attempted',
+  dribblesSuccess: 'Successful dribbles',
+  dribblesPast: 'Times dribbled past',
+  foulsDrawn: 'Fouls drawn',
+  foulsCommitted: 'Fouls committed',
+  yellowCards: 'Yellow cards',
+  redCards: 'Red cards',
+  offsides: 'Offsides',
+  saves: 'Saves (goalkeepers)',
+  conceded: 'Goals conceded (goalkeepers)',
+  penaltyWon: 'Penalties won',
+  penaltyCommitted: 'Penalties conceded',
+  penaltyScored: 'Penalties scored',
+  penaltyMissed: 'Penalties missed',
+  penaltySaved: 'Penalties saved',
+  isGoalkeeper: 'Played as goalkeeper',
+  isDefender: 'Played as defender',
+  isMidfielder: 'Played as midfielder',
+  isForward: 'Played as forward',
+  isCaptain: 'Captained the side',
+  isSubstitute: 'Came off the bench'
+};
+
+// Provider position codes in match stats, and the names its player
+// endpoints use for them
+const POSITION_NAMES = {
+  G: 'Goalkeeper',
+  D: 'Defender',
+  M: 'Midfielder',
+  F: 'Attacker'
+};
+
+/**
+ * Position code for a position given as a code or by name (null if unknown)
+ */
+const toPositionCode = (position) =>
+  Object.keys(POSITION_NAMES).find(code => code === position || POSITION_NAMES[code] === position) || null;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Flatten one API-Football `statistics` entry (fixtures/players endpoint)
+ */
+function normalizePlayerStats(statistics = {}) {
+  const games = statistics.games || {};
+  const shots = statistics.shots || {};
+  const goals = statistics.goals || {};
+  const passes = statistics.passes || {};
+  const tackles = statistics.tackles || {};
+  const duels = statistics.duels || {};
+  const dribbles = statistics.dribbles || {};
+  const fouls = statistics.fouls || {};
+  const cards = statistics.cards || {};
+  const penalty = statistics.penalty || {};
+  const position = games.position || null;
+
+  return {
+    minutes: toNumber(games.minutes),
+    rating: toNumber(games.rating),
+    goals: toNumber(goals.total),
+    assists: toNumber(goals.assists),
+    shotsTotal: toNumber(shots.total),
+    shotsOn: toNumber(shots.on),
+    passesTotal: toNumber(passes.total),
+    passesKey: toNumber(passes.key),
+    passesAccuracy: toNumber(passes.accuracy),
+    tacklesTotal: toNumber(tackles.total),
+    blocks: toNumber(tackles.blocks),
+    interceptions: toNumber(tackles.interceptions),
+    duelsTotal: toNumber(duels.total),
+    duelsWon: toNumber(duels.won),
+    dribblesAttempts: toNumber(dribbles.attempts),
+    dribblesSuccess: toNumber(dribbles.success),
+    dribblesPast: toNumber(dribbles.past),
+    foulsDrawn: toNumber(fouls.drawn),
+    foulsCommitted: toNumber(fouls.committed),
+    yellowCards: toNumber(cards.yellow),
+    redCards: toNumber(cards.red),
+    offsides: toNumber(statistics.offsides),
+    saves: toNumber(goals.saves),
+    conceded: toNumber(goals.conceded),
+    penaltyWon: toNumber(penalty.won),
+    // Provider spells it "commited"
+    penaltyCommitted: toNumber(penalty.commited ?? penalty.committed),
+    penaltyScored: toNumber(penalty.scored),
+    penaltyMissed: toNumber(penalty.missed),
+    penaltySaved: toNumber(penalty.saved),
+    isGoalkeeper: position === 'G',
+    isDefender: position === 'D',
+    isMidfielder: position === 'M',
+    isForward: position === 'F',
+    isCaptain: Boolean(games.captain),
+    isSubstitute: Boolean(games.substitute)
+  };
+}
+
+module.exports = {
+  STAT_FIELDS,
+  POSITION_NAMES,
+  toPositionCode,
+  normalizePlayerStats
+};
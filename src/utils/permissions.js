@@ -0,0 +1,82 @@
+/**
+ * Role-based access control definitions
+ * Permissions are `resource:action` strings. Users get the permissions of
+ * their role plus any extra grants stored on their account.
+ */
+const PERMISSIONS = {
+  PREORDERS_STATS: 'preorders:stats',
+  NFT_METADATA_WRITE: 'nft:metadata:write',
+  NFT_GENERATE: 'nft:generate',
+  STYLES_ACTIVATE: 'internal:activate',
+  MATCHES_PROCESS: 'internal:process-matches',
+  USERS_MANAGE_ROLES: 'users:roles',
+  API_KEYS_MANAGE: 'api-keys:manage',
+  AUDIT_READ: 'audit:read',
+  STYLE_RULES_READ: 'rules:read',
+  STYLE_RULES_WRITE: 'rules:write',
+  CALENDAR_WRITE: 'calendar:write',
+  JOBS_MANAGE: 'jobs:manage'
+};
+
+// Scopes an API key can carry. Scopes that are also permissions can only be
+// granted by, and only work for, owners who hold that permission.
+const API_KEY_SCOPES = {
+  PROFILE_READ: 'profile:read',
+  ACTIVATIONS_READ: 'activations:read',
+  MARKETPLACE_READ: 'marketplace:read',
+  MARKETPLACE_WRITE: 'marketplace:write',
+  TOURNAMENTS_READ: 'tournaments:read',
+  TOURNAMENTS_WRITE: 'tournaments:write',
+  PREORDERS_STATS: PERMISSIONS.PREORDERS_STATS,
+  STYLES_ACTIVATE: PERMISSIONS.STYLES_ACTIVATE,
+  MATCHES_PROCESS: PERMISSIONS.MATCHES_PROCESS
+};
+
+const ROLES = ['USER', 'MODERATOR', 'ADMIN'];
+
+// ADMIN is granted every permission implicitly
+const ROLE_PERMISSIONS = {
+  USER: [],
+  MODERATOR: [
+    PERMISSIONS.PREORDERS_STATS
+  ],
+  ADMIN: Object.values(PERMISSIONS)
+};
+
+/**
+ * Get the effective permission set for a user
+ */
+const getUserPermissions = (user) => {
+  if (!user) return [];
+  const rolePermissions = ROLE_PERMISSIONS[user.role] || [];
+  return [...new Set([...rolePermissions, ...(user.permissions || [])])];
+};
+
+/**
+ * Check whether a user holds a permission
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  if (user.role === 'ADMIN') return true;
+  return getUserPermissions(user).includes(permission);
+};
+
+/**
+ * Get the API key scopes a user is allowed to grant
+ */
+const getGrantableScopes = (user) => {
+  const permissionValues = Object.values(PERMISSIONS);
+  return Object.values(API_KEY_SCOPES).filter(scope =>
+    !permissionValues.includes(scope) || hasPermission(user, scope)
+  );
+};
+
+module.exports = {
+  PERMISSIONS,
+  API_KEY_SCOPES,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getUserPermissions,
+  hasPermission,
+  getGrantableScopes
+};
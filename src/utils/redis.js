@@ -0,0 +1,18 @@
+const Redis = require('redis');
+
+// Shared Redis client (rate limiting, football API cache and quota); unset
+// when REDIS_URL isn't configured
+let redisClient;
+if (process.env.REDIS_URL) {
+  redisClient = Redis.createClient({
+    url: process.env.REDIS_URL
+  });
+  
+  redisClient.on('error', (err) => {
+    console.error('Redis Client Error:', err);
+  });
+  
+  redisClient.connect();
+}
+
+module.exports = { redisClient };
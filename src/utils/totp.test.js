@@ -0,0 +1,55 @@
+const totp = require('./totp');
+
+// RFC 6238 test secret ("12345678901234567890")
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('totp', () => {
+  test('base32 round-trips and matches the RFC encoding', () => {
+    expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.base32Decode(SECRET).toString()).toBe('12345678901234567890');
+  });
+
+  test('generates the RFC 6238 SHA-1 codes (last six digits)', () => {
+    expect(totp.generateCode(SECRET, totp.getTimeStep(59 * 1000))).toBe('287082');
+    expect(totp.generateCode(SECRET, totp.getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(totp.generateCode(SECRET, totp.getTimeStep(1234567890 * 1000))).toBe('005924');
+  });
+
+  test('accepts codes within the drift window and returns their step', () => {
+    const timestamp = 1111111109 * 1000;
+    const step = totp.getTimeStep(timestamp);
+
+    expect(totp.verifyCode(SECRET, totp.generateCode(SECRET, step), { timestamp })).toBe(step);
+    expect(totp.verifyCode(SECRET, totp.generateCode(SECRET, step - 1), { timestamp })).toBe(step - 1);
+    expect(totp.verifyCode(SECRET, totp.generateCode(SECRET, step + 1), { timestamp })).toBe(step + 1);
+    expect(totp.verifyCode(SECRET, totp.generateCode(SECRET, step - 2), { timestamp })).toBeNull();
+  });
+
+  test('ignores spaces and rejects malformed codes', () => {
+    const timestamp = 59 * 1000;
+
+    expect(totp.verifyCode(SECRET, '287 082', { timestamp })).toBe(1);
+    expect(totp.verifyCode(SECRET, '28708', { timestamp })).toBeNull();
+    expect(totp.verifyCode(SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(totp.verifyCode(SECRET, undefined, { timestamp })).toBeNull();
+  });
+
+  test('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(totp.buildOtpauthUri(SECRET, 'ana@example.com', 'Jogata'));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Jogata:ana@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: SECRET,
+      issuer: 'Jogata',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+
+  test('generates 160-bit secrets', () => {
+    expect(totp.base32Decode(totp.generateSecret())).toHaveLength(20);
+  });
+});